@@ -9,7 +9,10 @@ const initializeOrderCounter = require('./scripts/initOrderCounter');
 require('./services/cron');
 require('dotenv').config();
 const http = require('http');
-const { initSocket } = require('./utils/socket');
+const { initSocket } = require('./services/socket');
+const storage = require('./services/storage');
+const { migrateLegacyStatuses } = require('./services/reportWorkflow');
+const { startReportJobWorker } = require('./services/reportJobs');
 
 const app = express();
 app.use(express.json({ limit: '10mb' }));
@@ -71,7 +74,10 @@ app.use(helmet());
 app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// 📂 Local file storage (only mounted when STORAGE_DRIVER=local)
+storage.serveLocalFiles(app);
 // 🛣️ API Routes
+app.use('/api/auth', require('./routes/auth.route'));
 app.use('/api/hospitals', require('./routes/hospital.route'));
 app.use('/api/doctors', require('./routes/doctor.route'));
 app.use('/api/patients', require('./routes/patient.route'));
@@ -84,34 +90,61 @@ app.use('/api/analytics', require('./routes/analytics.route'));
 app.use('/api/appointments', require('./routes/appointment.route'));
 app.use('/api/offline', require('./routes/offlineSync.route'));
 app.use('/api/notifications', require('./routes/notification.route'));
+app.use('/api/portal', require('./routes/patientPortal.route'));
 // 📚 Swagger UI
 app.use('/api-docs', swaggerUI.serve, swaggerUI.setup(swaggerSpec));
 
 // 🧩 Database Sync
 // IMPORTANT (prod safety):
 // - Full `alter: true` can fail on MySQL if there is existing inconsistent FK data (e.g. Doctors.hospitalId not matching Hospitals.id).
-// - For this change we only need to add optional columns to Patients, so we keep global sync safe and only alter the Patient table.
-db.sequelize.sync({ alter: false })
-  .then(async () => {
+// - So global sync only creates missing tables (new tables get their full shape), and the existing tables
+//   below are altered one by one. Each has its own error handling: a table that cannot be altered is
+//   logged and the others are still updated.
+const SCHEMA_UPDATES = [
+  // Adds new optional columns without touching other tables/FKs
+  { model: 'Patient' },
+  { model: 'Hospital' },
+  { model: 'Doctor' },
+  // Widens the status ENUM for the review workflow, then moves legacy 'pending' rows onto it. The data
+  // step also runs when the alter fails, in case the ENUM was already widened on an earlier start.
+  { model: 'Report', migrate: async () => `${await migrateLegacyStatuses()} legacy statuses migrated` },
+  // Widens the userType ENUM for patient portal accounts and adds the archive columns
+  { model: 'Notification' }
+];
+
+const applySchemaUpdate = async ({ model, migrate }) => {
+  if (!db[model]?.sync) return true;
+  let ok = true;
+  try {
+    await db[model].sync({ alter: true });
+    console.log(`✅ ${model} table altered successfully`);
+  } catch (err) {
+    console.error(`❌ Error altering ${model} table:`, err);
+    ok = false;
+  }
+  if (migrate) {
     try {
-      // Apply schema changes only to Patient (adds new optional columns without touching other tables/FKs)
-      if (db.Patient?.sync) {
-        await db.Patient.sync({ alter: true });
-        console.log('✅ Patient table altered successfully');
-      }
-      if (db.Hospital?.sync) {
-        await db.Hospital.sync({ alter: true });
-        console.log('✅ Hospital table altered successfully');
-      }
-      if (db.Doctor?.sync) {
-        await db.Doctor.sync({ alter: true });
-        console.log('✅ Doctor table altered successfully');
-      }
-      console.log('✅ Database synced successfully');
+      console.log(`✅ ${model} data migrated (${await migrate()})`);
     } catch (err) {
-      console.error('❌ Error altering Patient table:', err);
-      console.log('✅ Database synced successfully (without Patient alter)');
+      console.error(`❌ Error migrating ${model} data:`, err);
+      ok = false;
     }
+  }
+  return ok;
+};
+
+db.sequelize.sync({ alter: false })
+  .then(async () => {
+    const failed = [];
+    for (const update of SCHEMA_UPDATES) {
+      if (!(await applySchemaUpdate(update))) failed.push(update.model);
+    }
+    console.log(failed.length
+      ? `⚠️ Database synced, but these tables could not be updated: ${failed.join(', ')}`
+      : '✅ Database synced successfully');
+
+    // Report jobs are stored in the database, so the worker waits for the tables
+    startReportJobWorker();
   })
   .catch(err => {
     console.error('❌ Error syncing database:', err);
@@ -6,10 +6,19 @@ const Admin = db.Admin;
 const Hospital = db.Hospital;
 const Doctor = db.Doctor;
 const sendEmail = require('../utils/emainSender');
+const { notify } = require('../services/notifications');
+const { createSession, revokeUserSessions } = require('../services/authSessions');
+const { disconnectSessions } = require('../services/socket');
+const { REVOKE_REASONS } = require('../utils/authTokens');
+const { checkLoginTwoFactor } = require('../services/twoFactor');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
 exports.signup = async (req, res) => {
   try {
     const { name, email, password } = req.body;
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: '❌ name, email and password are required' });
+    }
     const hashedPassword = await bcrypt.hash(password, 10);
     
     const admin = await Admin.create({
@@ -18,8 +27,11 @@ exports.signup = async (req, res) => {
       password: hashedPassword
     });
 
-    const token = jwt.sign({ id: admin.id, role: 'admin' }, process.env.JWT_SECRET);
-    res.status(201).json({ token, admin });
+    // No session here: the new admin logs in (and sets up 2FA where required) through /login
+    res.status(201).json({
+      message: '✅ Admin created. Log in to continue.',
+      admin: { id: admin.id, name: admin.name, email: admin.email }
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -27,16 +39,21 @@ exports.signup = async (req, res) => {
 
 exports.login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, twoFactorCode } = req.body;
     
     // First check if it's an admin
     const admin = await Admin.findOne({ where: { email } });
     
     if (admin && await bcrypt.compare(password, admin.password)) {
+      const challenge = await checkLoginTwoFactor({ userType: 'admin', userId: admin.id }, twoFactorCode, {
+        required: isTwoFactorRequired('admin')
+      });
+      if (challenge) return res.status(challenge.status).json(challenge.body);
+
       // Admin login successful
-      const token = jwt.sign({ id: admin.id, role: 'admin' }, process.env.JWT_SECRET);
+      const tokens = await createSession({ userType: 'admin', userId: admin.id }, req);
       return res.json({ 
-        token, 
+        ...tokens,
         user: {
           id: admin.id,
           name: admin.name,
@@ -62,10 +79,15 @@ exports.login = async (req, res) => {
         return res.status(401).json({ error: '❌ Subscription expired' });
       }
       
+      const challenge = await checkLoginTwoFactor({ userType: 'hospital', userId: hospital.id }, twoFactorCode, {
+        required: isTwoFactorRequired('hospital', hospital)
+      });
+      if (challenge) return res.status(challenge.status).json(challenge.body);
+
       // Hospital login successful
-      const token = jwt.sign({ id: hospital.id, role: 'hospital' }, process.env.JWT_SECRET);
+      const tokens = await createSession({ userType: 'hospital', userId: hospital.id }, req);
       return res.json({ 
-        token, 
+        ...tokens,
         user: {
           id: hospital.id,
           name: hospital.name,
@@ -186,6 +208,11 @@ exports.resetPassword = async (req, res) => {
       resetTokenExpiry: null
     });
 
+    // Whoever knew the old password is logged out everywhere
+    const userType = user instanceof Admin ? 'admin' : user instanceof Hospital ? 'hospital' : 'doctor';
+    const revoked = await revokeUserSessions({ userType, userId: user.id }, REVOKE_REASONS.PASSWORD_CHANGED);
+    await disconnectSessions(userType, user.id, revoked);
+
     res.json({ message: 'Password reset successful' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -210,6 +237,12 @@ exports.updateHospitalStatus = async (req, res) => {
     if (!hospital) return res.status(404).json({ error: 'Hospital not found' });
 
     await hospital.update({ isVerified, plan_time, report_limit });
+    await notify({ userId: hospital.id, userType: 'hospital' }, 'SUBSCRIPTION_UPDATED', {
+      hospitalName: hospital.name,
+      planTime: hospital.plan_time,
+      reportLimit: hospital.report_limit,
+      isVerified: hospital.isVerified
+    });
     res.json({ message: 'Hospital updated successfully', hospital });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1,6 +1,8 @@
 const { Patient, Hospital, Doctor, Report } = require('../models');
 const { Op } = require('sequelize');
 const sequelize = require('sequelize');
+const { getSlaMetrics } = require('../services/reportSla');
+const { getDoctorPerformance } = require('../services/doctorPerformance');
 
 // 📊 Get comprehensive dashboard data for a hospital
 exports.getDashboardData = async (req, res) => {
@@ -445,4 +447,91 @@ exports.getRecentActivities = async (req, res) => {
     console.error('❌ Error fetching recent activities:', error);
     res.status(500).json({ error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Range and grouping of the 'weekly' / 'monthly' / 'yearly' periods, as in the trend endpoints above
+const periodRange = (period) => {
+  const since = new Date();
+  switch (period) {
+    case 'weekly':
+      since.setDate(since.getDate() - 84); // Last 12 weeks
+      return { period, dateFormat: '%Y-%u', since };
+    case 'yearly':
+      since.setFullYear(since.getFullYear() - 5); // Last 5 years
+      return { period, dateFormat: '%Y', since };
+    default:
+      since.setMonth(since.getMonth() - 12); // Last 12 months
+      return { period: 'monthly', dateFormat: '%Y-%m', since };
+  }
+};
+
+// ⏱️ Get report turnaround (SLA) compliance
+exports.getSlaCompliance = async (req, res) => {
+  try {
+    const { hospitalId } = req.params;
+
+    const hospital = await Hospital.findByPk(hospitalId, { attributes: ['id', 'slaSettings'] });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    const range = periodRange(req.query.period);
+    const metrics = await getSlaMetrics(hospital, range);
+
+    res.status(200).json({
+      period: range.period,
+      since: range.since,
+      ...metrics
+    });
+  } catch (error) {
+    console.error('❌ Error fetching SLA compliance:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🩺 Get per-doctor performance: assignments, reviews, turnaround, backlog, annotations and reassignments.
+// Hospitals see their own doctors; admins see one hospital's or, without a hospitalId, every hospital's.
+exports.getDoctorPerformance = async (req, res) => {
+  try {
+    const hospitalId = req.params.hospitalId || req.query.hospitalId;
+    const { doctorId } = req.query;
+
+    if (hospitalId !== undefined && !/^\d+$/.test(String(hospitalId))) {
+      return res.status(400).json({ error: '❌ hospitalId must be a number' });
+    }
+    if (doctorId !== undefined && !/^\d+$/.test(String(doctorId))) {
+      return res.status(400).json({ error: '❌ doctorId must be a number' });
+    }
+
+    if (hospitalId && !(await Hospital.findByPk(hospitalId, { attributes: ['id'] }))) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+    if (doctorId) {
+      const doctor = await Doctor.findOne({
+        where: { id: doctorId, ...(hospitalId ? { hospitalId } : {}) },
+        attributes: ['id']
+      });
+      if (!doctor) {
+        return res.status(404).json({ error: '❌ Doctor not found' });
+      }
+    }
+
+    const range = periodRange(req.query.period);
+    const performance = await getDoctorPerformance({
+      hospitalId: hospitalId ? Number(hospitalId) : undefined,
+      doctorId: doctorId ? Number(doctorId) : undefined,
+      since: range.since,
+      dateFormat: range.dateFormat
+    });
+
+    res.status(200).json({
+      period: range.period,
+      since: range.since,
+      hospitalId: hospitalId ? Number(hospitalId) : null,
+      ...performance
+    });
+  } catch (error) {
+    console.error('❌ Error fetching doctor performance:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
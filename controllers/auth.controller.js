@@ -0,0 +1,289 @@
+// controllers/auth.controller.js
+const db = require('../models');
+const {
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} = require('../services/authSessions');
+const {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor
+} = require('../services/twoFactor');
+const { disconnectSessions } = require('../services/socket');
+const { REVOKE_REASONS, SESSION_USER_TYPES } = require('../utils/authTokens');
+const { TWO_FACTOR_USER_TYPES, TWO_FACTOR_LOCK_MINUTES } = require('../utils/twoFactor');
+const { parseFlag, isBlank } = require('../utils/inputValues');
+
+const REFRESH_ERRORS = {
+  invalid: '❌ Invalid refresh token',
+  expired: '❌ Session expired or logged out. Please log in again.',
+  reused: '❌ Refresh token was already used. The session has been revoked, please log in again.'
+};
+
+const currentAccount = (req) => ({ userType: req.role, userId: req.user.id });
+
+// Live connections of revoked sessions are dropped as well
+const disconnect = ({ userType, userId }, sessionIds) => disconnectSessions(userType, userId, sessionIds);
+
+// Account named in the body of an admin or hospital action. Hospitals may only act on their own doctors.
+const targetAccount = async (req, userTypes) => {
+  const { userType } = req.body;
+  const userId = Number(req.body.userId);
+
+  if (!userTypes.includes(userType) || !Number.isInteger(userId) || userId <= 0) {
+    return { status: 400, error: `❌ userType (${userTypes.join(', ')}) and a numeric userId are required` };
+  }
+  if (req.role === 'hospital') {
+    const doctor = userType === 'doctor'
+      ? await db.Doctor.findOne({ where: { id: userId, hospitalId: req.hospitalId }, attributes: ['id'] })
+      : null;
+    if (!doctor) {
+      return { status: 403, error: '❌ Hospitals can only manage their own doctors' };
+    }
+  }
+  return { account: { userType, userId } };
+};
+
+// Answers of the 2FA management endpoints; a wrong code is a 400 so clients do not take it for a logout
+const TWO_FACTOR_ERRORS = {
+  not_found: [404, '❌ Account not found'],
+  code_required: [400, '❌ Two-factor authentication is on. Send a current code to replace your authenticator.'],
+  invalid: [400, '❌ Invalid two-factor code'],
+  locked: [429, `❌ Too many wrong two-factor codes. Try again in ${TWO_FACTOR_LOCK_MINUTES} minutes.`],
+  no_setup: [409, '❌ No authenticator setup in progress. Start with /api/auth/2fa/setup.'],
+  not_enabled: [409, '❌ Two-factor authentication is not on'],
+  required: [403, '❌ Two-factor authentication is required for this account and cannot be turned off']
+};
+
+const twoFactorError = (res, error) => {
+  const [status, message] = TWO_FACTOR_ERRORS[error];
+  return res.status(status).json({ error: message });
+};
+
+// 🔄 Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: '❌ refreshToken is required' });
+    }
+
+    const { tokens, session, error } = await refreshSession(refreshToken, req);
+    if (error) {
+      if (error === 'reused') await disconnect(session, [session.id]);
+      return res.status(401).json({ error: REFRESH_ERRORS[error] });
+    }
+
+    res.status(200).json({ ...tokens, role: session.userType });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🚪 Log out this device
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, REVOKE_REASONS.LOGOUT);
+    await disconnect(currentAccount(req), [req.sessionId]);
+    res.status(200).json({ message: '✅ Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🚪 Log out every device, or every other device with keepCurrent
+exports.logoutAll = async (req, res) => {
+  try {
+    const keepCurrent = isBlank(req.body?.keepCurrent) ? false : parseFlag(req.body.keepCurrent);
+    if (keepCurrent === undefined) {
+      return res.status(400).json({ error: '❌ keepCurrent must be true or false' });
+    }
+    const account = currentAccount(req);
+
+    const revoked = await revokeUserSessions(account, REVOKE_REASONS.LOGOUT_ALL, {
+      exceptSessionId: keepCurrent ? req.sessionId : undefined
+    });
+    await disconnect(account, revoked);
+
+    res.status(200).json({
+      message: keepCurrent ? '✅ Logged out of all other devices' : '✅ Logged out of all devices',
+      revokedSessions: revoked.length
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 📋 Active sessions (devices) of the caller
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(currentAccount(req));
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🗑️ Log out one of the caller's devices
+exports.revokeOwnSession = async (req, res) => {
+  try {
+    const account = currentAccount(req);
+    const session = await db.AuthSession.findOne({
+      where: { id: req.params.id, userType: account.userType, userId: account.userId },
+      attributes: ['id']
+    });
+    if (!session) {
+      return res.status(404).json({ error: '❌ Session not found' });
+    }
+
+    const revoked = await revokeSession(session.id, REVOKE_REASONS.LOGOUT);
+    if (revoked) await disconnect(account, [session.id]);
+
+    res.status(200).json({ message: revoked ? '✅ Session revoked' : '✅ Session was already ended' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔒 Revoke every session of an account: admins for anyone, hospitals for their doctors
+exports.revokeAccountSessions = async (req, res) => {
+  try {
+    const { account, status, error } = await targetAccount(req, SESSION_USER_TYPES);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const revoked = await revokeUserSessions(account, REVOKE_REASONS.REVOKED);
+    await disconnect(account, revoked);
+
+    res.status(200).json({
+      message: `✅ ${revoked.length} sessions revoked`,
+      revokedSessions: revoked.length
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔐 Two-factor status of the caller
+exports.getTwoFactor = async (req, res) => {
+  try {
+    res.status(200).json(await getTwoFactorStatus(currentAccount(req)));
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 📱 Start adding an authenticator app: returns the secret and a QR code to scan
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const result = await startTwoFactorSetup(req.twoFactorAccount, req.body?.code);
+    if (result.error) return twoFactorError(res, result.error);
+
+    res.status(200).json({
+      message: '✅ Scan the QR code with your authenticator app, then confirm with a code from it',
+      secret: result.secret,
+      otpauthUrl: result.otpauthUrl,
+      qrCode: result.qrCode
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ✅ Confirm the authenticator app and turn 2FA on; the recovery codes are only shown here
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    if (!req.body?.code) {
+      return res.status(400).json({ error: '❌ code is required' });
+    }
+
+    const result = await confirmTwoFactorSetup(req.twoFactorAccount, req.body.code);
+    if (result.error) return twoFactorError(res, result.error);
+
+    res.status(200).json({
+      message: req.body.setupToken
+        ? '✅ Two-factor authentication is on. Log in again with a code from your authenticator app.'
+        : '✅ Two-factor authentication is on',
+      recoveryCodes: result.recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔁 Replace the recovery codes
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.body?.code) {
+      return res.status(400).json({ error: '❌ code is required' });
+    }
+
+    const result = await regenerateRecoveryCodes(currentAccount(req), req.body.code);
+    if (result.error) return twoFactorError(res, result.error);
+
+    res.status(200).json({
+      message: '✅ New recovery codes created. The old ones no longer work.',
+      recoveryCodes: result.recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error creating recovery codes:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔓 Turn 2FA off
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (!req.body?.code) {
+      return res.status(400).json({ error: '❌ code is required' });
+    }
+
+    const result = await disableTwoFactor(currentAccount(req), req.body.code);
+    if (result.error) return twoFactorError(res, result.error);
+
+    res.status(200).json({ message: '✅ Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🧹 Remove an account's 2FA after a lost phone: admins for staff accounts, hospitals for their doctors
+exports.resetAccountTwoFactor = async (req, res) => {
+  try {
+    const { account, status, error } = await targetAccount(req, TWO_FACTOR_USER_TYPES);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const reset = await resetTwoFactor(account);
+    res.status(200).json({
+      message: reset
+        ? '✅ Two-factor authentication removed. The account can set it up again at its next login.'
+        : '✅ The account had no two-factor authentication'
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,23 +1,25 @@
-const { Doctor, Hospital, Patient, Report } = require('../models');
+const { Doctor, DoctorLeave, Hospital, Patient, Report } = require('../models');
 const { Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const { signReportFileUrls } = require('../utils/reportFileUrls');
+const { doctorReportScope } = require('../services/reportReaders');
+const { getOnlineUserIds, disconnectSessions } = require('../services/socket');
+const { WEEKDAYS, addDays, validateAvailability, validateLeave } = require('../utils/doctorAvailability');
+const { getDoctorWorkloads, getAvailability, findLeaves } = require('../services/doctorAvailability');
+const { listAssignmentCandidates } = require('../services/reportAssignment');
+const { createSession, revokeUserSessions } = require('../services/authSessions');
+const { REVOKE_REASONS } = require('../utils/authTokens');
+const { checkLoginTwoFactor } = require('../services/twoFactor');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
 // ➕ Create Doctor (Only Hospital or Admin can create doctor account)
 exports.createDoctor = async (req, res) => {
   try {
-    const { name, email, password, specialization, designation, hospitalId } = req.body;
+    const { name, email, password, specialization, designation, registrationNumber, hospitalId } = req.body;
     const authHospitalId = req.hospitalId; // From auth middleware
     const userRole = req.role; // From auth middleware
 
-    // Only hospitals and admins can create doctors
-    if (userRole !== 'hospital' && userRole !== 'admin') {
-      return res.status(403).json({ 
-        error: '❌ Only hospitals and admins can create doctor accounts' 
-      });
-    }
-
     // Determine target hospital ID
     let targetHospitalId;
     
@@ -85,6 +87,7 @@ exports.createDoctor = async (req, res) => {
       password: hashedPassword,
       specialization, 
       designation: designation || null, 
+      registrationNumber: registrationNumber || null,
       hospitalId: targetHospitalId,
       isActive: true
     });
@@ -115,7 +118,7 @@ exports.createDoctor = async (req, res) => {
 // 🔐 Doctor Login (Public endpoint - no authentication required)
 exports.login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, twoFactorCode } = req.body;
 
     // Validate required fields
     if (!email || !password) {
@@ -134,7 +137,7 @@ exports.login = async (req, res) => {
       include: [{ 
         model: Hospital, 
         as: 'hospital',
-        attributes: ['id', 'name', 'isVerified']
+        attributes: ['id', 'name', 'isVerified', 'twoFactorRequired']
       }]
     });
 
@@ -170,21 +173,21 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate JWT token (never expires)
-    const token = jwt.sign(
-      { 
-        id: doctor.id, 
-        role: 'doctor' 
-      }, 
-      process.env.JWT_SECRET
-    );
+    // Second factor, when the doctor has one or their hospital requires it
+    const challenge = await checkLoginTwoFactor({ userType: 'doctor', userId: doctor.id }, twoFactorCode, {
+      required: isTwoFactorRequired('doctor', doctor.hospital)
+    });
+    if (challenge) return res.status(challenge.status).json(challenge.body);
+
+    // Short-lived access token and a refresh token for this device
+    const tokens = await createSession({ userType: 'doctor', userId: doctor.id }, req);
     
     // Remove password from response
     const doctorResponse = doctor.toJSON();
     delete doctorResponse.password;
     
     res.status(200).json({ 
-      token, 
+      ...tokens,
       message: '✅ Login successful',
       user: {
         id: doctor.id,
@@ -232,8 +235,11 @@ exports.getDoctorsByHospital = async (req, res) => {
       });
     }
 
+    // isOnline: the doctor has the portal open right now
+    const onlineDoctorIds = await getOnlineUserIds('doctor', { hospitalId });
+
     res.status(200).json({
-      doctors: doctors.map(doctor => doctor.toJSON()),
+      doctors: doctors.map(doctor => ({ ...doctor.toJSON(), isOnline: onlineDoctorIds.includes(doctor.id) })),
       isHospitalVerified: hospital.isVerified
     });
   } catch (error) {
@@ -270,7 +276,7 @@ exports.getDoctorById = async (req, res) => {
 exports.updateDoctor = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, password, specialization, designation } = req.body;
+    const { name, email, password, specialization, designation, registrationNumber } = req.body;
     const hospitalId = req.hospitalId;
     const userRole = req.role;
     const doctorId = req.doctorId; // From auth middleware if doctor is updating themselves
@@ -293,6 +299,7 @@ exports.updateDoctor = async (req, res) => {
     if (name) updateData.name = name;
     if (specialization) updateData.specialization = specialization;
     if (designation !== undefined) updateData.designation = designation;
+    if (registrationNumber !== undefined) updateData.registrationNumber = registrationNumber || null;
 
     // Handle email update
     if (email) {
@@ -327,6 +334,12 @@ exports.updateDoctor = async (req, res) => {
     }
 
     await doctor.update(updateData);
+
+    // A new password logs the doctor out on every device
+    if (updateData.password) {
+      const revoked = await revokeUserSessions({ userType: 'doctor', userId: doctor.id }, REVOKE_REASONS.PASSWORD_CHANGED);
+      await disconnectSessions('doctor', doctor.id, revoked);
+    }
     
     // Remove password from response
     const doctorResponse = doctor.toJSON();
@@ -364,6 +377,174 @@ exports.deleteDoctor = async (req, res) => {
   }
 };
 
+// Doctor a request may manage: hospitals their own doctors, doctors themselves, admins anyone
+const findManagedDoctor = (req) => {
+  const whereClause = { id: req.params.id };
+  if (req.hospitalId) {
+    whereClause.hospitalId = req.hospitalId;
+  }
+  if (req.role === 'doctor' && req.doctorId) {
+    whereClause.id = req.doctorId;
+  }
+  return Doctor.findOne({ where: whereClause });
+};
+
+const leaveResponse = (leave) => ({
+  id: leave.id,
+  startDate: leave.startDate,
+  endDate: leave.endDate,
+  reason: leave.reason,
+  createdByType: leave.createdByType
+});
+
+// 🗓️ Get Doctor Availability (working hours, leave and current state)
+exports.getAvailability = async (req, res) => {
+  try {
+    const doctor = await findManagedDoctor(req);
+    if (!doctor) return res.status(404).json({ error: '❌ Doctor not found' });
+
+    const [availability] = (await getAvailability([doctor])).values();
+    // Leave still running in any time zone, and everything planned after it
+    const leaves = await findLeaves([doctor.id], addDays(availability.localDate, -1));
+
+    res.status(200).json({
+      doctorId: doctor.id,
+      workingHours: doctor.workingHours,
+      timezone: availability.timezone,
+      maxConcurrentReviews: doctor.maxConcurrentReviews,
+      current: {
+        available: availability.available,
+        reasons: availability.reasons,
+        pending: availability.pending,
+        localDate: availability.localDate
+      },
+      leaves: leaves.filter((leave) => leave.endDate >= availability.localDate).map(leaveResponse),
+      weekdays: WEEKDAYS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🗓️ Update Doctor Availability
+exports.updateAvailability = async (req, res) => {
+  try {
+    const doctor = await findManagedDoctor(req);
+    if (!doctor) return res.status(404).json({ error: '❌ Doctor not found' });
+
+    const { values, errors } = validateAvailability(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ error: `❌ Invalid availability: ${errors.join('; ')}` });
+    }
+
+    await doctor.update(values);
+    res.status(200).json({
+      message: '✅ Availability updated successfully',
+      workingHours: doctor.workingHours,
+      timezone: doctor.timezone,
+      maxConcurrentReviews: doctor.maxConcurrentReviews
+    });
+  } catch (error) {
+    console.error('Error updating availability:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🏖️ Add Leave Period
+exports.addLeave = async (req, res) => {
+  try {
+    const doctor = await findManagedDoctor(req);
+    if (!doctor) return res.status(404).json({ error: '❌ Doctor not found' });
+
+    const { values, errors } = validateLeave(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ error: `❌ Invalid leave: ${errors.join('; ')}` });
+    }
+
+    const overlapping = await DoctorLeave.findOne({
+      where: {
+        doctorId: doctor.id,
+        startDate: { [Op.lte]: values.endDate },
+        endDate: { [Op.gte]: values.startDate }
+      }
+    });
+    if (overlapping) {
+      return res.status(409).json({
+        error: `❌ Overlaps the leave from ${overlapping.startDate} to ${overlapping.endDate}`
+      });
+    }
+
+    const leave = await DoctorLeave.create({
+      ...values,
+      doctorId: doctor.id,
+      createdByType: req.role,
+      createdById: req.user?.id || null
+    });
+
+    // Reports already waiting for the doctor are not moved; the hospital decides what to reassign
+    const [{ pending }] = (await getDoctorWorkloads([doctor.id])).values();
+
+    res.status(201).json({
+      message: '✅ Leave added successfully',
+      leave: leaveResponse(leave),
+      pendingReports: pending
+    });
+  } catch (error) {
+    console.error('Error adding leave:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🗑️ Delete Leave Period
+exports.deleteLeave = async (req, res) => {
+  try {
+    const doctor = await findManagedDoctor(req);
+    if (!doctor) return res.status(404).json({ error: '❌ Doctor not found' });
+
+    const deleted = await DoctorLeave.destroy({ where: { id: req.params.leaveId, doctorId: doctor.id } });
+    if (!deleted) return res.status(404).json({ error: '❌ Leave not found' });
+
+    res.status(200).json({ message: '✅ Leave deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ✅ Get Doctors Available to Review Reports right now
+exports.getAvailableDoctors = async (req, res) => {
+  try {
+    const { hospitalId } = req.params;
+    const includeUnavailable = req.query.includeUnavailable === 'true';
+    const specialization = req.query.specialization?.trim().toLowerCase();
+
+    const hospital = await Hospital.findByPk(hospitalId, { attributes: ['id'] });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    const candidates = (await listAssignmentCandidates(hospital.id))
+      .filter(({ doctor }) => !specialization || doctor.specialization.toLowerCase() === specialization)
+      .filter(({ availability }) => includeUnavailable || availability.available);
+
+    res.status(200).json({
+      doctors: candidates.map(({ doctor, availability, online }) => ({
+        id: doctor.id,
+        name: doctor.name,
+        specialization: doctor.specialization,
+        available: availability.available,
+        reasons: availability.reasons,
+        pending: availability.pending,
+        maxConcurrentReviews: availability.maxConcurrentReviews,
+        leave: availability.leave,
+        isOnline: online
+      })),
+      checkedAt: new Date()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // 🔎 Search Doctor by name/specialization
 exports.searchDoctors = async (req, res) => {
   try {
@@ -414,10 +595,10 @@ exports.getAssignedReports = async (req, res) => {
     const offset = (page - 1) * pageSize;
     const { reportType, isChecked, startDate, endDate, query } = req.query;
 
-    // Build where clause
+    // Build where clause (reports assigned to the doctor, including second-opinion and arbitration reads)
     const whereClause = {
-      assignedDoctorId: doctorId,
-      isDeleted: false
+      isDeleted: false,
+      [Op.and]: [doctorReportScope(doctorId)]
     };
 
     // Add filters
@@ -476,7 +657,7 @@ exports.getAssignedReports = async (req, res) => {
       page: page,
       pageSize: pageSize,
       totalPages: Math.ceil(count / pageSize),
-      reports: reports
+      reports: await Promise.all(reports.map(signReportFileUrls))
     });
   } catch (error) {
     console.error('Error fetching assigned reports:', error);
@@ -1,15 +1,24 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const db = require('../models');
 const Hospital = db.Hospital;
 const sendEmail = require('../utils/emainSender');
 const multer = require('multer');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const { BlobServiceClient } = require('@azure/storage-blob');
+const storage = require('../services/storage');
+const { BRANDING_SECTIONS, validateBranding, resolveBranding } = require('../utils/reportBranding');
+const { generateReportPreview } = require('../utils/reportUtils');
+const { DEFAULT_TEMPLATE_KEY, getTemplate } = require('../utils/reportTemplates');
+const { ASSIGNMENT_STRATEGY_VALUES, validateAssignmentRules, resolveAssignmentRules } = require('../utils/reportAssignment');
+const { listAssignmentCandidates } = require('../services/reportAssignment');
+const { brandingSignatureLoader } = require('../services/reportGeneration');
+const { validateSlaSettings, resolveSlaSettings } = require('../utils/reportSla');
+const { createSession } = require('../services/authSessions');
+const { checkLoginTwoFactor, getHospitalTwoFactorStatus } = require('../services/twoFactor');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { parseFlag } = require('../utils/inputValues');
 
 // Configure multer for memory storage
-const upload = multer({
+const imageUpload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // limit to 5MB
@@ -24,7 +33,9 @@ const upload = multer({
     }
     cb(new Error('Only image files are allowed!'));
   }
-}).single('image');
+});
+const upload = imageUpload.single('image');
+const signatureUpload = imageUpload.single('signature');
 
 // Middleware for handling file upload
 exports.handleFileUpload = (req, res, next) => {
@@ -38,62 +49,42 @@ exports.handleFileUpload = (req, res, next) => {
   });
 };
 
-// Initialize Azure Blob Service Client
-const blobServiceClient = BlobServiceClient.fromConnectionString(
-  process.env.AZURE_STORAGE_CONNECTION_STRING
-);
-const containerName = 'hospital-images';
-
-// Helper function to upload image to Azure Blob Storage
-const uploadToAzureBlob = async (file) => {
-  try {
-    // Check if buffer exists and has content
-    if (!file.buffer || file.buffer.length === 0) {
-      throw new Error('File buffer is empty or missing');
+// Middleware for the optional signature image of the report branding
+exports.handleSignatureUpload = (req, res, next) => {
+  signatureUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Multer error: ${err.message}` });
+    } else if (err) {
+      return res.status(400).json({ error: err.message });
     }
+    next();
+  });
+};
 
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-    
-    // Ensure container exists
-    await containerClient.createIfNotExists({
-      access: 'blob'
-    });
-
-    // Generate unique blob name
-    const fileId = uuidv4();
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const fileExtension = path.extname(file.originalname);
-    const blobName = `hospital/${timestamp}/${fileId}${fileExtension}`;
-    
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-
-    // Upload options
-    const uploadOptions = {
-      blobHTTPHeaders: {
-        blobContentType: file.mimetype,
-        blobCacheControl: 'public, max-age=31536000',
-        blobContentDisposition: `inline; filename="${file.originalname}"`
-      },
-      metadata: {
-        originalName: file.originalname,
-        uploadedAt: new Date().toISOString(),
-        originalSize: file.size.toString()
-      }
-    };
-
-    // Upload file buffer to blob
-    await blockBlobClient.upload(
-      file.buffer, 
-      file.buffer.length,
-      uploadOptions
-    );
+// Helper function to upload a hospital image to storage
+const uploadHospitalImage = async (file) => {
+  const { fileUrl } = await storage.uploadFile(file, {
+    container: storage.CONTAINERS.HOSPITAL_IMAGES,
+    folder: 'hospital'
+  });
+  return fileUrl;
+};
 
-    // Return the file URL
-    return blockBlobClient.url;
-  } catch (error) {
-    console.error('Azure Blob upload error:', error);
-    throw new Error(`Failed to upload image to Azure Blob Storage: ${error.message}`);
+// Branding fields of a JSON or multipart body. The signature blob name is never taken from the client:
+// it is set by uploading a `signature` image and cleared with removeSignature=true.
+const brandingInput = (body = {}) => {
+  const { signatureBlobName, removeSignature, templateKey, ...input } = body;
+  if (typeof input.sections === 'string') {
+    try {
+      input.sections = JSON.parse(input.sections);
+    } catch (e) {
+      // rejected by validateBranding
+    }
+  }
+  if (removeSignature === true || removeSignature === 'true') {
+    input.signatureBlobName = null;
   }
+  return input;
 };
 
 // 🏥 Signup Hospital
@@ -107,8 +98,8 @@ exports.signup = async (req, res) => {
     let imageUrl = null;
     // Check if file was uploaded
     if (req.file) {
-      // Upload to Azure Blob Storage
-      imageUrl = await uploadToAzureBlob(req.file);
+      // Upload to storage
+      imageUrl = await uploadHospitalImage(req.file);
     }
 
     const hospital = await Hospital.create({
@@ -152,7 +143,7 @@ exports.verifyOtp = async (req, res) => {
 // 🔐 Login
 exports.login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, twoFactorCode } = req.body;
     const hospital = await Hospital.findOne({ where: { email } });
 
     if (!hospital || !(await bcrypt.compare(password, hospital.password))) {
@@ -168,9 +159,14 @@ exports.login = async (req, res) => {
       return res.status(401).json({ error: '❌ Subscription expired' });
     }
 
-    const token = jwt.sign({ id: hospital.id, role: 'hospital' }, process.env.JWT_SECRET);
+    const challenge = await checkLoginTwoFactor({ userType: 'hospital', userId: hospital.id }, twoFactorCode, {
+      required: isTwoFactorRequired('hospital', hospital)
+    });
+    if (challenge) return res.status(challenge.status).json(challenge.body);
+
+    const tokens = await createSession({ userType: 'hospital', userId: hospital.id }, req);
     res.json({ 
-      token, 
+      ...tokens,
       message: '✅ Login successful',
       hospital: {
         id: hospital.id,
@@ -213,8 +209,8 @@ exports.updateHospital = async (req, res) => {
     // Check if file was uploaded
     if (req.file) {
       try {
-        // Upload to Azure Blob Storage
-        imageUrl = await uploadToAzureBlob(req.file);
+        // Upload to storage
+        imageUrl = await uploadHospitalImage(req.file);
         console.log('Image uploaded successfully', { imageUrl });
       } catch (uploadError) {
         console.error('Image upload failed:', uploadError);
@@ -255,4 +251,236 @@ exports.updateHospital = async (req, res) => {
     console.error('Update hospital error:', error);
     res.status(500).json({ error: error.message });
   }
-};
\ No newline at end of file
+};
+// 🎨 Get Report Branding
+exports.getReportBranding = async (req, res) => {
+  try {
+    const hospital = await Hospital.findByPk(req.params.id, { attributes: ['id', 'reportBranding'] });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    res.status(200).json({
+      branding: resolveBranding(hospital.reportBranding),
+      sections: BRANDING_SECTIONS
+    });
+  } catch (error) {
+    console.error('Get report branding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🎨 Update Report Branding
+exports.updateReportBranding = async (req, res) => {
+  try {
+    const hospital = await Hospital.findByPk(req.params.id);
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    const { branding, errors } = validateBranding(brandingInput(req.body), hospital.reportBranding);
+    if (errors.length) {
+      return res.status(400).json({ error: `❌ Invalid branding: ${errors.join('; ')}` });
+    }
+
+    // Signatures are printed on signed reports, so they go to a private container rather than
+    // the public hospital images
+    if (req.file) {
+      const { blobName } = await storage.uploadFile(req.file, {
+        container: storage.CONTAINERS.SIGNATURES,
+        folder: String(hospital.id)
+      });
+      branding.signatureBlobName = blobName;
+    }
+
+    const previousSignature = hospital.reportBranding?.signatureBlobName;
+    await hospital.update({ reportBranding: branding });
+    if (previousSignature && previousSignature !== branding.signatureBlobName) {
+      await storage.deleteFile(storage.CONTAINERS.SIGNATURES, previousSignature).catch((error) => {
+        console.error(`Failed to delete the replaced signature of hospital ${hospital.id}:`, error.message);
+      });
+    }
+    res.status(200).json({
+      message: '✅ Report branding updated successfully',
+      branding: resolveBranding(branding)
+    });
+  } catch (error) {
+    console.error('Update report branding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Doctors the rules choose from, with what the strategies look at
+const assignmentCandidates = async (hospitalId) =>
+  (await listAssignmentCandidates(hospitalId)).map(({ doctor, pending, lastAssignedAt, availability, online }) => ({
+    id: doctor.id,
+    name: doctor.name,
+    specialization: doctor.specialization,
+    pending,
+    lastAssignedAt,
+    available: availability.available,
+    unavailableReasons: availability.reasons,
+    online
+  }));
+
+// 🤖 Get Auto-Assignment Rules
+exports.getAutoAssignment = async (req, res) => {
+  try {
+    const hospital = await Hospital.findByPk(req.params.id, { attributes: ['id', 'autoAssignment'] });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    res.status(200).json({
+      rules: resolveAssignmentRules(hospital.autoAssignment),
+      strategies: ASSIGNMENT_STRATEGY_VALUES,
+      doctors: await assignmentCandidates(hospital.id)
+    });
+  } catch (error) {
+    console.error('Get auto-assignment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🤖 Update Auto-Assignment Rules
+exports.updateAutoAssignment = async (req, res) => {
+  try {
+    const hospital = await Hospital.findByPk(req.params.id);
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    const { rules, errors } = validateAssignmentRules(req.body || {}, hospital.autoAssignment);
+    if (errors.length) {
+      return res.status(400).json({ error: `❌ Invalid auto-assignment rules: ${errors.join('; ')}` });
+    }
+
+    await hospital.update({ autoAssignment: rules });
+    res.status(200).json({
+      message: '✅ Auto-assignment rules updated successfully',
+      rules: resolveAssignmentRules(rules)
+    });
+  } catch (error) {
+    console.error('Update auto-assignment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ⏱️ Get Report Turnaround Targets
+exports.getSlaSettings = async (req, res) => {
+  try {
+    const hospital = await Hospital.findByPk(req.params.id, { attributes: ['id', 'slaSettings'] });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    res.status(200).json({ sla: resolveSlaSettings(hospital.slaSettings) });
+  } catch (error) {
+    console.error('Get SLA settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ⏱️ Update Report Turnaround Targets
+exports.updateSlaSettings = async (req, res) => {
+  try {
+    const hospital = await Hospital.findByPk(req.params.id);
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    const { settings, errors } = validateSlaSettings(req.body || {}, hospital.slaSettings);
+    if (errors.length) {
+      return res.status(400).json({ error: `❌ Invalid SLA settings: ${errors.join('; ')}` });
+    }
+
+    await hospital.update({ slaSettings: settings });
+    res.status(200).json({
+      message: '✅ SLA settings updated successfully',
+      sla: resolveSlaSettings(settings)
+    });
+  } catch (error) {
+    console.error('Update SLA settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔐 Get Two-Factor Requirement and how many of the hospital's accounts use 2FA
+exports.getTwoFactorRequirement = async (req, res) => {
+  try {
+    const hospital = await Hospital.findByPk(req.params.id, { attributes: ['id', 'twoFactorRequired'] });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    res.status(200).json({ twoFactor: await getHospitalTwoFactorStatus(hospital) });
+  } catch (error) {
+    console.error('Get two-factor requirement error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔐 Require (or stop requiring) 2FA for the hospital account and its doctors
+exports.updateTwoFactorRequirement = async (req, res) => {
+  try {
+    const required = parseFlag(req.body?.required);
+    if (required === undefined) {
+      return res.status(400).json({ error: '❌ required must be true or false' });
+    }
+
+    const hospital = await Hospital.findByPk(req.params.id, { attributes: ['id', 'twoFactorRequired'] });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    await hospital.update({ twoFactorRequired: required });
+    res.status(200).json({
+      message: hospital.twoFactorRequired
+        ? '✅ Two-factor authentication is now required. Accounts without it set it up at their next login.'
+        : '✅ Two-factor authentication is now optional',
+      twoFactor: await getHospitalTwoFactorStatus(hospital)
+    });
+  } catch (error) {
+    console.error('Update two-factor requirement error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 👁️ Preview Report Branding
+// Renders a sample PDF with the stored branding plus any unsaved changes sent in the body
+exports.previewReportBranding = async (req, res) => {
+  try {
+    const templateKey = req.body?.templateKey || req.query.templateKey || DEFAULT_TEMPLATE_KEY;
+    if (!getTemplate(templateKey)) {
+      return res.status(404).json({ error: `❌ Report template "${templateKey}" not found` });
+    }
+
+    const hospital = await Hospital.findByPk(req.params.id, {
+      attributes: ['id', 'name', 'address', 'imageUrl', 'reportBranding']
+    });
+    if (!hospital) {
+      return res.status(404).json({ error: '❌ Hospital not found' });
+    }
+
+    const { branding, errors } = validateBranding(brandingInput(req.body), hospital.reportBranding);
+    if (errors.length) {
+      return res.status(400).json({ error: `❌ Invalid branding: ${errors.join('; ')}` });
+    }
+
+    const pdf = await generateReportPreview(templateKey, {
+      hospital: { name: hospital.name, address: hospital.address, imageUrl: hospital.imageUrl },
+      branding,
+      signatureImage: req.file || brandingSignatureLoader(branding)
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `inline; filename="report-preview-${templateKey}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Preview report branding error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
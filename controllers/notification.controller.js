@@ -1,5 +1,21 @@
 const db = require('../models');
 const Notification = db.Notification;
+const {
+  listNotifications,
+  countUnread,
+  setArchived,
+  deleteNotifications,
+  getPreferences,
+  updatePreferences
+} = require('../services/notifications');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTemplates');
+const { CHANNELS, DIGEST_MODES } = require('../utils/notificationPreferences');
+const {
+  decodeCursor,
+  parseNotificationFilters,
+  parseBulkTarget,
+  parsePageSize
+} = require('../utils/notificationFilters');
 
 exports.getNotifications = async (req, res) => {
   try {
@@ -10,39 +26,53 @@ exports.getNotifications = async (req, res) => {
       return res.status(400).json({ error: 'User ID not found' });
     }
 
-    const notifications = await Notification.findAll({
-      where: {
-        userId,
-        userType,
-      },
-      order: [['createdAt', 'DESC']],
-      limit: 50
-    });
+    const { filters, errors } = parseNotificationFilters(req.query);
+    const cursorId = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursorId) errors.push('cursor is not valid');
+    if (errors.length) {
+      return res.status(400).json({ error: `Invalid filters: ${errors.join('; ')}` });
+    }
 
-    const unreadCount = await Notification.count({
-      where: {
-        userId,
-        userType,
-        isRead: false
-      }
-    });
+    const limit = parsePageSize(req.query.limit);
+    const [page, unreadCount] = await Promise.all([
+      listNotifications(userId, userType, { filters, cursorId, limit }),
+      countUnread(userId, userType)
+    ]);
 
     res.status(200).json({
-      notifications,
-      unreadCount
+      notifications: page.notifications,
+      unreadCount,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+      limit
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const userId = req.userId || req.user?.id || req.doctorId;
+    const { filters, errors } = parseNotificationFilters({ type: req.query.type });
+    if (errors.length) {
+      return res.status(400).json({ error: `Invalid filters: ${errors.join('; ')}` });
+    }
+
+    res.status(200).json({ unreadCount: await countUnread(userId, req.role, filters) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 exports.markAsRead = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.userId || req.user?.id || req.doctorId;
+    const userType = req.role;
 
     const notification = await Notification.findOne({
-      where: { id, userId }
+      where: { id, userId, userType }
     });
 
     if (!notification) {
@@ -72,3 +102,82 @@ exports.markAllAsRead = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+// Archive, unarchive or delete several notifications, by ids or by filter
+const bulkAction = (action) => async (req, res) => {
+  try {
+    const userId = req.userId || req.user?.id || req.doctorId;
+    const userType = req.role;
+    const target = parseBulkTarget(req.body || {});
+    if (target.errors.length) {
+      return res.status(400).json({ error: target.errors.join('; ') });
+    }
+
+    const count = action === 'delete'
+      ? await deleteNotifications(userId, userType, target)
+      : await setArchived(userId, userType, target, action === 'archive');
+
+    res.status(200).json({
+      message: `${count} notification${count === 1 ? '' : 's'} ${action === 'delete' ? 'deleted' : `${action}d`}`,
+      count
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+exports.archiveNotifications = bulkAction('archive');
+exports.unarchiveNotifications = bulkAction('unarchive');
+exports.deleteNotifications = bulkAction('delete');
+
+exports.deleteNotification = async (req, res) => {
+  try {
+    const userId = req.userId || req.user?.id || req.doctorId;
+    const id = Number(req.params.id);
+    const count = Number.isInteger(id) ? await deleteNotifications(userId, req.role, { ids: [id] }) : 0;
+
+    if (!count) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.status(200).json({ message: 'Notification deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+exports.getPreferences = async (req, res) => {
+  try {
+    const userId = req.userId || req.user?.id || req.doctorId;
+    const preferences = await getPreferences(userId, req.role);
+
+    res.status(200).json({
+      preferences,
+      channels: CHANNELS,
+      digestModes: DIGEST_MODES,
+      notificationTypes: NOTIFICATION_TYPES
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+exports.updatePreferences = async (req, res) => {
+  try {
+    const userId = req.userId || req.user?.id || req.doctorId;
+    const { preferences, webhookSecret, errors } = await updatePreferences(userId, req.role, req.body || {});
+
+    if (errors) {
+      return res.status(400).json({ error: `Invalid notification preferences: ${errors.join('; ')}` });
+    }
+
+    res.status(200).json({
+      message: 'Notification preferences updated',
+      preferences,
+      // Only shown when it is created or rotated; used to check the X-D3S-Signature header
+      ...(webhookSecret && { webhookSecret })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
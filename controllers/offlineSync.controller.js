@@ -5,19 +5,14 @@ const Report = db.Report;
 const Hospital = db.Hospital;
 const multer = require('multer');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
-const { BlobServiceClient } = require('@azure/storage-blob');
-
-// Initialize Azure Blob Service Client
-const blobServiceClient = BlobServiceClient.fromConnectionString(
-  process.env.AZURE_STORAGE_CONNECTION_STRING
-);
-const containerName = 'reports';
+const storage = require('../services/storage');
+const { signReportFileUrl } = require('../utils/reportFileUrls');
+const { actorFromRequest, recordUpload } = require('../services/reportWorkflow');
+const { autoAssignReport } = require('../services/reportAssignment');
 
 // Configure multer for memory storage
-const storage = multer.memoryStorage();
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB
   },
@@ -29,58 +24,18 @@ const upload = multer({
   }
 });
 
-// Helper function to upload file to Azure Blob Storage
-const uploadToAzureBlob = async (file, patientId, fileType) => {
-  try {
-    if (!file.buffer || file.buffer.length === 0) {
-      throw new Error('File buffer is empty or missing');
+// Helper function to upload a synced report file to storage
+const uploadReportFile = async (file, patientId, fileType) => {
+  const { fileName, fileType: mimeType, fileSize, fileUrl } = await storage.uploadFile(file, {
+    container: storage.CONTAINERS.REPORTS,
+    folder: `${patientId}/${fileType}`,
+    metadata: {
+      patientId: patientId.toString(),
+      fileType: fileType
     }
+  });
 
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-    
-    await containerClient.createIfNotExists({
-      access: 'blob'
-    });
-
-    const fileId = uuidv4();
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const fileExtension = path.extname(file.originalname);
-    const blobName = `${patientId}/${fileType}/${timestamp}/${fileId}${fileExtension}`;
-    
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-
-    const uploadOptions = {
-      blobHTTPHeaders: {
-        blobContentType: file.mimetype,
-        blobCacheControl: 'public, max-age=31536000',
-        blobContentDisposition: `inline; filename="${file.originalname}"`
-      },
-      metadata: {
-        originalName: file.originalname,
-        patientId: patientId.toString(),
-        fileType: fileType,
-        uploadedAt: new Date().toISOString(),
-        originalSize: file.size.toString()
-      },
-      tier: 'Hot'
-    };
-
-    await blockBlobClient.upload(
-      file.buffer, 
-      file.buffer.length,
-      uploadOptions
-    );
-
-    return {
-      fileName: file.originalname,
-      fileType: file.mimetype,
-      fileSize: file.size,
-      fileUrl: blockBlobClient.url
-    };
-  } catch (error) {
-    console.error('Azure Blob upload error:', error);
-    throw new Error(`Failed to upload file to Azure Blob Storage: ${error.message}`);
-  }
+  return { fileName, fileType: mimeType, fileSize, fileUrl };
 };
 
 // Middleware for handling PDF upload
@@ -257,8 +212,8 @@ exports.syncReport = async (req, res) => {
       ? reportType 
       : 'Other';
 
-    // Upload file to Azure Blob Storage
-    const fileData = await uploadToAzureBlob(req.file, patientId, 'offline_sync_report');
+    // Upload file to storage
+    const fileData = await uploadReportFile(req.file, patientId, 'offline_sync_report');
 
     // Determine uploadedAt - use createdAt from request if provided, otherwise use current time
     const uploadedAt = createdAt ? new Date(createdAt) : new Date();
@@ -277,15 +232,17 @@ exports.syncReport = async (req, res) => {
       doctorId,
       uploadedBy: doctorId, // Use doctorId as uploadedBy for offline sync
       uploadedAt: uploadedAt,
-      status: 'pending',
+      status: 'uploaded',
       isDeleted: false,
       isChecked: false,
       remarks: notes || null
     });
+    await recordUpload(report, { actor: actorFromRequest(req) });
+    await autoAssignReport(report);
 
     res.status(200).json({ 
       reportId: report.id, 
-      fileUrl: report.fileUrl 
+      fileUrl: await signReportFileUrl(report.fileUrl)
     });
   } catch (error) {
     console.error('Error syncing report:', error);
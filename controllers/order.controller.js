@@ -2,18 +2,14 @@ const { Product, Order } = require("../models");
 const { v4: uuidv4 } = require("uuid");
 const multer = require("multer");
 const path = require("path");
-// Azure Blob Storage imports
-const { BlobServiceClient } = require('@azure/storage-blob');
+const storage = require("../services/storage");
+const { notify } = require("../services/notifications");
+const { emitToRole } = require("../services/socket");
+const { SOCKET_EVENTS } = require("../utils/socketEvents");
 
 // Counter for sequential order IDs
 let orderCounter = 1;
 
-// Initialize Azure Blob Service Client
-const blobServiceClient = BlobServiceClient.fromConnectionString(
-  process.env.AZURE_STORAGE_CONNECTION_STRING
-);
-const containerName = 'product-images';
-
 // Configure multer for memory storage
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -45,59 +41,15 @@ exports.handleFileUpload = (req, res, next) => {
   });
 };
 
-// Helper function to upload image to Azure Blob Storage
-const uploadToAzureBlob = async (file) => {
-  try {
-    // Check if buffer exists and has content
-    if (!file.buffer || file.buffer.length === 0) {
-      throw new Error('File buffer is empty or missing');
-    }
-
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-    
-    // Ensure container exists
-    await containerClient.createIfNotExists({
-      access: 'blob'
-    });
-
-    // Generate unique blob name
-    const fileId = uuidv4();
-    const timestamp = new Date().toISOString().slice(0, 10);
-    const fileExtension = path.extname(file.originalname);
-    const blobName = `products/${timestamp}/${fileId}${fileExtension}`;
-    
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-
-    // Upload options
-    const uploadOptions = {
-      blobHTTPHeaders: {
-        blobContentType: file.mimetype,
-        blobCacheControl: 'public, max-age=31536000',
-        blobContentDisposition: `inline; filename="${file.originalname}"`
-      },
-      metadata: {
-        originalName: file.originalname,
-        uploadedAt: new Date().toISOString(),
-        originalSize: file.size.toString()
-      }
-    };
-
-    // Upload file buffer to blob
-    await blockBlobClient.upload(
-      file.buffer, 
-      file.buffer.length,
-      uploadOptions
-    );
-
-    // Return the file URL
-    return blockBlobClient.url;
-  } catch (error) {
-    console.error('Azure Blob upload error:', error);
-    throw new Error(`Failed to upload image to Azure Blob Storage: ${error.message}`);
-  }
+// Helper function to upload a product image to storage
+const uploadProductImage = async (file) => {
+  const { fileUrl } = await storage.uploadFile(file, {
+    container: storage.CONTAINERS.PRODUCT_IMAGES,
+    folder: "products",
+  });
+  return fileUrl;
 };
 
-
 exports.createProduct = async (req, res) => {
   try {
     let imageUrls = [];
@@ -105,9 +57,9 @@ exports.createProduct = async (req, res) => {
     // Check if files were uploaded
     if (req.files && req.files.length > 0) {
       try {
-        // Upload all images to Azure Blob Storage
+        // Upload all images to storage
         for (const file of req.files) {
-          const imageUrl = await uploadToAzureBlob(file);
+          const imageUrl = await uploadProductImage(file);
           imageUrls.push(imageUrl);
         }
       } catch (uploadError) {
@@ -249,10 +201,10 @@ exports.updateProduct = async (req, res) => {
     // Check if files were uploaded
     if (req.files && req.files.length > 0) {
       try {
-        // Upload new images to Azure Blob Storage
+        // Upload new images to storage
         const newImageUrls = [];
         for (const file of req.files) {
-          const imageUrl = await uploadToAzureBlob(file);
+          const imageUrl = await uploadProductImage(file);
           newImageUrls.push(imageUrl);
         }
 
@@ -631,6 +583,26 @@ exports.placeOrder = async (req, res) => {
 
     const createdOrders = await Promise.all(orderPromises);
 
+    // Admins' order list updates live
+    emitToRole("admin", SOCKET_EVENTS.ORDER_UPDATED, {
+      orderId,
+      status: createdOrders[0].status,
+      action: "placed",
+    });
+
+    // Send order confirmation
+    await notify(
+      { email: customerEmail, phone: customerPhone },
+      "ORDER_PLACED",
+      {
+        orderId,
+        customerName,
+        itemCount: createdOrders.length,
+        totalAmount: total,
+        paymentMethod,
+      }
+    );
+
     res.status(201).json({
       success: true,
       message: "✅ Order placed successfully",
@@ -906,6 +878,20 @@ exports.updateOrderStatus = async (req, res) => {
       return res.status(404).json({ error: "❌ Order not found" });
     }
 
+    emitToRole("admin", SOCKET_EVENTS.ORDER_UPDATED, {
+      orderId,
+      status,
+      action: "status_changed",
+    });
+
+    // Send status update to the customer
+    const order = await Order.findOne({ where: { orderId } });
+    await notify(
+      { email: order.customerEmail, phone: order.customerPhone },
+      "ORDER_STATUS_CHANGED",
+      { orderId, customerName: order.customerName, status }
+    );
+
     res.status(200).json({
       success: true,
       message: `✅ Order status updated to ${status}`,
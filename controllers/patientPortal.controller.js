@@ -0,0 +1,187 @@
+const { Op } = require('sequelize');
+const db = require('../models');
+const Report = db.Report;
+const Hospital = db.Hospital;
+const {
+  normalizeIdentifier,
+  findPatientRecords,
+  getPatientIds,
+  requestOtp,
+  verifyOtp,
+  findUpcomingAppointments
+} = require('../services/patientPortal');
+const { normalizeStatus } = require('../utils/reportWorkflow');
+const { PATIENT_STATUS_LABELS } = require('../utils/reportRetrieval');
+const { createSession } = require('../services/authSessions');
+const { REPORT_URL_TTL_SECONDS, signReportFileUrl } = require('../utils/reportFileUrls');
+
+const OTP_ERRORS = {
+  invalid: '❌ Invalid code',
+  expired: '❌ Code expired. Please request a new one.',
+  too_many_attempts: '❌ Too many wrong codes. Please request a new one.'
+};
+
+// A reviewed PDF exists once a doctor has completed a review
+const hasReviewedPdf = (report) => Boolean(report.reviewedAt && report.annotatedFileUrl);
+
+// 📨 Request a login code by email or SMS
+exports.requestOtp = async (req, res) => {
+  try {
+    const identifier = normalizeIdentifier(req.body);
+    if (!identifier) {
+      return res.status(400).json({ error: '❌ A valid email or phone number is required' });
+    }
+
+    await requestOtp(identifier);
+
+    // Same answer whether a code was sent, throttled or no patient record matched, so the endpoint
+    // does not reveal who is a patient
+    res.status(200).json({
+      message: `✅ If we have a patient record with this ${identifier.email ? 'email' : 'phone number'}, a login code has been sent`
+    });
+  } catch (error) {
+    console.error('Patient OTP request error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔐 Log in with the code
+exports.verifyOtp = async (req, res) => {
+  try {
+    const identifier = normalizeIdentifier(req.body);
+    if (!identifier || !req.body.otp) {
+      return res.status(400).json({ error: '❌ otp and a valid email or phone number are required' });
+    }
+
+    const { account, error } = await verifyOtp(identifier, req.body.otp);
+    if (error) {
+      return res.status(401).json({ error: OTP_ERRORS[error] });
+    }
+
+    const tokens = await createSession({ userType: 'patient', userId: account.id }, req);
+    res.status(200).json({
+      ...tokens,
+      message: '✅ Login successful',
+      user: {
+        id: account.id,
+        email: account.email,
+        phone: account.phone
+      },
+      role: 'patient'
+    });
+  } catch (error) {
+    console.error('Patient OTP verification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 👤 Patient profile: the account and its patient records in each hospital
+exports.getProfile = async (req, res) => {
+  try {
+    const account = req.patientAccount;
+    const patients = await findPatientRecords(account, {
+      attributes: ['id', 'firstName', 'lastName', 'age', 'gender', 'email', 'contact', 'hospitalId'],
+      include: [{ model: Hospital, as: 'hospital', attributes: ['id', 'name', 'imageUrl'] }]
+    });
+
+    res.status(200).json({
+      account: {
+        id: account.id,
+        email: account.email,
+        phone: account.phone,
+        lastLoginAt: account.lastLoginAt
+      },
+      patients
+    });
+  } catch (error) {
+    console.error('Error fetching patient profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 📄 Reports of the logged-in patient across hospitals
+exports.getReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 10;
+    const offset = (page - 1) * pageSize;
+
+    const patientIds = await getPatientIds(req.patientAccount);
+    const { count, rows } = await Report.findAndCountAll({
+      where: { patientId: { [Op.in]: patientIds }, isDeleted: false },
+      attributes: ['id', 'title', 'description', 'templateKey', 'status', 'patientId', 'createdAt', 'reviewedAt', 'annotatedFileUrl'],
+      include: [{ model: Hospital, as: 'hospital', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset
+    });
+
+    res.status(200).json({
+      totalItems: count,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: page,
+      pageSize,
+      reports: rows.map((report) => {
+        const status = normalizeStatus(report.status);
+        const { annotatedFileUrl, ...fields } = report.get({ plain: true });
+        return {
+          ...fields,
+          status,
+          statusLabel: PATIENT_STATUS_LABELS[status] || status,
+          hasReviewedPdf: hasReviewedPdf(report)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching patient reports:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 📥 Download the reviewed (annotated) PDF of a report
+exports.downloadReport = async (req, res) => {
+  try {
+    const patientIds = await getPatientIds(req.patientAccount);
+    const report = await Report.findOne({
+      where: { id: req.params.reportId, patientId: { [Op.in]: patientIds }, isDeleted: false }
+    });
+
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+    if (!hasReviewedPdf(report)) {
+      return res.status(404).json({ error: '❌ The reviewed report is not available yet' });
+    }
+
+    const fileName = `${report.title || 'report'}.pdf`;
+    const downloadUrl = await signReportFileUrl(report.annotatedFileUrl, { downloadName: fileName });
+    if (!downloadUrl) {
+      return res.status(500).json({ error: '❌ Error creating download link' });
+    }
+
+    // Browsers can follow the link directly with ?redirect=true
+    if (req.query.redirect === 'true') {
+      return res.redirect(downloadUrl);
+    }
+
+    res.status(200).json({
+      downloadUrl,
+      fileName,
+      expiresAt: new Date(Date.now() + REPORT_URL_TTL_SECONDS * 1000)
+    });
+  } catch (error) {
+    console.error('Error downloading patient report:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 📅 Upcoming appointments of the logged-in patient
+exports.getAppointments = async (req, res) => {
+  try {
+    const appointments = await findUpcomingAppointments(req.patientAccount);
+    res.status(200).json({ appointments });
+  } catch (error) {
+    console.error('Error fetching patient appointments:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
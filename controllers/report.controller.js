@@ -5,32 +5,48 @@ const Report = db.Report;
 const Patient = db.Patient;
 const Doctor = db.Doctor;
 const Hospital = db.Hospital;
-const { generateBreastCancerReport } = require('../utils/reportUtils');
-const { Op } = require('sequelize');
-const https = require('https');
+const ReportFinding = db.ReportFinding;
+const AnnotationVersion = db.AnnotationVersion;
+const { REPORT_URL_TTL_SECONDS, signReportFileUrl, signReportFileUrls } = require('../utils/reportFileUrls');
+const { BREAST_POSITIONS, BIRADS_CATEGORIES, parseFindings } = require('../utils/reportFindings');
+const { parseOverlayInput, renderAnnotatedPdf, diffAnnotationVersions } = require('../utils/reportAnnotations');
+const { parseVectorAnnotations } = require('../utils/vectorAnnotations');
+const { REPORT_STATUSES, normalizeStatus, getTransitionError } = require('../utils/reportWorkflow');
+const { actorFromRequest, transitionReport, recordUpload, getStatusHistory } = require('../services/reportWorkflow');
+const { READER_ROLES, findDiscrepancies } = require('../utils/reportReaders');
+const { doctorReportScope, findReader, canSeeAllReadings } = require('../services/reportReaders');
+const { assignReport, autoAssignReport, selectDoctor } = require('../services/reportAssignment');
+const { checkAssignment } = require('../services/doctorAvailability');
+const { uploadReportFile } = require('../services/reportFiles');
+const { cacheJobImages } = require('../services/reportGeneration');
+const { enqueueJob, retryJob } = require('../services/reportJobs');
+const { signReviewedReport, deleteSignedFile, verifyReportSignature } = require('../services/reportSignatures');
+const { notifyReportReviewed } = require('../services/reportNotifications');
+const { notify } = require('../services/notifications');
+const { RETRIEVAL_PIN_LENGTH, MAX_PIN_ATTEMPTS, PIN_LOCK_MINUTES, PATIENT_STATUS_LABELS, pinMatches } = require('../utils/reportRetrieval');
+const { JOB_TYPES, JOB_STATUSES, JOB_STATUS_VALUES } = require('../utils/reportJobs');
+const { DEFAULT_TEMPLATE_KEY, getTemplate, listTemplates, validateTemplateInput } = require('../utils/reportTemplates');
+const { parseFlag } = require('../utils/inputValues');
+const { Op, UniqueConstraintError } = require('sequelize');
 const fs = require('fs');
 const PDFDocument = require('pdfkit');
 const { v4: uuidv4 } = require('uuid');
 const archiver = require('archiver');
-const { PDFDocument: PDFLibDocument } = require('pdf-lib');
-const axios = require('axios');
-const sendEmail = require('../utils/emainSender');
-const { sendRealTimeNotification } = require('../utils/socket');
-const Notification = db.Notification;
 
-// Azure Blob Storage imports
-const { BlobServiceClient } = require('@azure/storage-blob');
+const storage = require('../services/storage');
+const { CONTAINERS } = storage;
 
-// Initialize Azure Blob Service Client
-const blobServiceClient = BlobServiceClient.fromConnectionString(
-  process.env.AZURE_STORAGE_CONNECTION_STRING
-);
-const containerName = 'reports';
+// Statuses an annotation walks a report through, keyed by its current status.
+// Re-annotating a reviewed report reopens it for review first.
+const ANNOTATION_REVIEW_PATHS = {
+  [REPORT_STATUSES.ASSIGNED]: [REPORT_STATUSES.IN_REVIEW, REPORT_STATUSES.REVIEWED],
+  [REPORT_STATUSES.IN_REVIEW]: [REPORT_STATUSES.REVIEWED],
+  [REPORT_STATUSES.REVIEWED]: [REPORT_STATUSES.IN_REVIEW, REPORT_STATUSES.REVIEWED]
+};
 
 // Configure multer for memory storage with high-quality settings
-const storage = multer.memoryStorage();
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 50 * 1024 * 1024, // Increased to 50MB for high-quality images
   },
@@ -47,124 +63,46 @@ const upload = multer({
   }
 });
 
-// Helper function to upload file to Azure Blob Storage with high-quality preservation
-const uploadToAzureBlob = async (file, patientId, fileType) => {
-  try {
-    // Check if buffer exists and has content
-    if (!file.buffer || file.buffer.length === 0) {
-      throw new Error('File buffer is empty or missing');
-    }
-
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-    
-    // Ensure container exists
-    await containerClient.createIfNotExists({
-      access: 'blob' // Allow public read access to blobs
-    });
-
-    // Generate unique blob name with timestamp for better organization
-    const fileId = uuidv4();
-    const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-    const fileExtension = path.extname(file.originalname);
-    const blobName = `${patientId}/${fileType}/${timestamp}/${fileId}${fileExtension}`;
-    
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-
-    // Upload options for high-quality preservation
-    const uploadOptions = {
-      blobHTTPHeaders: {
-        blobContentType: file.mimetype,
-        blobCacheControl: 'public, max-age=31536000',
-        blobContentEncoding: undefined, // Don't compress images
-        blobContentLanguage: undefined,
-        blobContentDisposition: `inline; filename="${file.originalname}"`
-      },
-      metadata: {
-        originalName: file.originalname,
-        patientId: patientId.toString(),
-        fileType: fileType,
-        uploadedAt: new Date().toISOString(),
-        originalSize: file.size.toString(),
-        preserveQuality: 'true',
-        highQuality: 'true',        // New flag
-        compressionLevel: 'none'    // New flag
-      },
-      tier: 'Hot',
-      conditions: {},
-      // Add these options for better quality
-      blockSize: 4 * 1024 * 1024,  // 4MB blocks for better performance
-      concurrency: 5,
-      onProgress: (ev) => {
-        console.log(`Upload progress: ${ev.loadedBytes}/${file.size} bytes`);
-      }
-    };
-
-    // Upload file buffer to blob with high-quality settings
-    const uploadResponse = await blockBlobClient.upload(
-      file.buffer, 
-      file.buffer.length,
-      uploadOptions
-    );
-
-    // Construct the file URL
-    const fileUrl = blockBlobClient.url;
-
-    console.log(`✅ High-quality file uploaded: ${file.originalname} (${file.size} bytes)`);
-
-    return {
-      fileId: fileId,
-      fileName: file.originalname,
-      fileType: file.mimetype,
-      fileSize: file.size,
-      fileUrl: fileUrl,
-      fieldName: fileType,
-      blobName: blobName,
-      etag: uploadResponse.etag,
-      qualityPreserved: true
-    };
-  } catch (error) {
-    console.error('Azure Blob upload error:', error);
-    throw new Error(`Failed to upload file to Azure Blob Storage: ${error.message}`);
+// Render an annotation version onto the original report PDF.
+// Overlays already in storage are downloaded; freshly submitted ones are passed as buffers keyed by page.
+const renderAnnotationVersion = async (report, overlays, newOverlayBuffers = new Map(), options = {}) => {
+  if (!report.fileUrl) {
+    throw new Error('Report file URL not found');
   }
-};
-
-// Helper function to delete file from Azure Blob Storage
-const deleteFromAzureBlob = async (fileUrl) => {
-  try {
-    // Extract blob name from URL
-    const url = new URL(fileUrl);
-    const pathParts = url.pathname.split('/');
-    // Remove the first empty element and container name
-    pathParts.shift(); // Remove empty string
-    pathParts.shift(); // Remove container name
-    const blobName = pathParts.join('/');
-    
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
 
-    await blockBlobClient.delete({
-      deleteSnapshots: 'include'
-    });
+  const [originalPdfBuffer, pages] = await Promise.all([
+    storage.downloadFileByUrl(CONTAINERS.REPORTS, report.fileUrl),
+    Promise.all(overlays.map(async ({ pageNumber, fileUrl }) => ({
+      pageNumber,
+      buffer: newOverlayBuffers.get(pageNumber) || await storage.downloadFileByUrl(CONTAINERS.REPORTS, fileUrl)
+    })))
+  ]);
 
-    return true;
-  } catch (error) {
-    console.error('Azure Blob delete error:', error);
-    throw new Error(`Failed to delete file from Azure Blob Storage: ${error.message}`);
-  }
+  return renderAnnotatedPdf(originalPdfBuffer, pages, options);
 };
 
-// Updated middleware for handling multiple file uploads (for breast cancer reports)
-exports.uploadBreastCancerImagesMiddleware = (req, res, next) => {
-  const breastImagesUpload = upload.fields([
-    { name: 'leftTopImage', maxCount: 1 },
-    { name: 'leftCenterImage', maxCount: 1 },
-    { name: 'leftBottomImage', maxCount: 1 },
-    { name: 'rightTopImage', maxCount: 1 },
-    { name: 'rightCenterImage', maxCount: 1 },
-    { name: 'rightBottomImage', maxCount: 1 }
-  ]);
+// Report job as returned to clients, with a signed link to the generated report once it is ready
+const serializeReportJob = async (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  patientId: job.patientId,
+  hospitalId: job.hospitalId,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  nextAttemptAt: job.status === JOB_STATUSES.QUEUED ? job.runAt : null,
+  lastError: job.lastError,
+  reportId: job.reportId,
+  reportFileUrl: job.report ? await signReportFileUrl(job.report.fileUrl) : null,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt
+});
+
+// Multer fields for the images declared by a report template
+const uploadTemplateImages = (template, req, res, next) => {
+  const templateImagesUpload = upload.fields(template.images.map(({ field }) => ({ name: field, maxCount: 1 })));
 
-  breastImagesUpload(req, res, (err) => {
+  templateImagesUpload(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       return res.status(400).json({ error: `Upload error: ${err.message}` });
     } else if (err) {
@@ -174,6 +112,19 @@ exports.uploadBreastCancerImagesMiddleware = (req, res, next) => {
   });
 };
 
+// Updated middleware for handling multiple file uploads (for breast cancer reports)
+exports.uploadBreastCancerImagesMiddleware = (req, res, next) =>
+  uploadTemplateImages(getTemplate(DEFAULT_TEMPLATE_KEY), req, res, next);
+
+// Middleware for the image uploads of the template named in :templateKey
+exports.uploadTemplateImagesMiddleware = (req, res, next) => {
+  const template = getTemplate(req.params.templateKey);
+  if (!template) {
+    return res.status(404).json({ error: `❌ Unknown report template "${req.params.templateKey}"` });
+  }
+  uploadTemplateImages(template, req, res, next);
+};
+
 // Middleware for handling single file upload
 exports.uploadReportFileMiddleware = (req, res, next) => {
   const singleFileUpload = upload.single('reportFile');
@@ -188,220 +139,256 @@ exports.uploadReportFileMiddleware = (req, res, next) => {
   });
 };
 
-// Create a breast cancer report with 6 images
-exports.createBreastCancerReport = async (req, res) => {
-  try {
-    const { patientId, doctorId, hospitalId, title, description } = req.body;
-
-    // Check Report Limit
-    const hospitalForLimit = await Hospital.findByPk(hospitalId);
-    if (hospitalForLimit && hospitalForLimit.report_limit !== null) {
-      const currentReportCount = await Report.count({ where: { hospitalId, isDeleted: false } });
-      if (currentReportCount >= hospitalForLimit.report_limit) {
-        return res.status(403).json({ 
-          error: `❌ Report limit reached (${hospitalForLimit.report_limit}). Please contact admin to upgrade your plan.` 
-        });
-      }
-    }
-
-    console.log('DEBUG: createBreastCancerReport - Incoming request body:', { patientId, doctorId, hospitalId, title, description });
-    console.log('DEBUG: createBreastCancerReport - Received files:', req.files ? Object.keys(req.files) : 'No files');
+// Middleware for the PDF checked by the public verification endpoint
+exports.uploadVerificationFileMiddleware = (req, res, next) => {
+  const singleFileUpload = upload.single('file');
 
-    // Validate inputs
-    if (!patientId || !doctorId || !hospitalId) {
-      console.log('DEBUG: createBreastCancerReport - Validation failed: Missing patientId, doctorId, or hospitalId.');
-      return res.status(400).json({ error: '❌ Patient ID, Doctor ID, and Hospital ID are required' });
+  singleFileUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Upload error: ${err.message}` });
+    } else if (err) {
+      return res.status(400).json({ error: err.message });
     }
+    next();
+  });
+};
 
-    // Check if all 6 required images are uploaded
-    const requiredImageFields = [
-      'leftTopImage', 'leftCenterImage', 'leftBottomImage',
-      'rightTopImage', 'rightCenterImage', 'rightBottomImage'
-    ];
-    
-    const missingImages = requiredImageFields.filter(field => !req.files || !req.files[field]);
-    
-    if (missingImages.length > 0) {
-      console.log(`DEBUG: createBreastCancerReport - Validation failed: Missing required breast images: ${missingImages.join(', ')}`);
-      return res.status(400).json({ 
-        error: `❌ Missing required breast images: ${missingImages.join(', ')}` 
+// Validate an upload against a report template, store its images and queue the PDF generation
+const queueTemplateReport = async (req, res, template) => {
+  const { patientId, doctorId, hospitalId, title, description } = req.body;
+
+  // Check Report Limit
+  const hospitalForLimit = await Hospital.findByPk(hospitalId);
+  if (hospitalForLimit && hospitalForLimit.report_limit !== null) {
+    // Reports still being generated count towards the limit
+    const currentReportCount = await Report.count({ where: { hospitalId, isDeleted: false } }) +
+      await db.ReportJob.count({ where: { hospitalId, status: [JOB_STATUSES.QUEUED, JOB_STATUSES.PROCESSING] } });
+    if (currentReportCount >= hospitalForLimit.report_limit) {
+      return res.status(403).json({ 
+        error: `❌ Report limit reached (${hospitalForLimit.report_limit}). Please contact admin to upgrade your plan.` 
       });
     }
-    console.log('DEBUG: createBreastCancerReport - All required images present.');
+  }
 
-    // Validate patient exists and belongs to this hospital
-    console.log(`DEBUG: createBreastCancerReport - Searching for patient with ID: ${patientId} in hospital: ${hospitalId}`);
-    const patient = await Patient.findOne({ 
-      where: { 
-        id: patientId,
-        hospitalId
-      }
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Incoming request body:`, { patientId, doctorId, hospitalId, title, description });
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Received files:`, req.files ? Object.keys(req.files) : 'No files');
+
+  // Validate inputs
+  if (!patientId || !doctorId || !hospitalId) {
+    console.log(`DEBUG: createTemplateReport (${template.key}) - Validation failed: Missing patientId, doctorId, or hospitalId.`);
+    return res.status(400).json({ error: '❌ Patient ID, Doctor ID, and Hospital ID are required' });
+  }
+
+  // Check the uploads, measurements and questionnaire answers against the template
+  const { data, answers, missingImages, errors } = validateTemplateInput(template, { files: req.files, body: req.body });
+  
+  if (missingImages.length > 0) {
+    console.log(`DEBUG: createTemplateReport (${template.key}) - Validation failed: Missing required images: ${missingImages.join(', ')}`);
+    return res.status(400).json({ 
+      error: `❌ Missing required images: ${missingImages.join(', ')}` 
     });
-    
-    if (!patient) {
-      console.log('DEBUG: createBreastCancerReport - Patient not found or not associated with hospital.');
-      return res.status(404).json({ error: '❌ Patient not found or not associated with this hospital' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `❌ Invalid report data: ${errors.join('; ')}` });
+  }
+  console.log(`DEBUG: createTemplateReport (${template.key}) - All required images present.`);
+
+  // Validate patient exists and belongs to this hospital
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Searching for patient with ID: ${patientId} in hospital: ${hospitalId}`);
+  const patient = await Patient.findOne({ 
+    where: { 
+      id: patientId,
+      hospitalId
+    }
+  });
+  
+  if (!patient) {
+    console.log(`DEBUG: createTemplateReport (${template.key}) - Patient not found or not associated with hospital.`);
+    return res.status(404).json({ error: '❌ Patient not found or not associated with this hospital' });
+  }
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Patient found:`, patient.id);
+
+  // Validate doctor exists
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Searching for doctor with ID: ${doctorId} in hospital: ${hospitalId}`);
+  const doctor = await Doctor.findOne({
+    where: {
+      id: doctorId,
+      hospitalId
     }
-    console.log('DEBUG: createBreastCancerReport - Patient found:', patient.id);
+  });
 
-    // Validate doctor exists
-    console.log(`DEBUG: createBreastCancerReport - Searching for doctor with ID: ${doctorId} in hospital: ${hospitalId}`);
-    const doctor = await Doctor.findOne({
-      where: {
-        id: doctorId,
-        hospitalId
-      }
-    });
+  // Get hospital data with imageUrl
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Searching for hospital with ID: ${hospitalId}`);
+  const hospital = await Hospital.findOne({
+    where: {
+      id: hospitalId,
+    },
+    attributes: ['id', 'name', 'address', 'imageUrl'] 
+  });
 
-    // Get hospital data with imageUrl
-    console.log(`DEBUG: createBreastCancerReport - Searching for hospital with ID: ${hospitalId}`);
-    const hospital = await Hospital.findOne({
-      where: {
-        id: hospitalId,
-      },
-      attributes: ['id', 'name', 'address', 'imageUrl'] 
+  if (!doctor) {
+    console.log(`DEBUG: createTemplateReport (${template.key}) - Doctor not found or not associated with hospital.`);
+    return res.status(404).json({ error: '❌ Doctor not found or not associated with this hospital' });
+  }
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Doctor found:`, doctor.id);
+
+  if (!hospital) {
+    console.log(`DEBUG: createTemplateReport (${template.key}) - Hospital not found.`);
+    return res.status(404).json({ error: '❌ Hospital not found' });
+  }
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Hospital found:`, hospital.id);
+
+  // Upload all images to storage now, so a failed generation can be retried without the client
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Starting image uploads to storage...`);
+  const imageFields = template.images.map(({ field }) => field).filter((field) => req.files?.[field]);
+  const uploadedImages = await Promise.all(imageFields.map((fieldName) =>
+    uploadReportFile(req.files[fieldName][0], patientId, fieldName)
+  ));
+  console.log(`DEBUG: createTemplateReport (${template.key}) - All images uploaded successfully. Uploaded images data:`, uploadedImages.map(img => ({ fieldName: img.fieldName, fileUrl: img.fileUrl })));
+
+  // PDF generation (image processing and headless Chromium) runs in the report job worker
+  const job = await db.sequelize.transaction(async (transaction) => {
+    const queued = await enqueueJob(JOB_TYPES.TEMPLATE_REPORT, {
+      templateKey: template.key,
+      title,
+      description,
+      doctorId: doctor.id,
+      uploadedBy: req.userId || hospitalId,
+      images: uploadedImages.map(img => ({
+        position: img.fieldName,
+        fileUrl: img.fileUrl,
+        blobName: img.blobName
+      })),
+      data,
+      answers
+    }, {
+      hospitalId: hospital.id,
+      patientId: patient.id,
+      actor: actorFromRequest(req),
+      transaction
     });
+    // The first attempt reuses these buffers instead of downloading the images again. Cached before
+    // the job is committed, so the worker never starts it without them.
+    cacheJobImages(queued.id, Object.fromEntries(
+      imageFields.map((fieldName) => [fieldName, req.files[fieldName][0].buffer])
+    ));
+    return queued;
+  });
+  console.log(`DEBUG: createTemplateReport (${template.key}) - Report job queued. Job ID:`, job.id);
 
-    if (!doctor) {
-      console.log('DEBUG: createBreastCancerReport - Doctor not found or not associated with hospital.');
-      return res.status(404).json({ error: '❌ Doctor not found or not associated with this hospital' });
-    }
-    console.log('DEBUG: createBreastCancerReport - Doctor found:', doctor.id);
+  res.status(202).json({
+    message: `✅ ${template.name} report queued for generation`,
+    job: await serializeReportJob(job)
+  });
+};
 
-    if (!hospital) {
-      console.log('DEBUG: createBreastCancerReport - Hospital not found.');
-      return res.status(404).json({ error: '❌ Hospital not found' });
+// Create a breast cancer report with 6 images
+exports.createBreastCancerReport = async (req, res) => {
+  try {
+    await queueTemplateReport(req, res, getTemplate(DEFAULT_TEMPLATE_KEY));
+  } catch (error) {
+    console.error("ERROR: createBreastCancerReport - An error occurred:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🧾 Create a report from any registered template (breast-thermal, ecg, comprehensive)
+exports.createTemplateReport = async (req, res) => {
+  try {
+    const template = getTemplate(req.params.templateKey);
+    if (!template) {
+      return res.status(404).json({ error: `❌ Unknown report template "${req.params.templateKey}"` });
     }
-    console.log('DEBUG: createBreastCancerReport - Hospital found:', hospital.id);
+    await queueTemplateReport(req, res, template);
+  } catch (error) {
+    console.error("ERROR: createTemplateReport - An error occurred:", error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    // Upload all images to Azure Blob Storage
-    console.log('DEBUG: createBreastCancerReport - Starting image uploads to Azure Blob Storage...');
-    const uploadPromises = [];
-    
-    for (const fieldName of requiredImageFields) {
-      console.log(`DEBUG: createBreastCancerReport - Preparing upload for image: ${fieldName}`);
-      uploadPromises.push(
-        uploadToAzureBlob(req.files[fieldName][0], patientId, fieldName)
-      );
+// 🧾 List report templates with the images, measurements and questionnaire each one expects
+exports.getReportTemplates = async (req, res) => {
+  res.status(200).json({ templates: listTemplates() });
+};
+
+// 🧵 List report generation jobs (hospitals see their own, admins can filter by hospitalId)
+exports.getReportJobs = async (req, res) => {
+  try {
+    const { status, patientId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = parseInt(req.query.pageSize) || 10;
+    const offset = (page - 1) * pageSize;
+
+    const where = {};
+    if (req.role === 'hospital') {
+      where.hospitalId = req.hospitalId;
+    } else if (req.query.hospitalId) {
+      where.hospitalId = req.query.hospitalId;
+    }
+    if (status) {
+      if (!JOB_STATUS_VALUES.includes(status)) {
+        return res.status(400).json({ error: `❌ status must be one of: ${JOB_STATUS_VALUES.join(', ')}` });
+      }
+      where.status = status;
     }
+    if (patientId) where.patientId = patientId;
 
-    const uploadedImages = await Promise.all(uploadPromises);
-    console.log('DEBUG: createBreastCancerReport - All images uploaded successfully. Uploaded images data:', uploadedImages.map(img => ({ fieldName: img.fieldName, fileUrl: img.fileUrl })));
-    
-    // Create an image map that matches the expected format in generateBreastCancerReport
-    const imageMap = {};
-    uploadedImages.forEach(img => {
-      imageMap[img.fieldName] = img.fileUrl;
+    const { count, rows } = await db.ReportJob.findAndCountAll({
+      where,
+      include: [{ model: Report, as: 'report', attributes: ['id', 'fileUrl'] }],
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset
     });
-    console.log('DEBUG: createBreastCancerReport - Image map created:', imageMap);
-    
-    console.log("DEBUG: createBreastCancerReport - Fetched Entities:", {
-      patient: { id: patient.id, firstName: patient.firstName, lastName: patient.lastName },
-      doctor: { id: doctor.id, name: doctor.name },
-      hospital: { id: hospital.id, name: hospital.name }
+
+    res.status(200).json({
+      totalItems: count,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: page,
+      pageSize,
+      jobs: await Promise.all(rows.map(serializeReportJob))
     });
-    
-    // Prepare the report data in the correct format expected by generateBreastCancerReport
-    const pdfData = {
-      title: title || 'BREAST SCREENING REPORT',
-      patient: {
-        firstName: patient.firstName || '',
-        lastName: patient.lastName || '',
-        address: patient.address || 'Not specified',
-        contact: patient.contact || 'Not provided',
-        gender: patient.gender || 'Not specified',
-        age: patient.age || 'N/A',
-        weight: patient.weight || 'N/A',
-        height: patient.height || 'N/A',
-
-        // Optional Breast Cancer Screening Questions (nullable booleans)
-        // NOTE: false is a valid answer; null means "not provided"
-        familyHistoryOfCancer: patient.familyHistoryOfCancer,
-        breastLump: patient.breastLump,
-        breastPain: patient.breastPain,
-        changeInBreastAppearance: patient.changeInBreastAppearance,
-        breastSkinChanges: patient.breastSkinChanges,
-        nippleDischarge: patient.nippleDischarge,
-        nippleSymptoms: patient.nippleSymptoms,
-        previousBreastScreening: patient.previousBreastScreening,
-        previousBreastProceduresOrAbnormalReport: patient.previousBreastProceduresOrAbnormalReport
-      },
-      doctor: {
-        name: doctor.name || '',
-        specialization: doctor.specialization || 'General Practitioner'
-      },
-      hospital: {
-        name: hospital.name || 'Unknown Hospital',
-        address: hospital.address || 'Address not provided',
-        imageUrl: hospital.imageUrl
-      },
-      images: imageMap
-    };
-    console.log('DEBUG: createBreastCancerReport - PDF data prepared for generation.');
+  } catch (error) {
+    console.error('Error fetching report jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    // Generate PDF report from the uploaded images
-    console.log('DEBUG: createBreastCancerReport - Generating PDF report...');
-    const pdfReportData = await generateBreastCancerReport(pdfData);
-    console.log(`DEBUG: createBreastCancerReport - PDF report generated. Size: ${pdfReportData.length} bytes.`);
+// 🧵 Get the status of a report generation job
+exports.getReportJob = async (req, res) => {
+  try {
+    const job = await db.ReportJob.findByPk(req.params.jobId, {
+      include: [{ model: Report, as: 'report', attributes: ['id', 'fileUrl'] }]
+    });
+    if (!job) {
+      return res.status(404).json({ error: '❌ Report job not found' });
+    }
 
-    const currentDate = new Date();
-    const formattedDate = currentDate.toISOString().replace(/[:.]/g, '-');
-    
-    // Upload the generated PDF to Azure Blob Storage
-    console.log('DEBUG: createBreastCancerReport - Uploading generated PDF to Azure Blob Storage...');
-    const pdfFile = {
-      buffer: pdfReportData,
-      mimetype: 'application/pdf',
-      originalname: `${patient.lastName}_${patient.firstName}_${formattedDate}.pdf`,
-      size: pdfReportData.length
-    };
-    
-    const pdfUploadData = await uploadToAzureBlob(pdfFile, patientId, 'generated_pdf_report');
-    console.log('DEBUG: createBreastCancerReport - Generated PDF uploaded successfully. URL:', pdfUploadData.fileUrl);
+    res.status(200).json({ job: await serializeReportJob(job) });
+  } catch (error) {
+    console.error('Error fetching report job:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    // Create report record in database
-    console.log('DEBUG: createBreastCancerReport - Creating report record in database...');
-    const report = await Report.create({
-      title: title || 'Breast Cancer Screening Report',
-      description: description || 'Breast cancer screening report with 6 images',
-      reportType: 'Other', 
-      patientId,
-      doctorId,
-      hospitalId,
-      uploadedBy: req.userId || hospitalId,
-      fileUrl: pdfUploadData.fileUrl,
-      fileName: pdfUploadData.fileName,
-      fileType: pdfUploadData.fileType,
-      fileSize: pdfUploadData.fileSize || pdfReportData.length,
-      metadata: {
-        images: uploadedImages.map(img => ({
-          position: img.fieldName,
-          fileUrl: img.fileUrl,
-          blobName: img.blobName
-        })),
-        generatedAt: new Date().toISOString(),
-        generatedBy: doctorId,
-        pdfBlobName: pdfUploadData.blobName
-      }
-    });
-    console.log('DEBUG: createBreastCancerReport - Report record created in database. Report ID:', report.id);
-    
-    res.status(201).json({
-      message: '✅ Breast cancer report generated and uploaded successfully',
-      report: {
-        id: report.id,
-        title: report.title,
-        reportType: 'Other',
-        patientId: report.patientId,
-        doctorId: report.doctorId,
-        fileName: report.fileName,
-        fileUrl: report.fileUrl,
-        uploadedAt: report.uploadedAt
-      }
+// 🔁 Retry a failed report generation job with the images already in storage
+exports.retryReportJob = async (req, res) => {
+  try {
+    const job = await db.ReportJob.findByPk(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: '❌ Report job not found' });
+    }
+    if (job.status !== JOB_STATUSES.FAILED) {
+      return res.status(409).json({ error: `❌ Only failed jobs can be retried (job is ${job.status})` });
+    }
+
+    await retryJob(job);
+    res.status(202).json({
+      message: '✅ Report job queued for retry',
+      job: await serializeReportJob(job)
     });
-    console.log('DEBUG: createBreastCancerReport - Response sent successfully.');
   } catch (error) {
-    console.error("ERROR: createBreastCancerReport - An error occurred:", error);
+    console.error('Error retrying report job:', error);
     res.status(500).json({ error: error.message });
   }
 };
@@ -458,8 +445,8 @@ exports.createReport = async (req, res) => {
     }
 
     
-    // Upload file to Azure Blob Storage
-    const fileData = await uploadToAzureBlob(req.file, patientId, 'general_report');
+    // Upload file to storage
+    const fileData = await uploadReportFile(req.file, patientId, 'general_report');
     
     // Create report record in database
     const report = await Report.create({
@@ -479,6 +466,10 @@ exports.createReport = async (req, res) => {
         etag: fileData.etag
       }
     });
+    await recordUpload(report, { actor: actorFromRequest(req) });
+
+    // Hospitals with auto-assignment enabled get the report assigned right away
+    const assignedDoctor = await autoAssignReport(report);
     
     res.status(201).json({
       message: '✅ Report uploaded successfully',
@@ -489,7 +480,9 @@ exports.createReport = async (req, res) => {
         patientId: report.patientId,
         doctorId: report.doctorId,
         fileName: report.fileName,
-        uploadedAt: report.uploadedAt
+        uploadedAt: report.uploadedAt,
+        status: report.status,
+        assignedDoctor: assignedDoctor ? { id: assignedDoctor.id, name: assignedDoctor.name } : null
       }
     });
   } catch (error) {
@@ -527,9 +520,9 @@ exports.getPatientReports = async (req, res) => {
       isDeleted: false
     };
     
-    // If doctor, only show reports assigned to them
+    // If doctor, only show reports assigned to them or that they were asked to read
     if (req.role === 'doctor' && doctorId) {
-      reportWhere.assignedDoctorId = doctorId;
+      reportWhere[Op.and] = [doctorReportScope(doctorId)];
     } else if (hospitalId && req.role === 'hospital') {
       // Hospital sees all reports from their hospital
       reportWhere.hospitalId = hospitalId;
@@ -551,7 +544,7 @@ exports.getPatientReports = async (req, res) => {
         firstName: patient.firstName,
         lastName: patient.lastName
       },
-      reports
+      reports: await Promise.all(reports.map(signReportFileUrls))
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -570,9 +563,9 @@ exports.getReportById = async (req, res) => {
       isDeleted: false
     };
     
-    // If doctor, only show reports assigned to them
+    // If doctor, only show reports assigned to them or that they were asked to read
     if (req.role === 'doctor' && doctorId) {
-      whereClause.assignedDoctorId = doctorId;
+      whereClause[Op.and] = [doctorReportScope(doctorId)];
     } else if (hospitalId && req.role === 'hospital') {
       // Hospital sees all reports from their hospital
       whereClause.hospitalId = hospitalId;
@@ -590,15 +583,21 @@ exports.getReportById = async (req, res) => {
           model: Doctor,
           as: 'doctor',
           attributes: ['id', 'name', 'specialization', 'designation']
+        },
+        {
+          model: ReportFinding,
+          as: 'findings',
+          attributes: { exclude: ['reportId'] }
         }
-      ]
+      ],
+      order: [[{ model: ReportFinding, as: 'findings' }, 'position', 'ASC']]
     });
     
     if (!report) {
       return res.status(404).json({ error: '❌ Report not found' });
     }
     
-    res.status(200).json({ report });
+    res.status(200).json({ report: await signReportFileUrls(report) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -617,11 +616,17 @@ exports.getReportsByHospitalId = async (req, res) => {
       return res.status(404).json({ error: '❌ Hospital not found' });
     }
 
+    const whereClause = {
+      hospitalId,
+      isDeleted: false
+    };
+    // Doctors only see reports assigned to them or that they were asked to read
+    if (req.role === 'doctor') {
+      whereClause[Op.and] = [doctorReportScope(req.doctorId)];
+    }
+
     const { count, rows: reports } = await Report.findAndCountAll({
-      where: {
-        hospitalId,
-        isDeleted: false
-      },
+      where: whereClause,
       attributes: [
         'id', 'title', 'reportType', 'patientId',
         'fileName', 'fileUrl', 'uploadedAt'
@@ -647,10 +652,10 @@ exports.getReportsByHospitalId = async (req, res) => {
       totalPages: Math.ceil(count / pageSize),
       currentPage: page,
       pageSize: pageSize,
-      reports: reports.map(report => ({
-        ...report.get({ plain: true }),
+      reports: await Promise.all(reports.map(async (report) => ({
+        ...(await signReportFileUrls(report)),
         patientName: `${report.patient.firstName} ${report.patient.lastName}`,
-      }))
+      })))
     });
   } catch (error) {
     console.error('Error fetching hospital reports:', error);
@@ -658,36 +663,67 @@ exports.getReportsByHospitalId = async (req, res) => {
   }
 };
 
-// Download a report (proxy the file from Azure Blob Storage)
+// Download a report (mint a short-lived signed download link)
 exports.downloadReport = async (req, res) => {
   try {
-    const { reportId } = req.params;  
-    const report = await Report.findOne({
-      where: {
-        id: reportId,
-        isDeleted: false
-      }
-    });
+    const { reportId } = req.params;
+    const { annotated, redirect } = req.query;
+    const doctorId = req.doctorId;
+    const hospitalId = req.hospitalId;
+
+    const whereClause = {
+      id: reportId,
+      isDeleted: false
+    };
+
+    // If doctor, only allow reports assigned to them or that they were asked to read
+    if (req.role === 'doctor' && doctorId) {
+      whereClause[Op.and] = [doctorReportScope(doctorId)];
+    } else if (hospitalId && req.role === 'hospital') {
+      // Hospital can download all reports from their hospital
+      whereClause.hospitalId = hospitalId;
+    }
+
+    const report = await Report.findOne({ where: whereClause });
     
     if (!report) {
       return res.status(404).json({ error: '❌ Report not found' });
     }
-    
-    // Set response headers for download
-    res.setHeader('Content-Disposition', `attachment; filename=${report.fileName}`);
-    res.setHeader('Content-Type', report.fileType);
-    
-    // Stream the file from Azure Blob Storage to the response
-    https.get(report.fileUrl, (fileStream) => {
-      fileStream.pipe(res);
-    }).on('error', (err) => {
-      res.status(500).json({ error: `❌ Error downloading file: ${err.message}` });
+
+    const useAnnotated = annotated === 'true';
+    if (useAnnotated && !report.annotatedFileUrl) {
+      return res.status(404).json({ error: '❌ Annotated report not available yet' });
+    }
+
+    const fileName = useAnnotated ? `annotated-${report.fileName}` : report.fileName;
+    const downloadUrl = await signReportFileUrl(
+      useAnnotated ? report.annotatedFileUrl : report.fileUrl,
+      { downloadName: fileName }
+    );
+
+    if (!downloadUrl) {
+      return res.status(500).json({ error: '❌ Error creating download link' });
+    }
+
+    // Browsers can follow the link directly with ?redirect=true
+    if (redirect === 'true') {
+      return res.redirect(downloadUrl);
+    }
+
+    res.status(200).json({
+      downloadUrl,
+      fileName,
+      fileType: report.fileType,
+      expiresAt: new Date(Date.now() + REPORT_URL_TTL_SECONDS * 1000)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+// force confirms assigning a doctor who is on leave or at their review limit
+const isForced = (value) => value === true || value === 'true';
+
 // Assign report to doctor (Hospital assigns report to doctor)
 exports.assignReportToDoctor = async (req, res) => {
   try {
@@ -695,11 +731,6 @@ exports.assignReportToDoctor = async (req, res) => {
     const { assignedDoctorId } = req.body;
     const hospitalId = req.hospitalId; // From auth middleware
 
-    // Only hospitals and admins can assign reports
-    if (req.role !== 'hospital' && req.role !== 'admin') {
-      return res.status(403).json({ error: '❌ Only hospitals and admins can assign reports' });
-    }
-
     if (!assignedDoctorId) {
       return res.status(400).json({ error: '❌ Doctor ID is required' });
     }
@@ -721,6 +752,11 @@ exports.assignReportToDoctor = async (req, res) => {
       return res.status(404).json({ error: '❌ Report not found' });
     }
 
+    const transitionError = getTransitionError(report.status, REPORT_STATUSES.ASSIGNED, { role: req.role });
+    if (transitionError) {
+      return res.status(409).json({ error: `❌ ${transitionError}` });
+    }
+
     // Validate doctor exists and belongs to the same hospital
     const doctor = await Doctor.findOne({
       where: {
@@ -734,64 +770,29 @@ exports.assignReportToDoctor = async (req, res) => {
       return res.status(404).json({ error: '❌ Doctor not found or not active in this hospital' });
     }
 
-    // Fetch hospital and patient details for the email
-    const hospital = await Hospital.findByPk(report.hospitalId);
-    const patient = await Patient.findByPk(report.patientId);
-
-    // Assign report to doctor
-    await report.update({
-      assignedDoctorId: assignedDoctorId,
-      assignedAt: new Date()
-    });
+    const existingReader = await db.ReportReader.findOne({ where: { reportId: report.id, doctorId: doctor.id } });
+    if (existingReader && existingReader.readerRole !== READER_ROLES.PRIMARY) {
+      return res.status(409).json({ error: `❌ Doctor is already the ${existingReader.readerRole} reader of this report` });
+    }
 
-    // Send Notification to Doctor (Database)
-    try {
-      const patientName = `${patient?.firstName || ''} ${patient?.lastName || ''}`.trim() || 'a patient';
-      const newNotification = await Notification.create({
-        userId: doctor.id,
-        userType: 'doctor',
-        title: 'New Report Assigned',
-        message: `A new report "${report.title}" for patient ${patientName} has been assigned to you.`,
-        type: 'REPORT_ASSIGNED',
-        relatedId: report.id
+    // Doctors on leave or at their review limit need force; outside working hours only warns
+    const { errors: availabilityErrors, warnings, availability } = await checkAssignment(doctor);
+    if (availabilityErrors.length && !isForced(req.body.force)) {
+      return res.status(409).json({
+        error: `❌ ${availabilityErrors.join('; ')}. Send force: true to assign anyway`,
+        availability
       });
-
-      // Send Real-time socket notification
-      sendRealTimeNotification(doctor.id, 'doctor', newNotification);
-    } catch (notifError) {
-      console.error('Failed to create notification:', notifError);
     }
 
-    // Send Email to Doctor
-    if (doctor.email) {
-      try {
-        const emailHtml = `
-          <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
-            <h2 style="color: #16a34a;">New Report Assigned</h2>
-            <p>Hello <strong>Dr. ${doctor.name}</strong>,</p>
-            <p>A new report has been assigned to you for review in the D3S Doctor Portal.</p>
-            <div style="background: #f9fafb; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <p style="margin: 5px 0;"><strong>Report Title:</strong> ${report.title}</p>
-              <p style="margin: 5px 0;"><strong>Patient:</strong> ${patient?.firstName || ''} ${patient?.lastName || ''}</p>
-              <p style="margin: 5px 0;"><strong>Hospital:</strong> ${hospital?.name || ''}</p>
-            </div>
-            <p>Please log in to your dashboard to review and annotate the report.</p>
-            <a href="https://doctor.d3shealthcare.com/assigned-reports" style="display: inline-block; padding: 12px 24px; background: #16a34a; color: white; text-decoration: none; border-radius: 6px; font-weight: bold; margin-top: 10px;">View Report</a>
-            <p style="margin-top: 30px; font-size: 12px; color: #666;">This is an automated notification. Please do not reply to this email.</p>
-          </div>
-        `;
-        await sendEmail(doctor.email, 'D3S HealthCare - New Report Assigned', null, emailHtml);
-        console.log(`✅ Assignment email sent to: ${doctor.email}`);
-      } catch (emailError) {
-        console.error('Failed to send assignment email:', emailError);
-      }
-    }
+    await assignReport(report, doctor, { actor: actorFromRequest(req), reason: req.body.reason });
 
     res.status(200).json({
       message: '✅ Report assigned to doctor successfully',
+      warnings: [...availabilityErrors, ...warnings],
       report: {
         id: report.id,
         title: report.title,
+        status: report.status,
         assignedDoctorId: report.assignedDoctorId,
         assignedAt: report.assignedAt,
         doctor: {
@@ -806,16 +807,106 @@ exports.assignReportToDoctor = async (req, res) => {
   }
 };
 
-// Unassign report from doctor
-exports.unassignReportFromDoctor = async (req, res) => {
+const MAX_BULK_ASSIGN = 100;
+
+// Assign several reports at once, to one doctor or by the hospital's auto-assignment rules
+exports.bulkAssignReports = async (req, res) => {
   try {
-    const { reportId } = req.params;
-    const hospitalId = req.hospitalId;
+    const { reportIds, assignedDoctorId, reason, force } = req.body;
 
-    // Only hospitals and admins can unassign reports
-    if (req.role !== 'hospital' && req.role !== 'admin') {
-      return res.status(403).json({ error: '❌ Only hospitals and admins can unassign reports' });
+    const ids = [...new Set((Array.isArray(reportIds) ? reportIds : []).map(Number))];
+    if (!ids.length || ids.some((id) => !Number.isInteger(id) || id < 1)) {
+      return res.status(400).json({ error: '❌ reportIds must be a non-empty list of report IDs' });
     }
+    if (ids.length > MAX_BULK_ASSIGN) {
+      return res.status(400).json({ error: `❌ At most ${MAX_BULK_ASSIGN} reports can be assigned at once` });
+    }
+
+    const whereClause = { id: { [Op.in]: ids }, isDeleted: false };
+    // If hospital, only allow assigning reports from their hospital
+    if (req.role === 'hospital') {
+      whereClause.hospitalId = req.hospitalId;
+    }
+    const reports = await Report.findAll({ where: whereClause, order: [['uploadedAt', 'ASC'], ['id', 'ASC']] });
+
+    let doctor = null;
+    if (assignedDoctorId) {
+      doctor = await Doctor.findOne({ where: { id: assignedDoctorId, isActive: true } });
+      if (!doctor || (req.role === 'hospital' && doctor.hospitalId !== req.hospitalId)) {
+        return res.status(404).json({ error: '❌ Doctor not found or not active in this hospital' });
+      }
+    }
+
+    const results = ids.filter((id) => !reports.some((report) => report.id === id))
+      .map((reportId) => ({ reportId, assigned: false, error: 'Report not found' }));
+
+    // One at a time, so each choice sees the load of the assignments before it
+    for (const report of reports) {
+      const skip = (error) => results.push({ reportId: report.id, assigned: false, error });
+
+      // The rules only pick doctors for unassigned reports; reassigning needs an explicit doctor
+      let transitionError = getTransitionError(report.status, REPORT_STATUSES.ASSIGNED, { role: req.role });
+      if (!transitionError && !doctor && normalizeStatus(report.status) !== REPORT_STATUSES.UPLOADED) {
+        transitionError = 'Report is already assigned; pass assignedDoctorId to reassign it';
+      }
+      if (transitionError) {
+        skip(transitionError);
+        continue;
+      }
+
+      let assignee = doctor;
+      let assignReason = reason;
+      if (doctor) {
+        if (doctor.hospitalId !== report.hospitalId) {
+          skip('Doctor does not belong to the hospital of this report');
+          continue;
+        }
+        const existingReader = await db.ReportReader.findOne({ where: { reportId: report.id, doctorId: doctor.id } });
+        if (existingReader && existingReader.readerRole !== READER_ROLES.PRIMARY) {
+          skip(`Doctor is already the ${existingReader.readerRole} reader of this report`);
+          continue;
+        }
+        // Checked per report: the doctor may reach their review limit part way through
+        const { errors: availabilityErrors } = await checkAssignment(doctor);
+        if (availabilityErrors.length && !isForced(force)) {
+          skip(availabilityErrors.join('; '));
+          continue;
+        }
+      } else {
+        const selection = await selectDoctor(report);
+        if (!selection.doctor) {
+          skip(selection.reason);
+          continue;
+        }
+        assignee = selection.doctor;
+        assignReason = reason || selection.reason;
+      }
+
+      try {
+        await assignReport(report, assignee, { actor: actorFromRequest(req), reason: assignReason });
+        results.push({ reportId: report.id, assigned: true, doctor: { id: assignee.id, name: assignee.name } });
+      } catch (error) {
+        skip(error.message);
+      }
+    }
+
+    const assigned = results.filter((result) => result.assigned).length;
+    res.status(200).json({
+      message: `✅ ${assigned} of ${ids.length} reports assigned`,
+      assigned,
+      skipped: ids.length - assigned,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Unassign report from doctor
+exports.unassignReportFromDoctor = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const hospitalId = req.hospitalId;
 
     const whereClause = {
       id: reportId,
@@ -832,11 +923,25 @@ exports.unassignReportFromDoctor = async (req, res) => {
       return res.status(404).json({ error: '❌ Report not found' });
     }
 
-    // Unassign report
-    await report.update({
-      assignedDoctorId: null,
-      assignedAt: null,
-      isChecked: false // Reset isChecked when unassigned
+    const transitionError = getTransitionError(report.status, REPORT_STATUSES.UPLOADED, { role: req.role });
+    if (transitionError) {
+      return res.status(409).json({ error: `❌ ${transitionError}` });
+    }
+
+    // Unassign report, dropping every reader
+    await db.sequelize.transaction(async (transaction) => {
+      await transitionReport(report, REPORT_STATUSES.UPLOADED, {
+        actor: actorFromRequest(req),
+        reason: req.body.reason || 'Unassigned from doctor',
+        transaction,
+        changes: {
+          assignedDoctorId: null,
+          assignedAt: null,
+          isChecked: false, // Reset isChecked when unassigned
+          hasDiscrepancy: false
+        }
+      });
+      await db.ReportReader.destroy({ where: { reportId: report.id }, transaction });
     });
 
     res.status(200).json({
@@ -844,6 +949,7 @@ exports.unassignReportFromDoctor = async (req, res) => {
       report: {
         id: report.id,
         title: report.title,
+        status: report.status,
         assignedDoctorId: null
       }
     });
@@ -1017,13 +1123,13 @@ exports.permanentDeleteReport = async (req, res) => {
       return res.status(404).json({ error: '❌ Report not found' });
     }
     
-    // Delete file from Azure Blob Storage
-    await deleteFromAzureBlob(report.fileUrl);
+    // Delete file from storage
+    await storage.deleteFileByUrl(CONTAINERS.REPORTS, report.fileUrl);
     
     // If this is a breast cancer report, also delete the source images
     if (report.reportType === 'Breast Cancer' && report.metadata && report.metadata.images) {
       const imageDeletePromises = report.metadata.images.map(image => 
-        deleteFromAzureBlob(image.fileUrl)
+        storage.deleteFileByUrl(CONTAINERS.REPORTS, image.fileUrl)
       );
       await Promise.all(imageDeletePromises);
     }
@@ -1048,9 +1154,9 @@ exports.searchReports = async (req, res) => {
       isDeleted: false
     };
     
-    // If doctor, only show reports assigned to them
+    // If doctor, only show reports assigned to them or that they were asked to read
     if (req.role === 'doctor' && authDoctorId) {
-      whereClause.assignedDoctorId = authDoctorId;
+      whereClause[Op.and] = [doctorReportScope(authDoctorId)];
     } else if (authHospitalId && req.role === 'hospital') {
       // Hospital sees all reports from their hospital
       whereClause.hospitalId = authHospitalId;
@@ -1099,7 +1205,7 @@ exports.searchReports = async (req, res) => {
     
     res.status(200).json({
       count: reports.length,
-      reports
+      reports: await Promise.all(reports.map(signReportFileUrls))
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1135,11 +1241,6 @@ exports.getAssignedReportsForHospital = async (req, res) => {
       }
     }
 
-    // Only hospitals and admins can access this endpoint
-    if (req.role !== 'hospital' && req.role !== 'admin') {
-      return res.status(403).json({ error: '❌ Only hospitals and admins can access assigned reports' });
-    }
-
     // Determine hospitalId based on role
     let hospitalId;
     
@@ -1269,7 +1370,7 @@ exports.getAssignedReportsForHospital = async (req, res) => {
       totalPages: Math.ceil(count / pageSize),
       currentPage: page,
       pageSize: pageSize,
-      reports: reports.map(report => ({
+      reports: await Promise.all(reports.map(async (report) => ({
         id: report.id,
         title: report.title,
         reportType: report.reportType,
@@ -1295,12 +1396,12 @@ exports.getAssignedReportsForHospital = async (req, res) => {
           specialization: report.doctor.specialization
         } : null,
         fileName: report.fileName,
-        fileUrl: report.fileUrl,
+        fileUrl: await signReportFileUrl(report.fileUrl),
         uploadedAt: report.uploadedAt,
         assignedAt: report.assignedAt,
         status: report.status,
-        annotatedFileUrl: report.annotatedFileUrl
-      }))
+        annotatedFileUrl: await signReportFileUrl(report.annotatedFileUrl)
+      })))
     });
   } catch (error) {
     console.error('Error fetching assigned reports for hospital:', error);
@@ -1400,20 +1501,11 @@ exports.downloadHospitalReportsZip = async (req, res) => {
       return `${uploadedAt}_${report.id}_${safeName}`;
     };
 
-    // Stream each report file into the archive sequentially to avoid high memory/connection usage
+    // Add each report file to the archive sequentially to avoid high memory/connection usage
     for (const report of reports) {
       // eslint-disable-next-line no-await-in-loop
-      await new Promise((resolve, reject) => {
-        try {
-          https.get(report.fileUrl, (fileStream) => {
-            fileStream.on('error', reject);
-            archive.append(fileStream, { name: toSafeEntryName(report) });
-            fileStream.on('end', resolve);
-          }).on('error', reject);
-        } catch (err) {
-          reject(err);
-        }
-      });
+      const fileBuffer = await storage.downloadFileByUrl(CONTAINERS.REPORTS, report.fileUrl);
+      archive.append(fileBuffer, { name: toSafeEntryName(report) });
     }
 
     // Finalize the archive (sends remaining data to the response)
@@ -1428,137 +1520,1043 @@ exports.downloadHospitalReportsZip = async (req, res) => {
   }
 };
 
-// Annotate report with overlay PNG
+// Save a new annotation version of a report and move the report through review.
+// Shared by the PNG overlay and vector annotation endpoints. The version starts from its base
+// version; overlayChanges replace (or clear) single pages and vectorAnnotations, when given,
+// replace the base version's vector annotations.
+const saveAnnotationVersion = async (req, res, reportId, { overlayChanges = [], vectorAnnotations } = {}) => {
+  const { remarks, base_version } = req.body;
+
+  // Structured findings are optional; when sent they replace the report's previous findings
+  let findings = null;
+  if (req.body.findings !== undefined) {
+    const parsed = parseFindings(req.body.findings);
+    if (parsed.errors.length) {
+      return res.status(400).json({ error: `❌ Invalid findings: ${parsed.errors.join('; ')}` });
+    }
+    findings = parsed.findings;
+  }
+
+  // Fetch the report
+  const report = await Report.findOne({
+    where: {
+      id: reportId,
+      isDeleted: false
+    }
+  });
+
+  if (!report) {
+    return res.status(404).json({ error: '❌ Report not found' });
+  }
+
+  const reader = await findReader(report, req.doctorId);
+  if (!reader) {
+    return res.status(403).json({ error: '❌ You are not a reader of this report' });
+  }
+
+  // With two or more independent readers each reading is kept on the reader row until they can be compared
+  const independentReaders = await db.ReportReader.count({
+    where: { reportId: report.id, readerRole: { [Op.ne]: READER_ROLES.ARBITER } }
+  });
+  const isMultiReader = independentReaders > 1;
+  const currentStatus = normalizeStatus(report.status);
+
+  let reviewPath = ANNOTATION_REVIEW_PATHS[currentStatus];
+  if (isMultiReader) {
+    reviewPath = [REPORT_STATUSES.ASSIGNED, REPORT_STATUSES.IN_REVIEW].includes(currentStatus)
+      ? ANNOTATION_REVIEW_PATHS[currentStatus]
+      : null;
+    if (report.hasDiscrepancy && reader.readerRole !== READER_ROLES.ARBITER) {
+      return res.status(409).json({ error: '❌ Readers disagree on this report; it is awaiting arbitration' });
+    }
+  }
+  if (!reviewPath) {
+    return res.status(409).json({ error: `❌ Cannot annotate a report with status "${report.status}"` });
+  }
+
+  // Base version: the one requested, else the latest this doctor can build on.
+  // With multiple readers a doctor only builds on their own versions to keep readings independent.
+  const baseWhere = { reportId: report.id };
+  if (isMultiReader) baseWhere.doctorId = req.doctorId;
+  if (base_version !== undefined) baseWhere.version = base_version;
+  const baseVersion = await AnnotationVersion.findOne({ where: baseWhere, order: [['version', 'DESC']] });
+  if (base_version !== undefined && !baseVersion) {
+    return res.status(404).json({ error: `❌ Annotation version ${base_version} not found` });
+  }
+
+  // Content of the new version: base overlays with the submitted pages replaced or cleared,
+  // and the submitted vector annotations or else the base version's
+  const overlays = new Map((baseVersion?.overlays || []).map((overlay) => [overlay.pageNumber, overlay]));
+  const versionVectorAnnotations = vectorAnnotations || baseVersion?.vectorAnnotations || [];
+  const newOverlayBuffers = new Map();
+  for (const { pageNumber, buffer, sha256 } of overlayChanges) {
+    if (buffer) {
+      overlays.set(pageNumber, { pageNumber, sha256 });
+      newOverlayBuffers.set(pageNumber, buffer);
+    } else {
+      overlays.delete(pageNumber);
+    }
+  }
+
+  let annotatedPdfBuffer;
+  try {
+    annotatedPdfBuffer = await renderAnnotationVersion(report, [...overlays.values()], newOverlayBuffers, {
+      vectorAnnotations: versionVectorAnnotations,
+      findings,
+      remarks,
+      doctorName: req.doctor?.name
+    });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: `❌ ${error.message}` });
+    }
+    console.error('Error rendering annotated PDF:', error);
+    return res.status(500).json({ error: '❌ Failed to render annotated PDF' });
+  }
+
+  // Upload the new overlays and the annotated PDF
+  let annotatedFileUrl;
+  try {
+    for (const [pageNumber, buffer] of newOverlayBuffers) {
+      const uploaded = await uploadReportFile({
+        buffer,
+        originalname: `annotation-overlay-${reportId}-p${pageNumber}.png`,
+        mimetype: 'image/png',
+        size: buffer.length
+      }, report.patientId, 'annotation_overlay');
+      overlays.set(pageNumber, { ...overlays.get(pageNumber), fileUrl: uploaded.fileUrl });
+    }
+
+    const uploadResult = await uploadReportFile({
+      buffer: annotatedPdfBuffer,
+      originalname: `annotated-report-${reportId}.pdf`,
+      mimetype: 'application/pdf',
+      size: annotatedPdfBuffer.length
+    }, report.patientId, 'annotated_report');
+    annotatedFileUrl = uploadResult.fileUrl;
+  } catch (error) {
+    console.error('Error uploading annotated PDF to storage:', error);
+    return res.status(500).json({ error: '❌ Failed to upload annotated PDF to storage' });
+  }
+
+  // Record the reading, then update the Report record and its structured findings together
+  // reviewStatus: 'reviewed' | 'awaiting_other_readers' | 'discrepancy'
+  let reviewStatus = REPORT_STATUSES.REVIEWED;
+  let discrepancies = [];
+  let annotationVersion;
+  let signature = null;
+  let conflict = null;
+  try {
+    await db.sequelize.transaction(async (transaction) => {
+      const actor = actorFromRequest(req);
+
+      // Readings of the same report are saved one after the other, so the last reader to finish
+      // sees every other reading completed. The checks above are repeated on the locked row.
+      await report.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      const lockedStatus = normalizeStatus(report.status);
+      if (isMultiReader) {
+        if (![REPORT_STATUSES.ASSIGNED, REPORT_STATUSES.IN_REVIEW].includes(lockedStatus)) {
+          conflict = `❌ Cannot annotate a report with status "${report.status}"`;
+        } else if (report.hasDiscrepancy && reader.readerRole !== READER_ROLES.ARBITER) {
+          conflict = '❌ Readers disagree on this report; it is awaiting arbitration';
+        }
+      } else {
+        reviewPath = ANNOTATION_REVIEW_PATHS[lockedStatus];
+        if (!reviewPath) conflict = `❌ Cannot annotate a report with status "${report.status}"`;
+      }
+      if (conflict) return;
+
+      // Numbered under the report row lock, so concurrent saves get consecutive versions
+      const latestVersion = await AnnotationVersion.max('version', { where: { reportId: report.id }, transaction });
+      annotationVersion = await AnnotationVersion.create({
+        reportId: report.id,
+        version: (latestVersion || 0) + 1,
+        baseVersion: baseVersion?.version || null,
+        doctorId: req.doctorId,
+        overlays: [...overlays.values()].sort((a, b) => a.pageNumber - b.pageNumber),
+        vectorAnnotations: versionVectorAnnotations,
+        remarks: remarks || null,
+        findings,
+        annotatedFileUrl
+      }, { transaction });
+
+      await reader.update({
+        status: 'completed',
+        annotatedFileUrl,
+        remarks: remarks || null,
+        findings,
+        completedAt: new Date()
+      }, { transaction });
+
+      // Publish a reading as the report's result, signed by the doctor who read it
+      const finalizeReview = async (reading, path, reason) => {
+        for (const status of path.slice(0, -1)) {
+          await transitionReport(report, status, { actor, transaction });
+        }
+        await transitionReport(report, REPORT_STATUSES.REVIEWED, {
+          actor,
+          reason,
+          transaction,
+          changes: {
+            annotatedFileUrl: reading.annotatedFileUrl,
+            remarks: reading.remarks,
+            reviewedAt: new Date(),
+            isChecked: true,
+            doctorId: reading.doctorId,
+            // A published result settles any disagreement (e.g. the arbiter's reading)
+            hasDiscrepancy: false
+          }
+        });
+
+        if (reading.findings) {
+          await ReportFinding.destroy({ where: { reportId: report.id }, transaction });
+          await ReportFinding.bulkCreate(
+            reading.findings.map((finding) => ({ ...finding, reportId: report.id, doctorId: reading.doctorId })),
+            { transaction }
+          );
+        }
+
+        signature = await signReviewedReport(report, {
+          doctorId: reading.doctorId,
+          pdfBuffer: reading.id === reader.id ? annotatedPdfBuffer : undefined,
+          transaction
+        });
+      };
+
+      if (!isMultiReader) {
+        await finalizeReview(reader, reviewPath);
+        return;
+      }
+
+      if (lockedStatus === REPORT_STATUSES.ASSIGNED) {
+        await transitionReport(report, REPORT_STATUSES.IN_REVIEW, { actor, transaction });
+      }
+
+      if (reader.readerRole === READER_ROLES.ARBITER) {
+        await finalizeReview(reader, [REPORT_STATUSES.REVIEWED], `Arbitrated by Dr. ${req.doctor?.name || reader.doctorId}`);
+        return;
+      }
+
+      const readings = await db.ReportReader.findAll({
+        where: { reportId: report.id, readerRole: { [Op.ne]: READER_ROLES.ARBITER } },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (readings.some((reading) => reading.status !== 'completed')) {
+        reviewStatus = 'awaiting_other_readers';
+        return;
+      }
+
+      discrepancies = findDiscrepancies(readings);
+      if (discrepancies.length) {
+        await report.update({ hasDiscrepancy: true }, { transaction });
+        reviewStatus = 'discrepancy';
+        return;
+      }
+
+      const primaryReading = readings.find((reading) => reading.readerRole === READER_ROLES.PRIMARY) || reader;
+      await finalizeReview(primaryReading, [REPORT_STATUSES.REVIEWED], `All ${readings.length} readers agree`);
+    });
+  } catch (error) {
+    await deleteSignedFile(signature);
+    if (error instanceof UniqueConstraintError) {
+      return res.status(409).json({ error: '❌ Another annotation of this report was saved at the same time, please retry' });
+    }
+    console.error('Error updating report:', error);
+    return res.status(500).json({ error: '❌ Failed to update report record' });
+  }
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
+
+  if (reviewStatus === 'discrepancy') {
+    await notify({ userId: report.hospitalId, userType: 'hospital' }, 'REPORT_DISCREPANCY', {
+      reportTitle: report.title,
+      positions: discrepancies.map((d) => d.position)
+    }, { relatedId: report.id });
+  }
+
+  // Hospital and patient are told in the background so emails and SMS do not slow down the response
+  if (reviewStatus === REPORT_STATUSES.REVIEWED) {
+    notifyReportReviewed(report, { reviewerId: signature?.doctorId });
+  }
+
+  // Return success response
+  res.status(200).json({
+    success: true,
+    annotated_pdf_url: await signReportFileUrl(signature ? signature.fileUrl : annotatedFileUrl),
+    version: annotationVersion.version,
+    review_status: reviewStatus,
+    ...(signature && {
+      signature: {
+        verification_code: signature.verificationCode,
+        sha256: signature.sha256,
+        signed_at: signature.signedAt
+      }
+    }),
+    ...(discrepancies.length && { discrepancies })
+  });
+};
+
+// Annotate report with page overlay PNGs. Each call is stored as a new annotation version that
+// carries over the overlays of its base version, so annotating page 2 keeps page 1.
 exports.annotateReport = async (req, res) => {
   try {
-    const { report_id, overlay, remarks } = req.body;
+    const { report_id } = req.body;
 
     // Validate input
-    if (!report_id || !overlay) {
-      return res.status(400).json({ error: '❌ report_id and overlay are required' });
+    if (!report_id || (req.body.overlay === undefined && req.body.overlays === undefined)) {
+      return res.status(400).json({ error: '❌ report_id and overlay (or overlays) are required' });
     }
 
-    // Fetch the report
+    const parsedOverlays = parseOverlayInput(req.body);
+    if (parsedOverlays.errors.length) {
+      return res.status(400).json({ error: `❌ Invalid overlay: ${parsedOverlays.errors.join('; ')}` });
+    }
+
+    await saveAnnotationVersion(req, res, report_id, { overlayChanges: parsedOverlays.overlays });
+  } catch (error) {
+    console.error('Error in annotateReport:', error);
+    res.status(500).json({ error: error.message || '❌ Internal server error' });
+  }
+};
+
+// ✏️ Annotate report with vector shapes (circles, rectangles, freehand paths, arrows, text).
+// The list replaces the vector annotations of the base version, so the UI sends the full edited set.
+exports.annotateReportVector = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    if (req.body.annotations === undefined) {
+      return res.status(400).json({ error: '❌ annotations is required' });
+    }
+
+    const parsed = parseVectorAnnotations(req.body.annotations);
+    if (parsed.errors.length) {
+      return res.status(400).json({ error: `❌ Invalid annotations: ${parsed.errors.join('; ')}` });
+    }
+
+    await saveAnnotationVersion(req, res, reportId, { vectorAnnotations: parsed.annotations });
+  } catch (error) {
+    console.error('Error in annotateReportVector:', error);
+    res.status(500).json({ error: error.message || '❌ Internal server error' });
+  }
+};
+
+// 🩺 Get structured findings of a report
+exports.getReportFindings = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
     const report = await Report.findOne({
-      where: {
-        id: report_id,
-        isDeleted: false
+      where: { id: reportId, isDeleted: false },
+      attributes: ['id', 'remarks', 'status', 'reviewedAt']
+    });
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+
+    const findings = await ReportFinding.findAll({
+      where: { reportId },
+      include: [{ model: Doctor, as: 'doctor', attributes: ['id', 'name'] }],
+      order: [['position', 'ASC']]
+    });
+
+    res.status(200).json({
+      reportId: report.id,
+      remarks: report.remarks,
+      status: report.status,
+      reviewedAt: report.reviewedAt,
+      findings
+    });
+  } catch (error) {
+    console.error('Error fetching report findings:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const MAX_FINDINGS_PAGE_SIZE = 100;
+
+// 🔍 Search structured findings across reports (e.g. all BI-RADS 4+ lesions)
+exports.searchFindings = async (req, res) => {
+  try {
+    const { position, category, lesionPresent, hospitalId, fromDate, toDate } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 10, 1), MAX_FINDINGS_PAGE_SIZE);
+    const offset = (page - 1) * pageSize;
+
+    const findingWhere = {};
+    if (position) {
+      const positions = position.split(',');
+      if (positions.some((p) => !BREAST_POSITIONS.includes(p))) {
+        return res.status(400).json({ error: `❌ position must be one of: ${BREAST_POSITIONS.join(', ')}` });
       }
+      findingWhere.position = { [Op.in]: positions };
+    }
+    if (category) {
+      const categories = category.toUpperCase().split(',');
+      if (categories.some((c) => !BIRADS_CATEGORIES.includes(c))) {
+        return res.status(400).json({ error: `❌ category must be one of: ${BIRADS_CATEGORIES.join(', ')}` });
+      }
+      findingWhere.category = { [Op.in]: categories };
+    }
+    if (lesionPresent !== undefined && lesionPresent !== '') {
+      findingWhere.lesionPresent = parseFlag(lesionPresent);
+      if (findingWhere.lesionPresent === undefined) {
+        return res.status(400).json({ error: '❌ lesionPresent must be true or false' });
+      }
+    }
+    if (fromDate || toDate) {
+      const from = fromDate && new Date(fromDate);
+      const to = toDate && new Date(toDate);
+      if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+        return res.status(400).json({ error: '❌ fromDate and toDate must be dates' });
+      }
+      findingWhere.createdAt = {};
+      if (from) findingWhere.createdAt[Op.gte] = from;
+      if (to) findingWhere.createdAt[Op.lte] = to;
+    }
+
+    // Scope to the caller's reports, same as the other report listings
+    const reportWhere = { isDeleted: false };
+    if (req.role === 'doctor') {
+      reportWhere[Op.and] = [doctorReportScope(req.doctorId)];
+    } else if (req.role === 'hospital') {
+      reportWhere.hospitalId = req.hospitalId;
+    } else if (hospitalId) {
+      reportWhere.hospitalId = hospitalId;
+    }
+
+    const { count, rows: findings } = await ReportFinding.findAndCountAll({
+      where: findingWhere,
+      include: [
+        {
+          model: Report,
+          as: 'report',
+          where: reportWhere,
+          attributes: ['id', 'title', 'status', 'reviewedAt', 'patientId', 'hospitalId'],
+          include: [{ model: Patient, as: 'patient', attributes: ['id', 'firstName', 'lastName'] }]
+        },
+        { model: Doctor, as: 'doctor', attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset,
+      distinct: true
     });
 
+    res.status(200).json({
+      totalItems: count,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: page,
+      pageSize,
+      findings
+    });
+  } catch (error) {
+    console.error('Error searching report findings:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔄 Move a report through the review workflow
+// Assignment and review have their own endpoints (/assign, /annotate) since they carry extra data.
+exports.updateReportStatus = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: '❌ status is required' });
+    }
+    if (status === REPORT_STATUSES.ASSIGNED || status === REPORT_STATUSES.REVIEWED) {
+      return res.status(400).json({
+        error: `❌ Use /${status === REPORT_STATUSES.ASSIGNED ? 'assign' : 'annotate'} to move a report to "${status}"`
+      });
+    }
+
+    const report = await Report.findOne({ where: { id: reportId, isDeleted: false } });
     if (!report) {
       return res.status(404).json({ error: '❌ Report not found' });
     }
 
-    // Get the original PDF URL
-    const fileUrl = report.fileUrl;
-    if (!fileUrl) {
-      return res.status(400).json({ error: '❌ Report file URL not found' });
+    const transitionError = getTransitionError(report.status, status, { role: req.role, reason });
+    if (transitionError) {
+      return res.status(409).json({ error: `❌ ${transitionError}` });
     }
 
-    // Download the original PDF from Azure Blob
-    let originalPdfBuffer;
-    try {
-      const response = await axios.get(fileUrl, { responseType: 'arraybuffer' });
-      originalPdfBuffer = Buffer.from(response.data);
-    } catch (error) {
-      console.error('Error downloading PDF from Azure:', error);
-      return res.status(500).json({ error: '❌ Failed to download original PDF from Azure' });
+    // Back to "uploaded" means the report is waiting for a (new) assignment
+    const backToQueue = status === REPORT_STATUSES.UPLOADED;
+    const changes = backToQueue
+      ? { assignedDoctorId: null, assignedAt: null, isChecked: false, hasDiscrepancy: false }
+      : {};
+
+    const previousStatus = normalizeStatus(report.status);
+    await db.sequelize.transaction(async (transaction) => {
+      await transitionReport(report, status, {
+        actor: actorFromRequest(req),
+        reason,
+        changes,
+        transaction
+      });
+      if (backToQueue) {
+        await db.ReportReader.destroy({ where: { reportId: report.id }, transaction });
+      }
+    });
+
+    res.status(200).json({
+      message: '✅ Report status updated successfully',
+      report: {
+        id: report.id,
+        previousStatus,
+        status: report.status,
+        assignedDoctorId: report.assignedDoctorId
+      }
+    });
+  } catch (error) {
+    console.error('Error updating report status:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🕓 Who moved a report through the workflow, and when
+exports.getReportStatusHistory = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const report = await Report.findOne({
+      where: { id: reportId, isDeleted: false },
+      attributes: ['id', 'status']
+    });
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
     }
 
-    // Clean the overlay base64
-    const overlayBase64 = overlay.split(',')[1];
-    if (!overlayBase64) {
-      return res.status(400).json({ error: '❌ Invalid overlay format. Expected data:image/png;base64,...' });
+    const history = await getStatusHistory(report.id);
+
+    // Resolve actor names in one query per actor type
+    const idsByType = history.reduce((acc, entry) => {
+      if (entry.actorId) (acc[entry.actorType] = acc[entry.actorType] || new Set()).add(entry.actorId);
+      return acc;
+    }, {});
+    const actorModels = { admin: db.Admin, hospital: Hospital, doctor: Doctor };
+    const names = {};
+    await Promise.all(Object.entries(idsByType).map(async ([type, ids]) => {
+      if (!actorModels[type]) return;
+      const actors = await actorModels[type].findAll({ where: { id: [...ids] }, attributes: ['id', 'name'] });
+      actors.forEach((actor) => { names[`${type}_${actor.id}`] = actor.name; });
+    }));
+
+    res.status(200).json({
+      reportId: report.id,
+      status: normalizeStatus(report.status),
+      history: history.map((entry) => ({
+        id: entry.id,
+        fromStatus: entry.fromStatus,
+        toStatus: entry.toStatus,
+        actorType: entry.actorType,
+        actorId: entry.actorId,
+        actorName: names[`${entry.actorType}_${entry.actorId}`] || null,
+        reason: entry.reason,
+        createdAt: entry.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching report status history:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Add a reader (second opinion) or the arbitrating doctor to a report
+const addReportReader = async (req, res, readerRole) => {
+  const { reportId } = req.params;
+  const { doctorId } = req.body;
+
+  if (!doctorId) {
+    return res.status(400).json({ error: '❌ Doctor ID is required' });
+  }
+
+  const report = await Report.findOne({ where: { id: reportId, isDeleted: false } });
+  if (!report) {
+    return res.status(404).json({ error: '❌ Report not found' });
+  }
+
+  const status = normalizeStatus(report.status);
+  if (![REPORT_STATUSES.ASSIGNED, REPORT_STATUSES.IN_REVIEW].includes(status)) {
+    return res.status(409).json({ error: `❌ Readers can only be added to assigned or in-review reports (status is "${status}")` });
+  }
+  if (readerRole === READER_ROLES.SECOND && report.hasDiscrepancy) {
+    return res.status(409).json({ error: '❌ Readers disagree on this report; assign an arbiter instead' });
+  }
+  if (readerRole === READER_ROLES.ARBITER && !report.hasDiscrepancy) {
+    return res.status(409).json({ error: '❌ An arbiter is only needed when readers disagree' });
+  }
+
+  const doctor = await Doctor.findOne({
+    where: { id: doctorId, hospitalId: report.hospitalId, isActive: true }
+  });
+  if (!doctor) {
+    return res.status(404).json({ error: '❌ Doctor not found or not active in this hospital' });
+  }
+
+  const existingReader = await db.ReportReader.findOne({ where: { reportId: report.id, doctorId: doctor.id } });
+  if (existingReader || Number(report.assignedDoctorId) === Number(doctor.id)) {
+    return res.status(409).json({ error: '❌ Doctor is already a reader of this report' });
+  }
+
+  const { errors: availabilityErrors, warnings, availability } = await checkAssignment(doctor);
+  if (availabilityErrors.length && !isForced(req.body.force)) {
+    return res.status(409).json({
+      error: `❌ ${availabilityErrors.join('; ')}. Send force: true to assign anyway`,
+      availability
+    });
+  }
+  if (readerRole === READER_ROLES.ARBITER &&
+    await db.ReportReader.count({ where: { reportId: report.id, readerRole: READER_ROLES.ARBITER } })) {
+    return res.status(409).json({ error: '❌ This report already has an arbiter' });
+  }
+
+  const reader = await db.ReportReader.create({
+    reportId: report.id,
+    doctorId: doctor.id,
+    readerRole,
+    assignedAt: new Date()
+  });
+
+  const isArbiter = readerRole === READER_ROLES.ARBITER;
+  await notify({ userId: doctor.id, userType: 'doctor' }, 'REPORT_ASSIGNED', {
+    reportTitle: report.title,
+    doctorName: doctor.name,
+    readerRole
+  }, { relatedId: report.id });
+
+  res.status(201).json({
+    message: isArbiter ? '✅ Arbiter assigned successfully' : '✅ Reader added successfully',
+    warnings: [...availabilityErrors, ...warnings],
+    reader: {
+      id: reader.id,
+      reportId: report.id,
+      readerRole,
+      status: reader.status,
+      doctor: {
+        id: doctor.id,
+        name: doctor.name,
+        specialization: doctor.specialization
+      }
     }
+  });
+};
 
-    let overlayBuffer;
-    try {
-      overlayBuffer = Buffer.from(overlayBase64, 'base64');
-    } catch (error) {
-      console.error('Error decoding overlay:', error);
-      return res.status(400).json({ error: '❌ Failed to decode overlay base64' });
+// 👥 Request a second (independent) reading of a report
+exports.addSecondReader = async (req, res) => {
+  try {
+    await addReportReader(req, res, READER_ROLES.SECOND);
+  } catch (error) {
+    console.error('Error adding report reader:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ⚖️ Route a report with disagreeing readers to an arbitrating doctor
+exports.assignArbiter = async (req, res) => {
+  try {
+    await addReportReader(req, res, READER_ROLES.ARBITER);
+  } catch (error) {
+    console.error('Error assigning arbiter:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 📖 Readers of a report and their readings
+// Doctors only see other readings once the report is reviewed, or when they are the arbiter.
+exports.getReportReaders = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const report = await Report.findOne({
+      where: { id: reportId, isDeleted: false },
+      attributes: ['id', 'status', 'hasDiscrepancy', 'assignedDoctorId']
+    });
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
     }
 
-    // Merge overlay PNG onto the original PDF using pdf-lib
-    let annotatedPdfBuffer;
-    try {
-      const { page_number = 1 } = req.body;
-      const pdfDoc = await PDFLibDocument.load(originalPdfBuffer);
-      const png = await pdfDoc.embedPng(overlayBuffer);
+    const readers = await db.ReportReader.findAll({
+      where: { reportId: report.id },
+      include: [{ model: Doctor, as: 'doctor', attributes: ['id', 'name', 'specialization'] }],
+      order: [['assignedAt', 'ASC'], ['id', 'ASC']]
+    });
 
-      // pdf-lib uses 0-based indexing for pages
-      const pageIndex = Math.max(0, parseInt(page_number) - 1);
-      const pageCount = pdfDoc.getPageCount();
-      
-      if (pageIndex >= pageCount) {
-        return res.status(400).json({ error: `❌ Invalid page number. PDF only has ${pageCount} pages.` });
-      }
+    const ownReader = readers.find((reader) => Number(reader.doctorId) === Number(req.doctorId));
+    const canSeeAll = await canSeeAllReadings(report, req);
 
-      const page = pdfDoc.getPage(pageIndex);
-      const { width: pageWidth, height: pageHeight } = page.getSize();
-
-      // Ensure the overlay is drawn with high fidelity
-      // We map the image to fill the page, but pdf-lib will preserve the image's internal resolution
-      page.drawImage(png, {
-        x: 0,
-        y: 0,
-        width: pageWidth,
-        height: pageHeight,
-        opacity: 1
-      });
+    const completed = readers.filter((reader) => reader.status === 'completed' && reader.readerRole !== READER_ROLES.ARBITER);
 
-      // Save with high-quality settings
-      const finalPdf = await pdfDoc.save({
-        useObjectStreams: false,
-        addDefaultFont: false,
-        updateMetadata: true
+    res.status(200).json({
+      reportId: report.id,
+      status: normalizeStatus(report.status),
+      hasDiscrepancy: report.hasDiscrepancy,
+      discrepancies: canSeeAll && completed.length > 1 ? findDiscrepancies(completed) : [],
+      readers: await Promise.all(readers.map(async (reader) => {
+        const visible = canSeeAll || reader === ownReader;
+        return {
+          id: reader.id,
+          readerRole: reader.readerRole,
+          status: reader.status,
+          assignedAt: reader.assignedAt,
+          completedAt: reader.completedAt,
+          doctor: reader.doctor,
+          ...(visible && {
+            remarks: reader.remarks,
+            findings: reader.findings,
+            annotatedFileUrl: await signReportFileUrl(reader.annotatedFileUrl)
+          })
+        };
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching report readers:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Annotation versions of a report the caller may see (doctors in double reading only see their own until review)
+const findVisibleAnnotationVersions = async (req, where = {}) => {
+  const report = await Report.findOne({
+    where: { id: req.params.reportId, isDeleted: false },
+    attributes: ['id', 'status', 'fileUrl', 'annotatedFileUrl', 'patientId', 'hospitalId', 'doctorId']
+  });
+  if (!report) return { report: null, versions: [] };
+
+  const versionWhere = { reportId: report.id, ...where };
+  if (!(await canSeeAllReadings(report, req))) {
+    versionWhere.doctorId = req.doctorId;
+  }
+
+  const versions = await AnnotationVersion.findAll({
+    where: versionWhere,
+    include: [{ model: Doctor, as: 'doctor', attributes: ['id', 'name'] }],
+    order: [['version', 'ASC']]
+  });
+  return { report, versions };
+};
+
+// 🗂️ List annotation versions of a report
+exports.getAnnotationVersions = async (req, res) => {
+  try {
+    const { report, versions } = await findVisibleAnnotationVersions(req);
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+
+    res.status(200).json({
+      reportId: report.id,
+      versions: versions.map((version) => ({
+        version: version.version,
+        baseVersion: version.baseVersion,
+        doctor: version.doctor,
+        pages: version.overlays.map((overlay) => overlay.pageNumber),
+        annotationsCount: (version.vectorAnnotations || []).length,
+        remarks: version.remarks,
+        findingsCount: version.findings ? version.findings.length : null,
+        createdAt: version.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching annotation versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🗂️ Get one annotation version (or "latest") with its vector annotations and signed links to its PDF and overlays
+exports.getAnnotationVersion = async (req, res) => {
+  try {
+    const isLatest = req.params.version === 'latest';
+    const { report, versions } = await findVisibleAnnotationVersions(req, isLatest ? {} : { version: req.params.version });
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+    const version = isLatest ? versions[versions.length - 1] : versions[0];
+    if (!version) {
+      return res.status(404).json({ error: '❌ Annotation version not found' });
+    }
+
+    res.status(200).json({
+      reportId: report.id,
+      version: version.version,
+      baseVersion: version.baseVersion,
+      doctor: version.doctor,
+      remarks: version.remarks,
+      findings: version.findings,
+      annotations: version.vectorAnnotations || [],
+      createdAt: version.createdAt,
+      annotatedFileUrl: await signReportFileUrl(version.annotatedFileUrl),
+      overlays: await Promise.all(version.overlays.map(async (overlay) => ({
+        pageNumber: overlay.pageNumber,
+        sha256: overlay.sha256,
+        fileUrl: await signReportFileUrl(overlay.fileUrl)
+      })))
+    });
+  } catch (error) {
+    console.error('Error fetching annotation version:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔀 Diff two annotation versions (pages, vector annotations, remarks and findings)
+exports.diffAnnotationVersions = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ error: '❌ from and to version numbers are required' });
+    }
+
+    const { report, versions } = await findVisibleAnnotationVersions(req, { version: [from, to] });
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+    const fromVersion = versions.find((version) => version.version === from);
+    const toVersion = versions.find((version) => version.version === to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: '❌ Annotation version not found' });
+    }
+
+    res.status(200).json({
+      reportId: report.id,
+      diff: diffAnnotationVersions(fromVersion.get({ plain: true }), toVersion.get({ plain: true }))
+    });
+  } catch (error) {
+    console.error('Error diffing annotation versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// ♻️ Re-render the annotated PDF of a version from its stored overlays
+exports.regenerateAnnotationVersion = async (req, res) => {
+  try {
+    const { report, versions } = await findVisibleAnnotationVersions(req, { version: req.params.version });
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+    const [version] = versions;
+    if (!version) {
+      return res.status(404).json({ error: '❌ Annotation version not found' });
+    }
+
+    let annotatedPdfBuffer;
+    try {
+      annotatedPdfBuffer = await renderAnnotationVersion(report, version.overlays, new Map(), {
+        vectorAnnotations: version.vectorAnnotations || [],
+        findings: version.findings,
+        remarks: version.remarks,
+        doctorName: version.doctor?.name
       });
-      annotatedPdfBuffer = Buffer.from(finalPdf);
     } catch (error) {
-      console.error('Error merging PDF with overlay:', error);
-      return res.status(500).json({ error: '❌ Failed to merge overlay with PDF' });
+      console.error('Error rendering annotation version:', error);
+      return res.status(500).json({ error: '❌ Failed to render annotated PDF' });
     }
 
-    // Upload the new annotated PDF to Azure using existing upload helper
-    const annotatedPdfFile = {
+    const uploadResult = await uploadReportFile({
       buffer: annotatedPdfBuffer,
-      originalname: `annotated-report-${report_id}.pdf`,
+      originalname: `annotated-report-${report.id}-v${version.version}.pdf`,
       mimetype: 'application/pdf',
       size: annotatedPdfBuffer.length
-    };
-
-    let annotatedFileUrl;
+    }, report.patientId, 'annotated_report');
+
+    // The report publishes a signed copy of its reviewer's latest version. When that is the version
+    // regenerated here, the regenerated PDF is signed and published in its place.
+    const publishedVersion = report.annotatedFileUrl && report.doctorId === version.doctorId
+      ? await AnnotationVersion.max('version', { where: { reportId: report.id, doctorId: version.doctorId } })
+      : null;
+    let signature = null;
     try {
-      const uploadResult = await uploadToAzureBlob(annotatedPdfFile, report.patientId, 'annotated_report');
-      annotatedFileUrl = uploadResult.fileUrl;
+      await db.sequelize.transaction(async (transaction) => {
+        await version.update({ annotatedFileUrl: uploadResult.fileUrl }, { transaction });
+        if (publishedVersion === version.version) {
+          signature = await signReviewedReport(report, {
+            doctorId: version.doctorId,
+            pdfBuffer: annotatedPdfBuffer,
+            transaction
+          });
+        }
+      });
     } catch (error) {
-      console.error('Error uploading annotated PDF to Azure:', error);
-      return res.status(500).json({ error: '❌ Failed to upload annotated PDF to Azure' });
+      await deleteSignedFile(signature);
+      throw error;
     }
 
-    // Update the Report record
-    try {
-      await report.update({
-        annotatedFileUrl: annotatedFileUrl,
-        remarks: remarks || null,
-        status: 'reviewed',
-        reviewedAt: new Date(),
-        isChecked: true,
-        doctorId: req.user.id
+    res.status(200).json({
+      message: '✅ Annotated PDF regenerated successfully',
+      version: version.version,
+      annotated_pdf_url: await signReportFileUrl(uploadResult.fileUrl),
+      ...(signature && {
+        published_pdf_url: await signReportFileUrl(signature.fileUrl),
+        signature: {
+          verification_code: signature.verificationCode,
+          sha256: signature.sha256,
+          signed_at: signature.signedAt
+        }
+      })
+    });
+  } catch (error) {
+    console.error('Error regenerating annotation version:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔏 Verify a signed report (public)
+// :code is the verification code printed on the PDF (or encoded in its QR code). Report IDs are not
+// accepted: they can be guessed, the codes cannot.
+exports.verifyReport = async (req, res) => {
+  try {
+    const result = await verifyReportSignature({ code: req.params.code });
+    if (!result) {
+      return res.status(404).json({ error: '❌ No signed report found for this code' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error verifying report:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 🔏 Verify a signed report PDF file (public)
+// The file is matched by its SHA-256, or checked against the signature given by its verification code
+exports.verifyReportFile = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: '❌ file is required' });
+    }
+
+    const { code } = req.body;
+    const result = await verifyReportSignature({ code }, req.file.buffer);
+    if (!result) {
+      return res.status(404).json({
+        error: code
+          ? '❌ No signed report found for this code'
+          : '❌ This file does not match any signed report; it may have been altered'
       });
-    } catch (error) {
-      console.error('Error updating report:', error);
-      return res.status(500).json({ error: '❌ Failed to update report record' });
     }
 
-    // Return success response
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error verifying report file:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Report behind a retrieval token, with the hospital name shown to the patient
+const findRetrievableReport = (token) => Report.findOne({
+  where: { retrievalToken: token, isDeleted: false },
+  include: [
+    { model: Patient, as: 'patient', attributes: ['id', 'contact'] },
+    { model: Hospital, as: 'hospital', attributes: ['id', 'name'] }
+  ]
+});
+
+// Count a PIN attempt before checking it. The increment is atomic, so parallel guesses each get
+// their own count and no more than MAX_PIN_ATTEMPTS of them are ever checked.
+const countPinAttempt = async (reportId) => {
+  await Report.increment({ retrievalFailedAttempts: 1 }, { where: { id: reportId } });
+  const { retrievalFailedAttempts } = await Report.findByPk(reportId, { attributes: ['id', 'retrievalFailedAttempts'] });
+  return retrievalFailedAttempts;
+};
+
+// 📱 Retrieval page info (public, opened from the QR code on the PDF)
+exports.getRetrievalInfo = async (req, res) => {
+  try {
+    const report = await findRetrievableReport(req.params.token);
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+
     res.status(200).json({
-      success: true,
-      annotated_pdf_url: annotatedFileUrl
+      title: report.title,
+      hospitalName: report.hospital?.name || null,
+      pinLength: RETRIEVAL_PIN_LENGTH,
+      message: `Enter the last ${RETRIEVAL_PIN_LENGTH} digits of your registered contact number to view this report`
     });
   } catch (error) {
-    console.error('Error in annotateReport:', error);
-    res.status(500).json({ error: error.message || '❌ Internal server error' });
+    console.error('Error fetching retrieval info:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// 📱 Patient self-service retrieval (public): status and, once reviewed, the latest reviewed PDF
+exports.retrieveReport = async (req, res) => {
+  try {
+    const { pin } = req.body;
+    if (!pin) {
+      return res.status(400).json({ error: '❌ pin is required' });
+    }
+
+    const report = await findRetrievableReport(req.params.token);
+    if (!report) {
+      return res.status(404).json({ error: '❌ Report not found' });
+    }
+
+    const now = new Date();
+    const lockedResponse = (lockedUntil) => res.status(429).json({
+      error: '❌ Too many wrong PINs. Please try again later.',
+      lockedUntil
+    });
+    if (report.retrievalLockedUntil) {
+      if (report.retrievalLockedUntil > now) return lockedResponse(report.retrievalLockedUntil);
+      // Lock is over: start counting again (only once if several requests notice it together)
+      await Report.update(
+        { retrievalFailedAttempts: 0, retrievalLockedUntil: null },
+        { where: { id: report.id, retrievalLockedUntil: report.retrievalLockedUntil } }
+      );
+    }
+
+    const lock = async () => {
+      const lockedUntil = new Date(now.getTime() + PIN_LOCK_MINUTES * 60 * 1000);
+      await Report.update({ retrievalLockedUntil: lockedUntil }, { where: { id: report.id, retrievalLockedUntil: null } });
+      return lockedUntil;
+    };
+
+    const attempts = await countPinAttempt(report.id);
+    if (attempts > MAX_PIN_ATTEMPTS) {
+      // Parallel requests used up the attempts; the PIN is not checked
+      return lockedResponse(await lock());
+    }
+
+    if (!pinMatches(pin, report.patient?.contact)) {
+      if (attempts >= MAX_PIN_ATTEMPTS) await lock();
+      return res.status(401).json({
+        error: '❌ Incorrect PIN',
+        attemptsRemaining: MAX_PIN_ATTEMPTS - attempts
+      });
+    }
+
+    await Report.update({ retrievalFailedAttempts: 0, retrievalLockedUntil: null }, { where: { id: report.id } });
+
+    const status = normalizeStatus(report.status);
+    // The published PDF only changes when a review completes, so it stays available while a report is re-reviewed
+    const reviewed = Boolean(report.reviewedAt && report.annotatedFileUrl);
+    const signature = reviewed
+      ? await db.ReportSignature.findOne({
+        where: { reportId: report.id, fileUrl: report.annotatedFileUrl },
+        attributes: ['verificationCode']
+      })
+      : null;
+
+    res.status(200).json({
+      title: report.title,
+      hospitalName: report.hospital?.name || null,
+      status,
+      statusLabel: PATIENT_STATUS_LABELS[status] || status,
+      generatedAt: report.createdAt,
+      reviewedAt: report.reviewedAt,
+      reviewedPdfUrl: reviewed
+        ? await signReportFileUrl(report.annotatedFileUrl, { downloadName: `${report.title || 'report'}.pdf` })
+        : null,
+      urlExpiresAt: reviewed ? new Date(Date.now() + REPORT_URL_TTL_SECONDS * 1000) : null,
+      verificationCode: signature?.verificationCode || null
+    });
+  } catch (error) {
+    console.error('Error retrieving report:', error);
+    res.status(500).json({ error: error.message });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,34 @@
+// middleware/adminSignup.js
+// Access to admin signup. New admins are created by a logged-in admin. The very first admin of an
+// installation is created once with ADMIN_BOOTSTRAP_SECRET (x-bootstrap-secret header); the secret stops
+// working as soon as an admin exists.
+const crypto = require('crypto');
+const db = require('../models');
+const { authorize, ROLES } = require('./authorize');
+
+const [authenticate, requireAdmin] = authorize([ROLES.ADMIN]);
+
+const bootstrapSecretMatches = (provided) => {
+  const secret = process.env.ADMIN_BOOTSTRAP_SECRET;
+  if (!secret || !provided) return false;
+  const actual = crypto.createHash('sha256').update(String(provided)).digest();
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = async (req, res, next) => {
+  const provided = req.headers['x-bootstrap-secret'];
+  if (!provided) {
+    return authenticate(req, res, () => requireAdmin(req, res, next));
+  }
+
+  try {
+    if (!bootstrapSecretMatches(provided) || (await db.Admin.count()) > 0) {
+      return res.status(403).json({ error: '❌ Invalid bootstrap secret, or an admin already exists. Log in as an admin to add admins.' });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin signup authorization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
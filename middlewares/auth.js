@@ -1,56 +1,92 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
 const db = require('../models');
+const { findActiveSession } = require('../services/authSessions');
+
+// Account named by a verified token, as request context
+const resolveAccount = async (decoded) => {
+  // Support admin, hospital, doctor and patient (portal) roles
+  if (decoded.role === 'admin') {
+    const admin = await db.Admin.findByPk(decoded.id);
+    if (!admin) throw new Error('Admin not found');
+
+    return {
+      user: admin,
+      userType: 'admin',
+      role: 'admin',
+      admin // Keep for backward compatibility
+    };
+  } else if (decoded.role === 'hospital') {
+    const hospital = await db.Hospital.findByPk(decoded.id);
+    if (!hospital) throw new Error('Hospital not found');
+
+    return {
+      user: hospital,
+      userType: 'hospital',
+      role: 'hospital',
+      hospitalId: hospital.id,
+      hospital // Keep for backward compatibility
+    };
+  } else if (decoded.role === 'doctor') {
+    const doctor = await db.Doctor.findByPk(decoded.id);
+    if (!doctor) throw new Error('Doctor not found');
+
+    return {
+      user: doctor,
+      userType: 'doctor',
+      role: 'doctor',
+      doctorId: doctor.id,
+      hospitalId: doctor.hospitalId, // Doctor belongs to a hospital
+      doctor // Keep for backward compatibility
+    };
+  } else if (decoded.role === 'patient') {
+    const account = await db.PatientAccount.findByPk(decoded.id);
+    if (!account) throw new Error('Patient account not found');
+
+    return {
+      user: account,
+      userType: 'patient',
+      role: 'patient',
+      patientAccount: account
+    };
+  }
+
+  throw new Error('Invalid token or user not found');
+};
+
+/**
+ * Resolve the account behind a JWT. Shared by the REST middleware below and the Socket.IO
+ * handshake (services/socket).
+ * @param {string} token
+ * @returns {Promise<Object>} Request context: user, userType, role, sessionId and the role-specific keys
+ *   (hospitalId, doctorId, admin, hospital, doctor, patientAccount). Throws when the token is invalid,
+ *   expired or its session was revoked.
+ */
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Access tokens belong to a login session (services/authSessions), so logging out revokes them.
+  // Tokens from before sessions existed carry no "sid" and never expire; they are no longer accepted.
+  const session = decoded.sid ? await findActiveSession(decoded.sid) : null;
+  if (!session || session.userType !== decoded.role || Number(session.userId) !== Number(decoded.id)) {
+    throw new Error('Session expired or revoked');
+  }
+
+  return { ...(await resolveAccount(decoded)), sessionId: session.id };
+};
 
 module.exports = async (req, res, next) => {
   try {
     const token = req.header('Authorization').replace('Bearer ', '');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Support admin, hospital, and doctor roles
-    if (decoded.role === 'admin') {
-      const admin = await db.Admin.findByPk(decoded.id);
-      if (!admin) throw new Error('Admin not found');
-      
-      req.user = admin;
-      req.userType = 'admin';
-      req.role = 'admin';
-      req.admin = admin; // Keep for backward compatibility
-    } else if (decoded.role === 'hospital') {
-      const hospital = await db.Hospital.findByPk(decoded.id);
-      if (!hospital) throw new Error('Hospital not found');
-      
-      req.user = hospital;
-      req.userType = 'hospital';
-      req.role = 'hospital';
-      req.hospitalId = hospital.id;
-      req.hospital = hospital; // Keep for backward compatibility
-    } else if (decoded.role === 'doctor') {
-      const doctor = await db.Doctor.findByPk(decoded.id);
-      if (!doctor) throw new Error('Doctor not found');
-      
-      req.user = doctor;
-      req.userType = 'doctor';
-      req.role = 'doctor';
-      req.doctorId = doctor.id;
-      req.hospitalId = doctor.hospitalId; // Doctor belongs to a hospital
-      req.doctor = doctor; // Keep for backward compatibility
-    } else {
-      // Legacy support: if no role, assume it's a hospital (for backward compatibility)
-      const hospital = await db.Hospital.findByPk(decoded.id);
-      if (hospital) {
-        req.user = hospital;
-        req.userType = 'hospital';
-        req.role = 'hospital';
-        req.hospitalId = hospital.id;
-        req.hospital = hospital;
-      } else {
-        throw new Error('Invalid token or user not found');
-      }
-    }
-
+    Object.assign(req, await authenticateToken(token));
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Please authenticate' });
+    // Clients refresh on token_expired; any other 401 needs a new login
+    res.status(401).json({
+      error: 'Please authenticate',
+      ...(error instanceof jwt.TokenExpiredError ? { code: 'token_expired' } : {})
+    });
   }
-};
\ No newline at end of file
+};
+
+module.exports.authenticateToken = authenticateToken;
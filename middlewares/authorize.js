@@ -0,0 +1,135 @@
+// middleware/authorize.js
+// Declarative role and ownership checks on top of middlewares/auth.js.
+//
+//   router.get('/:hospitalId', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), controller.getDashboardData);
+//   router.get('/:id', authorize(ANY_ROLE, { params: { id: 'patient' } }), controller.getPatientById);
+//
+// authorize() authenticates the request, rejects roles that are not listed and then verifies that every
+// hospital/report/patient/doctor/job referenced by the route params or body belongs to the caller.
+// Admins pass every ownership check. Missing records are let through so the controller can answer 404.
+// Patients (patient portal) only reach routes that list ROLES.PATIENT explicitly.
+const authMiddleware = require('./auth');
+const db = require('../models');
+const { getPatientIds } = require('../services/patientPortal');
+
+const ROLES = {
+  ADMIN: 'admin',
+  HOSPITAL: 'hospital',
+  DOCTOR: 'doctor',
+  PATIENT: 'patient'
+};
+// Any staff role
+const ANY_ROLE = [ROLES.ADMIN, ROLES.HOSPITAL, ROLES.DOCTOR];
+
+// Fields checked on every authorized route, mapped to the resource they reference
+const DEFAULT_PARAMS = { hospitalId: 'hospital', reportId: 'report', patientId: 'patient' };
+const DEFAULT_BODY_FIELDS = { hospitalId: 'hospital', patientId: 'patient', report_id: 'report' };
+
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && Number(a) === Number(b);
+
+// Each resolver returns true when the authenticated, non-admin caller may access the resource
+const ownershipResolvers = {
+  hospital: async (id, req) => sameId(id, req.hospitalId),
+
+  // Patients see the records matching their portal login
+  patient: async (id, req) => {
+    if (req.role === ROLES.PATIENT) return (await getPatientIds(req.patientAccount)).includes(Number(id));
+    const patient = await db.Patient.findByPk(id, { attributes: ['id', 'hospitalId'] });
+    return !patient || sameId(patient.hospitalId, req.hospitalId);
+  },
+
+  // Doctors only see reports assigned to them or that they were asked to read; hospitals see every report they own
+  report: async (id, req) => {
+    const report = await db.Report.findByPk(id, { attributes: ['id', 'hospitalId', 'patientId', 'assignedDoctorId'] });
+    if (!report) return true;
+    if (req.role === ROLES.PATIENT) {
+      return (await getPatientIds(req.patientAccount)).includes(report.patientId);
+    }
+    if (req.role === ROLES.DOCTOR) {
+      return sameId(report.assignedDoctorId, req.doctorId) ||
+        (await db.ReportReader.count({ where: { reportId: report.id, doctorId: req.doctorId } })) > 0;
+    }
+    return sameId(report.hospitalId, req.hospitalId);
+  },
+
+  // Doctors only manage their own profile; hospitals manage their own doctors
+  doctor: async (id, req) => {
+    if (req.role === ROLES.DOCTOR) return sameId(id, req.doctorId);
+    const doctor = await db.Doctor.findByPk(id, { attributes: ['id', 'hospitalId'] });
+    return !doctor || sameId(doctor.hospitalId, req.hospitalId);
+  },
+
+  // Report generation jobs belong to the hospital the report is generated for
+  job: async (id, req) => {
+    const job = await db.ReportJob.findByPk(id, { attributes: ['id', 'hospitalId'] });
+    return !job || sameId(job.hospitalId, req.hospitalId);
+  }
+};
+
+/**
+ * Verify ownership of the resources referenced by the request.
+ * Use on its own after multer on multipart routes, where req.body is only populated after upload.
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Extra route params to check, e.g. { id: 'patient' }
+ * @param {Object} [options.body] - Extra body fields to check, e.g. { assignedDoctorId: 'doctor' }
+ * @returns {Function} Express middleware
+ */
+const checkOwnership = ({ params = {}, body = {} } = {}) => {
+  const paramResources = { ...DEFAULT_PARAMS, ...params };
+  const bodyResources = { ...DEFAULT_BODY_FIELDS, ...body };
+
+  return async (req, res, next) => {
+    try {
+      if (req.role === ROLES.ADMIN) return next();
+
+      const references = [
+        ...Object.entries(paramResources).map(([field, resource]) => [req.params?.[field], resource]),
+        ...Object.entries(bodyResources).map(([field, resource]) => [req.body?.[field], resource])
+      ].filter(([value]) => value !== undefined && value !== null && value !== '');
+
+      for (const [value, resource] of references) {
+        const allowed = await ownershipResolvers[resource](value, req);
+        if (!allowed) {
+          return res.status(403).json({ error: `❌ You do not have access to this ${resource}` });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+/**
+ * Allow only the given roles
+ * @param {string[]} roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (roles) => (req, res, next) => {
+  if (!roles.includes(req.role)) {
+    return res.status(403).json({ error: `❌ Access denied. Allowed roles: ${roles.join(', ')}` });
+  }
+  next();
+};
+
+/**
+ * Authenticate, check the caller's role and verify ownership of referenced resources
+ * @param {string[]} [roles] - Roles allowed on the route (defaults to any staff role)
+ * @param {Object} [options] - Extra ownership checks, see checkOwnership
+ * @returns {Function[]} Express middleware chain
+ */
+const authorize = (roles = ANY_ROLE, options = {}) => [
+  authMiddleware,
+  requireRole(roles),
+  checkOwnership(options)
+];
+
+module.exports = {
+  ROLES,
+  ANY_ROLE,
+  authorize,
+  requireRole,
+  checkOwnership
+};
@@ -0,0 +1,26 @@
+// middleware/twoFactorSetup.js
+// Authentication for the 2FA enrolment endpoints. Logged-in staff use their access token as usual; a
+// login that requires 2FA the account has not set up yet sends the setupToken it received instead.
+// Either way req.twoFactorAccount is the account being enrolled.
+const authMiddleware = require('./auth');
+const { requireRole, ANY_ROLE } = require('./authorize');
+const { verifySetupToken } = require('../utils/twoFactor');
+
+const requireStaff = requireRole(ANY_ROLE);
+
+module.exports = (req, res, next) => {
+  const setupToken = req.body?.setupToken;
+  if (setupToken) {
+    const account = verifySetupToken(setupToken);
+    if (!account) {
+      return res.status(401).json({ error: '❌ Setup token invalid or expired. Please log in again.' });
+    }
+    req.twoFactorAccount = account;
+    return next();
+  }
+
+  authMiddleware(req, res, () => requireStaff(req, res, () => {
+    req.twoFactorAccount = { userType: req.role, userId: req.user.id };
+    next();
+  }));
+};
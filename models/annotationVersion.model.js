@@ -0,0 +1,64 @@
+module.exports = (sequelize, DataTypes) => {
+  // Every annotateReport call is kept as a new version instead of overwriting the previous one.
+  // A version holds the complete set of page overlays and vector annotations, so any version can be
+  // re-rendered on its own.
+  const AnnotationVersion = sequelize.define('AnnotationVersion', {
+    reportId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Sequential per report, starting at 1',
+    },
+    baseVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Version this one was built on',
+    },
+    doctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Author of the version',
+    },
+    overlays: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Page overlays: [{ pageNumber, fileUrl, sha256 }]',
+    },
+    vectorAnnotations: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Shapes, arrows and text labels, see utils/vectorAnnotations.js',
+    },
+    remarks: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    findings: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    annotatedFileUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'PDF rendered from this version',
+    },
+  }, {
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['reportId', 'version'] },
+      { fields: ['reportId', 'doctorId'] }
+    ]
+  });
+
+  AnnotationVersion.associate = (models) => {
+    AnnotationVersion.belongsTo(models.Report, { foreignKey: 'reportId', as: 'report' });
+    AnnotationVersion.belongsTo(models.Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+  };
+
+  return AnnotationVersion;
+};
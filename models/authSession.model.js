@@ -0,0 +1,59 @@
+const { SESSION_USER_TYPES, REVOKE_REASONS } = require('../utils/authTokens');
+
+module.exports = (sequelize, DataTypes) => {
+  // One row per login (device). Access tokens carry the session ID, so revoking the session logs the
+  // device out; the refresh token secret is stored hashed and replaced on every refresh.
+  const AuthSession = sequelize.define('AuthSession', {
+    userType: {
+      type: DataTypes.ENUM(...SESSION_USER_TYPES),
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the current refresh token secret',
+    },
+    previousRefreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 of the replaced refresh token secret; presenting it again counts as token reuse',
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'End of the refresh token lifetime, extended by every refresh',
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Last refresh',
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revokedReason: {
+      type: DataTypes.ENUM(...Object.values(REVOKE_REASONS)),
+      allowNull: true,
+    },
+    userAgent: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    ipAddress: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+  }, {
+    indexes: [
+      { fields: ['userType', 'userId', 'revokedAt'] },
+      { fields: ['expiresAt'] }
+    ]
+  });
+
+  return AuthSession;
+};
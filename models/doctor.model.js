@@ -21,6 +21,11 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         allowNull: true,
       },
+      registrationNumber: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Medical council registration, printed on signed reports',
+      },
       hospitalId: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -29,6 +34,21 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
       },
+      // Availability for report reviews, see utils/doctorAvailability.js
+      workingHours: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Weekly shifts per weekday in local time; null means always working',
+      },
+      timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      maxConcurrentReviews: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Most reports waiting for this doctor at once; null means no limit',
+      },
       resetToken: {
         type: DataTypes.STRING
       },
@@ -42,6 +62,10 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'hospitalId',
         as: 'hospital',
       });
+      Doctor.hasMany(models.DoctorLeave, {
+        foreignKey: 'doctorId',
+        as: 'leaves',
+      });
     };
   
     return Doctor;
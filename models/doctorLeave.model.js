@@ -0,0 +1,40 @@
+module.exports = (sequelize, DataTypes) => {
+  // A period a doctor does not review reports, both days included (in the doctor's time zone).
+  // Auto-assignment skips doctors on leave and manual assignment asks for confirmation.
+  const DoctorLeave = sequelize.define('DoctorLeave', {
+    doctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    startDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    endDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    createdByType: {
+      type: DataTypes.ENUM('admin', 'hospital', 'doctor'),
+      allowNull: false,
+    },
+    createdById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  }, {
+    indexes: [
+      { fields: ['doctorId', 'endDate'] }
+    ]
+  });
+
+  DoctorLeave.associate = (models) => {
+    DoctorLeave.belongsTo(models.Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+  };
+
+  return DoctorLeave;
+};
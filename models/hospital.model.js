@@ -61,6 +61,27 @@ module.exports = (sequelize, DataTypes) => {
     },
     resetTokenExpiry: {
       type: DataTypes.DATE
+    },
+    reportBranding: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Report PDF branding (colors, header/footer text, disclaimer, signature, sections), see utils/reportBranding'
+    },
+    autoAssignment: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Rules for assigning new reports to doctors automatically, see utils/reportAssignment'
+    },
+    slaSettings: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Report turnaround targets and escalation, see utils/reportSla'
+    },
+    twoFactorRequired: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Set by admins: the hospital account and its doctors must log in with two-factor authentication'
     }
   });
 
@@ -1,3 +1,5 @@
+const { NOTIFICATION_USER_TYPES } = require('../utils/notificationPreferences');
+
 module.exports = (sequelize, DataTypes) => {
   const Notification = sequelize.define('Notification', {
     userId: {
@@ -5,7 +7,7 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
     },
     userType: {
-      type: DataTypes.ENUM('doctor', 'hospital', 'admin'),
+      type: DataTypes.ENUM(...NOTIFICATION_USER_TYPES),
       allowNull: false,
       defaultValue: 'doctor'
     },
@@ -28,7 +30,21 @@ module.exports = (sequelize, DataTypes) => {
     isRead: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
+    },
+    isArchived: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    archivedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
     }
+  }, {
+    indexes: [
+      { fields: ['userId', 'userType', 'isArchived', 'isRead'] },
+      { fields: ['createdAt'] }
+    ]
   });
 
   return Notification;
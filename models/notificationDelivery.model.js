@@ -0,0 +1,76 @@
+const { NOTIFICATION_USER_TYPES } = require('../utils/notificationPreferences');
+
+module.exports = (sequelize, DataTypes) => {
+  // Email, SMS and webhook deliveries that could not go out straight away: held back by quiet hours,
+  // collected for a digest, or waiting for a retry after a failure. services/cron.js sends them
+  // through services/notifications.js once sendAfter has passed.
+  const NotificationDelivery = sequelize.define('NotificationDelivery', {
+    notificationId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'In-app notification, when one was created',
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Null for recipients without an account (e.g. appointment bookings)',
+    },
+    userType: {
+      type: DataTypes.ENUM(...NOTIFICATION_USER_TYPES),
+      allowNull: true,
+    },
+    channel: {
+      type: DataTypes.ENUM('email', 'sms', 'webhook'),
+      allowNull: false,
+    },
+    address: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Email address or phone number; webhooks use the current webhookUrl',
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    content: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Rendered message: { title, message, subject, html, sms, relatedId, data }',
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    digest: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Sent as part of the daily digest email',
+    },
+    sendAfter: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    }
+  }, {
+    indexes: [
+      { fields: ['status', 'sendAfter'] },
+      { fields: ['userId', 'userType'] }
+    ]
+  });
+
+  return NotificationDelivery;
+};
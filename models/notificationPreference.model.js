@@ -0,0 +1,67 @@
+const { NOTIFICATION_USER_TYPES, DIGEST_MODES, DEFAULT_TIMEZONE } = require('../utils/notificationPreferences');
+
+module.exports = (sequelize, DataTypes) => {
+  // Notification settings of one user, see utils/notificationPreferences.js.
+  // Users without a row get the defaults.
+  const NotificationPreference = sequelize.define('NotificationPreference', {
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    userType: {
+      type: DataTypes.ENUM(...NOTIFICATION_USER_TYPES),
+      allowNull: false,
+    },
+    channels: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Master switch per channel, e.g. { "inApp": true, "email": true, "sms": false, "webhook": false }',
+    },
+    typeChannels: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Per notification type channel overrides, e.g. { "REPORT_READY": { "email": true } }',
+    },
+    webhookUrl: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    webhookSecret: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'HMAC key of the X-D3S-Signature header',
+    },
+    quietHoursStart: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      comment: 'HH:MM local time',
+    },
+    quietHoursEnd: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      comment: 'HH:MM local time',
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: DEFAULT_TIMEZONE,
+    },
+    digestMode: {
+      type: DataTypes.ENUM(...DIGEST_MODES),
+      allowNull: false,
+      defaultValue: 'off',
+    },
+    digestHour: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 8,
+      comment: 'Local hour the daily digest is sent',
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['userId', 'userType'] }
+    ]
+  });
+
+  return NotificationPreference;
+};
@@ -0,0 +1,42 @@
+module.exports = (sequelize, DataTypes) => {
+  // Login identity of a patient in the patient portal. Patients are records owned by hospitals, so one
+  // person can have several Patient rows; an account is keyed by the email or phone number the OTP was
+  // sent to and sees every Patient record with that email or contact (see services/patientPortal.js).
+  const PatientAccount = sequelize.define('PatientAccount', {
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      unique: true,
+      comment: 'Digits only',
+    },
+    otpHash: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    otpExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    otpSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    otpAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Wrong codes entered for the current OTP',
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  });
+
+  return PatientAccount;
+};
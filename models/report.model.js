@@ -1,3 +1,5 @@
+const { REPORT_STATUSES, REPORT_STATUS_VALUES, LEGACY_STATUSES } = require('../utils/reportWorkflow');
+
 module.exports = (sequelize, DataTypes) => {
   const Report = sequelize.define('Report', {
     title: {
@@ -18,6 +20,11 @@ module.exports = (sequelize, DataTypes) => {
       ),
       allowNull: false,
     },
+    templateKey: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Report template the PDF was generated from, see utils/reportTemplates',
+    },
 
     // ORIGINAL uploaded PDF
     fileUrl: {
@@ -49,9 +56,11 @@ module.exports = (sequelize, DataTypes) => {
       comment: 'Doctor remarks for report',
     },
 
+    // Workflow status, see utils/reportWorkflow.js. Legacy 'pending' stays in the ENUM so the
+    // column can be widened before existing rows are migrated.
     status: {
-      type: DataTypes.ENUM('pending', 'assigned', 'reviewed'),
-      defaultValue: 'pending',
+      type: DataTypes.ENUM(...REPORT_STATUS_VALUES, ...Object.keys(LEGACY_STATUSES)),
+      defaultValue: REPORT_STATUSES.UPLOADED,
     },
 
     reviewedAt: {
@@ -101,6 +110,28 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
     },
+    hasDiscrepancy: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Set when independent readers disagree; the report then waits for an arbiter',
+    },
+
+    // Patient self-service retrieval, see utils/reportRetrieval.js
+    retrievalToken: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true,
+      comment: 'Token in the QR code printed on the generated PDF',
+    },
+    retrievalFailedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    retrievalLockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   });
 
   Report.associate = (models) => {
@@ -108,6 +139,10 @@ module.exports = (sequelize, DataTypes) => {
     Report.belongsTo(models.Hospital, { foreignKey: 'hospitalId', as: 'hospital' });
     Report.belongsTo(models.Doctor, { foreignKey: 'doctorId', as: 'doctor' });
     Report.belongsTo(models.Doctor, { foreignKey: 'assignedDoctorId', as: 'assignedDoctor' });
+    Report.hasMany(models.ReportFinding, { foreignKey: 'reportId', as: 'findings' });
+    Report.hasMany(models.ReportStatusHistory, { foreignKey: 'reportId', as: 'statusHistory' });
+    Report.hasMany(models.ReportReader, { foreignKey: 'reportId', as: 'readers' });
+    Report.hasMany(models.AnnotationVersion, { foreignKey: 'reportId', as: 'annotationVersions' });
   };
 
   return Report;
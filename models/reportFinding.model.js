@@ -0,0 +1,56 @@
+const { BREAST_POSITIONS, BIRADS_CATEGORIES } = require('../utils/reportFindings');
+
+module.exports = (sequelize, DataTypes) => {
+  const ReportFinding = sequelize.define('ReportFinding', {
+    reportId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // One of the six scan positions captured by the breast cancer upload
+    position: {
+      type: DataTypes.ENUM(...BREAST_POSITIONS),
+      allowNull: false,
+    },
+    lesionPresent: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    category: {
+      type: DataTypes.ENUM(...BIRADS_CATEGORIES),
+      allowNull: true,
+      comment: 'BI-RADS assessment category',
+    },
+    sizeMm: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: true,
+      comment: 'Largest lesion dimension in millimetres',
+    },
+    recommendation: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    followUpMonths: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Recommended follow-up interval in months',
+    },
+    doctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'ID of the doctor who recorded the finding',
+    },
+  }, {
+    indexes: [
+      { unique: true, fields: ['reportId', 'position'] },
+      { fields: ['lesionPresent', 'category'] }
+    ]
+  });
+
+  ReportFinding.associate = (models) => {
+    ReportFinding.belongsTo(models.Report, { foreignKey: 'reportId', as: 'report' });
+    ReportFinding.belongsTo(models.Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+  };
+
+  return ReportFinding;
+};
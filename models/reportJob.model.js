@@ -0,0 +1,86 @@
+const { JOB_TYPES, JOB_STATUSES, JOB_STATUS_VALUES, DEFAULT_MAX_ATTEMPTS } = require('../utils/reportJobs');
+
+module.exports = (sequelize, DataTypes) => {
+  // Report generation running outside the HTTP request. Jobs are picked up by the worker in
+  // services/reportJobs.js; the payload only references files already in storage so a failed
+  // job can be retried without uploading anything again.
+  const ReportJob = sequelize.define('ReportJob', {
+    type: {
+      type: DataTypes.ENUM(...Object.values(JOB_TYPES)),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM(...JOB_STATUS_VALUES),
+      allowNull: false,
+      defaultValue: JOB_STATUSES.QUEUED,
+    },
+    hospitalId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    patientId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Input of the job handler, e.g. report details and stored image URLs',
+    },
+    createdByType: {
+      type: DataTypes.ENUM('admin', 'hospital', 'doctor'),
+      allowNull: false,
+    },
+    createdById: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Notified when the job completes or finally fails',
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: DEFAULT_MAX_ATTEMPTS,
+    },
+    runAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Earliest time the next attempt may start',
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set while a worker is processing the job',
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    reportId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Report created by the job',
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    indexes: [
+      { fields: ['status', 'runAt'] },
+      { fields: ['hospitalId', 'createdAt'] }
+    ]
+  });
+
+  ReportJob.associate = (models) => {
+    ReportJob.belongsTo(models.Report, { foreignKey: 'reportId', as: 'report' });
+    ReportJob.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return ReportJob;
+};
@@ -0,0 +1,60 @@
+const { READER_ROLES } = require('../utils/reportReaders');
+
+module.exports = (sequelize, DataTypes) => {
+  // One row per doctor reading a report. Readings stay private to each reader until the
+  // report is finalised, so double reading stays independent.
+  const ReportReader = sequelize.define('ReportReader', {
+    reportId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    doctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    readerRole: {
+      type: DataTypes.ENUM(...Object.values(READER_ROLES)),
+      allowNull: false,
+      defaultValue: READER_ROLES.PRIMARY,
+    },
+    status: {
+      type: DataTypes.ENUM('assigned', 'completed'),
+      allowNull: false,
+      defaultValue: 'assigned',
+    },
+    annotatedFileUrl: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Annotated PDF produced by this reader',
+    },
+    remarks: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    findings: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Structured findings submitted by this reader',
+    },
+    assignedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    indexes: [
+      { unique: true, fields: ['reportId', 'doctorId'] },
+      { fields: ['doctorId', 'status'] }
+    ]
+  });
+
+  ReportReader.associate = (models) => {
+    ReportReader.belongsTo(models.Report, { foreignKey: 'reportId', as: 'report' });
+    ReportReader.belongsTo(models.Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+  };
+
+  return ReportReader;
+};
@@ -0,0 +1,71 @@
+module.exports = (sequelize, DataTypes) => {
+  // Signature of a published (reviewed) report PDF, see utils/reportSignatures.js.
+  // A report reviewed again gets a new signature; older ones stay so previously issued PDFs can still
+  // be recognised, and are reported as superseded.
+  const ReportSignature = sequelize.define('ReportSignature', {
+    reportId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    doctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Signing (reviewing) doctor',
+    },
+    doctorName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'As printed on the PDF at signing time',
+    },
+    registrationNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'As printed on the PDF at signing time',
+    },
+    hospitalName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    verificationCode: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true,
+    },
+    sha256: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the signed PDF',
+    },
+    algorithm: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    seal: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      comment: 'HMAC over reportId, doctorId, verificationCode, sha256 and signedAt',
+    },
+    fileUrl: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Signed PDF',
+    },
+    signedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['reportId', 'signedAt'] },
+      { fields: ['sha256'] }
+    ]
+  });
+
+  ReportSignature.associate = (models) => {
+    ReportSignature.belongsTo(models.Report, { foreignKey: 'reportId', as: 'report' });
+    ReportSignature.belongsTo(models.Doctor, { foreignKey: 'doctorId', as: 'doctor' });
+  };
+
+  return ReportSignature;
+};
@@ -0,0 +1,56 @@
+const { SLA_STAGE_VALUES, SLA_ACTIONS } = require('../utils/reportSla');
+
+module.exports = (sequelize, DataTypes) => {
+  // One row per SLA breach of a report, so each breach is escalated once. A new assignment starts a
+  // new review clock (clockStartedAt), which can breach again.
+  const ReportSlaEscalation = sequelize.define('ReportSlaEscalation', {
+    reportId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    hospitalId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    stage: {
+      type: DataTypes.ENUM(...SLA_STAGE_VALUES),
+      allowNull: false,
+    },
+    clockStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'uploadedAt for the assignment stage, assignedAt for the review stage',
+    },
+    dueAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    doctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Doctor the report was waiting for',
+    },
+    action: {
+      type: DataTypes.ENUM(...Object.values(SLA_ACTIONS)),
+      allowNull: false,
+      defaultValue: SLA_ACTIONS.NOTIFIED,
+    },
+    newDoctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Doctor the report was (re)assigned to',
+    },
+  }, {
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['reportId', 'stage', 'clockStartedAt'] },
+      { fields: ['hospitalId', 'createdAt'] }
+    ]
+  });
+
+  ReportSlaEscalation.associate = (models) => {
+    ReportSlaEscalation.belongsTo(models.Report, { foreignKey: 'reportId', as: 'report' });
+  };
+
+  return ReportSlaEscalation;
+};
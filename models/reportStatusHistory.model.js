@@ -0,0 +1,55 @@
+const { REPORT_STATUS_VALUES } = require('../utils/reportWorkflow');
+
+module.exports = (sequelize, DataTypes) => {
+  const ReportStatusHistory = sequelize.define('ReportStatusHistory', {
+    reportId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    fromStatus: {
+      type: DataTypes.ENUM(...REPORT_STATUS_VALUES),
+      allowNull: true,
+      comment: 'Null for the initial upload',
+    },
+    toStatus: {
+      type: DataTypes.ENUM(...REPORT_STATUS_VALUES),
+      allowNull: false,
+    },
+    actorType: {
+      type: DataTypes.ENUM('admin', 'hospital', 'doctor', 'system'),
+      allowNull: false,
+      defaultValue: 'system'
+    },
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'ID of the admin/hospital/doctor who made the change',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    doctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Assigned doctor after the change, set when the change (re)assigned or unassigned the report',
+    },
+    previousDoctorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Assigned doctor before the change, set together with doctorId',
+    },
+  }, {
+    updatedAt: false,
+    indexes: [
+      { fields: ['reportId', 'createdAt'] },
+      { fields: ['previousDoctorId', 'createdAt'] }
+    ]
+  });
+
+  ReportStatusHistory.associate = (models) => {
+    ReportStatusHistory.belongsTo(models.Report, { foreignKey: 'reportId', as: 'report' });
+  };
+
+  return ReportStatusHistory;
+};
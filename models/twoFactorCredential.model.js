@@ -0,0 +1,56 @@
+const { TWO_FACTOR_USER_TYPES } = require('../utils/twoFactor');
+
+module.exports = (sequelize, DataTypes) => {
+  // Authenticator app and recovery codes of an admin, hospital or doctor account (see utils/twoFactor.js).
+  // A row without enabledAt is an enrolment that has not been confirmed with a code yet.
+  const TwoFactorCredential = sequelize.define('TwoFactorCredential', {
+    userType: {
+      type: DataTypes.ENUM(...TWO_FACTOR_USER_TYPES),
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    secret: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Encrypted TOTP secret in use',
+    },
+    pendingSecret: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Encrypted TOTP secret being set up, replaces secret once confirmed',
+    },
+    enabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lastUsedStep: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Time step of the last accepted code, so a code cannot be used twice',
+    },
+    recoveryCodes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'SHA-256 of the unused recovery codes',
+    },
+    failedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  }, {
+    indexes: [
+      { unique: true, fields: ['userType', 'userId'] }
+    ]
+  });
+
+  return TwoFactorCredential;
+};
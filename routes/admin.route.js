@@ -2,7 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
-const authMiddleware = require('../middlewares/auth');
+const { authorize, ROLES } = require('../middlewares/authorize');
+const adminSignup = require('../middlewares/adminSignup');
 
 /**
  * @swagger
@@ -15,8 +16,20 @@ const authMiddleware = require('../middlewares/auth');
  * @swagger
  * /api/admin/signup:
  *   post:
- *     summary: Register a new admin
+ *     summary: Register a new admin (Admin only)
+ *     description: |
+ *       Requires an admin token. The first admin of an installation is created instead with the
+ *       x-bootstrap-secret header set to ADMIN_BOOTSTRAP_SECRET, which only works while no admin exists.
+ *       The new admin then logs in through /api/admin/login.
  *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: x-bootstrap-secret
+ *         required: false
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -37,8 +50,14 @@ const authMiddleware = require('../middlewares/auth');
  *     responses:
  *       201:
  *         description: Admin created
+ *       400:
+ *         description: Missing fields
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin, or invalid bootstrap secret
  */
-router.post('/signup', adminController.signup);
+router.post('/signup', adminSignup, adminController.signup);
 
 /**
  * @swagger
@@ -62,6 +81,9 @@ router.post('/signup', adminController.signup);
  *               password:
  *                 type: string
  *                 description: Password
+ *               twoFactorCode:
+ *                 type: string
+ *                 description: Authenticator or recovery code, for accounts with two-factor authentication (see /api/auth/2fa)
  *     responses:
  *       200:
  *         description: Returns JWT token and user info
@@ -72,6 +94,15 @@ router.post('/signup', adminController.signup);
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for new tokens
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the access token expires
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *                 user:
  *                   type: object
  *                   properties:
@@ -87,7 +118,11 @@ router.post('/signup', adminController.signup);
  *                 role:
  *                   type: string
  *       401:
- *         description: Invalid credentials or account not verified
+ *         description: Invalid credentials, account not verified, or a two-factor code is missing or wrong (twoFactorRequired is true)
+ *       403:
+ *         description: Two-factor authentication is required but not set up; returns twoFactorSetupRequired and a setupToken for /api/auth/2fa/setup
+ *       429:
+ *         description: Too many wrong two-factor codes
  */
 router.post('/login', adminController.login);
 
@@ -154,7 +189,7 @@ router.post('/reset-password', adminController.resetPassword);
  *       200:
  *         description: List of hospitals
  */
-router.get('/hospitals', authMiddleware, adminController.getAllHospitals);
+router.get('/hospitals', authorize([ROLES.ADMIN]), adminController.getAllHospitals);
 
 /**
  * @swagger
@@ -186,6 +221,6 @@ router.get('/hospitals', authMiddleware, adminController.getAllHospitals);
  *       200:
  *         description: Hospital updated
  */
-router.put('/hospitals/:hospitalId', authMiddleware, adminController.updateHospitalStatus);
+router.put('/hospitals/:hospitalId', authorize([ROLES.ADMIN]), adminController.updateHospitalStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analytics.controller');
+const { authorize, ROLES } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -9,6 +10,169 @@ const analyticsController = require('../controllers/analytics.controller');
  *   description: Hospital analytics analytics and statistics
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorPerformanceMetrics:
+ *       type: object
+ *       properties:
+ *         assigned:
+ *           type: integer
+ *           description: Primary assignments received in the period, including ones later taken away
+ *         reviewed:
+ *           type: integer
+ *         reviewRate:
+ *           type: number
+ *           nullable: true
+ *           description: Reviewed as a percentage of assigned
+ *         reassignedAway:
+ *           type: integer
+ *           description: Open reports reassigned to another doctor or unassigned
+ *         reassignmentRate:
+ *           type: number
+ *           nullable: true
+ *           description: Reassigned away as a percentage of assigned
+ *         secondReadings:
+ *           type: integer
+ *           description: Second and arbiter readings completed
+ *         annotations:
+ *           type: integer
+ *           description: Annotation versions saved
+ *         turnaround:
+ *           type: object
+ *           description: Hours from assignment to review of the reports reviewed in the period
+ *           properties:
+ *             measured:
+ *               type: integer
+ *             averageHours:
+ *               type: number
+ *               nullable: true
+ *             medianHours:
+ *               type: number
+ *               nullable: true
+ *             p90Hours:
+ *               type: number
+ *               nullable: true
+ *     DoctorBacklog:
+ *       type: object
+ *       description: Open reports and readings right now, aged from their assignment
+ *       properties:
+ *         open:
+ *           type: integer
+ *         oldestHours:
+ *           type: number
+ *           nullable: true
+ *         medianAgeHours:
+ *           type: number
+ *           nullable: true
+ *     DoctorPerformance:
+ *       type: object
+ *       properties:
+ *         period:
+ *           type: string
+ *         since:
+ *           type: string
+ *           format: date-time
+ *         hospitalId:
+ *           type: integer
+ *           nullable: true
+ *         overall:
+ *           allOf:
+ *             - $ref: '#/components/schemas/DoctorPerformanceMetrics'
+ *             - type: object
+ *               properties:
+ *                 doctors:
+ *                   type: integer
+ *                 annotationsPerDay:
+ *                   type: number
+ *                 backlog:
+ *                   $ref: '#/components/schemas/DoctorBacklog'
+ *         trends:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   period:
+ *                     type: string
+ *                     example: "2025-04"
+ *               - $ref: '#/components/schemas/DoctorPerformanceMetrics'
+ *         doctors:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   doctorId:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   specialization:
+ *                     type: string
+ *                   isActive:
+ *                     type: boolean
+ *                   hospital:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                   annotationsPerDay:
+ *                     type: number
+ *                   backlog:
+ *                     $ref: '#/components/schemas/DoctorBacklog'
+ *                   trends:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       description: Same metrics per period
+ *               - $ref: '#/components/schemas/DoctorPerformanceMetrics'
+ */
+
+/**
+ * @swagger
+ * /api/analytics/doctor-performance:
+ *   get:
+ *     summary: Doctor performance across hospitals (admin)
+ *     description: |
+ *       Same metrics as /api/analytics/{hospitalId}/doctor-performance for the doctors of every hospital,
+ *       or of one hospital with the hospitalId query parameter.
+ *     tags: [analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hospitalId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly, yearly]
+ *           default: monthly
+ *         description: Last 12 weeks, 12 months or 5 years
+ *     responses:
+ *       200:
+ *         description: Doctor performance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DoctorPerformance'
+ *       400:
+ *         description: Invalid hospitalId or doctorId
+ *       404:
+ *         description: Hospital or doctor not found
+ */
+// Registered before /:hospitalId, which would otherwise take "doctor-performance" as a hospital ID
+router.get('/doctor-performance', authorize([ROLES.ADMIN]), analyticsController.getDoctorPerformance);
+
 /**
  * @swagger
  * /api/analytics/{hospitalId}:
@@ -109,7 +273,7 @@ const analyticsController = require('../controllers/analytics.controller');
  *       500:
  *         description: Server error
  */
-router.get('/:hospitalId', analyticsController.getDashboardData);
+router.get('/:hospitalId', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getDashboardData);
 
 /**
  * @swagger
@@ -158,7 +322,7 @@ router.get('/:hospitalId', analyticsController.getDashboardData);
  *       500:
  *         description: Server error
  */
-router.get('/:hospitalId/patient-trends', analyticsController.getPatientTrends);
+router.get('/:hospitalId/patient-trends', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getPatientTrends);
 
 /**
  * @swagger
@@ -210,7 +374,7 @@ router.get('/:hospitalId/patient-trends', analyticsController.getPatientTrends);
  *       500:
  *         description: Server error
  */
-router.get('/:hospitalId/report-trends', analyticsController.getReportTrends);
+router.get('/:hospitalId/report-trends', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getReportTrends);
 
 /**
  * @swagger
@@ -255,7 +419,176 @@ router.get('/:hospitalId/report-trends', analyticsController.getReportTrends);
  *       500:
  *         description: Server error
  */
-router.get('/:hospitalId/doctor-analytics', analyticsController.getDoctorAnalytics);
+router.get('/:hospitalId/doctor-analytics', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getDoctorAnalytics);
+
+/**
+ * @swagger
+ * /api/analytics/{hospitalId}/doctor-performance:
+ *   get:
+ *     summary: Per-doctor performance of a hospital
+ *     description: |
+ *       For each doctor of the hospital and for all of them together: primary assignments received and
+ *       reports reviewed in the period, median and p90 hours from assignment to review, annotation versions
+ *       per day, the share of assignments reassigned to someone else or unassigned before review, and the
+ *       age of the open backlog. Trends give the same metrics per week, month or year. Reassignments are
+ *       counted from the status history, which records doctors from the release of this endpoint on.
+ *     tags: [analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hospitalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: integer
+ *         description: Only this doctor
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly, yearly]
+ *           default: monthly
+ *         description: Last 12 weeks, 12 months or 5 years
+ *     responses:
+ *       200:
+ *         description: Doctor performance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DoctorPerformance'
+ *       400:
+ *         description: Invalid doctorId
+ *       404:
+ *         description: Hospital or doctor not found
+ */
+router.get('/:hospitalId/doctor-performance', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getDoctorPerformance);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlaStageCompliance:
+ *       type: object
+ *       properties:
+ *         measured:
+ *           type: integer
+ *           description: Reports that finished this stage
+ *         withinTarget:
+ *           type: integer
+ *         complianceRate:
+ *           type: number
+ *           nullable: true
+ *           example: 92.5
+ *           description: Percentage within target; null when nothing was measured
+ *         averageHours:
+ *           type: number
+ *           nullable: true
+ *         medianHours:
+ *           type: number
+ *           nullable: true
+ *         p90Hours:
+ *           type: number
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/analytics/{hospitalId}/sla:
+ *   get:
+ *     summary: Report turnaround (SLA) compliance
+ *     description: |
+ *       Compliance of reports uploaded in the period with the hospital's targets (see /api/hospitals/{id}/sla),
+ *       overall and per week, month or year of upload. Assignment is measured from upload to assignment and
+ *       review from assignment to review, using the latest assignment of a report. Also lists the open
+ *       reports that are past their target now and counts what the escalation job did in the period.
+ *     tags: [analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hospitalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly, yearly]
+ *           default: monthly
+ *         description: Last 12 weeks, 12 months or 5 years
+ *     responses:
+ *       200:
+ *         description: SLA compliance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period:
+ *                   type: string
+ *                 since:
+ *                   type: string
+ *                   format: date-time
+ *                 targets:
+ *                   type: object
+ *                 overall:
+ *                   type: object
+ *                   properties:
+ *                     assignment:
+ *                       $ref: '#/components/schemas/SlaStageCompliance'
+ *                     review:
+ *                       $ref: '#/components/schemas/SlaStageCompliance'
+ *                 trends:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: string
+ *                         example: "2025-04"
+ *                       reports:
+ *                         type: integer
+ *                       assignment:
+ *                         $ref: '#/components/schemas/SlaStageCompliance'
+ *                       review:
+ *                         $ref: '#/components/schemas/SlaStageCompliance'
+ *                 openBreaches:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       reportId:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       assignedDoctorId:
+ *                         type: integer
+ *                         nullable: true
+ *                       stage:
+ *                         type: string
+ *                         enum: [assignment, review]
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                       overdueHours:
+ *                         type: number
+ *                 escalations:
+ *                   type: object
+ *                   description: Escalations in the period by action
+ *                   example: { "notified": 12, "reassigned": 3, "assigned": 1 }
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/:hospitalId/sla', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getSlaCompliance);
 
 /**
  * @swagger
@@ -322,7 +655,7 @@ router.get('/:hospitalId/doctor-analytics', analyticsController.getDoctorAnalyti
  *       500:
  *         description: Server error
  */
-router.get('/:hospitalId/quick-stats', analyticsController.getQuickStats);
+router.get('/:hospitalId/quick-stats', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getQuickStats);
 
 /**
  * @swagger
@@ -381,6 +714,6 @@ router.get('/:hospitalId/quick-stats', analyticsController.getQuickStats);
  *       500:
  *         description: Server error
  */
-router.get('/:hospitalId/recent-activities', analyticsController.getRecentActivities);
+router.get('/:hospitalId/recent-activities', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), analyticsController.getRecentActivities);
 
 module.exports = router;
\ No newline at end of file
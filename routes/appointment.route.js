@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const appointmentController = require('../controllers/appointment.controller');
+const { authorize, ROLES } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -102,7 +103,7 @@ router.post('/', appointmentController.createAppointment);
  *       500:
  *         description: Server error
  */
-router.get('/', appointmentController.getAllAppointments);
+router.get('/', authorize([ROLES.ADMIN]), appointmentController.getAllAppointments);
 
 /**
  * @swagger
@@ -124,7 +125,7 @@ router.get('/', appointmentController.getAllAppointments);
  *       404:
  *         description: Appointment not found
  */
-router.get('/:id', appointmentController.getAppointmentById);
+router.get('/:id', authorize([ROLES.ADMIN]), appointmentController.getAppointmentById);
 
 /**
  * @swagger
@@ -175,7 +176,7 @@ router.get('/:id', appointmentController.getAppointmentById);
  *       404:
  *         description: Appointment not found
  */
-router.put('/:id', appointmentController.updateAppointment);
+router.put('/:id', authorize([ROLES.ADMIN]), appointmentController.updateAppointment);
 
 /**
  * @swagger
@@ -210,7 +211,7 @@ router.put('/:id', appointmentController.updateAppointment);
  *       404:
  *         description: Appointment not found
  */
-router.patch('/:id/status', appointmentController.updateAppointmentStatus);
+router.patch('/:id/status', authorize([ROLES.ADMIN]), appointmentController.updateAppointmentStatus);
 
 /**
  * @swagger
@@ -232,7 +233,7 @@ router.patch('/:id/status', appointmentController.updateAppointmentStatus);
  *       404:
  *         description: Appointment not found
  */
-router.delete('/:id', appointmentController.deleteAppointment);
+router.delete('/:id', authorize([ROLES.ADMIN]), appointmentController.deleteAppointment);
 
 /**
  * @swagger
@@ -253,7 +254,7 @@ router.delete('/:id', appointmentController.deleteAppointment);
  *       200:
  *         description: List of matching appointments
  */
-router.get('/search', appointmentController.searchAppointments);
+router.get('/search', authorize([ROLES.ADMIN]), appointmentController.searchAppointments);
 
 /**
  * @swagger
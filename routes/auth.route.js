@@ -0,0 +1,448 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth.controller');
+const { authorize, ANY_ROLE, ROLES } = require('../middlewares/authorize');
+const twoFactorSetup = require('../middlewares/twoFactorSetup');
+
+// Every account that logs in, patients included
+const ALL_ROLES = [...ANY_ROLE, ROLES.PATIENT];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: |
+ *     Login sessions. Every login (admin, hospital, doctor, patient portal) returns a short-lived access
+ *     token (ACCESS_TOKEN_TTL_MINUTES, default 15) and a refresh token (REFRESH_TOKEN_TTL_DAYS of
+ *     inactivity, default 30). When a request answers 401 with code "token_expired", exchange the refresh
+ *     token at /api/auth/refresh. Each refresh token works once; sending the replaced one again revokes the session.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: 'Access token, sent as "Authorization: Bearer <token>"'
+ *         refreshToken:
+ *           type: string
+ *           example: "42.pRk1a0bZ3yq8h3Jmv8XrYw2T0nq5u6dQ1sLkVb9cFhE"
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds until the access token expires
+ *           example: 900
+ *         refreshTokenExpiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: Returns a new access token and a new refresh token; the refresh token sent stops working.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AuthTokens'
+ *                 - type: object
+ *                   properties:
+ *                     role:
+ *                       type: string
+ *                       enum: [admin, hospital, doctor, patient]
+ *       400:
+ *         description: refreshToken missing
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out this device
+ *     description: Revokes the session of the access token, together with its refresh token.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post('/logout', authorize(ALL_ROLES), authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out all devices
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepCurrent:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Stay logged in on this device
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *       400:
+ *         description: keepCurrent is not a boolean
+ */
+router.post('/logout-all', authorize(ALL_ROLES), authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Active sessions (devices) of the logged-in account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       userAgent:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ */
+router.get('/sessions', authorize(ALL_ROLES), authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Log out one device of the logged-in account
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authorize(ALL_ROLES), authController.revokeOwnSession);
+
+/**
+ * @swagger
+ * /api/auth/revoke:
+ *   post:
+ *     summary: Log an account out of every device
+ *     description: Admins can revoke any account's sessions, hospitals those of their own doctors.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userType, userId]
+ *             properties:
+ *               userType:
+ *                 type: string
+ *                 enum: [admin, hospital, doctor, patient]
+ *               userId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       400:
+ *         description: Invalid userType or userId
+ *       403:
+ *         description: Not one of the hospital's doctors
+ */
+router.post('/revoke', authorize([ROLES.ADMIN, ROLES.HOSPITAL]), authController.revokeAccountSessions);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Two-factor authentication status of the logged-in account
+ *     description: |
+ *       Admin, hospital and doctor accounts can protect their login with an authenticator app (TOTP).
+ *       With 2FA on, logins need twoFactorCode next to the password: a code from the app or one of the
+ *       recovery codes, each of which works once.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 required:
+ *                   type: boolean
+ *                   description: Required by the hospital (or for admins); cannot be turned off
+ *                 enabledAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 recoveryCodesRemaining:
+ *                   type: integer
+ *                 setupPending:
+ *                   type: boolean
+ */
+router.get('/2fa', authorize(ANY_ROLE), authController.getTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start adding an authenticator app
+ *     description: |
+ *       Returns a new secret and a QR code to scan. Authenticate with the access token, or with the
+ *       setupToken from a login that requires 2FA the account has not set up. With 2FA already on (to
+ *       move to a new phone), send a current code as well. Confirm with /api/auth/2fa/enable.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               setupToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Current code or recovery code, when 2FA is already on
+ *     responses:
+ *       200:
+ *         description: Secret to add to the authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   description: Base32, for typing into the app by hand
+ *                 otpauthUrl:
+ *                   type: string
+ *                 qrCode:
+ *                   type: string
+ *                   description: PNG data URL of otpauthUrl
+ *       400:
+ *         description: 2FA is on and no or a wrong current code was sent
+ *       401:
+ *         description: Not authenticated, or the setup token is invalid or expired
+ *       429:
+ *         description: Too many wrong codes
+ */
+router.post('/2fa/setup', twoFactorSetup, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm the authenticator app and turn two-factor authentication on
+ *     description: Returns new recovery codes. They are shown only once; store them somewhere safe.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               setupToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: 2FA is on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: "K7QMX-4RT9H"
+ *       400:
+ *         description: Missing or wrong code
+ *       409:
+ *         description: No setup in progress
+ */
+router.post('/2fa/enable', twoFactorSetup, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones stop working
+ *       400:
+ *         description: Missing or wrong code
+ *       409:
+ *         description: 2FA is not on
+ *       429:
+ *         description: Too many wrong codes
+ */
+router.post('/2fa/recovery-codes', authorize(ANY_ROLE), authController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA is off
+ *       400:
+ *         description: Missing or wrong code
+ *       403:
+ *         description: 2FA is required for this account
+ *       409:
+ *         description: 2FA is not on
+ *       429:
+ *         description: Too many wrong codes
+ */
+router.post('/2fa/disable', authorize(ANY_ROLE), authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/reset:
+ *   post:
+ *     summary: Remove an account's two-factor authentication, e.g. after a lost phone
+ *     description: Admins can reset any staff account, hospitals their own doctors.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userType, userId]
+ *             properties:
+ *               userType:
+ *                 type: string
+ *                 enum: [admin, hospital, doctor]
+ *               userId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: 2FA removed
+ *       400:
+ *         description: Invalid userType or userId
+ *       403:
+ *         description: Not one of the hospital's doctors
+ */
+router.post('/2fa/reset', authorize([ROLES.ADMIN, ROLES.HOSPITAL]), authController.resetAccountTwoFactor);
+
+module.exports = router;
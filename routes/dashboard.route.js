@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboard.controller');
-const authMiddleware = require('../middlewares/auth');
+const { authorize, ROLES } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -84,6 +84,6 @@ const authMiddleware = require('../middlewares/auth');
  *                           month: { type: string }
  *                           count: { type: integer }
  */
-router.get('/admin/dashboard', authMiddleware, dashboardController.getAdminDashboard);
+router.get('/admin/dashboard', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), dashboardController.getAdminDashboard);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const doctorController = require('../controllers/doctor.controller');
-const authMiddleware = require('../middlewares/auth');
+const { authorize, ROLES, ANY_ROLE } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -36,6 +36,9 @@ const authMiddleware = require('../middlewares/auth');
  *                 format: password
  *                 minLength: 6
  *                 example: "password123"
+ *               twoFactorCode:
+ *                 type: string
+ *                 description: Authenticator or recovery code, for accounts with two-factor authentication (see /api/auth/2fa)
  *     responses:
  *       200:
  *         description: Login successful - Returns JWT token and doctor info
@@ -46,7 +49,16 @@ const authMiddleware = require('../middlewares/auth');
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Access token, valid for ACCESS_TOKEN_TTL_MINUTES (see /api/auth/refresh)
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for new tokens
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the access token expires
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *                 message:
  *                   type: string
  *                   example: "✅ Login successful"
@@ -80,7 +92,11 @@ const authMiddleware = require('../middlewares/auth');
  *       400:
  *         description: Missing required fields or invalid email format
  *       401:
- *         description: Invalid credentials, account deactivated, or hospital not verified
+ *         description: Invalid credentials, account deactivated, hospital not verified, or a two-factor code is missing or wrong (twoFactorRequired is true)
+ *       403:
+ *         description: Two-factor authentication is required but not set up; returns twoFactorSetupRequired and a setupToken for /api/auth/2fa/setup
+ *       429:
+ *         description: Too many wrong two-factor codes
  */
 router.post('/login', doctorController.login);
 
@@ -126,6 +142,10 @@ router.post('/login', doctorController.login);
  *               designation:
  *                 type: string
  *                 example: "Senior Consultant"
+ *               registrationNumber:
+ *                 type: string
+ *                 description: Medical council registration number, printed on signed reports
+ *                 example: "MCI-123456"
  *               hospitalId:
  *                 type: integer
  *                 description: Required only for admin users. For hospitals, this is automatically set from their token.
@@ -174,13 +194,14 @@ router.post('/login', doctorController.login);
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, doctorController.createDoctor);
+router.post('/', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), doctorController.createDoctor);
 
 /**
  * @swagger
  * /api/doctors/hospital/{hospitalId}:
  *   get:
  *     summary: Get all doctors by hospital
+ *     description: Each doctor has isOnline, true while they are connected to the real-time socket.
  *     tags: [Doctors]
  *     security:
  *       - bearerAuth: []
@@ -199,7 +220,79 @@ router.post('/', authMiddleware, doctorController.createDoctor);
  *       500:
  *         description: Server error
  */
-router.get('/hospital/:hospitalId', authMiddleware, doctorController.getDoctorsByHospital);
+router.get('/hospital/:hospitalId', authorize(), doctorController.getDoctorsByHospital);
+
+/**
+ * @swagger
+ * /api/doctors/hospital/{hospitalId}/available:
+ *   get:
+ *     summary: Doctors of a hospital who can review reports right now
+ *     description: |
+ *       Active doctors who are not on leave, within their working hours and below their review limit.
+ *       With includeUnavailable every active doctor is listed, with the reasons they are unavailable.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hospitalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: specialization
+ *         schema:
+ *           type: string
+ *         description: Only doctors with this specialization (case-insensitive)
+ *       - in: query
+ *         name: includeUnavailable
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Doctors with their current availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 doctors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       specialization:
+ *                         type: string
+ *                       available:
+ *                         type: boolean
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [on_leave, outside_working_hours, at_capacity]
+ *                       pending:
+ *                         type: integer
+ *                         description: Reports assigned or in review waiting for this doctor
+ *                       maxConcurrentReviews:
+ *                         type: integer
+ *                         nullable: true
+ *                       leave:
+ *                         type: object
+ *                         nullable: true
+ *                       isOnline:
+ *                         type: boolean
+ *                 checkedAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/hospital/:hospitalId/available', authorize(), doctorController.getAvailableDoctors);
 
 /**
  * @swagger
@@ -415,7 +508,7 @@ router.get('/hospital/:hospitalId', authMiddleware, doctorController.getDoctorsB
  *                   type: string
  *                   example: "Internal server error"
  */
-router.get('/assigned-reports', authMiddleware, doctorController.getAssignedReports);
+router.get('/assigned-reports', authorize([ROLES.DOCTOR]), doctorController.getAssignedReports);
 
 /**
  * @swagger
@@ -517,7 +610,7 @@ router.get('/assigned-reports', authMiddleware, doctorController.getAssignedRepo
  *                   type: string
  *                   example: "Timeout or network error while fetching PDF"
  */
-router.post('/proxy-pdf', authMiddleware, doctorController.proxyPdf);
+router.post('/proxy-pdf', authorize(), doctorController.proxyPdf);
 
 /**
  * @swagger
@@ -539,7 +632,7 @@ router.post('/proxy-pdf', authMiddleware, doctorController.proxyPdf);
  *       404:
  *         description: Doctor not found
  */
-router.get('/:id', authMiddleware, doctorController.getDoctorById);
+router.get('/:id', authorize(ANY_ROLE, { params: { id: 'doctor' } }), doctorController.getDoctorById);
 
 /**
  * @swagger
@@ -577,13 +670,15 @@ router.get('/:id', authMiddleware, doctorController.getDoctorById);
  *                 type: string
  *               designation:
  *                 type: string
+ *               registrationNumber:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Doctor updated
  *       404:
  *         description: Doctor not found
  */
-router.put('/:id', authMiddleware, doctorController.updateDoctor);
+router.put('/:id', authorize(ANY_ROLE, { params: { id: 'doctor' } }), doctorController.updateDoctor);
 
 /**
  * @swagger
@@ -605,7 +700,156 @@ router.put('/:id', authMiddleware, doctorController.updateDoctor);
  *       404:
  *         description: Doctor not found
  */
-router.delete('/:id', authMiddleware, doctorController.deleteDoctor);
+router.delete('/:id', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'doctor' } }), doctorController.deleteDoctor);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorAvailability:
+ *       type: object
+ *       properties:
+ *         workingHours:
+ *           type: object
+ *           nullable: true
+ *           description: |
+ *             Shifts per weekday (sun..sat) in the doctor's local time. A shift may run past midnight.
+ *             Days left out are days off; null means always working.
+ *           example: { "mon": [{ "start": "09:00", "end": "17:00" }], "sat": [{ "start": "22:00", "end": "06:00" }] }
+ *         timezone:
+ *           type: string
+ *           example: "Asia/Kolkata"
+ *         maxConcurrentReviews:
+ *           type: integer
+ *           nullable: true
+ *           description: Most reports waiting for the doctor at once; null means no limit
+ *           example: 20
+ */
+
+/**
+ * @swagger
+ * /api/doctors/{id}/availability:
+ *   get:
+ *     summary: Get a doctor's working hours, review limit, upcoming leave and current availability
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Availability settings, current state and leave that has not ended
+ *       404:
+ *         description: Doctor not found
+ *   put:
+ *     summary: Update a doctor's working hours, time zone or review limit
+ *     description: Only the keys sent are changed. Doctors update their own, hospitals those of their doctors.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DoctorAvailability'
+ *     responses:
+ *       200:
+ *         description: Availability updated
+ *       400:
+ *         description: Invalid working hours, time zone or limit
+ *       404:
+ *         description: Doctor not found
+ */
+router.get('/:id/availability', authorize(ANY_ROLE, { params: { id: 'doctor' } }), doctorController.getAvailability);
+router.put('/:id/availability', authorize(ANY_ROLE, { params: { id: 'doctor' } }), doctorController.updateAvailability);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/leaves:
+ *   post:
+ *     summary: Add a leave period
+ *     description: |
+ *       No reports are assigned automatically during leave, and manual assignment needs force.
+ *       Reports already waiting for the doctor stay assigned; pendingReports tells how many.
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-05-01"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-05-07"
+ *                 description: Last day of leave (included)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Leave added
+ *       400:
+ *         description: Invalid dates
+ *       404:
+ *         description: Doctor not found
+ *       409:
+ *         description: Overlaps an existing leave period
+ */
+router.post('/:id/leaves', authorize(ANY_ROLE, { params: { id: 'doctor' } }), doctorController.addLeave);
+
+/**
+ * @swagger
+ * /api/doctors/{id}/leaves/{leaveId}:
+ *   delete:
+ *     summary: Delete a leave period
+ *     tags: [Doctors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: leaveId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave deleted
+ *       404:
+ *         description: Doctor or leave not found
+ */
+router.delete('/:id/leaves/:leaveId', authorize(ANY_ROLE, { params: { id: 'doctor' } }), doctorController.deleteLeave);
 
 /**
  * @swagger
@@ -625,6 +869,6 @@ router.delete('/:id', authMiddleware, doctorController.deleteDoctor);
  *       200:
  *         description: List of matching doctors
  */
-router.get('/search', authMiddleware, doctorController.searchDoctors);
+router.get('/search', authorize(), doctorController.searchDoctors);
 
 module.exports = router;
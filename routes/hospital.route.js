@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const hospitalController = require('../controllers/hospital.controller');
+const { authorize, ROLES } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -109,6 +110,9 @@ router.post('/verify-otp', hospitalController.verifyOtp);
  *               password:
  *                 type: string
  *                 example: "securePassword123"
+ *               twoFactorCode:
+ *                 type: string
+ *                 description: Authenticator or recovery code, for accounts with two-factor authentication (see /api/auth/2fa)
  *     responses:
  *       200:
  *         description: Returns JWT token and hospital info
@@ -119,6 +123,15 @@ router.post('/verify-otp', hospitalController.verifyOtp);
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for new tokens
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the access token expires
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *                 hospital:
  *                   type: object
  *                   properties:
@@ -131,7 +144,11 @@ router.post('/verify-otp', hospitalController.verifyOtp);
  *                     imageUrl:
  *                       type: string
  *       401:
- *         description: Invalid credentials or email not verified
+ *         description: Invalid credentials, email not verified, or a two-factor code is missing or wrong (twoFactorRequired is true)
+ *       403:
+ *         description: Two-factor authentication is required but not set up; returns twoFactorSetupRequired and a setupToken for /api/auth/2fa/setup
+ *       429:
+ *         description: Too many wrong two-factor codes
  *       500:
  *         description: Server error
  */
@@ -221,6 +238,505 @@ router.post('/login', hospitalController.login);
  *       500:
  *         description: Server error
  */
-router.put('/:id', hospitalController.handleFileUpload, hospitalController.updateHospital);
+router.put('/:id', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.handleFileUpload, hospitalController.updateHospital);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportBranding:
+ *       type: object
+ *       properties:
+ *         accentColor:
+ *           type: string
+ *           example: "#FFB6C1"
+ *           description: Page border and section outlines
+ *         secondaryColor:
+ *           type: string
+ *           example: "#FFF0F5"
+ *           description: Detail boxes, table headers and footer background
+ *         headerColor:
+ *           type: string
+ *           example: "#000000"
+ *           description: Detail box titles
+ *         headerText:
+ *           type: string
+ *           nullable: true
+ *           description: Line under the report heading
+ *         footerText:
+ *           type: string
+ *           nullable: true
+ *           description: Line above the disclaimer
+ *         disclaimer:
+ *           type: string
+ *           nullable: true
+ *           description: Replaces the disclaimer of the report template
+ *         signatureBlobName:
+ *           type: string
+ *           nullable: true
+ *           description: Uploaded signature image, kept in private storage (see the preview for how it prints)
+ *         signatureLabel:
+ *           type: string
+ *           example: "Authorised Signatory"
+ *         sections:
+ *           type: object
+ *           description: Which parts of the report are shown
+ *           properties:
+ *             subjectDetails:
+ *               type: boolean
+ *             questionnaire:
+ *               type: boolean
+ *             remarks:
+ *               type: boolean
+ *             signature:
+ *               type: boolean
+ *               description: Signature block with the reporting doctor (off by default)
+ *             poweredBy:
+ *               type: boolean
+ *     ReportBrandingInput:
+ *       type: object
+ *       description: Only the keys sent are changed; null or an empty string resets a key to its default
+ *       properties:
+ *         accentColor:
+ *           type: string
+ *           example: "#1E40AF"
+ *         secondaryColor:
+ *           type: string
+ *           example: "#EFF6FF"
+ *         headerColor:
+ *           type: string
+ *           example: "#1E3A8A"
+ *         headerText:
+ *           type: string
+ *           example: "Department of Radiology"
+ *         footerText:
+ *           type: string
+ *           example: "City Hospital, 123 Main Street - 079 1234 5678"
+ *         disclaimer:
+ *           type: string
+ *         signatureLabel:
+ *           type: string
+ *         sections:
+ *           type: string
+ *           description: JSON object of section flags
+ *           example: '{"signature": true, "poweredBy": false}'
+ *         signature:
+ *           type: string
+ *           format: binary
+ *           description: Signature image shown in the signature block
+ *         removeSignature:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/report-branding:
+ *   get:
+ *     summary: Get the report PDF branding of a hospital
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *     responses:
+ *       200:
+ *         description: Effective branding (defaults filled in)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 branding:
+ *                   $ref: '#/components/schemas/ReportBranding'
+ *                 sections:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       404:
+ *         description: Hospital not found
+ *   put:
+ *     summary: Update the report PDF branding of a hospital
+ *     description: Applied to every report generated afterwards, including reports already queued.
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportBrandingInput'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportBrandingInput'
+ *     responses:
+ *       200:
+ *         description: Branding updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 branding:
+ *                   $ref: '#/components/schemas/ReportBranding'
+ *       400:
+ *         description: Invalid branding
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/:id/report-branding', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.getReportBranding);
+router.put('/:id/report-branding', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.handleSignatureUpload, hospitalController.updateReportBranding);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/report-branding/preview:
+ *   post:
+ *     summary: Preview the report branding as a sample PDF
+ *     description: |
+ *       Renders a report with sample patient data and placeholder images, using the stored branding
+ *       plus any unsaved changes in the body. Nothing is stored.
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *       - in: query
+ *         name: templateKey
+ *         schema:
+ *           type: string
+ *           enum: [breast-thermal, ecg, comprehensive]
+ *           default: breast-thermal
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportBrandingInput'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportBrandingInput'
+ *     responses:
+ *       200:
+ *         description: Sample PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid branding
+ *       404:
+ *         description: Hospital or template not found
+ */
+router.post('/:id/report-branding/preview', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.handleSignatureUpload, hospitalController.previewReportBranding);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AutoAssignmentRules:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: Assign new reports (uploads, offline sync, generated reports) as soon as they are created
+ *         strategy:
+ *           type: string
+ *           enum: [round_robin, least_loaded]
+ *           description: |
+ *             round_robin picks the doctor whose last assignment is the oldest; least_loaded the doctor
+ *             with the fewest reports waiting for their reading
+ *         matchSpecialization:
+ *           type: boolean
+ *           description: Only pick doctors whose specialization is listed for the report in specializations
+ *         specializations:
+ *           type: object
+ *           description: |
+ *             Accepted doctor specializations per report template key or report type (template key wins).
+ *             Reports without an entry can go to any doctor. In an update, null removes an entry.
+ *           example: { "ecg": ["Cardiology"], "Radiology": ["Radiology", "Oncology"] }
+ *         fallbackToAnySpecialization:
+ *           type: boolean
+ *           description: With no matching doctor use any doctor, instead of leaving the report unassigned
+ *         onlyOnline:
+ *           type: boolean
+ *           description: Only pick doctors connected right now
+ */
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/auto-assignment:
+ *   get:
+ *     summary: Get the auto-assignment rules of a hospital
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *     responses:
+ *       200:
+ *         description: Effective rules (defaults filled in) and the active doctors they choose from
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   $ref: '#/components/schemas/AutoAssignmentRules'
+ *                 strategies:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 doctors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       specialization:
+ *                         type: string
+ *                       pending:
+ *                         type: integer
+ *                         description: Reports assigned or in review waiting for this doctor
+ *                       lastAssignedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       available:
+ *                         type: boolean
+ *                       unavailableReasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [on_leave, outside_working_hours, at_capacity]
+ *                         description: |
+ *                           Doctors on leave or at capacity are never picked; doctors outside their working
+ *                           hours only when no other doctor is working
+ *                       online:
+ *                         type: boolean
+ *       404:
+ *         description: Hospital not found
+ *   put:
+ *     summary: Update the auto-assignment rules of a hospital
+ *     description: Only the keys sent are changed.
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutoAssignmentRules'
+ *     responses:
+ *       200:
+ *         description: Rules updated
+ *       400:
+ *         description: Invalid rules
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/:id/auto-assignment', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.getAutoAssignment);
+router.put('/:id/auto-assignment', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.updateAutoAssignment);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlaSettings:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           description: Escalate reports that miss their targets (checked every 15 minutes)
+ *         assignmentHours:
+ *           type: number
+ *           example: 4
+ *           description: Hours from upload until a doctor must be assigned
+ *         reviewHours:
+ *           type: number
+ *           example: 24
+ *           description: Hours from the latest assignment until the report must be reviewed
+ *         overrides:
+ *           type: object
+ *           description: |
+ *             Targets per report template key or report type (template key wins). In an update, null
+ *             removes an entry.
+ *           example: { "ecg": { "reviewHours": 6 }, "Radiology": { "assignmentHours": 2 } }
+ *         reassign:
+ *           type: boolean
+ *           description: |
+ *             Give breaching reports to another doctor picked by the auto-assignment rules. Reports a
+ *             doctor has started reviewing are never taken away.
+ *         remindDoctor:
+ *           type: boolean
+ *           description: Tell the assigned doctor when their review is overdue
+ */
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/sla:
+ *   get:
+ *     summary: Get the report turnaround targets of a hospital
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *     responses:
+ *       200:
+ *         description: Effective settings (defaults filled in)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sla:
+ *                   $ref: '#/components/schemas/SlaSettings'
+ *       404:
+ *         description: Hospital not found
+ *   put:
+ *     summary: Update the report turnaround targets of a hospital
+ *     description: |
+ *       Only the keys sent are changed. Each breach is escalated once: the hospital gets one notification
+ *       per check listing its new breaches.
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hospital ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SlaSettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Invalid settings
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/:id/sla', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.getSlaSettings);
+router.put('/:id/sla', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.updateSlaSettings);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/two-factor:
+ *   get:
+ *     summary: Whether the hospital requires two-factor authentication, and how many of its accounts use it
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 twoFactor:
+ *                   type: object
+ *                   properties:
+ *                     required:
+ *                       type: boolean
+ *                     hospitalEnabled:
+ *                       type: boolean
+ *                       description: The hospital account has 2FA on
+ *                     doctors:
+ *                       type: object
+ *                       description: Active doctors, and how many of them have 2FA on
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         enabled:
+ *                           type: integer
+ *       404:
+ *         description: Hospital not found
+ *   put:
+ *     summary: Require two-factor authentication for the hospital account and its doctors (admin)
+ *     description: |
+ *       Once required, logins of accounts without 2FA answer 403 with a setupToken for /api/auth/2fa/setup
+ *       instead of logging in, and 2FA can no longer be turned off.
+ *     tags: [Hospitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [required]
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Requirement updated
+ *       400:
+ *         description: required is not a boolean
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/:id/two-factor', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'hospital' } }), hospitalController.getTwoFactorRequirement);
+router.put('/:id/two-factor', authorize([ROLES.ADMIN]), hospitalController.updateTwoFactorRequirement);
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,349 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notification.controller');
-const authMiddleware = require('../middlewares/auth');
+const { authorize, ROLES, ANY_ROLE } = require('../middlewares/authorize');
 
-router.get('/', authMiddleware, notificationController.getNotifications);
-router.put('/:id/read', authMiddleware, notificationController.markAsRead);
-router.put('/read-all', authMiddleware, notificationController.markAllAsRead);
+// Patients (patient portal) have their own notifications and settings
+const NOTIFICATION_ROLES = [...ANY_ROLE, ROLES.PATIENT];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notifications and per-user delivery settings
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         channels:
+ *           type: object
+ *           description: Master switch per channel; a channel that is off is never used
+ *           properties:
+ *             inApp:
+ *               type: boolean
+ *             email:
+ *               type: boolean
+ *             sms:
+ *               type: boolean
+ *             webhook:
+ *               type: boolean
+ *           example: { "inApp": true, "email": true, "sms": false, "webhook": false }
+ *         types:
+ *           type: object
+ *           description: |
+ *             Channel overrides per notification type. Types without an override use the channels of
+ *             their template (webhooks receive every type).
+ *           example: { "REPORT_READY": { "email": true }, "REPORT_REVIEWED": { "webhook": false } }
+ *         webhookUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Must resolve to a public internet address; private and internal networks are refused
+ *           example: "https://example.com/hooks/d3s"
+ *         hasWebhookSecret:
+ *           type: boolean
+ *           readOnly: true
+ *         quietHours:
+ *           type: object
+ *           nullable: true
+ *           description: Email and SMS created in this window (local time) are sent when it ends
+ *           properties:
+ *             start:
+ *               type: string
+ *               example: "22:00"
+ *             end:
+ *               type: string
+ *               example: "07:00"
+ *         timezone:
+ *           type: string
+ *           example: "Asia/Kolkata"
+ *         digest:
+ *           type: object
+ *           description: With mode "daily" emails are collected and sent as one message at the given local hour
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [off, daily]
+ *             hour:
+ *               type: integer
+ *               minimum: 0
+ *               maximum: 23
+ *               example: 8
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationBulkTarget:
+ *       type: object
+ *       description: Either ids or filter. A filter covers archived notifications too unless it sets archived.
+ *       properties:
+ *         ids:
+ *           type: array
+ *           maxItems: 500
+ *           items:
+ *             type: integer
+ *           example: [12, 15, 18]
+ *         filter:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: "REPORT_ASSIGNED"
+ *             isRead:
+ *               type: boolean
+ *             relatedId:
+ *               type: integer
+ *             archived:
+ *               type: string
+ *               enum: ["false", "true", "all"]
+ *             before:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the caller's notifications, newest first
+ *     description: |
+ *       Cursor-paged: pass nextCursor from the previous response as cursor to get the next page.
+ *       Archived notifications are left out unless archived is true or all.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: One type or a comma-separated list, e.g. REPORT_ASSIGNED,REPORT_READY
+ *       - in: query
+ *         name: isRead
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: relatedId
+ *         schema:
+ *           type: integer
+ *         description: e.g. a report ID
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: string
+ *           enum: ["false", "true", "all"]
+ *           default: "false"
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: One page of notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 unreadCount:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *                 limit:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter or cursor
+ *   delete:
+ *     summary: Delete several notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationBulkTarget'
+ *     responses:
+ *       200:
+ *         description: Number of notifications deleted
+ *       400:
+ *         description: Neither ids nor filter given, or invalid values
+ */
+router.get('/', authorize(NOTIFICATION_ROLES), notificationController.getNotifications);
+router.delete('/', authorize(NOTIFICATION_ROLES), notificationController.deleteNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Number of unread, unarchived notifications of the caller
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only count these types (comma-separated)
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ */
+router.get('/unread-count', authorize(NOTIFICATION_ROLES), notificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/archive:
+ *   put:
+ *     summary: Archive several notifications
+ *     description: Archived notifications are hidden from the list and the unread count.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationBulkTarget'
+ *     responses:
+ *       200:
+ *         description: Number of notifications archived
+ * /api/notifications/unarchive:
+ *   put:
+ *     summary: Move archived notifications back to the list
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationBulkTarget'
+ *     responses:
+ *       200:
+ *         description: Number of notifications unarchived
+ */
+router.put('/archive', authorize(NOTIFICATION_ROLES), notificationController.archiveNotifications);
+router.put('/unarchive', authorize(NOTIFICATION_ROLES), notificationController.unarchiveNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the caller's notification settings
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings with defaults filled in, plus the known channels and notification types
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *                 channels:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 digestModes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 notificationTypes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *   put:
+ *     summary: Change the caller's notification settings
+ *     description: |
+ *       Only the settings sent are changed. In types, null removes the override of a type or channel.
+ *       Setting up a webhook creates a signing secret, returned once as webhookSecret; send
+ *       rotateWebhookSecret true for a new one. Webhook requests are signed with
+ *       X-D3S-Signature = "sha256=" + hex HMAC-SHA256 of "{X-D3S-Timestamp}.{raw body}".
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/NotificationPreferences'
+ *               - type: object
+ *                 properties:
+ *                   rotateWebhookSecret:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       400:
+ *         description: Invalid settings
+ */
+router.get('/preferences', authorize(NOTIFICATION_ROLES), notificationController.getPreferences);
+router.put('/preferences', authorize(NOTIFICATION_ROLES), notificationController.updatePreferences);
+
+router.put('/:id/read', authorize(NOTIFICATION_ROLES), notificationController.markAsRead);
+router.put('/read-all', authorize(NOTIFICATION_ROLES), notificationController.markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete one notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *       404:
+ *         description: Notification not found
+ */
+router.delete('/:id', authorize(NOTIFICATION_ROLES), notificationController.deleteNotification);
 
 module.exports = router;
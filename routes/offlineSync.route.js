@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const offlineSyncController = require('../controllers/offlineSync.controller');
+const { authorize, checkOwnership, ROLES } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -68,7 +69,7 @@ const offlineSyncController = require('../controllers/offlineSync.controller');
  *       500:
  *         description: Server error
  */
-router.post('/doctors', offlineSyncController.syncDoctor);
+router.post('/doctors', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), offlineSyncController.syncDoctor);
 
 /**
  * @swagger
@@ -140,7 +141,7 @@ router.post('/doctors', offlineSyncController.syncDoctor);
  *       500:
  *         description: Server error
  */
-router.post('/patients', offlineSyncController.syncPatient);
+router.post('/patients', authorize(), offlineSyncController.syncPatient);
 
 /**
  * @swagger
@@ -212,7 +213,7 @@ router.post('/patients', offlineSyncController.syncPatient);
  *       500:
  *         description: Server error
  */
-router.post('/reports', offlineSyncController.uploadPdfMiddleware, offlineSyncController.syncReport);
+router.post('/reports', authorize(), offlineSyncController.uploadPdfMiddleware, checkOwnership(), offlineSyncController.syncReport);
 
 module.exports = router;
 
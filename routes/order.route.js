@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/order.controller');
+const { authorize, ROLES } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -75,7 +76,7 @@ const orderController = require('../controllers/order.controller');
  *       500:
  *         description: Server error
  */
-router.post('/products', orderController.handleFileUpload, orderController.createProduct);
+router.post('/products', authorize([ROLES.ADMIN]), orderController.handleFileUpload, orderController.createProduct);
 
 /**
  * @swagger
@@ -135,7 +136,7 @@ router.post('/products', orderController.handleFileUpload, orderController.creat
  *       500:
  *         description: Server error
  */
-router.put('/products/:id', orderController.handleFileUpload, orderController.updateProduct);
+router.put('/products/:id', authorize([ROLES.ADMIN]), orderController.handleFileUpload, orderController.updateProduct);
 
 
 /**
@@ -225,7 +226,7 @@ router.put('/products/:id', orderController.handleFileUpload, orderController.up
  *                   type: string
  *                   example: "Database connection error"
  */
-router.delete('/products/:id', orderController.deleteProduct);
+router.delete('/products/:id', authorize([ROLES.ADMIN]), orderController.deleteProduct);
 
 /**
  * @swagger
@@ -295,8 +296,10 @@ router.post('/', orderController.placeOrder);
  * @swagger
  * /api/orders/{orderId}:
  *   get:
- *     summary: Get order by ID
+ *     summary: Get order by ID (Admin only)
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: orderId
@@ -311,14 +314,16 @@ router.post('/', orderController.placeOrder);
  *       500:
  *         description: Server error
  */
-router.get('/:orderId', orderController.getOrderById);
+router.get('/:orderId', authorize([ROLES.ADMIN]), orderController.getOrderById);
 
 /**
  * @swagger
  * /api/orders/customer/{email}:
  *   get:
- *     summary: Get orders by customer email
+ *     summary: Get orders by customer email (Admin only)
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: email
@@ -333,7 +338,7 @@ router.get('/:orderId', orderController.getOrderById);
  *       500:
  *         description: Server error
  */
-router.get('/customer/:email', orderController.getOrdersByEmail);
+router.get('/customer/:email', authorize([ROLES.ADMIN]), orderController.getOrdersByEmail);
 
 // Swagger components
 /**
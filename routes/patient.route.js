@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const patientController = require('../controllers/patient.controller');
-const authMiddleware = require('../middlewares/auth');
+const { authorize, ROLES, ANY_ROLE } = require('../middlewares/authorize');
 
 /**
  * @swagger
@@ -122,7 +122,7 @@ const authMiddleware = require('../middlewares/auth');
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, patientController.createPatient);
+router.post('/', authorize(), patientController.createPatient);
 
 /**
  * @swagger
@@ -145,7 +145,7 @@ router.post('/', authMiddleware, patientController.createPatient);
  *       500:
  *         description: Server error
  */
-router.get('/hospital/:hospitalId', authMiddleware, patientController.getPatientsByHospital);
+router.get('/hospital/:hospitalId', authorize(), patientController.getPatientsByHospital);
 
 /**
  * @swagger
@@ -169,7 +169,7 @@ router.get('/hospital/:hospitalId', authMiddleware, patientController.getPatient
  *       500:
  *         description: Server error
  */
-router.get('/:id', authMiddleware, patientController.getPatientById);
+router.get('/:id', authorize(ANY_ROLE, { params: { id: 'patient' } }), patientController.getPatientById);
 
 /**
  * @swagger
@@ -251,7 +251,7 @@ router.get('/:id', authMiddleware, patientController.getPatientById);
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, patientController.updatePatient);
+router.put('/:id', authorize(ANY_ROLE, { params: { id: 'patient' } }), patientController.updatePatient);
 
 /**
  * @swagger
@@ -275,7 +275,7 @@ router.put('/:id', authMiddleware, patientController.updatePatient);
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, patientController.deletePatient);
+router.delete('/:id', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { id: 'patient' } }), patientController.deletePatient);
 
 /**
  * @swagger
@@ -303,6 +303,6 @@ router.delete('/:id', authMiddleware, patientController.deletePatient);
  *       500:
  *         description: Server error
  */
-router.get('/search', authMiddleware, patientController.searchPatients);
+router.get('/search', authorize(), patientController.searchPatients);
 
 module.exports = router;
\ No newline at end of file
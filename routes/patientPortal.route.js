@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const portalController = require('../controllers/patientPortal.controller');
+const { authorize, ROLES } = require('../middlewares/authorize');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Patient Portal
+ *   description: Passwordless login for patients to see their own reports and appointments
+ */
+
+/**
+ * @swagger
+ * /api/portal/otp/request:
+ *   post:
+ *     summary: Send a login code to a patient's email or phone
+ *     description: |
+ *       The code goes by email or SMS (SMS_DRIVER) to the address given. It is only sent when a patient
+ *       record in any hospital has that email or contact number, and at most once per
+ *       PATIENT_OTP_RESEND_SECONDS (default 60), but the answer is the same either way.
+ *     tags: [Patient Portal]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "patient@example.com"
+ *               phone:
+ *                 type: string
+ *                 example: "9876543210"
+ *     responses:
+ *       200:
+ *         description: Code sent if a patient record matched
+ *       400:
+ *         description: Missing or invalid email/phone
+ */
+router.post('/otp/request', portalController.requestOtp);
+
+/**
+ * @swagger
+ * /api/portal/otp/verify:
+ *   post:
+ *     summary: Log in with the code
+ *     tags: [Patient Portal]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Login successful; use the token as a bearer token on the portal routes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for new tokens
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the access token expires
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   type: object
+ *                 role:
+ *                   type: string
+ *                   example: patient
+ *       401:
+ *         description: Invalid or expired code
+ */
+router.post('/otp/verify', portalController.verifyOtp);
+
+/**
+ * @swagger
+ * /api/portal/me:
+ *   get:
+ *     summary: Logged-in patient and their patient records in each hospital
+ *     tags: [Patient Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account and patient records
+ */
+router.get('/me', authorize([ROLES.PATIENT]), portalController.getProfile);
+
+/**
+ * @swagger
+ * /api/portal/reports:
+ *   get:
+ *     summary: Reports of the logged-in patient across hospitals
+ *     tags: [Patient Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Reports, newest first. hasReviewedPdf tells whether the download is available.
+ */
+router.get('/reports', authorize([ROLES.PATIENT]), portalController.getReports);
+
+/**
+ * @swagger
+ * /api/portal/reports/{reportId}/download:
+ *   get:
+ *     summary: Download the reviewed PDF of a report
+ *     tags: [Patient Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: boolean
+ *         description: Redirect to the file instead of returning the link
+ *     responses:
+ *       200:
+ *         description: Short-lived download link
+ *       404:
+ *         description: Report not found or not reviewed yet
+ */
+router.get('/reports/:reportId/download', authorize([ROLES.PATIENT]), portalController.downloadReport);
+
+/**
+ * @swagger
+ * /api/portal/appointments:
+ *   get:
+ *     summary: Upcoming appointments of the logged-in patient
+ *     description: Pending and confirmed appointments booked with the patient's email addresses or phone numbers.
+ *     tags: [Patient Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Appointments, soonest first
+ */
+router.get('/appointments', authorize([ROLES.PATIENT]), portalController.getAppointments);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/report.controller');
-const authMiddleware = require('../middlewares/auth');
+const { authorize, checkOwnership, ROLES } = require('../middlewares/authorize');
 
 
 /**
@@ -90,6 +90,18 @@ const authMiddleware = require('../middlewares/auth');
  *                     uploadedAt:
  *                       type: string
  *                       format: date-time
+ *                     status:
+ *                       type: string
+ *                       example: "assigned"
+ *                     assignedDoctor:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Set when the hospital's auto-assignment rules assigned the report
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         name:
+ *                           type: string
  *       400:
  *         description: Invalid input or no file uploaded
  *         content:
@@ -120,7 +132,7 @@ const authMiddleware = require('../middlewares/auth');
  *                 error:
  *                   type: string
  */
-router.post('/', reportController.uploadReportFileMiddleware, reportController.createReport);
+router.post('/', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.uploadReportFileMiddleware, checkOwnership(), reportController.createReport);
 
 /**
  * @swagger
@@ -194,8 +206,10 @@ router.post('/', reportController.uploadReportFileMiddleware, reportController.c
  *                 format: binary
  *                 description: Right breast bottom view image
  *     responses:
- *       201:
- *         description: Breast cancer report generated successfully
+ *       202:
+ *         description: |
+ *           Images stored and PDF generation queued. Poll GET /api/reports/jobs/{jobId} (or wait for the
+ *           REPORT_READY notification) for the generated report.
  *         content:
  *           application/json:
  *             schema:
@@ -203,25 +217,9 @@ router.post('/', reportController.uploadReportFileMiddleware, reportController.c
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "✅ Breast cancer report generated and uploaded successfully"
- *                 report:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                     title:
- *                       type: string
- *                     reportType:
- *                       type: string
- *                     patientId:
- *                       type: integer
- *                     doctorId:
- *                       type: integer
- *                     fileName:
- *                       type: string
- *                     uploadedAt:
- *                       type: string
- *                       format: date-time
+ *                   example: "✅ Breast cancer report queued for generation"
+ *                 job:
+ *                   $ref: '#/components/schemas/ReportJob'
  *       400:
  *         description: Missing required fields or images
  *         content:
@@ -237,296 +235,764 @@ router.post('/', reportController.uploadReportFileMiddleware, reportController.c
  *       500:
  *         description: Server error
  */
-router.post('/breast-cancer', reportController.uploadBreastCancerImagesMiddleware, reportController.createBreastCancerReport);
+router.post('/breast-cancer', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.uploadBreastCancerImagesMiddleware, checkOwnership(), reportController.createBreastCancerReport);
 
 /**
  * @swagger
- * /api/reports/annotate:
- *   post:
- *     summary: Annotate a report with overlay PNG
+ * /api/reports/templates:
+ *   get:
+ *     summary: List report templates
+ *     description: |
+ *       Every screening type (breast-thermal, ecg, comprehensive) with the image fields it accepts,
+ *       the measurements entered with the upload and its questionnaire.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: ecg
+ *                       name:
+ *                         type: string
+ *                       appointmentService:
+ *                         type: string
+ *                         description: Matching Appointment.service
+ *                       images:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                             label:
+ *                               type: string
+ *                             required:
+ *                               type: boolean
+ *                       dataFields:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       questionnaire:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ */
+router.get('/templates', authorize(), reportController.getReportTemplates);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportVerification:
+ *       type: object
+ *       description: Authenticity of a signed report. Contains no patient data.
+ *       properties:
+ *         valid:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [authentic, superseded, revoked, file_mismatch, record_tampered]
+ *           description: |
+ *             superseded - the report was reviewed again and this PDF replaced;
+ *             revoked - the report was deleted;
+ *             file_mismatch - the uploaded PDF differs from the signed file;
+ *             record_tampered - the stored signature record fails its seal check
+ *         reportId:
+ *           type: integer
+ *         verificationCode:
+ *           type: string
+ *           example: K7QM-4XRT-9HPA
+ *         verificationUrl:
+ *           type: string
+ *         signedBy:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             registrationNumber:
+ *               type: string
+ *               nullable: true
+ *         hospitalName:
+ *           type: string
+ *         signedAt:
+ *           type: string
+ *           format: date-time
+ *         algorithm:
+ *           type: string
+ *           example: sha256+hmac-sha256
+ *         sha256:
+ *           type: string
+ *           description: SHA-256 of the signed PDF
+ *         fileMatches:
+ *           type: boolean
+ *           nullable: true
+ *           description: Whether the uploaded file is the signed PDF (null when no file was sent)
+ */
+
+/**
+ * @swagger
+ * /api/reports/verify/{code}:
+ *   get:
+ *     summary: Verify a signed report (public)
+ *     description: |
+ *       Reviewed report PDFs end with a signature page carrying a verification code. Look the signature
+ *       up by that code, typed in or scanned from the QR code on the same page.
+ *       Report IDs are not accepted: they are sequential, so anyone could walk through them and learn
+ *       which reports exist and who signed them. The random code is only known to holders of the PDF.
+ *     tags: [Patient Reports]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification code (dashes optional)
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReportVerification'
+ *       404:
+ *         description: No signed report found
+ */
+router.get('/verify/:code', reportController.verifyReport);
+
+/**
+ * @swagger
+ * /api/reports/verify:
+ *   post:
+ *     summary: Verify a signed report PDF file (public)
+ *     description: |
+ *       Checks that a PDF is exactly the file that was signed. Without a code the file is looked up by
+ *       its SHA-256; a 404 then means the file was never signed or has been altered.
+ *     tags: [Patient Reports]
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
  *             required:
- *               - report_id
- *               - overlay
+ *               - file
  *             properties:
- *               report_id:
- *                 type: integer
- *                 description: ID of the report to annotate
- *                 example: 123
- *               overlay:
+ *               file:
  *                 type: string
- *                 description: Base64 encoded PNG overlay image (data:image/png;base64,...)
- *                 example: "data:image/png;base64,iVBORw0KGgo..."
- *               remarks:
+ *                 format: binary
+ *               code:
  *                 type: string
- *                 description: Doctor remarks for the report
- *                 example: "Some doctor note"
+ *                 description: Verification code printed on the signature page
  *     responses:
  *       200:
- *         description: Report annotated successfully
+ *         description: Verification result; check status and fileMatches
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 annotated_pdf_url:
- *                   type: string
- *                   example: "https://storage.azure.com/..."
+ *               $ref: '#/components/schemas/ReportVerification'
  *       400:
- *         description: Invalid input
+ *         description: file is required
  *       404:
- *         description: Report not found
- *       500:
- *         description: Server error
+ *         description: No signed report matches
  */
-router.post('/annotate', authMiddleware, reportController.annotateReport);
+router.post('/verify', reportController.uploadVerificationFileMiddleware, reportController.verifyReportFile);
 
 /**
  * @swagger
- * /api/reports/patient/{patientId}:
+ * /api/reports/retrieve/{token}:
+ *   get:
+ *     summary: Retrieval page info (public)
+ *     description: |
+ *       Generated report PDFs carry a QR code with a retrieval token (see REPORT_RETRIEVAL_BASE_URL).
+ *       This tells the patient page which report was scanned and how long the PIN is.
+ *     tags: [Patient Reports]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report title, hospital and PIN length
+ *       404:
+ *         description: Report not found
  *   post:
- *     summary: Get all reports for a specific patient
+ *     summary: Retrieve a report with the patient PIN (public)
+ *     description: |
+ *       The PIN is the last 4 digits of the patient's contact number. Returns the report status and, once
+ *       the report has been reviewed, a short-lived link to the latest reviewed PDF. Too many wrong PINs
+ *       lock the token for a while (REPORT_RETRIEVAL_MAX_PIN_ATTEMPTS, REPORT_RETRIEVAL_LOCK_MINUTES).
  *     tags: [Patient Reports]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: patientId
+ *         name: token
  *         required: true
  *         schema:
- *           type: integer
- *         description: ID of the patient
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - pin
  *             properties:
- *               hospitalId:
- *                 type: integer
- *                 description: ID of the hospital
+ *               pin:
+ *                 type: string
+ *                 example: "3210"
  *     responses:
  *       200:
- *         description: List of patient reports
+ *         description: Report status
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 patient:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                     firstName:
- *                       type: string
- *                     lastName:
- *                       type: string
- *                 reports:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                       title:
- *                         type: string
- *                       description:
- *                         type: string
- *                       reportType:
- *                         type: string
- *                       fileName:
- *                         type: string
- *                       fileType:
- *                         type: string
- *                       fileSize:
- *                         type: integer
- *                       fileUrl:
- *                         type: string
- *                       uploadedAt:
- *                         type: string
- *                         format: date-time
- *                       uploadedBy:
- *                         type: integer
- *                       doctorId:
- *                         type: integer
- *                       metadata:
- *                         type: object
+ *                 title:
+ *                   type: string
+ *                 hospitalName:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 statusLabel:
+ *                   type: string
+ *                   example: Reviewed - ready to download
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 reviewedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 reviewedPdfUrl:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Signed download link, null until the report has been reviewed
+ *                 urlExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 verificationCode:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Code to check the reviewed PDF at /api/reports/verify/{code}
+ *       400:
+ *         description: pin is required
+ *       401:
+ *         description: Incorrect PIN
  *       404:
- *         description: Patient not found
+ *         description: Report not found
+ *       429:
+ *         description: Locked after too many wrong PINs
+ */
+router.get('/retrieve/:token', reportController.getRetrievalInfo);
+router.post('/retrieve/:token', reportController.retrieveReport);
+
+/**
+ * @swagger
+ * /api/reports/generate/{templateKey}:
+ *   post:
+ *     summary: Create a report from a template
+ *     description: |
+ *       Uploads the images declared by the template (see GET /api/reports/templates) and queues the PDF
+ *       generation like /api/reports/breast-cancer. Measurements go in `data` (JSON) or as form fields of
+ *       the same name; questionnaire answers go in `questionnaire` (JSON object of yes/no answers).
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [breast-thermal, ecg, comprehensive]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patientId
+ *               - doctorId
+ *               - hospitalId
+ *             properties:
+ *               patientId:
+ *                 type: integer
+ *               doctorId:
+ *                 type: integer
+ *               hospitalId:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               data:
+ *                 type: string
+ *                 description: JSON object of measurements
+ *                 example: '{"heartRate": 72, "rhythm": "Sinus rhythm", "qtcInterval": 420}'
+ *               questionnaire:
+ *                 type: string
+ *                 description: JSON object of questionnaire answers
+ *                 example: '{"chestPain": false, "palpitations": true}'
+ *               ecgTraceImage:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image fields depend on the template
+ *     responses:
+ *       202:
+ *         description: Images stored and PDF generation queued
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 message:
  *                   type: string
- *                   example: "❌ Patient not found or not associated with this hospital"
- *       500:
- *         description: Server error
+ *                 job:
+ *                   $ref: '#/components/schemas/ReportJob'
+ *       400:
+ *         description: Missing images or invalid measurements/answers
+ *       404:
+ *         description: Unknown template, or patient/doctor/hospital not found
  */
+router.post('/generate/:templateKey', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.uploadTemplateImagesMiddleware, checkOwnership(), reportController.createTemplateReport);
 
-router.post('/patient/:patientId', reportController.getPatientReports);
-
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [template_report]
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *         patientId:
+ *           type: integer
+ *         hospitalId:
+ *           type: integer
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         reportId:
+ *           type: integer
+ *           nullable: true
+ *           description: Set once the job has completed
+ *         reportFileUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Short-lived signed URL of the generated PDF
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
 
 /**
  * @swagger
- * /api/reports/{reportId}:
+ * /api/reports/jobs:
  *   get:
- *     summary: Get a specific report by ID
+ *     summary: List report generation jobs
+ *     description: Hospitals see their own jobs; admins see all and can filter by hospitalId.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: reportId
- *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *       - in: query
+ *         name: patientId
  *         schema:
  *           type: integer
- *         description: ID of the report
- *     responses:
+ *       - in: query
+ *         name: hospitalId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
  *       200:
- *         description: Report details with patient information
+ *         description: Jobs, newest first
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 report:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                     title:
- *                       type: string
- *                     description:
- *                       type: string
- *                     reportType:
- *                       type: string
- *                     fileUrl:
- *                       type: string
- *                     fileName:
- *                       type: string
- *                     fileType:
- *                       type: string
- *                     fileSize:
- *                       type: integer
- *                     uploadedAt:
- *                       type: string
- *                       format: date-time
- *                     patient:
- *                       type: object
- *                       properties:
- *                         id:
- *                           type: integer
- *                         firstName:
- *                           type: string
- *                         lastName:
- *                           type: string
- *                         gender:
- *                           type: string
- *                         age:
- *                           type: integer
- *                     doctor:
- *                       type: object
- *                       properties:
- *                         id:
- *                           type: integer
- *                         firstName:
- *                           type: string
- *                         lastName:
- *                           type: string
- *                         specialization:
- *                           type: string
- *       404:
- *         description: Report not found
+ *                 totalItems:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 pageSize:
+ *                   type: integer
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReportJob'
+ *       400:
+ *         description: Invalid status
+ */
+router.get('/jobs', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.getReportJobs);
+
+/**
+ * @swagger
+ * /api/reports/jobs/{jobId}:
+ *   get:
+ *     summary: Get the status of a report generation job
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job status
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
- *                   type: string
- *                   example: "❌ Report not found"
- *       500:
- *         description: Server error
+ *                 job:
+ *                   $ref: '#/components/schemas/ReportJob'
+ *       404:
+ *         description: Job not found
  */
-router.get('/:reportId', reportController.getReportById);
+router.get('/jobs/:jobId', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { jobId: 'job' } }), reportController.getReportJob);
 
 /**
  * @swagger
- * /api/reports/hospital/assigned:
- *   get:
- *     summary: Get all assigned reports for the authenticated hospital
+ * /api/reports/jobs/{jobId}/retry:
+ *   post:
+ *     summary: Retry a failed report generation job
+ *     description: The job runs again with the images stored when it was created; nothing has to be uploaded again.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: pageSize
+ *       - in: path
+ *         name: jobId
+ *         required: true
  *         schema:
  *           type: integer
- *           default: 10
- *         description: Number of items per page
+ *     responses:
+ *       202:
+ *         description: Job queued again
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has not failed
+ */
+router.post('/jobs/:jobId/retry', authorize([ROLES.HOSPITAL, ROLES.ADMIN], { params: { jobId: 'job' } }), reportController.retryReportJob);
+
+/**
+ * @swagger
+ * /api/reports/annotate:
+ *   post:
+ *     summary: Annotate a report with overlay PNGs
+ *     description: |
+ *       Every call is saved as a new annotation version. The version starts from the overlays of its base
+ *       version (the latest one by default) and replaces only the pages sent, so earlier pages are kept.
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - report_id
+ *             properties:
+ *               report_id:
+ *                 type: integer
+ *                 description: ID of the report to annotate
+ *                 example: 123
+ *               overlay:
+ *                 type: string
+ *                 description: Base64 encoded PNG overlay image (data:image/png;base64,...) for page_number
+ *                 example: "data:image/png;base64,iVBORw0KGgo..."
+ *               page_number:
+ *                 type: integer
+ *                 default: 1
+ *               overlays:
+ *                 type: array
+ *                 description: Several pages at once (instead of overlay/page_number). A null overlay clears the page.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     page_number:
+ *                       type: integer
+ *                     overlay:
+ *                       type: string
+ *                       nullable: true
+ *               base_version:
+ *                 type: integer
+ *                 description: Version to build on (defaults to the latest)
+ *               remarks:
+ *                 type: string
+ *                 description: Doctor remarks for the report
+ *                 example: "Some doctor note"
+ *               findings:
+ *                 type: array
+ *                 description: Structured findings per scan position. Replaces any findings recorded earlier and is rendered as an extra page of the annotated PDF.
+ *                 items:
+ *                   $ref: '#/components/schemas/ReportFindingInput'
  *     responses:
  *       200:
- *         description: List of assigned reports for the hospital with pagination info
- *       403:
- *         description: Only hospitals and admins can access assigned reports
+ *         description: Report annotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 annotated_pdf_url:
+ *                   type: string
+ *                   example: "https://storage.azure.com/..."
+ *                 version:
+ *                   type: integer
+ *                   description: Annotation version created by this call
+ *                 review_status:
+ *                   type: string
+ *                   enum: [reviewed, awaiting_other_readers, discrepancy]
+ *                   description: With multiple readers, whether this reading published the result, waits for other readers or revealed a disagreement
+ *                 signature:
+ *                   type: object
+ *                   description: Present when the report was published as reviewed. annotated_pdf_url then points to the signed PDF.
+ *                   properties:
+ *                     verification_code:
+ *                       type: string
+ *                     sha256:
+ *                       type: string
+ *                     signed_at:
+ *                       type: string
+ *                       format: date-time
+ *                 discrepancies:
+ *                   type: array
+ *                   description: Positions where readers disagree (only when review_status is discrepancy)
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report cannot be annotated in its current status, or another annotation was saved at the same time
  *       500:
  *         description: Server error
  */
-// CRITICAL: This route MUST come BEFORE /hospital/:hospitalId to avoid route matching issues
-router.get('/hospital/assigned', authMiddleware, reportController.getAssignedReportsForHospital);
+router.post('/annotate', authorize([ROLES.DOCTOR]), reportController.annotateReport);
 
 /**
  * @swagger
- * /api/reports/hospital/{hospitalId}:
+ * components:
+ *   schemas:
+ *     ReportFindingInput:
+ *       type: object
+ *       required:
+ *         - position
+ *       properties:
+ *         position:
+ *           type: string
+ *           enum: [leftTop, leftCenter, leftBottom, rightTop, rightCenter, rightBottom]
+ *         lesionPresent:
+ *           type: boolean
+ *           example: true
+ *         category:
+ *           type: string
+ *           enum: ['0', '1', '2', '3', '4', '4A', '4B', '4C', '5', '6']
+ *           description: BI-RADS assessment category
+ *         sizeMm:
+ *           type: number
+ *           example: 12.5
+ *         recommendation:
+ *           type: string
+ *           example: "Ultrasound-guided biopsy"
+ *         followUpMonths:
+ *           type: integer
+ *           example: 6
+ *     ReportFinding:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ReportFindingInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             reportId:
+ *               type: integer
+ *             doctorId:
+ *               type: integer
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *     VectorAnnotation:
+ *       type: object
+ *       description: |
+ *         Shape drawn on a report page. Coordinates are PDF points with the origin at the bottom-left
+ *         corner of the page. Geometry fields depend on the type: circle (x, y, radius),
+ *         rectangle (x, y, width, height), path (points), arrow (x1, y1, x2, y2), text (x, y, text).
+ *       required:
+ *         - type
+ *         - page
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Stable id used to diff versions; generated when missing
+ *         type:
+ *           type: string
+ *           enum: [circle, rectangle, path, arrow, text]
+ *         page:
+ *           type: integer
+ *           example: 1
+ *         x:
+ *           type: number
+ *         y:
+ *           type: number
+ *         radius:
+ *           type: number
+ *         width:
+ *           type: number
+ *         height:
+ *           type: number
+ *         x1:
+ *           type: number
+ *         y1:
+ *           type: number
+ *         x2:
+ *           type: number
+ *         y2:
+ *           type: number
+ *         points:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: number
+ *           example: [[100, 200], [110, 215], [125, 220]]
+ *         text:
+ *           type: string
+ *         fontSize:
+ *           type: number
+ *           default: 12
+ *         color:
+ *           type: string
+ *           default: "#FF0000"
+ *         fill:
+ *           type: string
+ *           nullable: true
+ *           description: Fill colour for circles and rectangles
+ *         strokeWidth:
+ *           type: number
+ *           default: 2
+ *         opacity:
+ *           type: number
+ *           default: 1
+ */
+
+/**
+ * @swagger
+ * /api/reports/findings/search:
  *   get:
- *     summary: Get all reports for a specific hospital
+ *     summary: Search structured findings across reports
+ *     description: Hospitals see findings of their own reports, doctors of reports assigned to them. Admins can filter by hospitalId.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *         description: Comma-separated scan positions (e.g. leftTop,rightTop)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated BI-RADS categories (e.g. 4A,4B,4C,5)
+ *       - in: query
+ *         name: lesionPresent
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: hospitalId
- *         required: true
  *         schema:
  *           type: integer
- *         description: ID of the hospital
+ *         description: Admin only
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number for pagination
  *       - in: query
  *         name: pageSize
  *         schema:
  *           type: integer
  *           default: 10
- *         description: Number of items per page
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: List of hospital reports with pagination info
+ *         description: Paginated findings with their report and patient
  *         content:
  *           application/json:
  *             schema:
@@ -540,104 +1006,1002 @@ router.get('/hospital/assigned', authMiddleware, reportController.getAssignedRep
  *                   type: integer
  *                 pageSize:
  *                   type: integer
- *                 reports:
+ *                 findings:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                       title:
- *                         type: string
- *                       reportType:
- *                         type: string
- *                       patientId:
- *                         type: integer
- *                       doctorId:
- *                         type: integer
- *                       fileName:
- *                         type: string
- *                       fileUrl:
- *                         type: string
- *                       uploadedAt:
- *                         type: string
- *                         format: date-time
- *       404:
- *         description: No reports found for this hospital
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "❌ No reports found for this hospital"
- *       500:
- *         description: Server error
+ *                     $ref: '#/components/schemas/ReportFinding'
+ *       400:
+ *         description: Invalid position, category, lesionPresent or date filter
  */
-router.get('/hospital/:hospitalId', reportController.getReportsByHospitalId);
-
-
+router.get('/findings/search', authorize(), reportController.searchFindings);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}/findings:
+ *   get:
+ *     summary: Get the structured findings of a report
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Findings ordered by scan position, with the free-text remarks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reportId:
+ *                   type: integer
+ *                 remarks:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 reviewedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 findings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReportFinding'
+ *       404:
+ *         description: Report not found
+ */
+router.get('/:reportId/findings', authorize(), reportController.getReportFindings);
+
+/**
+ * @swagger
+ * /api/reports/patient/{patientId}:
+ *   post:
+ *     summary: Get all reports for a specific patient
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the patient
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hospitalId:
+ *                 type: integer
+ *                 description: ID of the hospital
+ *     responses:
+ *       200:
+ *         description: List of patient reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 patient:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     firstName:
+ *                       type: string
+ *                     lastName:
+ *                       type: string
+ *                 reports:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       reportType:
+ *                         type: string
+ *                       fileName:
+ *                         type: string
+ *                       fileType:
+ *                         type: string
+ *                       fileSize:
+ *                         type: integer
+ *                       fileUrl:
+ *                         type: string
+ *                         description: Short-lived signed URL
+ *                       fileUrlExpiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       uploadedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       uploadedBy:
+ *                         type: integer
+ *                       doctorId:
+ *                         type: integer
+ *                       metadata:
+ *                         type: object
+ *       404:
+ *         description: Patient not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "❌ Patient not found or not associated with this hospital"
+ *       500:
+ *         description: Server error
+ */
+
+router.post('/patient/:patientId', authorize(), reportController.getPatientReports);
+
+
+/**
+ * @swagger
+ * /api/reports/{reportId}:
+ *   get:
+ *     summary: Get a specific report by ID
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the report
+ *     responses:
+ *       200:
+ *         description: Report details with patient information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     reportType:
+ *                       type: string
+ *                     fileUrl:
+ *                       type: string
+ *                       description: Short-lived signed URL
+ *                     fileUrlExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     fileName:
+ *                       type: string
+ *                     fileType:
+ *                       type: string
+ *                     fileSize:
+ *                       type: integer
+ *                     uploadedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     patient:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         firstName:
+ *                           type: string
+ *                         lastName:
+ *                           type: string
+ *                         gender:
+ *                           type: string
+ *                         age:
+ *                           type: integer
+ *                     doctor:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         firstName:
+ *                           type: string
+ *                         lastName:
+ *                           type: string
+ *                         specialization:
+ *                           type: string
+ *       404:
+ *         description: Report not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "❌ Report not found"
+ *       500:
+ *         description: Server error
+ */
+router.get('/:reportId', authorize(), reportController.getReportById);
+
+/**
+ * @swagger
+ * /api/reports/hospital/assigned:
+ *   get:
+ *     summary: Get all assigned reports for the authenticated hospital
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of assigned reports for the hospital with pagination info
+ *       403:
+ *         description: Only hospitals and admins can access assigned reports
+ *       500:
+ *         description: Server error
+ */
+// CRITICAL: This route MUST come BEFORE /hospital/:hospitalId to avoid route matching issues
+router.get('/hospital/assigned', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.getAssignedReportsForHospital);
+
+/**
+ * @swagger
+ * /api/reports/hospital/{hospitalId}:
+ *   get:
+ *     summary: Get all reports for a specific hospital
+ *     description: Doctors only get the reports assigned to them or that they were asked to read.
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hospitalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the hospital
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of hospital reports with pagination info
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalItems:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 pageSize:
+ *                   type: integer
+ *                 reports:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       reportType:
+ *                         type: string
+ *                       patientId:
+ *                         type: integer
+ *                       doctorId:
+ *                         type: integer
+ *                       fileName:
+ *                         type: string
+ *                       fileUrl:
+ *                         type: string
+ *                       uploadedAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: No reports found for this hospital
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "❌ No reports found for this hospital"
+ *       500:
+ *         description: Server error
+ */
+router.get('/hospital/:hospitalId', authorize(), reportController.getReportsByHospitalId);
+
+
 
 /**
  * @swagger
  * /api/reports/hospital/{hospitalId}/zip:
  *   get:
- *     summary: Download all reports for a hospital as a ZIP (with optional date filters)
+ *     summary: Download all reports for a hospital as a ZIP (with optional date filters)
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hospitalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the hospital
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date for filtering reports (YYYY-MM-DD). Only reports uploaded on or after this date will be included.
+ *         example: "2024-01-01"
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date for filtering reports (YYYY-MM-DD). Only reports uploaded on or before this date will be included.
+ *         example: "2024-12-31"
+ *     responses:
+ *       200:
+ *         description: ZIP archive of hospital reports
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Hospital not found or no reports available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ */
+router.get('/hospital/:hospitalId/zip', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.downloadHospitalReportsZip);
+
+/**
+ * @swagger
+ * /api/reports/hospital/zip:
+ *   post:
+ *     summary: Download all reports for a hospital as a ZIP with optional date filters (body)
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hospitalId
+ *             properties:
+ *               hospitalId:
+ *                 type: integer
+ *                 description: ID of the hospital
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Start date for filtering reports (YYYY-MM-DD). Only reports uploaded on or after this date will be included.
+ *                 example: "2024-01-01"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: End date for filtering reports (YYYY-MM-DD). Only reports uploaded on or before this date will be included.
+ *                 example: "2024-12-31"
+ *     responses:
+ *       200:
+ *         description: ZIP archive of hospital reports
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Missing hospitalId
+ *       404:
+ *         description: Hospital not found or no reports available
+ *       500:
+ *         description: Server error
+ */
+router.post('/hospital/zip', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.downloadHospitalReportsZip);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}/download:
+ *   get:
+ *     summary: Get a short-lived signed download link for a report file
+ *     description: Report files are private. Doctors can download reports assigned to them, hospitals reports from their own hospital, admins any report.
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the report to download
+ *       - in: query
+ *         name: annotated
+ *         schema:
+ *           type: boolean
+ *         description: Download the doctor-annotated PDF instead of the original file
+ *       - in: query
+ *         name: redirect
+ *         schema:
+ *           type: boolean
+ *         description: Respond with a 302 redirect to the signed link instead of JSON
+ *     responses:
+ *       200:
+ *         description: Signed download link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 downloadUrl:
+ *                   type: string
+ *                 fileName:
+ *                   type: string
+ *                 fileType:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       302:
+ *         description: Redirect to the signed download link (when redirect=true)
+ *       404:
+ *         description: Report not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "❌ Report not found"
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "❌ Error creating download link"
+ */
+router.get('/:reportId/download', authorize(), reportController.downloadReport);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}:
+ *   put:
+ *     summary: Update report details (not the file)
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the report to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Updated Blood Test Results"
+ *               description:
+ *                 type: string
+ *                 example: "Updated description of test results"
+ *               reportType:
+ *                 type: string
+ *                 example: "Laboratory"
+ *               doctorId:
+ *                 type: integer
+ *                 example: 5
+ *               hospitalId:
+ *                 type: integer
+ *                 example: 123
+ *     responses:
+ *       200:
+ *         description: Report details updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "✅ Report details updated successfully"
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     reportType:
+ *                       type: string
+ *                     doctorId:
+ *                       type: integer
+ *       404:
+ *         description: Report or doctor not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "❌ Report not found"
+ *       500:
+ *         description: Server error
+ */
+/**
+ * @swagger
+ * /api/reports/{reportId}/assign:
+ *   post:
+ *     summary: Assign report to doctor (Hospital/Admin only)
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignedDoctorId
+ *             properties:
+ *               assignedDoctorId:
+ *                 type: integer
+ *                 description: ID of the doctor to assign the report to
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the status history (defaults to the doctor's name)
+ *               force:
+ *                 type: boolean
+ *                 description: Assign even when the doctor is on leave or at their review limit
+ *     responses:
+ *       200:
+ *         description: |
+ *           Report assigned successfully. warnings lists availability problems, e.g. the doctor being
+ *           outside their working hours, or a leave overridden with force.
+ *       403:
+ *         description: Only hospitals and admins can assign reports
+ *       404:
+ *         description: Report or doctor not found
+ *       409:
+ *         description: |
+ *           Report cannot be (re)assigned in its current status, or the doctor is on leave or at their
+ *           review limit (the response then includes their availability)
+ */
+router.post('/:reportId/assign', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.assignReportToDoctor);
+
+/**
+ * @swagger
+ * /api/reports/bulk-assign:
+ *   post:
+ *     summary: Assign several reports at once (Hospital/Admin only)
+ *     description: |
+ *       With assignedDoctorId every report goes to that doctor (reassigning already assigned reports).
+ *       Without it, each unassigned report gets a doctor from its hospital's auto-assignment rules
+ *       (see /api/hospitals/{id}/auto-assignment), whether or not automatic assignment on upload is enabled.
+ *       The rules skip doctors on leave or at their review limit.
+ *       Reports are handled one by one; a report that cannot be assigned is reported and skipped.
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reportIds
+ *             properties:
+ *               reportIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: integer
+ *                 example: [101, 102, 103]
+ *               assignedDoctorId:
+ *                 type: integer
+ *                 description: Assign every report to this doctor instead of using the rules
+ *               force:
+ *                 type: boolean
+ *                 description: With assignedDoctorId, assign even when the doctor is on leave or at their review limit
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the status history
+ *     responses:
+ *       200:
+ *         description: Result per report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 assigned:
+ *                   type: integer
+ *                 skipped:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       reportId:
+ *                         type: integer
+ *                       assigned:
+ *                         type: boolean
+ *                       doctor:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                       error:
+ *                         type: string
+ *                         example: "No active doctor is online"
+ *       400:
+ *         description: Missing or too many report IDs
+ *       403:
+ *         description: Only hospitals and admins can assign reports
+ *       404:
+ *         description: Doctor not found or not active
+ */
+router.post('/bulk-assign', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.bulkAssignReports);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}/unassign:
+ *   post:
+ *     summary: Unassign report from doctor (Hospital/Admin only)
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the status history
+ *     responses:
+ *       200:
+ *         description: Report unassigned and moved back to "uploaded"
+ *       403:
+ *         description: Only hospitals and admins can unassign reports
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report cannot be unassigned in its current status
+ */
+router.post('/:reportId/unassign', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.unassignReportFromDoctor);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}/status:
+ *   post:
+ *     summary: Move a report through the review workflow
+ *     description: |
+ *       Workflow: uploaded → assigned → in_review → reviewed → signed_off, with returned_for_rescan possible
+ *       before sign-off. Assignment and review go through /assign and /annotate.
+ *       - in_review: assigned doctor starts (or reopens) the review
+ *       - signed_off: hospital/admin signs off a reviewed report
+ *       - returned_for_rescan: doctor, hospital or admin; a reason is required
+ *       - uploaded: hospital/admin puts the report back in the queue (e.g. after a rescan) and clears the assignment
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [uploaded, in_review, signed_off, returned_for_rescan]
+ *               reason:
+ *                 type: string
+ *                 example: "Left center image is blurred"
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     previousStatus:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     assignedDoctorId:
+ *                       type: integer
+ *       400:
+ *         description: Missing status, or a status that has its own endpoint
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Transition not allowed from the current status or for the caller's role
+ */
+router.post('/:reportId/status', authorize(), reportController.updateReportStatus);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}/history:
+ *   get:
+ *     summary: Status history of a report (who moved it, when and why)
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: History entries, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reportId:
+ *                   type: integer
+ *                 status:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       fromStatus:
+ *                         type: string
+ *                         nullable: true
+ *                       toStatus:
+ *                         type: string
+ *                       actorType:
+ *                         type: string
+ *                         enum: [admin, hospital, doctor, system]
+ *                       actorId:
+ *                         type: integer
+ *                       actorName:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Report not found
+ */
+router.get('/:reportId/history', authorize(), reportController.getReportStatusHistory);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}/readers:
+ *   post:
+ *     summary: Request a second, independent reading of a report (Hospital/Admin only)
+ *     description: |
+ *       The assigned doctor is the primary reader. Each reader annotates through /annotate; readings stay
+ *       private until every reader has submitted. Matching readings publish the primary reading; otherwise
+ *       the report is flagged with a discrepancy and the hospital is notified to assign an arbiter.
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *             properties:
+ *               doctorId:
+ *                 type: integer
+ *               force:
+ *                 type: boolean
+ *                 description: Assign even when the doctor is on leave or at their review limit
+ *     responses:
+ *       201:
+ *         description: Reader added and notified; warnings lists availability problems that were overridden or only warned about
+ *       404:
+ *         description: Report or doctor not found
+ *       409:
+ *         description: Report not assigned/in review, already flagged, doctor already reading it, or doctor unavailable
+ *   get:
+ *     summary: Readers of a report and their readings
+ *     description: Doctors only see other readers' readings once the report is reviewed, or when they are the arbiter.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: hospitalId
+ *         name: reportId
  *         required: true
  *         schema:
  *           type: integer
- *         description: ID of the hospital
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Start date for filtering reports (YYYY-MM-DD). Only reports uploaded on or after this date will be included.
- *         example: "2024-01-01"
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: End date for filtering reports (YYYY-MM-DD). Only reports uploaded on or before this date will be included.
- *         example: "2024-12-31"
  *     responses:
  *       200:
- *         description: ZIP archive of hospital reports
- *         content:
- *           application/zip:
- *             schema:
- *               type: string
- *               format: binary
- *       404:
- *         description: Hospital not found or no reports available
+ *         description: Readers with their status and (where visible) remarks, findings and annotated PDF
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 reportId:
+ *                   type: integer
+ *                 status:
  *                   type: string
- *       500:
- *         description: Server error
+ *                 hasDiscrepancy:
+ *                   type: boolean
+ *                 discrepancies:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       position:
+ *                         type: string
+ *                       readings:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             doctorId:
+ *                               type: integer
+ *                             lesionPresent:
+ *                               type: boolean
+ *                             category:
+ *                               type: string
+ *                 readers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       readerRole:
+ *                         type: string
+ *                         enum: [primary, second, arbiter]
+ *                       status:
+ *                         type: string
+ *                         enum: [assigned, completed]
+ *                       remarks:
+ *                         type: string
+ *                       findings:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ReportFindingInput'
+ *                       annotatedFileUrl:
+ *                         type: string
+ *                         description: Short-lived signed URL
+ *       404:
+ *         description: Report not found
  */
-router.get('/hospital/:hospitalId/zip', reportController.downloadHospitalReportsZip);
+router.post('/:reportId/readers', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.addSecondReader);
+router.get('/:reportId/readers', authorize(), reportController.getReportReaders);
 
 /**
  * @swagger
- * /api/reports/hospital/zip:
+ * /api/reports/{reportId}/arbiter:
  *   post:
- *     summary: Download all reports for a hospital as a ZIP with optional date filters (body)
+ *     summary: Assign an arbitrating doctor to a report whose readers disagree (Hospital/Admin only)
+ *     description: The arbiter's reading through /annotate becomes the published result.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
  *     requestBody:
  *       required: true
  *       content:
@@ -645,43 +2009,30 @@ router.get('/hospital/:hospitalId/zip', reportController.downloadHospitalReports
  *           schema:
  *             type: object
  *             required:
- *               - hospitalId
+ *               - doctorId
  *             properties:
- *               hospitalId:
+ *               doctorId:
  *                 type: integer
- *                 description: ID of the hospital
- *               startDate:
- *                 type: string
- *                 format: date
- *                 description: Start date for filtering reports (YYYY-MM-DD). Only reports uploaded on or after this date will be included.
- *                 example: "2024-01-01"
- *               endDate:
- *                 type: string
- *                 format: date
- *                 description: End date for filtering reports (YYYY-MM-DD). Only reports uploaded on or before this date will be included.
- *                 example: "2024-12-31"
+ *                 description: Must not already be a reader of the report
+ *               force:
+ *                 type: boolean
+ *                 description: Assign even when the doctor is on leave or at their review limit
  *     responses:
- *       200:
- *         description: ZIP archive of hospital reports
- *         content:
- *           application/zip:
- *             schema:
- *               type: string
- *               format: binary
- *       400:
- *         description: Missing hospitalId
+ *       201:
+ *         description: Arbiter assigned and notified
  *       404:
- *         description: Hospital not found or no reports available
- *       500:
- *         description: Server error
+ *         description: Report or doctor not found
+ *       409:
+ *         description: No discrepancy flagged, arbiter already assigned, doctor already reading the report, or doctor unavailable
  */
-router.post('/hospital/zip', reportController.downloadHospitalReportsZip);
+router.post('/:reportId/arbiter', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.assignArbiter);
 
 /**
  * @swagger
- * /api/reports/{reportId}/download:
+ * /api/reports/{reportId}/annotations:
  *   get:
- *     summary: Download a report file
+ *     summary: List the annotation versions of a report
+ *     description: In double reading, doctors only see their own versions until the report is reviewed.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
@@ -691,43 +2042,50 @@ router.post('/hospital/zip', reportController.downloadHospitalReportsZip);
  *         required: true
  *         schema:
  *           type: integer
- *         description: ID of the report to download
  *     responses:
  *       200:
- *         description: Report file download
- *         content:
- *           application/octet-stream:
- *             schema:
- *               type: string
- *               format: binary
- *       404:
- *         description: Report not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "❌ Report not found"
- *       500:
- *         description: Server error
+ *         description: Versions, oldest first
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
- *                   type: string
- *                   example: "❌ Error downloading file"
+ *                 reportId:
+ *                   type: integer
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                       baseVersion:
+ *                         type: integer
+ *                       doctor:
+ *                         type: object
+ *                       pages:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                       annotationsCount:
+ *                         type: integer
+ *                       remarks:
+ *                         type: string
+ *                       findingsCount:
+ *                         type: integer
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Report not found
  */
-router.get('/:reportId/download', reportController.downloadReport);
+router.get('/:reportId/annotations', authorize(), reportController.getAnnotationVersions);
 
 /**
  * @swagger
- * /api/reports/{reportId}:
- *   put:
- *     summary: Update report details (not the file)
+ * /api/reports/{reportId}/annotations/diff:
+ *   get:
+ *     summary: Compare two annotation versions
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
@@ -737,71 +2095,35 @@ router.get('/:reportId/download', reportController.downloadReport);
  *         required: true
  *         schema:
  *           type: integer
- *         description: ID of the report to update
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 example: "Updated Blood Test Results"
- *               description:
- *                 type: string
- *                 example: "Updated description of test results"
- *               reportType:
- *                 type: string
- *                 example: "Laboratory"
- *               doctorId:
- *                 type: integer
- *                 example: 5
- *               hospitalId:
- *                 type: integer
- *                 example: 123
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Report details updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "✅ Report details updated successfully"
- *                 report:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                     title:
- *                       type: string
- *                     description:
- *                       type: string
- *                     reportType:
- *                       type: string
- *                     doctorId:
- *                       type: integer
+ *         description: Pages and vector annotations added/removed/changed, remarks change and finding changes per position
+ *       400:
+ *         description: from and to are required
  *       404:
- *         description: Report or doctor not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "❌ Report not found"
- *       500:
- *         description: Server error
+ *         description: Report or version not found
  */
+router.get('/:reportId/annotations/diff', authorize(), reportController.diffAnnotationVersions);
+
 /**
  * @swagger
- * /api/reports/{reportId}/assign:
+ * /api/reports/{reportId}/annotations/vector:
  *   post:
- *     summary: Assign report to doctor (Hospital/Admin only)
+ *     summary: Annotate a report with vector shapes, arrows and text
+ *     description: |
+ *       Saves a new annotation version whose vector annotations are the list sent, drawn into the PDF
+ *       server-side. Page overlays of the base version are kept. The UI reloads the list from
+ *       GET /api/reports/{reportId}/annotations/latest to edit it.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
@@ -818,26 +2140,71 @@ router.get('/:reportId/download', reportController.downloadReport);
  *           schema:
  *             type: object
  *             required:
- *               - assignedDoctorId
+ *               - annotations
  *             properties:
- *               assignedDoctorId:
+ *               annotations:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/VectorAnnotation'
+ *               base_version:
  *                 type: integer
- *                 description: ID of the doctor to assign the report to
+ *                 description: Version to build on (defaults to the latest)
+ *               remarks:
+ *                 type: string
+ *               findings:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ReportFindingInput'
  *     responses:
  *       200:
- *         description: Report assigned successfully
+ *         description: Report annotated successfully (same response as /api/reports/annotate)
+ *       400:
+ *         description: Invalid annotations or findings, or a page the PDF does not have
  *       403:
- *         description: Only hospitals and admins can assign reports
+ *         description: Not a reader of this report
  *       404:
- *         description: Report or doctor not found
+ *         description: Report or base version not found
+ *       409:
+ *         description: Report cannot be annotated in its current status, or another annotation was saved at the same time
  */
-router.post('/:reportId/assign', authMiddleware, reportController.assignReportToDoctor);
+router.post('/:reportId/annotations/vector', authorize([ROLES.DOCTOR]), reportController.annotateReportVector);
 
 /**
  * @swagger
- * /api/reports/{reportId}/unassign:
+ * /api/reports/{reportId}/annotations/{version}:
+ *   get:
+ *     summary: Get an annotation version with its vector annotations and signed links to its PDF and page overlays
+ *     tags: [Patient Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version number, or "latest"
+ *     responses:
+ *       200:
+ *         description: Version details
+ *       404:
+ *         description: Report or version not found
+ */
+router.get('/:reportId/annotations/:version', authorize(), reportController.getAnnotationVersion);
+
+/**
+ * @swagger
+ * /api/reports/{reportId}/annotations/{version}/regenerate:
  *   post:
- *     summary: Unassign report from doctor (Hospital/Admin only)
+ *     summary: Re-render the annotated PDF of a version from its stored overlays
+ *     description: |
+ *       When this is the version the report publishes (its reviewer's latest version), the regenerated PDF
+ *       is signed again and becomes the report's annotated PDF. The previous signature is then superseded.
  *     tags: [Patient Reports]
  *     security:
  *       - bearerAuth: []
@@ -847,15 +2214,42 @@ router.post('/:reportId/assign', authMiddleware, reportController.assignReportTo
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Report unassigned successfully
- *       403:
- *         description: Only hospitals and admins can unassign reports
+ *         description: Regenerated PDF
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 version:
+ *                   type: integer
+ *                 annotated_pdf_url:
+ *                   type: string
+ *                 published_pdf_url:
+ *                   type: string
+ *                   description: Signed PDF now published for the report (only when this version is the published one)
+ *                 signature:
+ *                   type: object
+ *                   properties:
+ *                     verification_code:
+ *                       type: string
+ *                     sha256:
+ *                       type: string
+ *                     signed_at:
+ *                       type: string
+ *                       format: date-time
  *       404:
- *         description: Report not found
+ *         description: Report or version not found
  */
-router.post('/:reportId/unassign', authMiddleware, reportController.unassignReportFromDoctor);
+router.post('/:reportId/annotations/:version/regenerate', authorize(), reportController.regenerateAnnotationVersion);
 
 /**
  * @swagger
@@ -925,7 +2319,7 @@ router.post('/:reportId/unassign', authMiddleware, reportController.unassignRepo
  *       500:
  *         description: Server error
  */
-router.put('/:reportId/check', authMiddleware, reportController.updateReportCheckedStatus);
+router.put('/:reportId/check', authorize([ROLES.DOCTOR]), reportController.updateReportCheckedStatus);
 
 
 
@@ -1041,9 +2435,9 @@ router.put('/:reportId/check', authMiddleware, reportController.updateReportChec
  *       500:
  *         description: Server error
  */
-router.get('/hospital/:hospitalId/assigned', authMiddleware, reportController.getAssignedReportsForHospital);
+router.get('/hospital/:hospitalId/assigned', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.getAssignedReportsForHospital);
 
-router.put('/:reportId', authMiddleware, reportController.updateReport);
+router.put('/:reportId', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.updateReport);
 
 /**
  * @swagger
@@ -1084,7 +2478,7 @@ router.put('/:reportId', authMiddleware, reportController.updateReport);
  *       500:
  *         description: Server error
  */
-router.delete('/:reportId', reportController.deleteReport);
+router.delete('/:reportId', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.deleteReport);
 
 /**
  * @swagger
@@ -1135,7 +2529,7 @@ router.delete('/:reportId', reportController.deleteReport);
  *       500:
  *         description: Server error
  */
-router.delete('/:reportId/permanent', reportController.permanentDeleteReport);
+router.delete('/:reportId/permanent', authorize([ROLES.HOSPITAL, ROLES.ADMIN]), reportController.permanentDeleteReport);
 
 /**
  * @swagger
@@ -1231,6 +2625,6 @@ router.delete('/:reportId/permanent', reportController.permanentDeleteReport);
  *       500:
  *         description: Server error
  */
-router.get('/search', reportController.searchReports);
+router.get('/search', authorize(), reportController.searchReports);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,191 @@
+// services/authSessions.js
+// Login sessions: issuing access and refresh tokens, rotating refresh tokens, logout and revocation.
+// Token formats and lifetimes are described in utils/authTokens.js.
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const db = require('../models');
+const {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  REVOKE_REASONS,
+  generateTokenSecret,
+  hashTokenSecret,
+  formatRefreshToken,
+  parseRefreshToken,
+  secretMatches,
+  isSessionActive
+} = require('../utils/authTokens');
+
+// Ended sessions are kept this long to show them in the session list and investigate token reuse
+const ENDED_SESSION_RETENTION_DAYS = 30;
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+// Device details recorded with a session
+const clientDetails = (req) => ({
+  userAgent: req?.get?.('user-agent')?.slice(0, 255) || null,
+  ipAddress: req?.ip || null
+});
+
+const issueTokens = (session, secret) => ({
+  token: jwt.sign(
+    { id: session.userId, role: session.userType, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 }
+  ),
+  refreshToken: formatRefreshToken(session.id, secret),
+  expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Open a session for a successful login
+ * @param {{ userType: string, userId: number }} account
+ * @param {Object} [req] - Express request, for the device details
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn (seconds), refreshTokenExpiresAt }
+ */
+const createSession = async ({ userType, userId }, req) => {
+  const secret = generateTokenSecret();
+  const session = await db.AuthSession.create({
+    userType,
+    userId,
+    refreshTokenHash: hashTokenSecret(secret),
+    expiresAt: daysFromNow(REFRESH_TOKEN_TTL_DAYS),
+    ...clientDetails(req)
+  });
+  return issueTokens(session, secret);
+};
+
+/**
+ * Revoke one session
+ * @param {number} sessionId
+ * @param {string} reason - From REVOKE_REASONS
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const [revoked] = await db.AuthSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+  return revoked > 0;
+};
+
+/**
+ * Exchange a refresh token for new tokens. The refresh token is replaced; presenting the replaced one
+ * again revokes the session, as somebody else may hold a copy. Any other wrong secret is just invalid,
+ * so a guessed session ID cannot be used to log somebody out.
+ * @param {string} refreshToken
+ * @param {Object} [req] - Express request, for the device details
+ * @returns {Promise<{ tokens?: Object, session?: Object, error?: string }>} error is 'invalid',
+ *   'expired' or 'reused'
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'invalid' };
+
+  const session = await db.AuthSession.findByPk(parsed.sessionId);
+  if (!session) return { error: 'invalid' };
+  if (!isSessionActive(session)) return { error: 'expired', session };
+
+  const reuse = async () => {
+    await revokeSession(session.id, REVOKE_REASONS.TOKEN_REUSE);
+    console.warn(`🔒 Refresh token reused, session ${session.id} of ${session.userType} ${session.userId} revoked`);
+    return { error: 'reused', session };
+  };
+
+  if (!secretMatches(parsed.secret, session.refreshTokenHash)) {
+    return secretMatches(parsed.secret, session.previousRefreshTokenHash) ? reuse() : { error: 'invalid' };
+  }
+
+  const secret = generateTokenSecret();
+  const changes = {
+    refreshTokenHash: hashTokenSecret(secret),
+    previousRefreshTokenHash: session.refreshTokenHash,
+    expiresAt: daysFromNow(REFRESH_TOKEN_TTL_DAYS),
+    lastUsedAt: new Date(),
+    ...clientDetails(req)
+  };
+  // Two refreshes with the same token: only the first one wins, the other counts as reuse
+  const [updated] = await db.AuthSession.update(changes, {
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null }
+  });
+  if (!updated) return reuse();
+
+  Object.assign(session, changes);
+  return { tokens: issueTokens(session, secret), session };
+};
+
+/**
+ * Revoke the sessions of an account
+ * @param {{ userType: string, userId: number }} account
+ * @param {string} reason - From REVOKE_REASONS
+ * @param {Object} [options]
+ * @param {number} [options.exceptSessionId] - Keep this session, e.g. the caller's own
+ * @returns {Promise<number[]>} IDs of the revoked sessions
+ */
+const revokeUserSessions = async ({ userType, userId }, reason, { exceptSessionId } = {}) => {
+  const where = { userType, userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+
+  const sessions = await db.AuthSession.findAll({ where, attributes: ['id'] });
+  const ids = sessions.map((session) => session.id);
+  if (ids.length) {
+    await db.AuthSession.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { id: { [Op.in]: ids }, revokedAt: null } }
+    );
+  }
+  return ids;
+};
+
+/**
+ * Active session behind an access token (middlewares/auth.js)
+ * @param {number} sessionId
+ * @returns {Promise<Object|null>}
+ */
+const findActiveSession = async (sessionId) => {
+  const session = await db.AuthSession.findByPk(sessionId, {
+    attributes: ['id', 'userType', 'userId', 'expiresAt', 'revokedAt']
+  });
+  return isSessionActive(session) ? session : null;
+};
+
+/**
+ * Active sessions of an account, most recently used first
+ * @param {{ userType: string, userId: number }} account
+ * @returns {Promise<Object[]>}
+ */
+const listSessions = ({ userType, userId }) =>
+  db.AuthSession.findAll({
+    where: { userType, userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastUsedAt', 'expiresAt'],
+    order: [['lastUsedAt', 'DESC'], ['createdAt', 'DESC']]
+  });
+
+/**
+ * Delete sessions that ended more than ENDED_SESSION_RETENTION_DAYS ago (services/cron.js)
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+const purgeEndedSessions = async () => {
+  const before = daysFromNow(-ENDED_SESSION_RETENTION_DAYS);
+  try {
+    const deleted = await db.AuthSession.destroy({
+      where: { [Op.or]: [{ expiresAt: { [Op.lt]: before } }, { revokedAt: { [Op.lt]: before } }] }
+    });
+    console.log(`🧹 Removed ${deleted} ended login sessions`);
+    return deleted;
+  } catch (error) {
+    console.error('Error removing ended login sessions:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  findActiveSession,
+  listSessions,
+  purgeEndedSessions
+};
@@ -1,6 +1,9 @@
 // services/cron.js
 const cron = require('node-cron');
 const db = require('../models');
+const { notify, flushDueDeliveries, purgeExpiredNotifications } = require('./notifications');
+const { escalateSlaBreaches } = require('./reportSla');
+const { purgeEndedSessions } = require('./authSessions');
 
 const checkExpiredPlans = async () => {
   try {
@@ -14,6 +17,10 @@ const checkExpiredPlans = async () => {
     expiredHospitals.forEach(async hospital => {
       await hospital.update({ isVerified: false });
       console.log(`Hospital ${hospital.name} subscription expired`);
+      await notify({ userId: hospital.id, userType: 'hospital' }, 'SUBSCRIPTION_EXPIRED', {
+        hospitalName: hospital.name,
+        planTime: hospital.plan_time
+      });
     });
   } catch (error) {
     console.error('Error checking expired plans:', error);
@@ -21,4 +28,16 @@ const checkExpiredPlans = async () => {
 };
 
 // Run daily at midnight
-cron.schedule('0 0 * * *', checkExpiredPlans);
\ No newline at end of file
+cron.schedule('0 0 * * *', checkExpiredPlans);
+
+// Send notifications held back by quiet hours, daily digests and retries every 5 minutes
+cron.schedule('*/5 * * * *', flushDueDeliveries);
+
+// Remove notifications past their retention period daily at 3 AM
+cron.schedule('0 3 * * *', purgeExpiredNotifications);
+
+// Escalate reports past their turnaround targets every 15 minutes
+cron.schedule('*/15 * * * *', escalateSlaBreaches);
+
+// Remove login sessions that ended long ago daily at 3:30 AM
+cron.schedule('30 3 * * *', purgeEndedSessions);
@@ -0,0 +1,117 @@
+// services/doctorAvailability.js
+// Loads what decides whether a doctor can take another report: leave periods and open workload.
+// The rules themselves live in utils/doctorAvailability.js.
+const { Op, fn, col } = require('sequelize');
+const db = require('../models');
+const { REPORT_STATUSES } = require('../utils/reportWorkflow');
+const { READER_ROLES } = require('../utils/reportReaders');
+const { addDays, evaluateAvailability, describeAvailability } = require('../utils/doctorAvailability');
+
+// Reports still waiting for their readers
+const OPEN_STATUSES = [REPORT_STATUSES.ASSIGNED, REPORT_STATUSES.IN_REVIEW];
+
+// Doctor columns availability is computed from
+const AVAILABILITY_ATTRIBUTES = ['workingHours', 'timezone', 'maxConcurrentReviews'];
+
+/**
+ * Open reports and the latest primary assignment of each doctor
+ * @param {number[]} doctorIds
+ * @returns {Promise<Map<number, { pending: number, lastAssignedAt: Date|null }>>}
+ */
+const getDoctorWorkloads = async (doctorIds) => {
+  const workloads = new Map(doctorIds.map((id) => [Number(id), { pending: 0, lastAssignedAt: null }]));
+  if (!doctorIds.length) return workloads;
+
+  const [primary, otherReaders, lastAssigned] = await Promise.all([
+    db.Report.findAll({
+      attributes: ['assignedDoctorId', [fn('COUNT', col('id')), 'pending']],
+      where: { assignedDoctorId: { [Op.in]: doctorIds }, status: { [Op.in]: OPEN_STATUSES }, isDeleted: false },
+      group: ['assignedDoctorId'],
+      raw: true
+    }),
+    // Second readers and arbiters have a report to read as well
+    db.ReportReader.findAll({
+      attributes: ['doctorId', [fn('COUNT', col('ReportReader.id')), 'pending']],
+      where: { doctorId: { [Op.in]: doctorIds }, status: 'assigned', readerRole: { [Op.ne]: READER_ROLES.PRIMARY } },
+      include: [{
+        model: db.Report,
+        as: 'report',
+        attributes: [],
+        where: { status: { [Op.in]: OPEN_STATUSES }, isDeleted: false }
+      }],
+      group: ['ReportReader.doctorId'],
+      raw: true
+    }),
+    db.Report.findAll({
+      attributes: ['assignedDoctorId', [fn('MAX', col('assignedAt')), 'lastAssignedAt']],
+      where: { assignedDoctorId: { [Op.in]: doctorIds } },
+      group: ['assignedDoctorId'],
+      raw: true
+    })
+  ]);
+
+  primary.forEach((row) => { workloads.get(Number(row.assignedDoctorId)).pending += Number(row.pending); });
+  otherReaders.forEach((row) => { workloads.get(Number(row.doctorId)).pending += Number(row.pending); });
+  lastAssigned.forEach((row) => { workloads.get(Number(row.assignedDoctorId)).lastAssignedAt = row.lastAssignedAt; });
+  return workloads;
+};
+
+/**
+ * Leave periods of doctors that end on or after a date
+ * @param {number[]} doctorIds
+ * @param {string} fromDate - YYYY-MM-DD
+ * @returns {Promise<Object[]>} Oldest first
+ */
+const findLeaves = (doctorIds, fromDate) =>
+  db.DoctorLeave.findAll({
+    where: { doctorId: { [Op.in]: doctorIds }, endDate: { [Op.gte]: fromDate } },
+    order: [['startDate', 'ASC'], ['id', 'ASC']]
+  });
+
+/**
+ * Availability and workload of doctors right now
+ * @param {Object[]} doctors - Doctor instances with AVAILABILITY_ATTRIBUTES loaded
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Map<number, Object>>} doctorId -> evaluateAvailability result plus lastAssignedAt
+ */
+const getAvailability = async (doctors, { now = new Date() } = {}) => {
+  const doctorIds = doctors.map((doctor) => doctor.id);
+  if (!doctorIds.length) return new Map();
+
+  // Local dates are at most a day away from UTC
+  const [workloads, leaves] = await Promise.all([
+    getDoctorWorkloads(doctorIds),
+    findLeaves(doctorIds, addDays(now.toISOString().slice(0, 10), -1))
+  ]);
+
+  return new Map(doctors.map((doctor) => {
+    const { pending, lastAssignedAt } = workloads.get(doctor.id);
+    const availability = evaluateAvailability(doctor, {
+      leaves: leaves.filter((leave) => leave.doctorId === doctor.id),
+      pending,
+      now
+    });
+    return [doctor.id, { ...availability, lastAssignedAt }];
+  }));
+};
+
+/**
+ * Whether a doctor may be given a report now
+ * @param {Object} doctor - Doctor instance with name and AVAILABILITY_ATTRIBUTES loaded
+ * @returns {Promise<{ errors: string[], warnings: string[], availability: Object }>}
+ *   errors block the assignment unless the caller forces it; warnings are returned with the result
+ */
+const checkAssignment = async (doctor) => {
+  const availability = (await getAvailability([doctor])).get(doctor.id);
+  return { ...describeAvailability(doctor, availability), availability };
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  AVAILABILITY_ATTRIBUTES,
+  getDoctorWorkloads,
+  findLeaves,
+  getAvailability,
+  checkAssignment
+};
@@ -0,0 +1,189 @@
+// services/doctorPerformance.js
+// Per-doctor review performance over a date range: assignments, reviews, turnaround, backlog,
+// annotation activity and reassignments, overall and per period. Summaries live in utils/doctorPerformance.js.
+const { Op, fn, col } = require('sequelize');
+const db = require('../models');
+const { READER_ROLES } = require('../utils/reportReaders');
+const { hoursBetween, round } = require('../utils/metrics');
+const {
+  emptyCounts,
+  addCounts,
+  daysSince,
+  summarizePerformance,
+  summarizeBacklog
+} = require('../utils/doctorPerformance');
+const { OPEN_STATUSES } = require('./doctorAvailability');
+
+const DOCTOR_ATTRIBUTES = ['id', 'name', 'specialization', 'hospitalId', 'isActive'];
+
+/**
+ * Performance of the doctors of one hospital, or of every hospital
+ * @param {Object} options
+ * @param {number} [options.hospitalId] - Omit for doctors of all hospitals
+ * @param {number} [options.doctorId] - Only this doctor
+ * @param {Date} options.since
+ * @param {string} options.dateFormat - MySQL DATE_FORMAT pattern of a period, e.g. '%Y-%m'
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} { overall, trends, doctors }
+ */
+const getDoctorPerformance = async ({ hospitalId, doctorId, since, dateFormat, now = new Date() }) => {
+  const doctorWhere = {};
+  if (hospitalId) doctorWhere.hospitalId = hospitalId;
+  if (doctorId) doctorWhere.id = doctorId;
+
+  const doctors = await db.Doctor.findAll({
+    where: doctorWhere,
+    attributes: DOCTOR_ATTRIBUTES,
+    include: [{ model: db.Hospital, as: 'hospital', attributes: ['id', 'name'] }],
+    order: [['hospitalId', 'ASC'], ['name', 'ASC'], ['id', 'ASC']]
+  });
+  const doctorIds = doctors.map((doctor) => doctor.id);
+  const inRange = { [Op.gte]: since };
+  const period = (column) => [fn('DATE_FORMAT', col(column), dateFormat), 'period'];
+
+  const [
+    assigned,
+    reviewed,
+    handovers,
+    readings,
+    annotations,
+    openReports,
+    openReadings
+  ] = doctorIds.length ? await Promise.all([
+    db.Report.findAll({
+      where: { assignedDoctorId: { [Op.in]: doctorIds }, assignedAt: inRange, isDeleted: false },
+      attributes: ['assignedDoctorId', period('assignedAt'), [fn('COUNT', col('id')), 'count']],
+      group: ['assignedDoctorId', 'period'],
+      raw: true
+    }),
+    db.Report.findAll({
+      where: { assignedDoctorId: { [Op.in]: doctorIds }, reviewedAt: inRange, isDeleted: false },
+      attributes: ['assignedDoctorId', 'assignedAt', 'reviewedAt', period('reviewedAt')],
+      raw: true
+    }),
+    // Reports taken from a doctor they were still open with. The history only knows the doctors
+    // of changes recorded since it started tracking them.
+    db.ReportStatusHistory.findAll({
+      where: {
+        previousDoctorId: { [Op.in]: doctorIds },
+        fromStatus: { [Op.in]: OPEN_STATUSES },
+        createdAt: inRange
+      },
+      attributes: ['previousDoctorId', 'doctorId', period('createdAt')],
+      raw: true
+    }),
+    db.ReportReader.findAll({
+      where: {
+        doctorId: { [Op.in]: doctorIds },
+        readerRole: { [Op.ne]: READER_ROLES.PRIMARY },
+        status: 'completed',
+        completedAt: inRange
+      },
+      attributes: ['doctorId', period('completedAt'), [fn('COUNT', col('id')), 'count']],
+      group: ['doctorId', 'period'],
+      raw: true
+    }),
+    db.AnnotationVersion.findAll({
+      where: { doctorId: { [Op.in]: doctorIds }, createdAt: inRange },
+      attributes: ['doctorId', period('createdAt'), [fn('COUNT', col('id')), 'count']],
+      group: ['doctorId', 'period'],
+      raw: true
+    }),
+    db.Report.findAll({
+      where: { assignedDoctorId: { [Op.in]: doctorIds }, status: { [Op.in]: OPEN_STATUSES }, isDeleted: false },
+      attributes: ['assignedDoctorId', 'assignedAt'],
+      raw: true
+    }),
+    // Second readers and arbiters have open work as well
+    db.ReportReader.findAll({
+      where: { doctorId: { [Op.in]: doctorIds }, status: 'assigned', readerRole: { [Op.ne]: READER_ROLES.PRIMARY } },
+      attributes: ['doctorId', 'assignedAt'],
+      include: [{
+        model: db.Report,
+        as: 'report',
+        attributes: [],
+        where: { status: { [Op.in]: OPEN_STATUSES }, isDeleted: false }
+      }],
+      raw: true
+    })
+  ]) : [[], [], [], [], [], [], []];
+
+  // doctorId -> period -> counts
+  const counts = new Map(doctorIds.map((id) => [id, new Map()]));
+  const countsOf = (id, key) => {
+    const periods = counts.get(Number(id));
+    if (!periods.has(key)) periods.set(key, emptyCounts());
+    return periods.get(key);
+  };
+
+  assigned.forEach((row) => { countsOf(row.assignedDoctorId, row.period).assigned += Number(row.count); });
+  reviewed.forEach((row) => {
+    const entry = countsOf(row.assignedDoctorId, row.period);
+    entry.reviewed += 1;
+    const hours = hoursBetween(row.assignedAt, row.reviewedAt);
+    if (hours !== null && hours >= 0) entry.turnaroundHours.push(hours);
+  });
+  handovers
+    .filter((row) => Number(row.doctorId) !== Number(row.previousDoctorId))
+    .forEach((row) => {
+      const entry = countsOf(row.previousDoctorId, row.period);
+      entry.reassignedAway += 1;
+      // The doctor held the report before losing it, even when its assignment is no longer on the report
+      entry.assigned += 1;
+    });
+  readings.forEach((row) => { countsOf(row.doctorId, row.period).secondReadings += Number(row.count); });
+  annotations.forEach((row) => { countsOf(row.doctorId, row.period).annotations += Number(row.count); });
+
+  const backlogs = new Map(doctorIds.map((id) => [id, []]));
+  openReports.forEach((row) => backlogs.get(Number(row.assignedDoctorId)).push(row.assignedAt));
+  openReadings.forEach((row) => backlogs.get(Number(row.doctorId)).push(row.assignedAt));
+
+  const days = daysSince(since, now);
+  const trendsOf = (periods) => [...periods.keys()].sort().map((key) => ({
+    period: key,
+    ...summarizePerformance(periods.get(key))
+  }));
+
+  const allPeriods = new Map();
+  const allCounts = emptyCounts();
+  const allBacklog = [];
+
+  const results = doctors.map((doctor) => {
+    const periods = counts.get(doctor.id);
+    const total = emptyCounts();
+    periods.forEach((entry, key) => {
+      addCounts(total, entry);
+      if (!allPeriods.has(key)) allPeriods.set(key, emptyCounts());
+      addCounts(allPeriods.get(key), entry);
+    });
+    addCounts(allCounts, total);
+    allBacklog.push(...backlogs.get(doctor.id));
+
+    return {
+      doctorId: doctor.id,
+      name: doctor.name,
+      specialization: doctor.specialization,
+      isActive: doctor.isActive,
+      hospital: doctor.hospital ? { id: doctor.hospital.id, name: doctor.hospital.name } : null,
+      ...summarizePerformance(total),
+      annotationsPerDay: round(total.annotations / days, 2),
+      backlog: summarizeBacklog(backlogs.get(doctor.id), now),
+      trends: trendsOf(periods)
+    };
+  });
+
+  return {
+    overall: {
+      doctors: doctors.length,
+      ...summarizePerformance(allCounts),
+      annotationsPerDay: round(allCounts.annotations / days, 2),
+      backlog: summarizeBacklog(allBacklog, now)
+    },
+    trends: trendsOf(allPeriods),
+    doctors: results
+  };
+};
+
+module.exports = {
+  getDoctorPerformance
+};
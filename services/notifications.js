@@ -0,0 +1,454 @@
+// services/notifications.js
+// Single entry point for user notifications. Subsystems call notify() with a notification type and
+// the values of its template (utils/notificationTemplates); the recipient's settings
+// (utils/notificationPreferences) decide which channels it goes out on and when:
+//
+//   inApp   - Notification row plus a socket event, straight away
+//   email   - utils/emainSender, held back by quiet hours or collected for the daily digest
+//   sms     - services/sms, held back by quiet hours
+//   webhook - signed JSON POST to the user's webhookUrl, straight away
+//
+// Held-back and failed deliveries are stored as NotificationDelivery rows and sent by
+// flushDueDeliveries (services/cron.js). Failures are retried up to MAX_DELIVERY_ATTEMPTS times.
+//
+// It also backs the notification inbox (cursor paging, archive, delete) and its retention cleanup.
+//
+// Webhook requests carry X-D3S-Event, X-D3S-Timestamp and X-D3S-Signature headers. The signature is
+// "sha256=" + hex HMAC-SHA256 of "<timestamp>.<raw body>" with the user's webhook secret. Webhooks only
+// go to public internet addresses (services/webhookTargets).
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const db = require('../models');
+const sendEmail = require('../utils/emainSender');
+const { sendSms } = require('./sms');
+const { findPatientAccount } = require('./patientPortal');
+const { sendRealTimeNotification } = require('./socket');
+const { checkWebhookUrl, webhookAgents } = require('./webhookTargets');
+const { NOTIFICATION_TYPES, renderNotification, renderDigest } = require('../utils/notificationTemplates');
+const {
+  resolvePreferences,
+  validatePreferences,
+  selectChannels,
+  deferDelivery
+} = require('../utils/notificationPreferences');
+const { encodeCursor } = require('../utils/notificationFilters');
+
+const MAX_DELIVERY_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 10;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const FLUSH_BATCH_SIZE = 500;
+
+// Read and archived notifications are kept NOTIFICATION_RETENTION_DAYS, unread ones
+// NOTIFICATION_UNREAD_RETENTION_DAYS; finished deliveries DELIVERY_RETENTION_DAYS
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+const UNREAD_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_UNREAD_RETENTION_DAYS) || 365;
+const DELIVERY_RETENTION_DAYS = 30;
+
+// Contact details of each kind of account
+const CONTACT_LOOKUPS = {
+  doctor: (id) => db.Doctor.findByPk(id, { attributes: ['id', 'email'] }),
+  hospital: (id) => db.Hospital.findByPk(id, { attributes: ['id', 'email', 'phone'] }),
+  admin: (id) => db.Admin.findByPk(id, { attributes: ['id', 'email'] }),
+  patient: (id) => db.PatientAccount.findByPk(id, { attributes: ['id', 'email', 'phone'] })
+};
+
+const findPreferenceRow = (userId, userType) =>
+  db.NotificationPreference.findOne({ where: { userId, userType } });
+
+const retryAt = (attempts) => new Date(Date.now() + attempts * RETRY_DELAY_MINUTES * 60 * 1000);
+
+/**
+ * Who a notification goes to, with their contact details and settings
+ * @param {Object} recipient - { userId, userType } for an account, or { email, phone } for people
+ *   without one (appointment bookings, shop customers). Contact details given with an account win
+ *   over the stored ones.
+ * @returns {Promise<Object>} { userId, userType, email, phone, preferences, preferenceRow }
+ */
+const resolveRecipient = async (recipient) => {
+  if (recipient.userId && recipient.userType) {
+    const { userId, userType } = recipient;
+    const [contact, preferenceRow] = await Promise.all([
+      CONTACT_LOOKUPS[userType]?.(userId),
+      findPreferenceRow(userId, userType)
+    ]);
+    return {
+      userId,
+      userType,
+      email: recipient.email || contact?.email || null,
+      phone: recipient.phone || contact?.phone || null,
+      preferences: resolvePreferences(preferenceRow, userType),
+      preferenceRow
+    };
+  }
+
+  // Patients who use the portal also get the notification in-app, under their own settings
+  const account = await findPatientAccount(recipient);
+  if (account) {
+    return resolveRecipient({ ...recipient, userId: account.id, userType: 'patient' });
+  }
+  return { email: recipient.email || null, phone: recipient.phone || null, preferences: null };
+};
+
+const postWebhook = async ({ url, secret }, delivery) => {
+  const targetError = await checkWebhookUrl(url);
+  if (targetError) throw new Error(targetError);
+
+  const { content } = delivery;
+  const body = JSON.stringify({
+    id: delivery.notificationId,
+    type: delivery.type,
+    title: content.title,
+    message: content.message,
+    relatedId: content.relatedId,
+    data: content.data,
+    createdAt: content.createdAt
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  await axios.post(url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-D3S-Event': delivery.type,
+      'X-D3S-Timestamp': timestamp,
+      'X-D3S-Signature': `sha256=${signature}`
+    },
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    ...webhookAgents
+  });
+};
+
+/**
+ * Send one delivery on its channel. Throws when the channel fails.
+ * @param {Object} delivery - NotificationDelivery fields
+ * @param {Object} [preferenceRow] - Recipient's NotificationPreference (webhooks)
+ */
+const sendDelivery = async (delivery, preferenceRow) => {
+  const { content } = delivery;
+  if (delivery.channel === 'email') {
+    await sendEmail(delivery.address, content.subject, null, content.html);
+  } else if (delivery.channel === 'sms') {
+    await sendSms(delivery.address, content.sms);
+  } else if (delivery.channel === 'webhook') {
+    if (!preferenceRow?.webhookUrl || !preferenceRow.webhookSecret) {
+      throw new Error('Webhook is no longer configured');
+    }
+    await postWebhook({ url: preferenceRow.webhookUrl, secret: preferenceRow.webhookSecret }, delivery);
+  }
+};
+
+// Send now, or store the delivery when it is held back or fails
+const deliver = async (target, channel, delivery) => {
+  const deferred = target.preferences && deferDelivery(target.preferences, channel);
+  if (deferred) {
+    await db.NotificationDelivery.create({ ...delivery, ...deferred });
+    return;
+  }
+
+  try {
+    await sendDelivery(delivery, target.preferenceRow);
+  } catch (error) {
+    console.error(`Failed to send ${delivery.type} ${channel} notification, will retry:`, error.message);
+    await db.NotificationDelivery.create({ ...delivery, attempts: 1, lastError: error.message, sendAfter: retryAt(1) });
+  }
+};
+
+/**
+ * Send a notification. Failures are logged, never thrown.
+ * @param {Object} recipient - See resolveRecipient
+ * @param {string} type - Notification type (see utils/notificationTemplates), e.g. 'REPORT_ASSIGNED'
+ * @param {Object} [data] - Values for the type's template
+ * @param {Object} [options]
+ * @param {number} [options.relatedId] - e.g. report ID, stored on the in-app notification
+ * @returns {Promise<Object|null>} The in-app Notification, when one was created
+ */
+const notify = async (recipient, type, data = {}, { relatedId = null } = {}) => {
+  try {
+    const rendered = renderNotification(type, data);
+    const target = await resolveRecipient(recipient);
+
+    // Without an account there are no settings and nowhere to show in-app notifications
+    const channels = target.preferences
+      ? selectChannels(target.preferences, rendered.type, rendered.channels)
+      : rendered.channels.filter((channel) => channel === 'email' || channel === 'sms');
+
+    let notification = null;
+    if (channels.includes('inApp')) {
+      notification = await db.Notification.create({
+        userId: target.userId,
+        userType: target.userType,
+        title: rendered.title,
+        message: rendered.message,
+        type: rendered.type,
+        relatedId
+      });
+      sendRealTimeNotification(target.userId, target.userType, notification);
+    }
+
+    const content = {
+      title: rendered.title,
+      message: rendered.message,
+      subject: rendered.email.subject,
+      html: rendered.email.html,
+      sms: rendered.sms,
+      relatedId,
+      data,
+      createdAt: new Date().toISOString()
+    };
+    const addresses = { email: target.email, sms: target.phone, webhook: null };
+
+    await Promise.all(channels
+      .filter((channel) => channel !== 'inApp' && (channel === 'webhook' || addresses[channel]))
+      .map((channel) => deliver(target, channel, {
+        notificationId: notification?.id || null,
+        userId: target.userId || null,
+        userType: target.userType || null,
+        channel,
+        address: addresses[channel],
+        type: rendered.type,
+        content,
+        sendAfter: new Date()
+      })));
+
+    return notification;
+  } catch (error) {
+    console.error(`Failed to send ${type} notification:`, error);
+    return null;
+  }
+};
+
+// Record the outcome of sending one or more deliveries together
+const settleDeliveries = async (deliveries, send) => {
+  try {
+    await send();
+    await db.NotificationDelivery.update(
+      { status: 'sent', sentAt: new Date(), lastError: null },
+      { where: { id: deliveries.map((delivery) => delivery.id) } }
+    );
+  } catch (error) {
+    console.error(`Failed to send notification deliveries ${deliveries.map((delivery) => delivery.id).join(', ')}:`, error.message);
+    await Promise.all(deliveries.map((delivery) => {
+      const attempts = delivery.attempts + 1;
+      const exhausted = attempts >= MAX_DELIVERY_ATTEMPTS;
+      return delivery.update({
+        attempts,
+        lastError: error.message,
+        status: exhausted ? 'failed' : 'pending',
+        sendAfter: exhausted ? delivery.sendAfter : retryAt(attempts)
+      });
+    }));
+  }
+};
+
+let flushing = false;
+
+/**
+ * Send every held-back or failed delivery whose time has come. Digest emails of a user are
+ * combined into one message.
+ * @returns {Promise<number>} Number of deliveries processed
+ */
+const flushDueDeliveries = async () => {
+  if (flushing) return 0;
+  flushing = true;
+  try {
+    const due = await db.NotificationDelivery.findAll({
+      where: { status: 'pending', sendAfter: { [Op.lte]: new Date() } },
+      order: [['sendAfter', 'ASC'], ['id', 'ASC']],
+      limit: FLUSH_BATCH_SIZE
+    });
+
+    const digests = new Map();
+    const preferenceRows = new Map();
+    const preferenceRowOf = async (delivery) => {
+      const key = `${delivery.userType}_${delivery.userId}`;
+      if (!preferenceRows.has(key)) {
+        preferenceRows.set(key, delivery.userId ? await findPreferenceRow(delivery.userId, delivery.userType) : null);
+      }
+      return preferenceRows.get(key);
+    };
+
+    for (const delivery of due) {
+      if (delivery.digest) {
+        const key = `${delivery.userType}_${delivery.userId}_${delivery.address}`;
+        digests.set(key, [...(digests.get(key) || []), delivery]);
+      } else {
+        const preferenceRow = await preferenceRowOf(delivery);
+        await settleDeliveries([delivery], () => sendDelivery(delivery, preferenceRow));
+      }
+    }
+
+    for (const deliveries of digests.values()) {
+      const [first] = deliveries;
+      const email = deliveries.length === 1
+        ? { subject: first.content.subject, html: first.content.html }
+        : renderDigest(deliveries.map((delivery) => delivery.content));
+      await settleDeliveries(deliveries, () => sendEmail(first.address, email.subject, null, email.html));
+    }
+
+    return due.length;
+  } catch (error) {
+    console.error('Error sending pending notifications:', error);
+    return 0;
+  } finally {
+    flushing = false;
+  }
+};
+
+// Where-clause of a user's notifications matching filters from parseNotificationFilters
+const notificationWhere = (userId, userType, filters = {}) => {
+  const where = { userId, userType };
+  if (filters.types) where.type = { [Op.in]: filters.types };
+  if (filters.isRead !== undefined) where.isRead = filters.isRead;
+  if (filters.relatedId !== undefined) where.relatedId = filters.relatedId;
+  if (filters.archived !== undefined && filters.archived !== null) where.isArchived = filters.archived;
+  if (filters.before) where.createdAt = { [Op.lt]: filters.before };
+  return where;
+};
+
+// Where-clause of the target of a bulk action (see parseBulkTarget)
+const bulkWhere = (userId, userType, { ids, filters }) =>
+  (ids ? { userId, userType, id: { [Op.in]: ids } } : notificationWhere(userId, userType, filters));
+
+/**
+ * One page of a user's notifications, newest first
+ * @param {number} userId
+ * @param {string} userType
+ * @param {Object} options
+ * @param {Object} options.filters - From parseNotificationFilters
+ * @param {number} [options.cursorId] - From decodeCursor; the page starts after this notification
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{ notifications: Object[], hasMore: boolean, nextCursor: string|null }>}
+ */
+const listNotifications = async (userId, userType, { filters, cursorId, limit }) => {
+  const where = notificationWhere(userId, userType, filters);
+  if (cursorId) where.id = { [Op.lt]: cursorId };
+
+  // One extra row tells whether there is a next page
+  const rows = await db.Notification.findAll({ where, order: [['id', 'DESC']], limit: limit + 1 });
+  const notifications = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  return {
+    notifications,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(notifications[notifications.length - 1]) : null
+  };
+};
+
+/**
+ * Number of unread, unarchived notifications of a user
+ * @param {number} userId
+ * @param {string} userType
+ * @param {Object} [filters] - From parseNotificationFilters (types narrows the count)
+ * @returns {Promise<number>}
+ */
+const countUnread = (userId, userType, filters = {}) =>
+  db.Notification.count({ where: notificationWhere(userId, userType, { ...filters, isRead: false, archived: false }) });
+
+/**
+ * Archive or unarchive notifications of a user
+ * @param {number} userId
+ * @param {string} userType
+ * @param {Object} target - From parseBulkTarget
+ * @param {boolean} archived
+ * @returns {Promise<number>} Number of notifications changed
+ */
+const setArchived = async (userId, userType, target, archived) => {
+  const [count] = await db.Notification.update(
+    { isArchived: archived, archivedAt: archived ? new Date() : null },
+    { where: { ...bulkWhere(userId, userType, target), isArchived: !archived } }
+  );
+  return count;
+};
+
+/**
+ * Delete notifications of a user
+ * @param {number} userId
+ * @param {string} userType
+ * @param {Object} target - From parseBulkTarget
+ * @returns {Promise<number>} Number of notifications deleted
+ */
+const deleteNotifications = (userId, userType, target) =>
+  db.Notification.destroy({ where: bulkWhere(userId, userType, target) });
+
+/**
+ * Delete notifications and deliveries past their retention period (services/cron.js)
+ * @returns {Promise<{ notifications: number, deliveries: number }>}
+ */
+const purgeExpiredNotifications = async () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  try {
+    const notifications = await db.Notification.destroy({
+      where: {
+        [Op.or]: [
+          { createdAt: { [Op.lt]: daysAgo(RETENTION_DAYS) }, [Op.or]: [{ isRead: true }, { isArchived: true }] },
+          { createdAt: { [Op.lt]: daysAgo(UNREAD_RETENTION_DAYS) } }
+        ]
+      }
+    });
+    const deliveries = await db.NotificationDelivery.destroy({
+      where: { status: { [Op.in]: ['sent', 'failed'] }, updatedAt: { [Op.lt]: daysAgo(DELIVERY_RETENTION_DAYS) } }
+    });
+    console.log(`🧹 Removed ${notifications} old notifications and ${deliveries} old deliveries`);
+    return { notifications, deliveries };
+  } catch (error) {
+    console.error('Error removing old notifications:', error);
+    return { notifications: 0, deliveries: 0 };
+  }
+};
+
+/**
+ * Notification settings of a user, with defaults filled in
+ * @param {number} userId
+ * @param {string} userType
+ * @returns {Promise<Object>} See resolvePreferences
+ */
+const getPreferences = async (userId, userType) =>
+  resolvePreferences(await findPreferenceRow(userId, userType), userType);
+
+/**
+ * Change the notification settings of a user. Setting up a webhook creates its signing secret;
+ * rotateWebhookSecret: true replaces it.
+ * @param {number} userId
+ * @param {string} userType
+ * @param {Object} input - See validatePreferences, plus rotateWebhookSecret
+ * @returns {Promise<{ preferences?: Object, webhookSecret?: string, errors?: string[] }>} webhookSecret
+ *   is only returned when it was created or replaced
+ */
+const updatePreferences = async (userId, userType, input = {}) => {
+  const row = await findPreferenceRow(userId, userType);
+  const current = resolvePreferences(row, userType);
+  const { values, errors } = validatePreferences(input, current, { types: NOTIFICATION_TYPES });
+  if (errors.length) return { errors };
+  if (values.webhookUrl) {
+    const targetError = await checkWebhookUrl(values.webhookUrl);
+    if (targetError) return { errors: [targetError] };
+  }
+
+  let webhookSecret;
+  const webhookUrl = 'webhookUrl' in values ? values.webhookUrl : current.webhookUrl;
+  if (!webhookUrl) {
+    values.webhookSecret = null;
+  } else if (!row?.webhookSecret || input.rotateWebhookSecret === true || input.rotateWebhookSecret === 'true') {
+    webhookSecret = crypto.randomBytes(32).toString('hex');
+    values.webhookSecret = webhookSecret;
+  }
+
+  const saved = row
+    ? await row.update(values)
+    : await db.NotificationPreference.create({ userId, userType, ...values });
+  return { preferences: resolvePreferences(saved, userType), webhookSecret };
+};
+
+module.exports = {
+  notify,
+  flushDueDeliveries,
+  listNotifications,
+  countUnread,
+  setArchived,
+  deleteNotifications,
+  purgeExpiredNotifications,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,176 @@
+// services/patientPortal.js
+// Passwordless (OTP) login for patients and the lookups behind the patient portal.
+// A PatientAccount is keyed by the email or phone number the code was sent to. It sees every Patient
+// record, in any hospital, with that email or contact number, and appointments booked with them.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+const db = require('../models');
+const sendEmail = require('../utils/emainSender');
+const { sendSms } = require('./sms');
+
+const OTP_TTL_MINUTES = parseInt(process.env.PATIENT_OTP_TTL_MINUTES) || 10;
+const OTP_RESEND_SECONDS = parseInt(process.env.PATIENT_OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_ATTEMPTS = 5;
+
+// Phone numbers are matched on their last 10 digits so "+91 98765 43210" and "9876543210" are the same
+const PHONE_MATCH_DIGITS = 10;
+
+/**
+ * Normalize a login identifier
+ * @param {Object} input - { email } or { phone }
+ * @returns {{ email: string }|{ phone: string }|null}
+ */
+const normalizeIdentifier = ({ email, phone } = {}) => {
+  if (email) {
+    const normalized = String(email).trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? { email: normalized } : null;
+  }
+  if (phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.length >= PHONE_MATCH_DIGITS ? { phone: digits } : null;
+  }
+  return null;
+};
+
+const phoneCondition = (field, digits) => ({ [field]: { [Op.like]: `%${digits.slice(-PHONE_MATCH_DIGITS)}` } });
+
+/**
+ * Patient records visible to an account
+ * @param {Object} account - PatientAccount (or a normalized identifier)
+ * @param {Object} [options] - Extra findAll options (attributes, include)
+ * @returns {Promise<Object[]>}
+ */
+const findPatientRecords = (account, options = {}) => {
+  const conditions = [];
+  if (account.email) conditions.push({ email: account.email });
+  if (account.phone) conditions.push(phoneCondition('contact', account.phone));
+  return db.Patient.findAll({ ...options, where: { [Op.or]: conditions } });
+};
+
+/**
+ * Portal account of an email address or phone number, if the patient has logged in before
+ * @param {Object} contact - { email, phone }; either may be missing
+ * @returns {Promise<Object|null>} PatientAccount instance
+ */
+const findPatientAccount = ({ email, phone } = {}) => {
+  const conditions = [];
+  const byEmail = normalizeIdentifier({ email });
+  const byPhone = normalizeIdentifier({ phone });
+  if (byEmail) conditions.push(byEmail);
+  if (byPhone) conditions.push(phoneCondition('phone', byPhone.phone));
+  return conditions.length ? db.PatientAccount.findOne({ where: { [Op.or]: conditions } }) : null;
+};
+
+/**
+ * IDs of the patient records visible to an account
+ * @param {Object} account - PatientAccount
+ * @returns {Promise<number[]>}
+ */
+const getPatientIds = async (account) =>
+  (await findPatientRecords(account, { attributes: ['id'] })).map((patient) => patient.id);
+
+/**
+ * Send a login code. Nothing is sent when no patient record has this email or phone number, or when a
+ * code went out less than OTP_RESEND_SECONDS ago. Callers answer the same in every case, so the
+ * endpoint does not reveal who is a patient.
+ * @param {Object} identifier - From normalizeIdentifier
+ * @returns {Promise<{ sent: boolean }>}
+ */
+const requestOtp = async (identifier) => {
+  const patients = await findPatientRecords(identifier, { attributes: ['id'], limit: 1 });
+  if (!patients.length) return { sent: false };
+
+  const [account] = await db.PatientAccount.findOrCreate({ where: identifier });
+
+  // Claim the send with a conditional update, so parallel requests send one code
+  const resendAfter = new Date(Date.now() - OTP_RESEND_SECONDS * 1000);
+  const [claimed] = await db.PatientAccount.update({ otpSentAt: new Date() }, {
+    where: { id: account.id, [Op.or]: [{ otpSentAt: null }, { otpSentAt: { [Op.lte]: resendAfter } }] }
+  });
+  if (!claimed) return { sent: false };
+
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  await account.update({
+    otpHash: await bcrypt.hash(otp, 10),
+    otpExpiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+    otpAttempts: 0
+  });
+
+  const message = `Your D3S patient portal login code is ${otp}. It expires in ${OTP_TTL_MINUTES} minutes.`;
+  if (identifier.email) {
+    await sendEmail(identifier.email, '🔐 Your patient portal login code', message);
+  } else {
+    await sendSms(identifier.phone, message);
+  }
+  return { sent: true };
+};
+
+/**
+ * Check a login code. Every attempt is counted atomically before the code is compared, so parallel
+ * guesses cannot get past OTP_MAX_ATTEMPTS, and a code logs in once.
+ * @param {Object} identifier - From normalizeIdentifier
+ * @param {string} otp
+ * @returns {Promise<{ account?: Object, error?: string }>} The account on success; error is one of
+ *   invalid, expired, too_many_attempts
+ */
+const verifyOtp = async (identifier, otp) => {
+  const account = await db.PatientAccount.findOne({ where: identifier });
+  if (!account || !account.otpHash) return { error: 'invalid' };
+  if (account.otpExpiresAt < new Date()) return { error: 'expired' };
+
+  // Guarded on the code, so attempts against a replaced code do not count for the new one
+  const currentCode = { id: account.id, otpHash: account.otpHash };
+  await db.PatientAccount.increment('otpAttempts', { where: currentCode });
+  const { otpAttempts } = await db.PatientAccount.findByPk(account.id, { attributes: ['id', 'otpAttempts'] });
+  if (otpAttempts > OTP_MAX_ATTEMPTS) return { error: 'too_many_attempts' };
+
+  if (!(await bcrypt.compare(String(otp || ''), account.otpHash))) return { error: 'invalid' };
+
+  const [used] = await db.PatientAccount.update(
+    { otpHash: null, otpExpiresAt: null, otpAttempts: 0, lastLoginAt: new Date() },
+    { where: currentCode }
+  );
+  if (!used) return { error: 'invalid' };
+
+  await account.reload();
+  return { account };
+};
+
+/**
+ * Upcoming (pending or confirmed) appointments booked with the account's or its patient records'
+ * email addresses and phone numbers
+ * @param {Object} account - PatientAccount
+ * @returns {Promise<Object[]>}
+ */
+const findUpcomingAppointments = async (account) => {
+  const patients = await findPatientRecords(account, { attributes: ['email', 'contact'] });
+  const emails = new Set([account.email, ...patients.map((patient) => patient.email?.toLowerCase())].filter(Boolean));
+  const phones = new Set([account.phone, ...patients.map((patient) => String(patient.contact || '').replace(/\D/g, ''))]
+    .filter((digits) => digits && digits.length >= PHONE_MATCH_DIGITS));
+
+  const conditions = [
+    ...(emails.size ? [{ email: { [Op.in]: [...emails] } }] : []),
+    ...[...phones].map((digits) => phoneCondition('phone', digits))
+  ];
+  if (!conditions.length) return [];
+
+  return db.Appointment.findAll({
+    where: {
+      [Op.or]: conditions,
+      date: { [Op.gte]: new Date().toISOString().split('T')[0] },
+      status: { [Op.in]: ['pending', 'confirmed'] }
+    },
+    order: [['date', 'ASC'], ['time', 'ASC']]
+  });
+};
+
+module.exports = {
+  normalizeIdentifier,
+  findPatientRecords,
+  findPatientAccount,
+  getPatientIds,
+  requestOtp,
+  verifyOtp,
+  findUpcomingAppointments
+};
@@ -0,0 +1,186 @@
+// services/reportAssignment.js
+// Assigning reports to doctors, by hand or by the hospital's auto-assignment rules
+// (see utils/reportAssignment.js for the rules and strategies).
+const { Op } = require('sequelize');
+const db = require('../models');
+const { REPORT_STATUSES, normalizeStatus, getTransitionError } = require('../utils/reportWorkflow');
+const { READER_ROLES } = require('../utils/reportReaders');
+const { BLOCKING_REASONS } = require('../utils/doctorAvailability');
+const {
+  ASSIGNMENT_STRATEGIES,
+  resolveAssignmentRules,
+  requiredSpecializations,
+  matchesSpecialization,
+  rankCandidates
+} = require('../utils/reportAssignment');
+const { transitionReport } = require('./reportWorkflow');
+const { setPrimaryReader } = require('./reportReaders');
+const { notify } = require('./notifications');
+const { getOnlineUserIds } = require('./socket');
+const { AVAILABILITY_ATTRIBUTES, getAvailability } = require('./doctorAvailability');
+
+/**
+ * Make a doctor the primary reader of a report and tell them about it.
+ * Callers check the transition (getTransitionError) and the doctor first.
+ * @param {Object} report - Report instance
+ * @param {Object} doctor - Doctor instance of the report's hospital
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - From actorFromRequest
+ * @param {string} [options.reason] - Recorded in the status history
+ * @param {Object} [options.unchanged] - Only assign while the stored report still has this status and
+ *   assignedDoctorId ({ status, assignedDoctorId }), checked on the locked row; for background jobs
+ *   working from an earlier read
+ * @returns {Promise<Object|null>} The updated report, or null when options.unchanged no longer holds
+ */
+const assignReport = async (report, doctor, { actor, reason, unchanged } = {}) => {
+  const assigned = await db.sequelize.transaction(async (transaction) => {
+    if (unchanged) {
+      await report.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      if (normalizeStatus(report.status) !== normalizeStatus(unchanged.status) ||
+        (report.assignedDoctorId || null) !== (unchanged.assignedDoctorId || null)) {
+        return false;
+      }
+    }
+    await transitionReport(report, REPORT_STATUSES.ASSIGNED, {
+      actor,
+      reason: reason || `Assigned to Dr. ${doctor.name}`,
+      transaction,
+      changes: {
+        assignedDoctorId: doctor.id,
+        assignedAt: new Date()
+      }
+    });
+    await setPrimaryReader(report, doctor.id, { transaction });
+    return true;
+  });
+  if (!assigned) return null;
+
+  const [hospital, patient] = await Promise.all([
+    db.Hospital.findByPk(report.hospitalId, { attributes: ['id', 'name'] }),
+    db.Patient.findByPk(report.patientId, { attributes: ['id', 'firstName', 'lastName'] })
+  ]);
+
+  // Notify the doctor (in-app, email, ... as set in their notification preferences)
+  await notify({ userId: doctor.id, userType: 'doctor' }, 'REPORT_ASSIGNED', {
+    reportTitle: report.title,
+    patientName: `${patient?.firstName || ''} ${patient?.lastName || ''}`.trim() || 'a patient',
+    hospitalName: hospital?.name || '',
+    doctorName: doctor.name,
+    readerRole: READER_ROLES.PRIMARY
+  }, { relatedId: report.id });
+
+  return report;
+};
+
+/**
+ * Active doctors of a hospital with their workload, availability and presence
+ * @param {number} hospitalId
+ * @returns {Promise<Object[]>} { doctor, pending, lastAssignedAt, availability, online }
+ */
+const listAssignmentCandidates = async (hospitalId) => {
+  const doctors = await db.Doctor.findAll({
+    where: { hospitalId, isActive: true },
+    attributes: ['id', 'name', 'specialization', 'hospitalId', ...AVAILABILITY_ATTRIBUTES],
+    order: [['id', 'ASC']]
+  });
+  const [availabilities, onlineIds] = await Promise.all([
+    getAvailability(doctors),
+    getOnlineUserIds('doctor', { hospitalId }).catch(() => [])
+  ]);
+  const online = new Set(onlineIds.map(Number));
+
+  return doctors.map((doctor) => {
+    const { lastAssignedAt, ...availability } = availabilities.get(doctor.id);
+    return {
+      doctor,
+      pending: availability.pending,
+      lastAssignedAt,
+      availability,
+      online: online.has(doctor.id)
+    };
+  });
+};
+
+/**
+ * Pick the doctor for a report by the rules of its hospital
+ * @param {Object} report - Report instance
+ * @param {Object} [options]
+ * @param {Object} [options.rules] - Stored Hospital.autoAssignment; loaded when omitted
+ * @param {number[]} [options.exclude] - Doctors not to pick, e.g. the one a report is taken from
+ * @returns {Promise<{ doctor: Object|null, reason: string }>} reason explains the choice, or why nobody was picked
+ */
+const selectDoctor = async (report, { rules, exclude = [] } = {}) => {
+  if (rules === undefined) {
+    const hospital = await db.Hospital.findByPk(report.hospitalId, { attributes: ['id', 'autoAssignment'] });
+    rules = hospital?.autoAssignment;
+  }
+  const resolved = resolveAssignmentRules(rules);
+
+  // Doctors already reading the report as second reader or arbiter cannot become its primary reader
+  const otherReaders = await db.ReportReader.findAll({
+    where: { reportId: report.id, readerRole: { [Op.ne]: READER_ROLES.PRIMARY } },
+    attributes: ['doctorId']
+  });
+  const excluded = new Set([...exclude.map(Number), ...otherReaders.map((reader) => reader.doctorId)]);
+
+  // Doctors on leave or at their review limit are never picked
+  let candidates = (await listAssignmentCandidates(report.hospitalId))
+    .filter((candidate) => !excluded.has(candidate.doctor.id))
+    .filter((candidate) => !candidate.availability.reasons.some((reason) => BLOCKING_REASONS.includes(reason)));
+  if (resolved.onlyOnline) {
+    candidates = candidates.filter((candidate) => candidate.online);
+  }
+  if (!candidates.length) {
+    return { doctor: null, reason: resolved.onlyOnline ? 'No available doctor is online' : 'No available doctor in this hospital' };
+  }
+  // Doctors in their working hours come first; the others only when nobody is working
+  const working = candidates.filter((candidate) => candidate.availability.withinWorkingHours);
+  if (working.length) candidates = working;
+
+  const specializations = requiredSpecializations(report, resolved);
+  const matching = candidates.filter((candidate) => matchesSpecialization(candidate.doctor, specializations));
+  if (!matching.length && !resolved.fallbackToAnySpecialization) {
+    return { doctor: null, reason: `No available doctor with specialization ${specializations.join(' or ')}` };
+  }
+
+  const [best] = rankCandidates(matching.length ? matching : candidates, resolved.strategy);
+  const how = resolved.strategy === ASSIGNMENT_STRATEGIES.ROUND_ROBIN ? 'round robin' : `least loaded, ${best.pending} pending`;
+  return { doctor: best.doctor, reason: `Auto-assigned to Dr. ${best.doctor.name} (${how})` };
+};
+
+/**
+ * Assign a newly created report when its hospital has auto-assignment enabled.
+ * Never throws: a report that cannot be assigned stays "uploaded" for manual assignment.
+ * The status history records the assignment as made by the system.
+ * @param {Object} report - Report instance
+ * @returns {Promise<Object|null>} The assigned doctor, or null
+ */
+const autoAssignReport = async (report) => {
+  try {
+    if (report.assignedDoctorId || normalizeStatus(report.status) !== REPORT_STATUSES.UPLOADED) return null;
+
+    const hospital = await db.Hospital.findByPk(report.hospitalId, { attributes: ['id', 'autoAssignment'] });
+    if (!resolveAssignmentRules(hospital?.autoAssignment).enabled) return null;
+
+    const { doctor, reason } = await selectDoctor(report, { rules: hospital.autoAssignment });
+    if (!doctor) {
+      console.log(`📋 Report ${report.id} left unassigned: ${reason}`);
+      return null;
+    }
+    if (getTransitionError(report.status, REPORT_STATUSES.ASSIGNED)) return null;
+
+    await assignReport(report, doctor, { reason });
+    console.log(`📋 Report ${report.id} auto-assigned to doctor ${doctor.id}`);
+    return doctor;
+  } catch (error) {
+    console.error(`Auto-assignment of report ${report.id} failed:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  assignReport,
+  listAssignmentCandidates,
+  selectDoctor,
+  autoAssignReport
+};
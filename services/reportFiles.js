@@ -0,0 +1,31 @@
+// services/reportFiles.js
+// Uploads into the private reports container, shared by the report controller and the report jobs.
+const storage = require('./storage');
+const { CONTAINERS } = storage;
+
+/**
+ * Upload a report file (original images, generated and annotated PDFs)
+ * @param {Object} file - Multer-style file ({ buffer, originalname, mimetype, size })
+ * @param {number|string} patientId - Files are stored under the patient's folder
+ * @param {string} fileType - Sub-folder and metadata tag, e.g. 'leftTopImage' or 'generated_pdf_report'
+ * @returns {Promise<Object>} Upload result of the storage driver plus fieldName (= fileType)
+ */
+const uploadReportFile = async (file, patientId, fileType) => {
+  const uploadedFile = await storage.uploadFile(file, {
+    container: CONTAINERS.REPORTS,
+    folder: `${patientId}/${fileType}`,
+    metadata: {
+      patientId: patientId.toString(),
+      fileType: fileType
+    }
+  });
+
+  return {
+    ...uploadedFile,
+    fieldName: fileType
+  };
+};
+
+module.exports = {
+  uploadReportFile
+};
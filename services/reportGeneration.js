@@ -0,0 +1,196 @@
+// services/reportGeneration.js
+// Generates the PDF of a queued ReportJob from its report template and creates the Report.
+// The images were uploaded by the create endpoint before the job was queued. The first
+// attempt normally reuses the request's buffers from an in-process cache; retries, and jobs picked
+// up by another instance, read the images straight from storage.
+const db = require('../models');
+const storage = require('./storage');
+const { generateTemplateReport } = require('../utils/reportUtils');
+const { getTemplate } = require('../utils/reportTemplates');
+const { generateRetrievalToken } = require('../utils/reportRetrieval');
+const { uploadReportFile } = require('./reportFiles');
+const { recordUpload } = require('./reportWorkflow');
+const { autoAssignReport } = require('./reportAssignment');
+
+const { CONTAINERS } = storage;
+
+// Small by default: retries and other instances read from storage anyway. 0 turns the cache off.
+const IMAGE_CACHE_MB = parseInt(process.env.REPORT_JOB_IMAGE_CACHE_MB);
+const IMAGE_CACHE_MAX_BYTES = (Number.isNaN(IMAGE_CACHE_MB) ? 32 : Math.max(IMAGE_CACHE_MB, 0)) * 1024 * 1024;
+const IMAGE_CACHE_TTL_MS = 15 * 60 * 1000;
+
+// jobId -> { buffers: { [field]: Buffer }, bytes, expiresAt }, oldest first
+const imageCache = new Map();
+let imageCacheBytes = 0;
+
+const dropCachedImages = (jobId) => {
+  const entry = imageCache.get(jobId);
+  if (!entry) return;
+  imageCache.delete(jobId);
+  imageCacheBytes -= entry.bytes;
+};
+
+/**
+ * Keep the uploaded image buffers of a queued job in memory for its first attempt. Call it before the
+ * job is committed, so the worker cannot pick the job up first.
+ * Expired and then the oldest entries are evicted to stay under REPORT_JOB_IMAGE_CACHE_MB (default 32).
+ * @param {number} jobId
+ * @param {Object} buffers - Buffer per image field (leftTopImage, ecgTraceImage, ...)
+ */
+const cacheJobImages = (jobId, buffers) => {
+  const bytes = Object.values(buffers).reduce((sum, buffer) => sum + buffer.length, 0);
+  if (!IMAGE_CACHE_MAX_BYTES || bytes > IMAGE_CACHE_MAX_BYTES) return;
+
+  const now = Date.now();
+  for (const [cachedJobId, entry] of imageCache) {
+    if (entry.expiresAt <= now || imageCacheBytes + bytes > IMAGE_CACHE_MAX_BYTES) {
+      dropCachedImages(cachedJobId);
+    }
+  }
+
+  imageCache.set(jobId, { buffers, bytes, expiresAt: now + IMAGE_CACHE_TTL_MS });
+  imageCacheBytes += bytes;
+};
+
+/**
+ * Loader of the signature image of a hospital's report branding
+ * @param {Object} [branding] - Hospital.reportBranding
+ * @returns {Function|null} For the signatureImage of generateTemplateReport
+ */
+const brandingSignatureLoader = (branding) => {
+  const blobName = branding?.signatureBlobName;
+  return blobName ? () => storage.downloadFile(CONTAINERS.SIGNATURES, blobName) : null;
+};
+
+// Report already created by an earlier run of the job. The job row is locked when a transaction is given.
+const findJobReport = async (jobId, transaction) => {
+  const job = await db.ReportJob.findByPk(jobId, {
+    attributes: ['id', 'reportId'],
+    ...(transaction && { transaction, lock: transaction.LOCK.UPDATE })
+  });
+  return job?.reportId ? db.Report.findByPk(job.reportId, { transaction }) : null;
+};
+
+/**
+ * Job handler for JOB_TYPES.TEMPLATE_REPORT
+ * @param {Object} job - ReportJob instance; payload { templateKey, title, description, doctorId, uploadedBy,
+ *   images: [{ position, fileUrl, blobName }], data, answers } where position is the template image field
+ * @returns {Promise<{ reportId: number }>}
+ */
+const generateTemplateReportJob = async (job) => {
+  const { templateKey, title, description, doctorId, uploadedBy, images, data, answers } = job.payload;
+  const { hospitalId, patientId } = job;
+
+  // The report is stored with the job, so a rerun (e.g. after the worker died before completing the
+  // job) finishes that report instead of creating a second one
+  const existingReport = await findJobReport(job.id);
+  if (existingReport) {
+    dropCachedImages(job.id);
+    await autoAssignReport(existingReport);
+    return { reportId: existingReport.id };
+  }
+
+  const template = getTemplate(templateKey);
+  if (!template) {
+    throw new Error(`Unknown report template "${templateKey}"`);
+  }
+
+  const [patient, doctor, hospital] = await Promise.all([
+    db.Patient.findOne({ where: { id: patientId, hospitalId } }),
+    db.Doctor.findOne({ where: { id: doctorId, hospitalId } }),
+    db.Hospital.findByPk(hospitalId, { attributes: ['id', 'name', 'address', 'imageUrl', 'reportBranding'] })
+  ]);
+  if (!patient || !doctor || !hospital) {
+    throw new Error('Patient, doctor or hospital no longer exists');
+  }
+
+  // Cached request buffers when available, otherwise a loader reading the file from storage
+  const cached = imageCache.get(job.id)?.buffers || {};
+  const imageMap = {};
+  images.forEach((image) => {
+    imageMap[image.position] = cached[image.position] ||
+      (() => storage.downloadFileByUrl(CONTAINERS.REPORTS, image.fileUrl));
+  });
+
+  // Printed as a QR code so the patient can fetch the reviewed report later
+  const retrievalToken = generateRetrievalToken();
+
+  console.log(`📝 Report job ${job.id}: generating ${template.key} PDF (attempt ${job.attempts}, ${Object.keys(cached).length} cached images)`);
+  const pdfReportData = await generateTemplateReport(template.key, {
+    title,
+    // Includes the questionnaire answers stored on the patient (e.g. the breast screening questions)
+    patient: patient.get({ plain: true }),
+    doctor: { name: doctor.name || '', specialization: doctor.specialization || 'General Practitioner' },
+    // Branding is read when the job runs, so changes apply to reports still in the queue
+    hospital: { name: hospital.name, address: hospital.address, imageUrl: hospital.imageUrl, reportBranding: hospital.reportBranding },
+    signatureImage: brandingSignatureLoader(hospital.reportBranding),
+    images: imageMap,
+    data,
+    answers,
+    retrievalToken
+  });
+  dropCachedImages(job.id);
+
+  const formattedDate = new Date().toISOString().replace(/[:.]/g, '-');
+  const pdfUploadData = await uploadReportFile({
+    buffer: pdfReportData,
+    mimetype: 'application/pdf',
+    originalname: `${patient.lastName}_${patient.firstName}_${formattedDate}.pdf`,
+    size: pdfReportData.length
+  }, patientId, 'generated_pdf_report');
+
+  let duplicate = false;
+  const report = await db.sequelize.transaction(async (transaction) => {
+    // Another run of the same job may have finished in the meantime
+    const existing = await findJobReport(job.id, transaction);
+    if (existing) {
+      duplicate = true;
+      return existing;
+    }
+
+    const created = await db.Report.create({
+      title: title || template.defaultTitle,
+      description: description || template.defaultDescription,
+      reportType: 'Other',
+      templateKey: template.key,
+      retrievalToken,
+      patientId,
+      doctorId,
+      hospitalId,
+      uploadedBy,
+      fileUrl: pdfUploadData.fileUrl,
+      fileName: pdfUploadData.fileName,
+      fileType: pdfUploadData.fileType,
+      fileSize: pdfUploadData.fileSize || pdfReportData.length,
+      metadata: {
+        images,
+        data: data || {},
+        answers: answers || {},
+        generatedAt: new Date().toISOString(),
+        generatedBy: doctorId,
+        pdfBlobName: pdfUploadData.blobName,
+        jobId: job.id
+      }
+    }, { transaction });
+    await recordUpload(created, {
+      actor: { actorType: job.createdByType, actorId: job.createdById },
+      transaction
+    });
+    await db.ReportJob.update({ reportId: created.id }, { where: { id: job.id }, transaction });
+    return created;
+  });
+  if (duplicate) {
+    await storage.deleteFileByUrl(CONTAINERS.REPORTS, pdfUploadData.fileUrl).catch((error) => {
+      console.error(`Report job ${job.id}: failed to delete duplicate PDF:`, error.message);
+    });
+  }
+  await autoAssignReport(report);
+
+  return { reportId: report.id };
+};
+
+module.exports = {
+  cacheJobImages,
+  brandingSignatureLoader,
+  generateTemplateReportJob
+};
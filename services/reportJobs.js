@@ -0,0 +1,172 @@
+// services/reportJobs.js
+// Database-backed queue for slow report work (PDF generation), so it runs outside the HTTP request
+// and survives restarts without an external broker.
+//
+// A worker polls the ReportJobs table every REPORT_JOB_POLL_INTERVAL_MS (default 5s) and claims one
+// due job at a time with a conditional UPDATE, which keeps several app instances from running the
+// same job. Failed attempts are retried with backoff up to maxAttempts; after that the job stays
+// failed until retryJob is called. Set REPORT_JOB_WORKER=false on instances that should only enqueue.
+const { Op } = require('sequelize');
+const db = require('../models');
+const { JOB_TYPES, JOB_STATUSES, retryDelayMs } = require('../utils/reportJobs');
+const { generateTemplateReportJob } = require('./reportGeneration');
+const { notify } = require('./notifications');
+const { emitToUser } = require('./socket');
+const { SOCKET_EVENTS } = require('../utils/socketEvents');
+
+const POLL_INTERVAL_MS = parseInt(process.env.REPORT_JOB_POLL_INTERVAL_MS) || 5000;
+// A processing job whose lock is older than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = parseInt(process.env.REPORT_JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+
+// A job runs again when its worker died mid-run (releaseStaleJobs), so handlers must not repeat work
+// that was already stored
+const JOB_HANDLERS = {
+  [JOB_TYPES.TEMPLATE_REPORT]: generateTemplateReportJob
+};
+
+/**
+ * Queue a job
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - Handler input; must only reference data that is already stored
+ * @param {Object} options
+ * @param {number} options.hospitalId
+ * @param {number} options.patientId
+ * @param {Object} options.actor - From actorFromRequest; notified when the job finishes
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} ReportJob instance
+ */
+const enqueueJob = (type, payload, { hospitalId, patientId, actor, transaction }) =>
+  db.ReportJob.create({
+    type,
+    payload,
+    hospitalId,
+    patientId,
+    createdByType: actor.actorType,
+    createdById: actor.actorId
+  }, { transaction });
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts
+ * @param {Object} job - ReportJob instance
+ * @returns {Promise<Object>} The updated job
+ * @throws {Error} When the job has not failed
+ */
+const retryJob = async (job) => {
+  if (job.status !== JOB_STATUSES.FAILED) {
+    throw new Error(`Only failed jobs can be retried (job is ${job.status})`);
+  }
+  return job.update({
+    status: JOB_STATUSES.QUEUED,
+    attempts: 0,
+    runAt: new Date(),
+    lockedAt: null,
+    lastError: null
+  });
+};
+
+// Release jobs left "processing" by a worker that died mid-run
+const releaseStaleJobs = () => db.ReportJob.update(
+  { status: JOB_STATUSES.QUEUED, lockedAt: null, lastError: 'Worker stopped while processing the job' },
+  { where: { status: JOB_STATUSES.PROCESSING, lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT_MS) } } }
+);
+
+// Claim the next due job, or return null when there is none (or another worker got it first)
+const claimNextJob = async () => {
+  const job = await db.ReportJob.findOne({
+    where: { status: JOB_STATUSES.QUEUED, runAt: { [Op.lte]: new Date() } },
+    order: [['runAt', 'ASC'], ['id', 'ASC']]
+  });
+  if (!job) return null;
+
+  const [claimed] = await db.ReportJob.update(
+    { status: JOB_STATUSES.PROCESSING, lockedAt: new Date(), attempts: job.attempts + 1 },
+    { where: { id: job.id, status: JOB_STATUSES.QUEUED } }
+  );
+  return claimed ? job.reload() : null;
+};
+
+const notifyJobOwner = (job, type, data, relatedId) =>
+  notify({ userId: job.createdById, userType: job.createdByType }, type, { jobId: job.id, ...data }, { relatedId });
+
+// Lets the owner's job list update without polling
+const emitJobFinished = (job) => emitToUser(job.createdByType, job.createdById, SOCKET_EVENTS.REPORT_JOB_FINISHED, {
+  jobId: job.id,
+  type: job.type,
+  status: job.status,
+  reportId: job.reportId,
+  error: job.lastError
+});
+
+const runJob = async (job) => {
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+
+    const { reportId } = await handler(job);
+    await job.update({
+      status: JOB_STATUSES.COMPLETED,
+      reportId,
+      lockedAt: null,
+      lastError: null,
+      completedAt: new Date()
+    });
+    console.log(`✅ Report job ${job.id} completed (report ${reportId})`);
+
+    emitJobFinished(job);
+    await notifyJobOwner(job, 'REPORT_READY', {}, reportId);
+  } catch (error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    console.error(`❌ Report job ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed:`, error);
+
+    await job.update({
+      status: exhausted ? JOB_STATUSES.FAILED : JOB_STATUSES.QUEUED,
+      lockedAt: null,
+      lastError: error.message,
+      runAt: exhausted ? job.runAt : new Date(Date.now() + retryDelayMs(job.attempts))
+    });
+
+    if (exhausted) {
+      emitJobFinished(job);
+      await notifyJobOwner(job, 'REPORT_GENERATION_FAILED', { error: error.message }, job.id);
+    }
+  }
+};
+
+let pollTimer = null;
+let polling = false;
+
+// Run due jobs one after another until the queue is empty
+const pollJobs = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    await releaseStaleJobs();
+    let job = await claimNextJob();
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error('Error polling report jobs:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Start polling for jobs. Call once the database tables exist.
+ */
+const startReportJobWorker = () => {
+  if (pollTimer || process.env.REPORT_JOB_WORKER === 'false') return;
+  pollTimer = setInterval(pollJobs, POLL_INTERVAL_MS);
+  pollJobs();
+  console.log(`🧵 Report job worker started (polling every ${POLL_INTERVAL_MS}ms)`);
+};
+
+module.exports = {
+  enqueueJob,
+  retryJob,
+  startReportJobWorker
+};
@@ -0,0 +1,55 @@
+// services/reportNotifications.js
+// Tells the hospital and the patient that a report has been reviewed.
+// The patient is reached through the contact details of their patient record; messages carry the
+// PIN-protected retrieval link (see utils/reportRetrieval.js) rather than a direct file link.
+// Channels and texts come from services/notifications.js (REPORT_REVIEWED, PATIENT_REPORT_REVIEWED).
+const db = require('../models');
+const { notify } = require('./notifications');
+const { RETRIEVAL_PIN_LENGTH, generateRetrievalToken, retrievalUrl } = require('../utils/reportRetrieval');
+
+// Uploaded (not generated) reports have no retrieval token yet
+const ensureRetrievalToken = async (report) => {
+  if (!report.retrievalToken) {
+    await report.update({ retrievalToken: generateRetrievalToken() });
+  }
+  return report.retrievalToken;
+};
+
+/**
+ * Notify the hospital and the patient that a report was reviewed. Never throws.
+ * @param {Object} report - Report instance, after the review was published
+ * @param {Object} [options]
+ * @param {number} [options.reviewerId] - Doctor whose reading was published (defaults to the assigned doctor)
+ */
+const notifyReportReviewed = async (report, { reviewerId = report.assignedDoctorId } = {}) => {
+  try {
+    const [patient, hospital, doctor] = await Promise.all([
+      db.Patient.findByPk(report.patientId, { attributes: ['id', 'firstName', 'lastName', 'email', 'contact'] }),
+      db.Hospital.findByPk(report.hospitalId, { attributes: ['id', 'name'] }),
+      reviewerId ? db.Doctor.findByPk(reviewerId, { attributes: ['id', 'name'] }) : null
+    ]);
+
+    await notify({ userId: report.hospitalId, userType: 'hospital' }, 'REPORT_REVIEWED', {
+      reportTitle: report.title,
+      patientName: `${patient?.firstName || ''} ${patient?.lastName || ''}`.trim() || 'a patient',
+      doctorName: doctor?.name
+    }, { relatedId: report.id });
+
+    if (patient && (patient.email || patient.contact)) {
+      await notify({ email: patient.email, phone: patient.contact }, 'PATIENT_REPORT_REVIEWED', {
+        firstName: patient.firstName,
+        reportTitle: report.title,
+        hospitalName: hospital?.name || 'your hospital',
+        doctorName: doctor?.name,
+        retrievalUrl: retrievalUrl(await ensureRetrievalToken(report)),
+        pinLength: RETRIEVAL_PIN_LENGTH
+      }, { relatedId: report.id });
+    }
+  } catch (error) {
+    console.error(`Failed to send review notifications for report ${report.id}:`, error);
+  }
+};
+
+module.exports = {
+  notifyReportReviewed
+};
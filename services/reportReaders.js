@@ -0,0 +1,91 @@
+// services/reportReaders.js
+// Reader assignments for double reading / second opinion.
+const { Op } = require('sequelize');
+const db = require('../models');
+const { READER_ROLES } = require('../utils/reportReaders');
+const { REPORT_STATUSES, normalizeStatus } = require('../utils/reportWorkflow');
+
+/**
+ * Where-clause fragment matching reports a doctor may read: assigned to them, or listed as a reader.
+ * Combine with other conditions through Op.and so it does not clash with search Op.or clauses.
+ * @param {number} doctorId
+ * @returns {Object}
+ */
+const doctorReportScope = (doctorId) => ({
+  [Op.or]: [
+    { assignedDoctorId: doctorId },
+    {
+      id: {
+        [Op.in]: db.sequelize.literal(
+          `(SELECT reportId FROM ${db.ReportReader.getTableName()} WHERE doctorId = ${db.sequelize.escape(Number(doctorId))})`
+        )
+      }
+    }
+  ]
+});
+
+/**
+ * Whether a doctor is one of the readers of a report
+ * @param {number} reportId
+ * @param {number} doctorId
+ * @returns {Promise<boolean>}
+ */
+const isReportReader = async (reportId, doctorId) =>
+  (await db.ReportReader.count({ where: { reportId, doctorId } })) > 0;
+
+/**
+ * Make a doctor the primary reader of a report, replacing any previous primary reader
+ * @param {Object} report - Report instance
+ * @param {number} doctorId
+ * @param {Object} [options]
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} The ReportReader row
+ */
+const setPrimaryReader = async (report, doctorId, { transaction } = {}) => {
+  await db.ReportReader.destroy({
+    where: { reportId: report.id, readerRole: READER_ROLES.PRIMARY, doctorId: { [Op.ne]: doctorId } },
+    transaction
+  });
+  const [reader] = await db.ReportReader.findOrCreate({
+    where: { reportId: report.id, doctorId },
+    defaults: { readerRole: READER_ROLES.PRIMARY, assignedAt: new Date() },
+    transaction
+  });
+  return reader;
+};
+
+/**
+ * Reader row of a doctor on a report. Reports assigned before multi-reader support have no rows,
+ * so the assigned doctor gets a primary row on first use.
+ * @param {Object} report - Report instance
+ * @param {number} doctorId
+ * @returns {Promise<Object|null>}
+ */
+const findReader = async (report, doctorId) => {
+  const reader = await db.ReportReader.findOne({ where: { reportId: report.id, doctorId } });
+  if (reader || Number(report.assignedDoctorId) !== Number(doctorId)) return reader;
+  return setPrimaryReader(report, doctorId);
+};
+
+/**
+ * Whether the caller may see every reader's readings and annotations of a report.
+ * Doctors only see their own until the report is reviewed, unless they are the arbiter.
+ * @param {Object} report - Report instance (needs id and status)
+ * @param {Object} req - Express request after auth middleware
+ * @returns {Promise<boolean>}
+ */
+const canSeeAllReadings = async (report, req) => {
+  if (req.role !== 'doctor') return true;
+  const status = normalizeStatus(report.status);
+  if (status === REPORT_STATUSES.REVIEWED || status === REPORT_STATUSES.SIGNED_OFF) return true;
+  const reader = await db.ReportReader.findOne({ where: { reportId: report.id, doctorId: req.doctorId } });
+  return reader?.readerRole === READER_ROLES.ARBITER;
+};
+
+module.exports = {
+  doctorReportScope,
+  isReportReader,
+  setPrimaryReader,
+  findReader,
+  canSeeAllReadings
+};
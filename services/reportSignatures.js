@@ -0,0 +1,174 @@
+// services/reportSignatures.js
+// Signs the published PDF of a reviewed report and verifies signed PDFs (see utils/reportSignatures.js).
+const db = require('../models');
+const storage = require('./storage');
+const { uploadReportFile } = require('./reportFiles');
+const { formatDate } = require('../utils/reportUtils');
+const {
+  SIGNATURE_ALGORITHM,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  sha256,
+  sealSignature,
+  verifySeal,
+  verificationUrl,
+  stampSignaturePage
+} = require('../utils/reportSignatures');
+
+const { CONTAINERS } = storage;
+
+/**
+ * Add the signature page to the report's published PDF, store the signature and publish the signed PDF.
+ * The signed PDF is uploaded before the records are written; when the caller's transaction is rolled
+ * back, the caller removes it again with deleteSignedFile.
+ * @param {Object} report - Report instance, already moved to "reviewed" with its annotatedFileUrl
+ * @param {Object} options
+ * @param {number} options.doctorId - Reviewing doctor
+ * @param {Buffer} [options.pdfBuffer] - The published PDF when it is still in memory
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} ReportSignature instance
+ */
+const signReviewedReport = async (report, { doctorId, pdfBuffer, transaction }) => {
+  const [doctor, hospital] = await Promise.all([
+    db.Doctor.findByPk(doctorId, { attributes: ['id', 'name', 'specialization', 'registrationNumber'], transaction }),
+    db.Hospital.findByPk(report.hospitalId, { attributes: ['id', 'name'], transaction })
+  ]);
+  if (!doctor) {
+    throw new Error(`Signing doctor ${doctorId} not found`);
+  }
+
+  const unsignedPdf = pdfBuffer || await storage.downloadFileByUrl(CONTAINERS.REPORTS, report.annotatedFileUrl);
+  // Whole seconds: DATETIME columns drop milliseconds, which would break the seal once read back
+  const signedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const verificationCode = generateVerificationCode();
+
+  const signedPdf = await stampSignaturePage(unsignedPdf, {
+    doctorName: doctor.name,
+    registrationNumber: doctor.registrationNumber,
+    specialization: doctor.specialization,
+    hospitalName: hospital?.name,
+    reportId: report.id,
+    signedAt,
+    signedAtText: formatDate(signedAt),
+    verificationCode
+  });
+
+  const uploaded = await uploadReportFile({
+    buffer: signedPdf,
+    originalname: `signed-report-${report.id}.pdf`,
+    mimetype: 'application/pdf',
+    size: signedPdf.length
+  }, report.patientId, 'signed_report');
+
+  const record = {
+    reportId: report.id,
+    doctorId: doctor.id,
+    verificationCode,
+    sha256: sha256(signedPdf),
+    signedAt
+  };
+  const signature = db.ReportSignature.build({
+    ...record,
+    doctorName: doctor.name,
+    registrationNumber: doctor.registrationNumber || null,
+    hospitalName: hospital?.name || null,
+    algorithm: SIGNATURE_ALGORITHM,
+    seal: sealSignature(record),
+    fileUrl: uploaded.fileUrl
+  });
+  try {
+    await signature.save({ transaction });
+    await report.update({ annotatedFileUrl: uploaded.fileUrl }, { transaction });
+  } catch (error) {
+    await deleteSignedFile(signature);
+    throw error;
+  }
+  return signature;
+};
+
+/**
+ * Remove the signed PDF of a signature whose records were rolled back. Never throws.
+ * @param {Object|null} signature - ReportSignature instance returned by signReviewedReport
+ */
+const deleteSignedFile = async (signature) => {
+  if (!signature) return;
+  try {
+    await storage.deleteFileByUrl(CONTAINERS.REPORTS, signature.fileUrl);
+  } catch (error) {
+    console.error(`Failed to delete signed PDF ${signature.fileUrl}:`, error.message);
+  }
+};
+
+/**
+ * Look up a signature by verification code or the SHA-256 of a file. Verification is public, so only
+ * values that cannot be guessed are accepted (not report IDs).
+ * @param {Object} query
+ * @param {string} [query.code]
+ * @param {string} [query.fileHash]
+ * @returns {Promise<Object|null>} ReportSignature instance
+ */
+const findSignature = ({ code, fileHash }) => {
+  if (code) {
+    const verificationCode = normalizeVerificationCode(code);
+    return verificationCode ? db.ReportSignature.findOne({ where: { verificationCode } }) : null;
+  }
+  if (fileHash) {
+    return db.ReportSignature.findOne({ where: { sha256: fileHash } });
+  }
+  return null;
+};
+
+/**
+ * Check a report's signature and, when given, that a PDF is the signed file
+ * @param {Object} query - See findSignature
+ * @param {Buffer} [fileBuffer] - PDF to compare with the signed file
+ * @returns {Promise<Object|null>} Verification result without patient data, or null when nothing was signed.
+ *   status is one of: authentic, superseded (a later review replaced this PDF), revoked (report deleted),
+ *   file_mismatch (the PDF differs from the signed file), record_tampered (the stored signature was altered)
+ */
+const verifyReportSignature = async (query, fileBuffer) => {
+  const fileHash = fileBuffer ? sha256(fileBuffer) : null;
+  const signature = await findSignature({ ...query, fileHash });
+  if (!signature) return null;
+
+  const [report, latest] = await Promise.all([
+    db.Report.findByPk(signature.reportId, { attributes: ['id', 'status', 'isDeleted'] }),
+    db.ReportSignature.findOne({
+      where: { reportId: signature.reportId },
+      order: [['signedAt', 'DESC'], ['id', 'DESC']],
+      attributes: ['id']
+    })
+  ]);
+
+  const sealValid = verifySeal(signature);
+  const fileMatches = fileHash ? fileHash === signature.sha256 : null;
+
+  let status = 'authentic';
+  if (!sealValid) status = 'record_tampered';
+  else if (fileMatches === false) status = 'file_mismatch';
+  else if (!report || report.isDeleted) status = 'revoked';
+  else if (latest && latest.id !== signature.id) status = 'superseded';
+
+  return {
+    valid: status === 'authentic',
+    status,
+    reportId: signature.reportId,
+    verificationCode: signature.verificationCode,
+    verificationUrl: verificationUrl(signature.verificationCode),
+    signedBy: {
+      name: signature.doctorName,
+      registrationNumber: signature.registrationNumber
+    },
+    hospitalName: signature.hospitalName,
+    signedAt: signature.signedAt,
+    algorithm: signature.algorithm,
+    sha256: signature.sha256,
+    fileMatches
+  };
+};
+
+module.exports = {
+  signReviewedReport,
+  deleteSignedFile,
+  verifyReportSignature
+};
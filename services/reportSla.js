@@ -0,0 +1,237 @@
+// services/reportSla.js
+// Finds reports past their hospital's turnaround targets, escalates each breach once and computes
+// SLA compliance. Targets and clocks are defined in utils/reportSla.js.
+const { Op, UniqueConstraintError, fn, col } = require('sequelize');
+const db = require('../models');
+const { REPORT_STATUSES, normalizeStatus } = require('../utils/reportWorkflow');
+const {
+  SLA_STAGES,
+  SLA_ACTIONS,
+  STAGE_STATUSES,
+  resolveSlaSettings,
+  shortestTarget,
+  evaluateSla,
+  summarizeCompliance
+} = require('../utils/reportSla');
+const { MS_PER_HOUR } = require('../utils/metrics');
+const { notify } = require('./notifications');
+const { selectDoctor, assignReport } = require('./reportAssignment');
+
+const REPORT_ATTRIBUTES = [
+  'id', 'title', 'status', 'hospitalId', 'patientId', 'assignedDoctorId',
+  'templateKey', 'reportType', 'uploadedAt', 'assignedAt'
+];
+
+// Reports that changed hands only while nobody had started reviewing them
+const REASSIGNABLE_STATUSES = [REPORT_STATUSES.UPLOADED, REPORT_STATUSES.ASSIGNED];
+
+/**
+ * Open reports of a hospital whose SLA clock has run out
+ * @param {number} hospitalId
+ * @param {Object} settings - From resolveSlaSettings
+ * @param {Date} [now]
+ * @returns {Promise<Array<{ report: Object, sla: Object }>>} sla from evaluateSla
+ */
+const findBreaches = async (hospitalId, settings, now = new Date()) => {
+  // Narrow by the shortest target of each stage; the exact target of each report is checked below
+  const startedBefore = (stage, column) => ({
+    status: { [Op.in]: STAGE_STATUSES[stage] },
+    [column]: { [Op.lte]: new Date(now.getTime() - shortestTarget(settings, stage) * MS_PER_HOUR) }
+  });
+
+  const reports = await db.Report.findAll({
+    where: {
+      hospitalId,
+      isDeleted: false,
+      [Op.or]: [
+        startedBefore(SLA_STAGES.ASSIGNMENT, 'uploadedAt'),
+        startedBefore(SLA_STAGES.REVIEW, 'assignedAt')
+      ]
+    },
+    attributes: REPORT_ATTRIBUTES,
+    order: [['id', 'ASC']]
+  });
+
+  return reports
+    .map((report) => ({ report, sla: evaluateSla(report, settings, now) }))
+    .filter(({ sla }) => sla?.breached);
+};
+
+// Breaches without an escalation for their current clock
+const withoutEscalation = async (breaches) => {
+  if (!breaches.length) return [];
+  const escalations = await db.ReportSlaEscalation.findAll({
+    where: { reportId: { [Op.in]: breaches.map(({ report }) => report.id) } },
+    attributes: ['reportId', 'stage', 'clockStartedAt']
+  });
+  const escalated = new Set(escalations.map((row) => `${row.reportId}:${row.stage}:${new Date(row.clockStartedAt).getTime()}`));
+  return breaches.filter(({ report, sla }) => !escalated.has(`${report.id}:${sla.stage}:${sla.startedAt.getTime()}`));
+};
+
+/**
+ * Escalate one breach: record it, reassign the report when the hospital wants that and remind the doctor
+ * @param {{ report: Object, sla: Object }} breach
+ * @param {Object} settings - From resolveSlaSettings
+ * @returns {Promise<Object|null>} Summary for the hospital's notification, or null when it was already escalated
+ */
+const escalateBreach = async ({ report, sla }, settings) => {
+  let escalation;
+  try {
+    escalation = await db.ReportSlaEscalation.create({
+      reportId: report.id,
+      hospitalId: report.hospitalId,
+      stage: sla.stage,
+      clockStartedAt: sla.startedAt,
+      dueAt: sla.dueAt,
+      doctorId: report.assignedDoctorId || null
+    });
+  } catch (error) {
+    // Another process escalated it first
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+
+  const previousDoctor = report.assignedDoctorId
+    ? await db.Doctor.findByPk(report.assignedDoctorId, { attributes: ['id', 'name'] })
+    : null;
+
+  let newDoctor = null;
+  if (settings.reassign && REASSIGNABLE_STATUSES.includes(normalizeStatus(report.status))) {
+    const { doctor } = await selectDoctor(report, { exclude: previousDoctor ? [previousDoctor.id] : [] });
+    // The report was read at the start of the run; it is only taken if nobody has picked it up since
+    const reassigned = doctor && await assignReport(report, doctor, {
+      reason: `${sla.stage === SLA_STAGES.REVIEW ? 'Review' : 'Assignment'} target missed by ${sla.overdueHours} h; assigned to Dr. ${doctor.name}`,
+      unchanged: { status: report.status, assignedDoctorId: report.assignedDoctorId }
+    });
+    if (reassigned) {
+      await escalation.update({
+        action: previousDoctor ? SLA_ACTIONS.REASSIGNED : SLA_ACTIONS.ASSIGNED,
+        newDoctorId: doctor.id
+      });
+      newDoctor = doctor;
+    }
+  }
+
+  // A doctor who lost the report always hears about it; otherwise only when reminders are on
+  if (previousDoctor && (newDoctor || settings.remindDoctor)) {
+    await notify({ userId: previousDoctor.id, userType: 'doctor' }, 'REPORT_REVIEW_OVERDUE', {
+      reportTitle: report.title,
+      overdueHours: sla.overdueHours,
+      reassigned: Boolean(newDoctor)
+    }, { relatedId: report.id });
+  }
+
+  return {
+    reportId: report.id,
+    reportTitle: report.title,
+    stage: sla.stage,
+    overdueHours: sla.overdueHours,
+    doctorName: previousDoctor?.name || null,
+    action: escalation.action,
+    newDoctorName: newDoctor?.name || null
+  };
+};
+
+/**
+ * Escalate new SLA breaches of every hospital with SLA escalation enabled.
+ * Each hospital gets one notification per run listing its new breaches.
+ */
+const escalateSlaBreaches = async () => {
+  try {
+    const hospitals = await db.Hospital.findAll({
+      where: { slaSettings: { [Op.ne]: null } },
+      attributes: ['id', 'name', 'slaSettings']
+    });
+
+    for (const hospital of hospitals) {
+      const settings = resolveSlaSettings(hospital.slaSettings);
+      if (!settings.enabled) continue;
+
+      const breaches = await withoutEscalation(await findBreaches(hospital.id, settings));
+      const escalated = [];
+      for (const breach of breaches) {
+        try {
+          const summary = await escalateBreach(breach, settings);
+          if (summary) escalated.push(summary);
+        } catch (error) {
+          console.error(`Failed to escalate SLA breach of report ${breach.report.id}:`, error.message);
+        }
+      }
+
+      if (escalated.length) {
+        console.log(`⏰ ${escalated.length} SLA breaches escalated for hospital ${hospital.name}`);
+        await notify({ userId: hospital.id, userType: 'hospital' }, 'REPORT_SLA_BREACHED', {
+          hospitalName: hospital.name,
+          breaches: escalated
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Error escalating SLA breaches:', error);
+  }
+};
+
+/**
+ * SLA compliance of a hospital's reports uploaded since a date, overall and per period,
+ * with the reports breaching right now and what the escalation job did
+ * @param {Object} hospital - Hospital instance with id and slaSettings
+ * @param {Object} options
+ * @param {Date} options.since
+ * @param {string} options.dateFormat - MySQL DATE_FORMAT pattern of a period, e.g. '%Y-%m'
+ * @returns {Promise<Object>} { targets, overall, trends, openBreaches, escalations }
+ */
+const getSlaMetrics = async (hospital, { since, dateFormat }) => {
+  const settings = resolveSlaSettings(hospital.slaSettings);
+
+  const [reports, breaches, escalations] = await Promise.all([
+    db.Report.findAll({
+      where: { hospitalId: hospital.id, isDeleted: false, uploadedAt: { [Op.gte]: since } },
+      attributes: [...REPORT_ATTRIBUTES, 'reviewedAt', [fn('DATE_FORMAT', col('uploadedAt'), dateFormat), 'period']],
+      raw: true
+    }),
+    findBreaches(hospital.id, settings),
+    db.ReportSlaEscalation.findAll({
+      where: { hospitalId: hospital.id, createdAt: { [Op.gte]: since } },
+      attributes: ['action', [fn('COUNT', col('id')), 'count']],
+      group: ['action'],
+      raw: true
+    })
+  ]);
+
+  const periods = new Map();
+  reports.forEach((report) => {
+    if (!periods.has(report.period)) periods.set(report.period, []);
+    periods.get(report.period).push(report);
+  });
+
+  return {
+    targets: {
+      enabled: settings.enabled,
+      assignmentHours: settings.assignmentHours,
+      reviewHours: settings.reviewHours,
+      overrides: settings.overrides
+    },
+    overall: summarizeCompliance(reports, settings),
+    trends: [...periods.keys()].sort().map((period) => ({
+      period,
+      reports: periods.get(period).length,
+      ...summarizeCompliance(periods.get(period), settings)
+    })),
+    openBreaches: breaches.map(({ report, sla }) => ({
+      reportId: report.id,
+      title: report.title,
+      status: report.status,
+      assignedDoctorId: report.assignedDoctorId,
+      stage: sla.stage,
+      dueAt: sla.dueAt,
+      overdueHours: sla.overdueHours
+    })),
+    escalations: Object.fromEntries(escalations.map((row) => [row.action, Number(row.count)]))
+  };
+};
+
+module.exports = {
+  findBreaches,
+  escalateSlaBreaches,
+  getSlaMetrics
+};
@@ -0,0 +1,122 @@
+// services/reportWorkflow.js
+// Applies report status changes and records each one in ReportStatusHistory.
+// Transition rules live in utils/reportWorkflow.js.
+const { Op } = require('sequelize');
+const db = require('../models');
+const { REPORT_STATUSES, normalizeStatus, getTransitionError } = require('../utils/reportWorkflow');
+const { SOCKET_EVENTS } = require('../utils/socketEvents');
+const { emitToUsers } = require('./socket');
+
+/**
+ * Build the history actor from an authenticated request
+ * @param {Object} req - Express request after auth middleware
+ * @returns {{ actorType: string, actorId: number|null }}
+ */
+const actorFromRequest = (req) => ({
+  actorType: req?.role || 'system',
+  actorId: req?.user?.id || null
+});
+
+const recordHistory = (reportId, fromStatus, toStatus, { actor = {}, reason, assignment, transaction } = {}) =>
+  db.ReportStatusHistory.create({
+    reportId,
+    fromStatus,
+    toStatus,
+    actorType: actor.actorType || 'system',
+    actorId: actor.actorId || null,
+    reason: reason || null,
+    doctorId: assignment?.doctorId || null,
+    previousDoctorId: assignment?.previousDoctorId || null
+  }, { transaction });
+
+// The hospital, the assigned doctor and admins see status changes live
+const emitReportStatusChange = (report, fromStatus, toStatus, reason) =>
+  emitToUsers([['hospital', report.hospitalId], ['doctor', report.assignedDoctorId]], SOCKET_EVENTS.REPORT_STATUS_CHANGED, {
+    reportId: report.id,
+    title: report.title,
+    hospitalId: report.hospitalId,
+    assignedDoctorId: report.assignedDoctorId,
+    fromStatus,
+    toStatus,
+    reason: reason || null,
+    changedAt: new Date()
+  }, { admins: true });
+
+/**
+ * Move a report to a new status and record the change.
+ * Validate with getTransitionError first to answer the client; this throws on illegal transitions.
+ * @param {Object} report - Report instance
+ * @param {string} toStatus - Target status
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - From actorFromRequest
+ * @param {string} [options.reason] - Why the status changed
+ * @param {Object} [options.changes] - Other report fields to update together with the status
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<Object>} The updated report
+ */
+const transitionReport = async (report, toStatus, { actor, reason, changes = {}, transaction } = {}) => {
+  const fromStatus = normalizeStatus(report.status);
+  const error = getTransitionError(fromStatus, toStatus);
+  if (error) {
+    throw new Error(error);
+  }
+
+  // Who held the report before and after, so reassignments can be told apart in analytics
+  const assignment = 'assignedDoctorId' in changes
+    ? { doctorId: changes.assignedDoctorId, previousDoctorId: report.assignedDoctorId }
+    : undefined;
+
+  await report.update({ ...changes, status: toStatus }, { transaction });
+  await recordHistory(report.id, fromStatus, toStatus, { actor, reason, assignment, transaction });
+
+  // Clients only hear about changes that were committed
+  const announce = () => emitReportStatusChange(report, fromStatus, toStatus, reason);
+  if (transaction) transaction.afterCommit(announce);
+  else announce();
+  return report;
+};
+
+/**
+ * Record the initial "uploaded" entry of a newly created report
+ * @param {Object} report - Report instance
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - From actorFromRequest
+ * @param {Object} [options.transaction] - Sequelize transaction
+ */
+const recordUpload = (report, { actor, transaction } = {}) =>
+  recordHistory(report.id, null, REPORT_STATUSES.UPLOADED, { actor, transaction });
+
+/**
+ * Status history of a report, oldest first
+ * @param {number} reportId
+ * @returns {Promise<Object[]>}
+ */
+const getStatusHistory = (reportId) =>
+  db.ReportStatusHistory.findAll({
+    where: { reportId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+/**
+ * Move reports still carrying pre-workflow statuses onto the workflow.
+ * "pending" reports become "assigned" when a doctor is already assigned, otherwise "uploaded".
+ */
+const migrateLegacyStatuses = async () => {
+  const [assigned] = await db.Report.update(
+    { status: REPORT_STATUSES.ASSIGNED },
+    { where: { status: 'pending', assignedDoctorId: { [Op.ne]: null } } }
+  );
+  const [uploaded] = await db.Report.update(
+    { status: REPORT_STATUSES.UPLOADED },
+    { where: { status: 'pending' } }
+  );
+  return assigned + uploaded;
+};
+
+module.exports = {
+  actorFromRequest,
+  transitionReport,
+  recordUpload,
+  getStatusHistory,
+  migrateLegacyStatuses
+};
@@ -0,0 +1,8 @@
+// services/sms/console.driver.js
+// Logs messages instead of sending them (development and CI).
+exports.createDriver = () => ({
+  send: async (to, message) => {
+    console.log(`📱 [sms:console] to ${to}: ${message}`);
+    return { id: null };
+  }
+});
@@ -0,0 +1,61 @@
+// services/sms/index.js
+// Single entry point for text messages (OTP codes, notifications). Callers use sendSms and the
+// configured driver does the rest, like services/storage.
+//
+// Driver selection (SMS_DRIVER):
+//   twilio  - Twilio REST API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+//   console - logs the message instead of sending it (development)
+// If SMS_DRIVER is not set we use twilio when an account SID exists, otherwise console.
+//
+// Numbers without a country code get SMS_DEFAULT_COUNTRY_CODE (default +91).
+const drivers = {
+  twilio: () => require('./twilio.driver'),
+  console: () => require('./console.driver')
+};
+
+let activeDriver = null;
+
+const getDriverName = () => {
+  if (process.env.SMS_DRIVER) return process.env.SMS_DRIVER.toLowerCase();
+  return process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'console';
+};
+
+// Drivers are created lazily so the app can boot without SMS credentials
+const getDriver = () => {
+  if (!activeDriver) {
+    const name = getDriverName();
+    const loadDriver = drivers[name];
+    if (!loadDriver) {
+      throw new Error(`Unknown SMS driver "${name}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = loadDriver().createDriver();
+    console.log(`📱 SMS driver initialized: ${name}`);
+  }
+  return activeDriver;
+};
+
+/**
+ * Bring a phone number into E.164 form (+919876543210)
+ * @param {string} phone
+ * @returns {string}
+ */
+const toE164 = (phone) => {
+  const trimmed = String(phone || '').trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (trimmed.startsWith('+')) return `+${digits}`;
+  const countryCode = (process.env.SMS_DEFAULT_COUNTRY_CODE || '+91').replace(/\D/g, '');
+  return digits.length > 10 && digits.startsWith(countryCode) ? `+${digits}` : `+${countryCode}${digits.replace(/^0+/, '')}`;
+};
+
+/**
+ * Send a text message
+ * @param {string} to - Phone number
+ * @param {string} message
+ * @returns {Promise<{ id: string|null }>} Provider message ID
+ */
+const sendSms = (to, message) => getDriver().send(toE164(to), message);
+
+module.exports = {
+  sendSms,
+  toE164
+};
@@ -0,0 +1,27 @@
+// services/sms/twilio.driver.js
+// Sends messages through the Twilio REST API.
+const axios = require('axios');
+
+exports.createDriver = () => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+  if (!accountSid || !authToken || !from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER are required for the twilio SMS driver');
+  }
+
+  return {
+    send: async (to, message) => {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: from, Body: message }).toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 15000
+        }
+      );
+      return { id: response.data?.sid || null };
+    }
+  };
+};
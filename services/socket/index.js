@@ -0,0 +1,214 @@
+// services/socket/index.js
+// Real-time events over Socket.IO.
+//
+// Clients connect with the same JWT as the REST API, in the handshake:
+//   io(url, { auth: { token } })   (an "Authorization: Bearer <token>" header also works)
+// Rooms come from the verified token (see utils/socketEvents.js), so a client cannot listen to
+// somebody else's events. Older clients that still emit "join" get their own rooms confirmed.
+//
+// Adapter selection (SOCKET_ADAPTER):
+//   memory - default; events only reach clients connected to this process
+//   redis  - rooms and events are shared between processes through Redis (REDIS_URL)
+//
+// Presence is read from the rooms themselves (fetchSockets), so it is correct across processes
+// whenever the adapter is.
+const { Server } = require('socket.io');
+const { authenticateToken } = require('../../middlewares/auth');
+const { SOCKET_EVENTS, userRoom, roleRoom } = require('../../utils/socketEvents');
+
+const adapters = {
+  memory: null,
+  redis: () => require('./redis.adapter')
+};
+
+let io = null;
+let adapterReady = Promise.resolve();
+
+const getAdapterName = () => (process.env.SOCKET_ADAPTER || 'memory').toLowerCase();
+
+// Adapters connect asynchronously; connections wait for it, since replacing the adapter drops room memberships.
+// An adapter that fails to connect (within its own time limit) leaves the in-memory adapter in place.
+const attachAdapter = async (server) => {
+  const name = getAdapterName();
+  if (!(name in adapters)) {
+    throw new Error(`Unknown socket adapter "${name}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+  }
+  if (!adapters[name]) return;
+
+  server.adapter(await adapters[name]().createSocketAdapter());
+  console.log(`🔌 Socket.IO adapter initialized: ${name}`);
+};
+
+const tokenFromHandshake = (handshake) => {
+  if (handshake.auth?.token) return String(handshake.auth.token).replace('Bearer ', '');
+  if (handshake.headers?.authorization) return handshake.headers.authorization.replace('Bearer ', '');
+  return null;
+};
+
+// Sockets of an account (or of a role), across processes when the adapter supports it
+const fetchSockets = async (room) => (io ? io.in(room).fetchSockets() : []);
+
+// Doctors' presence goes to their hospital; everybody's goes to admins. Patients are never shown.
+const broadcastPresence = ({ userType, userId, hospitalId }, online) => {
+  if (userType === 'patient') return;
+  const payload = { userType, userId, online, at: new Date() };
+  const rooms = [roleRoom('admin')];
+  if (userType === 'doctor' && hospitalId) rooms.push(userRoom('hospital', hospitalId));
+  io.to(rooms).emit(SOCKET_EVENTS.PRESENCE, payload);
+};
+
+const onConnection = async (socket) => {
+  const { userType, userId } = socket.data;
+  const rooms = [userRoom(userType, userId), roleRoom(userType)];
+  socket.join(rooms);
+  console.log(`🔌 ${userType} ${userId} connected (${socket.id})`);
+
+  socket.on('join', (data, ack) => {
+    if (typeof ack === 'function') ack({ rooms });
+  });
+
+  socket.on('disconnect', async () => {
+    console.log(`❌ ${userType} ${userId} disconnected (${socket.id})`);
+    try {
+      if (!(await fetchSockets(userRoom(userType, userId))).length) {
+        broadcastPresence(socket.data, false);
+      }
+    } catch (error) {
+      console.error('Failed to update presence:', error.message);
+    }
+  });
+
+  try {
+    // Only the first connection of an account (other tabs, other processes) changes its presence
+    if ((await fetchSockets(userRoom(userType, userId))).length === 1) {
+      broadcastPresence(socket.data, true);
+    }
+  } catch (error) {
+    console.error('Failed to update presence:', error.message);
+  }
+};
+
+const initSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: "*", // Adjust this in production to match your frontend URL
+      methods: ["GET", "POST"]
+    }
+  });
+
+  adapterReady = attachAdapter(io).catch((error) => {
+    console.error('❌ Socket.IO adapter failed, events stay on this process:', error.message);
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      await adapterReady;
+      const context = await authenticateToken(tokenFromHandshake(socket.handshake));
+      socket.data = {
+        userType: context.role,
+        userId: context.user.id,
+        hospitalId: context.hospitalId || null,
+        sessionId: context.sessionId
+      };
+      next();
+    } catch (error) {
+      next(new Error('Please authenticate'));
+    }
+  });
+
+  io.on('connection', onConnection);
+
+  return io;
+};
+
+/**
+ * Send an event to one account (every connection of it)
+ * @param {string} userType
+ * @param {number} userId
+ * @param {string} event - From SOCKET_EVENTS
+ * @param {Object} payload
+ */
+const emitToUser = (userType, userId, event, payload) => {
+  if (io && userId) io.to(userRoom(userType, userId)).emit(event, payload);
+};
+
+/**
+ * Send an event to several accounts at once; a connection in more than one of them gets it once
+ * @param {Array<[string, number]>} recipients - [userType, userId] pairs; missing IDs are skipped
+ * @param {string} event - From SOCKET_EVENTS
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {boolean} [options.admins] - Also send to every admin
+ */
+const emitToUsers = (recipients, event, payload, { admins = false } = {}) => {
+  if (!io) return;
+  const rooms = recipients.filter(([, userId]) => userId).map(([userType, userId]) => userRoom(userType, userId));
+  if (admins) rooms.push(roleRoom('admin'));
+  if (rooms.length) io.to(rooms).emit(event, payload);
+};
+
+/**
+ * Send an event to every connection with a role
+ * @param {string} role
+ * @param {string} event - From SOCKET_EVENTS
+ * @param {Object} payload
+ */
+const emitToRole = (role, event, payload) => {
+  if (io) io.to(roleRoom(role)).emit(event, payload);
+};
+
+const sendRealTimeNotification = (userId, userType, notificationData) => {
+  emitToUser(userType, userId, SOCKET_EVENTS.NEW_NOTIFICATION, notificationData);
+};
+
+/**
+ * IDs of the accounts of a type that have at least one open connection
+ * @param {string} userType
+ * @param {Object} [filter]
+ * @param {number} [filter.hospitalId] - Only doctors of this hospital
+ * @returns {Promise<number[]>}
+ */
+const getOnlineUserIds = async (userType, { hospitalId } = {}) => {
+  const sockets = await fetchSockets(roleRoom(userType));
+  return [...new Set(sockets
+    .filter((socket) => !hospitalId || Number(socket.data.hospitalId) === Number(hospitalId))
+    .map((socket) => socket.data.userId))];
+};
+
+/**
+ * Whether an account has at least one open connection
+ * @param {string} userType
+ * @param {number} userId
+ * @returns {Promise<boolean>}
+ */
+const isUserOnline = async (userType, userId) => (await fetchSockets(userRoom(userType, userId))).length > 0;
+
+/**
+ * Disconnect the sockets opened with revoked login sessions. Never throws: the revocation stands
+ * either way, and a socket cannot reconnect with a revoked token.
+ * @param {string} userType
+ * @param {number} userId
+ * @param {number[]} sessionIds
+ */
+const disconnectSessions = async (userType, userId, sessionIds) => {
+  if (!sessionIds.length) return;
+  try {
+    const ids = new Set(sessionIds.map(Number));
+    (await fetchSockets(userRoom(userType, userId)))
+      .filter((socket) => ids.has(Number(socket.data.sessionId)))
+      .forEach((socket) => socket.disconnect(true));
+  } catch (error) {
+    console.error('Failed to disconnect revoked sessions:', error.message);
+  }
+};
+
+module.exports = {
+  initSocket,
+  emitToUser,
+  emitToUsers,
+  emitToRole,
+  sendRealTimeNotification,
+  getOnlineUserIds,
+  isUserOnline,
+  disconnectSessions
+};
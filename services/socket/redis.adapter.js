@@ -0,0 +1,54 @@
+// services/socket/redis.adapter.js
+// Shares Socket.IO rooms and events between server processes through Redis pub/sub.
+// Env: REDIS_URL (default redis://localhost:6379)
+//
+// The first connection gives up after a few attempts, so the server falls back to the in-memory adapter
+// instead of holding every socket handshake while Redis is down. Once connected, lost connections are
+// retried indefinitely.
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+const CONNECT_TIMEOUT_MS = 5000;
+const MAX_CONNECT_ATTEMPTS = 3;
+
+const createRedisClient = () => {
+  let connected = false;
+  const client = createClient({
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    socket: {
+      connectTimeout: CONNECT_TIMEOUT_MS,
+      // Returning the error makes connect() reject
+      reconnectStrategy: (retries, cause) => {
+        if (!connected && retries >= MAX_CONNECT_ATTEMPTS - 1) return cause;
+        return Math.min(retries * 200, 5000);
+      }
+    }
+  });
+  client.on('ready', () => { connected = true; });
+  client.on('error', (error) => console.error('❌ Socket.IO Redis error:', error.message));
+  return client;
+};
+
+const closeClient = (client) => {
+  try {
+    client.destroy();
+  } catch (error) {
+    // Already closed
+  }
+};
+
+const createSocketAdapter = async () => {
+  const pubClient = createRedisClient();
+  const subClient = createRedisClient();
+
+  try {
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+  } catch (error) {
+    [pubClient, subClient].forEach(closeClient);
+    throw error;
+  }
+
+  return createAdapter(pubClient, subClient);
+};
+
+module.exports = { createSocketAdapter };
@@ -0,0 +1,81 @@
+// services/storage/azure.driver.js
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+
+exports.createDriver = ({ privateContainers = [] } = {}) => {
+  if (!process.env.AZURE_STORAGE_CONNECTION_STRING) {
+    throw new Error('AZURE_STORAGE_CONNECTION_STRING is required for the azure storage driver');
+  }
+
+  const blobServiceClient = BlobServiceClient.fromConnectionString(
+    process.env.AZURE_STORAGE_CONNECTION_STRING
+  );
+  const ensuredContainers = new Set();
+
+  const getContainerClient = async (container) => {
+    const containerClient = blobServiceClient.getContainerClient(container);
+    if (!ensuredContainers.has(container)) {
+      if (privateContainers.includes(container)) {
+        // Ensure container exists and revoke any public access left over from older deployments
+        await containerClient.createIfNotExists();
+        await containerClient.setAccessPolicy();
+      } else {
+        // Ensure container exists
+        await containerClient.createIfNotExists({
+          access: 'blob' // Allow public read access to blobs
+        });
+      }
+      ensuredContainers.add(container);
+    }
+    return containerClient;
+  };
+
+  return {
+    async upload(container, blobName, buffer, { contentType, cacheControl, contentDisposition, metadata }) {
+      const containerClient = await getContainerClient(container);
+      const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+
+      const uploadResponse = await blockBlobClient.upload(buffer, buffer.length, {
+        blobHTTPHeaders: {
+          blobContentType: contentType,
+          blobCacheControl: cacheControl,
+          blobContentDisposition: contentDisposition
+        },
+        metadata,
+        tier: 'Hot'
+      });
+
+      return { url: blockBlobClient.url, etag: uploadResponse.etag };
+    },
+
+    async download(container, blobName) {
+      const containerClient = await getContainerClient(container);
+      return containerClient.getBlockBlobClient(blobName).downloadToBuffer();
+    },
+
+    async remove(container, blobName) {
+      const containerClient = await getContainerClient(container);
+      await containerClient.getBlockBlobClient(blobName).delete({
+        deleteSnapshots: 'include'
+      });
+    },
+
+    // Requires a connection string with an AccountKey (shared key credential)
+    async getSignedUrl(container, blobName, { expiresOn, downloadName }) {
+      const containerClient = await getContainerClient(container);
+      return containerClient.getBlockBlobClient(blobName).generateSasUrl({
+        permissions: BlobSASPermissions.parse('r'),
+        startsOn: new Date(Date.now() - 5 * 60 * 1000), // Allow for clock skew
+        expiresOn,
+        contentDisposition: downloadName ? `attachment; filename="${downloadName}"` : undefined
+      });
+    },
+
+    // https://<account>.blob.core.windows.net/<container>/<blobName>
+    blobNameFromUrl(container, fileUrl) {
+      const pathParts = new URL(fileUrl).pathname.split('/');
+      pathParts.shift(); // Remove empty string
+      pathParts.shift(); // Remove container name
+      return decodeURIComponent(pathParts.join('/'));
+    }
+  };
+};
@@ -0,0 +1,69 @@
+// services/storage/gcs.driver.js
+// GCS has a single bucket, so containers become top-level prefixes inside it.
+// The bucket itself should not grant public read on private container prefixes; those are only
+// reachable through V4 signed URLs.
+const { Storage } = require('@google-cloud/storage');
+
+exports.createDriver = () => {
+  if (!process.env.GOOGLE_CLOUD_BUCKET_NAME) {
+    throw new Error('GOOGLE_CLOUD_BUCKET_NAME is required for the gcs storage driver');
+  }
+
+  const storage = new Storage({
+    keyFilename: process.env.GOOGLE_CLOUD_KEY_FILE,
+    projectId: process.env.GOOGLE_CLOUD_PROJECT_ID
+  });
+  const bucket = storage.bucket(process.env.GOOGLE_CLOUD_BUCKET_NAME);
+
+  const objectName = (container, blobName) => `${container}/${blobName}`;
+
+  return {
+    async upload(container, blobName, buffer, { contentType, cacheControl, contentDisposition, metadata }) {
+      const file = bucket.file(objectName(container, blobName));
+
+      await file.save(buffer, {
+        resumable: false,
+        contentType,
+        metadata: {
+          cacheControl,
+          contentDisposition,
+          metadata
+        }
+      });
+
+      return {
+        url: `https://storage.googleapis.com/${bucket.name}/${file.name}`,
+        etag: file.metadata?.etag
+      };
+    },
+
+    async download(container, blobName) {
+      const [contents] = await bucket.file(objectName(container, blobName)).download();
+      return contents;
+    },
+
+    async remove(container, blobName) {
+      await bucket.file(objectName(container, blobName)).delete();
+    },
+
+    async getSignedUrl(container, blobName, { expiresOn, downloadName }) {
+      const [url] = await bucket.file(objectName(container, blobName)).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: expiresOn,
+        responseDisposition: downloadName ? `attachment; filename="${downloadName}"` : undefined
+      });
+      return url;
+    },
+
+    // https://storage.googleapis.com/<bucket>/<container>/<blobName>
+    blobNameFromUrl(container, fileUrl) {
+      const prefix = `/${bucket.name}/${container}/`;
+      const pathname = decodeURIComponent(new URL(fileUrl).pathname);
+      if (!pathname.startsWith(prefix)) {
+        throw new Error(`File URL does not belong to container "${container}"`);
+      }
+      return pathname.slice(prefix.length);
+    }
+  };
+};
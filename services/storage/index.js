@@ -0,0 +1,204 @@
+// services/storage/index.js
+// Single entry point for file storage. Controllers never talk to Azure/GCS directly;
+// they go through uploadFile/downloadFile/deleteFile and the configured driver does the rest.
+//
+// Driver selection (STORAGE_DRIVER):
+//   azure - Azure Blob Storage (AZURE_STORAGE_CONNECTION_STRING)
+//   gcs   - Google Cloud Storage (GOOGLE_CLOUD_KEY_FILE, GOOGLE_CLOUD_PROJECT_ID, GOOGLE_CLOUD_BUCKET_NAME)
+//   local - local filesystem (LOCAL_STORAGE_PATH, LOCAL_STORAGE_BASE_URL)
+// If STORAGE_DRIVER is not set we use azure when a connection string exists, otherwise local.
+//
+// Containers listed in PRIVATE_CONTAINERS are never publicly readable; their files are handed out
+// as short-lived signed URLs via getSignedUrl (STORAGE_SIGNED_URL_TTL_SECONDS, default 15 minutes).
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const CONTAINERS = {
+  REPORTS: 'reports',
+  HOSPITAL_IMAGES: 'hospital-images',
+  PRODUCT_IMAGES: 'product-images',
+  SIGNATURES: 'signatures'
+};
+
+// Patient medical data (breast images, generated and annotated PDFs) and the signature images
+// printed on reports
+const PRIVATE_CONTAINERS = [CONTAINERS.REPORTS, CONTAINERS.SIGNATURES];
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 15 * 60;
+
+const drivers = {
+  azure: () => require('./azure.driver'),
+  gcs: () => require('./gcs.driver'),
+  local: () => require('./local.driver')
+};
+
+let activeDriver = null;
+let activeDriverName = null;
+
+const getDriverName = () => {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER.toLowerCase();
+  return process.env.AZURE_STORAGE_CONNECTION_STRING ? 'azure' : 'local';
+};
+
+// Drivers are created lazily so the app can boot without cloud credentials
+const getDriver = () => {
+  if (!activeDriver) {
+    const name = getDriverName();
+    const loadDriver = drivers[name];
+    if (!loadDriver) {
+      throw new Error(`Unknown storage driver "${name}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = loadDriver().createDriver({ privateContainers: PRIVATE_CONTAINERS });
+    activeDriverName = name;
+    console.log(`📦 Storage driver initialized: ${name}`);
+  }
+  return activeDriver;
+};
+
+/**
+ * Upload a multer-style file ({ buffer, originalname, mimetype, size }) to storage
+ * @param {Object} file - File with an in-memory buffer
+ * @param {Object} options
+ * @param {string} options.container - Target container (see CONTAINERS)
+ * @param {string} options.folder - Folder prefix inside the container, e.g. `${patientId}/${fileType}`
+ * @param {Object} [options.metadata] - Extra string metadata stored with the file
+ * @param {string} [options.cacheControl] - Cache-Control header for the stored file
+ * @returns {Promise<Object>} Uploaded file details (fileId, fileName, fileType, fileSize, fileUrl, blobName, etag)
+ */
+const uploadFile = async (file, { container, folder, metadata = {}, cacheControl }) => {
+  try {
+    if (!cacheControl) {
+      cacheControl = PRIVATE_CONTAINERS.includes(container) ? 'private, no-store' : 'public, max-age=31536000';
+    }
+
+    if (!file.buffer || file.buffer.length === 0) {
+      throw new Error('File buffer is empty or missing');
+    }
+
+    const fileId = uuidv4();
+    const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    const fileExtension = path.extname(file.originalname);
+    const blobName = `${folder}/${timestamp}/${fileId}${fileExtension}`;
+    const fileSize = file.size || file.buffer.length;
+
+    const { url, etag } = await getDriver().upload(container, blobName, file.buffer, {
+      contentType: file.mimetype,
+      cacheControl,
+      contentDisposition: `inline; filename="${file.originalname}"`,
+      metadata: {
+        originalName: file.originalname,
+        uploadedAt: new Date().toISOString(),
+        originalSize: fileSize.toString(),
+        ...metadata
+      }
+    });
+
+    console.log(`✅ File uploaded to ${activeDriverName} storage: ${file.originalname} (${fileSize} bytes)`);
+
+    return {
+      fileId,
+      fileName: file.originalname,
+      fileType: file.mimetype,
+      fileSize,
+      fileUrl: url,
+      blobName,
+      etag
+    };
+  } catch (error) {
+    console.error('Storage upload error:', error);
+    throw new Error(`Failed to upload file to storage: ${error.message}`);
+  }
+};
+
+/**
+ * Download a stored file into memory
+ * @param {string} container - Container the file lives in
+ * @param {string} blobName - Name of the file inside the container
+ * @returns {Promise<Buffer>}
+ */
+const downloadFile = async (container, blobName) => {
+  try {
+    return await getDriver().download(container, blobName);
+  } catch (error) {
+    console.error('Storage download error:', error);
+    throw new Error(`Failed to download file from storage: ${error.message}`);
+  }
+};
+
+/**
+ * Delete a stored file
+ * @param {string} container - Container the file lives in
+ * @param {string} blobName - Name of the file inside the container
+ * @returns {Promise<boolean>}
+ */
+const deleteFile = async (container, blobName) => {
+  try {
+    await getDriver().remove(container, blobName);
+    return true;
+  } catch (error) {
+    console.error('Storage delete error:', error);
+    throw new Error(`Failed to delete file from storage: ${error.message}`);
+  }
+};
+
+/**
+ * Mint a short-lived, read-only URL for a stored file
+ * @param {string} container - Container the file lives in
+ * @param {string} blobName - Name of the file inside the container
+ * @param {Object} [options]
+ * @param {number} [options.expiresIn] - Lifetime of the URL in seconds
+ * @param {string} [options.downloadName] - When set, the URL serves the file as an attachment with this name
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+const getSignedUrl = async (container, blobName, { expiresIn = DEFAULT_SIGNED_URL_TTL_SECONDS, downloadName } = {}) => {
+  try {
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+    const url = await getDriver().getSignedUrl(container, blobName, { expiresOn: expiresAt, downloadName });
+    return { url, expiresAt };
+  } catch (error) {
+    console.error('Storage signed URL error:', error);
+    throw new Error(`Failed to create signed URL: ${error.message}`);
+  }
+};
+
+/**
+ * Resolve the blob name of a file from the URL we stored in the database
+ * @param {string} container - Container the file lives in
+ * @param {string} fileUrl - URL returned by uploadFile
+ * @returns {string}
+ */
+const getBlobNameFromUrl = (container, fileUrl) => getDriver().blobNameFromUrl(container, fileUrl);
+
+const downloadFileByUrl = (container, fileUrl) => downloadFile(container, getBlobNameFromUrl(container, fileUrl));
+
+const deleteFileByUrl = (container, fileUrl) => deleteFile(container, getBlobNameFromUrl(container, fileUrl));
+
+const getSignedUrlByUrl = (container, fileUrl, options) => getSignedUrl(container, getBlobNameFromUrl(container, fileUrl), options);
+
+/**
+ * Serve locally stored files when the local driver is configured (no-op for cloud drivers, which stay
+ * uncreated until the first file operation)
+ * @param {import('express').Application} app
+ */
+const serveLocalFiles = (app) => {
+  if (getDriverName() !== 'local') return;
+
+  const { staticRoute } = getDriver();
+  const express = require('express');
+  app.use(staticRoute.path, staticRoute.authorize, express.static(staticRoute.root));
+  console.log(`📂 Serving local storage at ${staticRoute.path}`);
+};
+
+module.exports = {
+  CONTAINERS,
+  PRIVATE_CONTAINERS,
+  uploadFile,
+  downloadFile,
+  downloadFileByUrl,
+  deleteFile,
+  deleteFileByUrl,
+  getSignedUrl,
+  getSignedUrlByUrl,
+  getBlobNameFromUrl,
+  serveLocalFiles
+};
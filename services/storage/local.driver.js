@@ -0,0 +1,120 @@
+// services/storage/local.driver.js
+// Stores files on local disk (for development and CI). Files are served by app.js under /storage;
+// private containers are only served with a valid signature minted by getSignedUrl.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const STATIC_PATH = '/storage';
+
+exports.createDriver = ({ privateContainers = [] } = {}) => {
+  const rootDir = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../storage'));
+  const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 3000}${STATIC_PATH}`)
+    .replace(/\/+$/, '');
+  const signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+  // Resolve the on-disk path and refuse anything that escapes the storage root
+  const resolvePath = (container, blobName) => {
+    const filePath = path.resolve(rootDir, container, blobName);
+    if (!filePath.startsWith(path.join(rootDir, container) + path.sep)) {
+      throw new Error('Invalid blob name');
+    }
+    return filePath;
+  };
+
+  const sign = (objectPath, expires, downloadName = '') => {
+    if (!signingSecret) {
+      throw new Error('STORAGE_SIGNING_SECRET or JWT_SECRET is required to sign local storage URLs');
+    }
+    return crypto
+      .createHmac('sha256', signingSecret)
+      .update(`${objectPath}\n${expires}\n${downloadName}`)
+      .digest('hex');
+  };
+
+  // Express middleware placed in front of express.static. The container is taken from the normalized
+  // path, and "." / ".." segments are refused, so /storage/./reports/... cannot skip the signature.
+  const authorize = (req, res, next) => {
+    let decodedPath;
+    try {
+      decodedPath = decodeURIComponent(req.path);
+    } catch (error) {
+      return res.status(400).json({ error: '❌ Invalid file path' });
+    }
+    if (decodedPath.split('/').some((segment) => segment === '.' || segment === '..')) {
+      return res.status(400).json({ error: '❌ Invalid file path' });
+    }
+    const objectPath = path.posix.normalize(decodedPath).replace(/^\/+/, '');
+    const container = objectPath.split('/')[0];
+    if (!privateContainers.includes(container)) return next();
+
+    const { expires, signature, download } = req.query;
+    if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return res.status(403).json({ error: '❌ Link expired or invalid' });
+    }
+
+    let valid = false;
+    try {
+      const expected = Buffer.from(sign(objectPath, expires, download || ''));
+      const provided = Buffer.from(String(signature));
+      valid = expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      return res.status(403).json({ error: '❌ Link expired or invalid' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    if (download) res.attachment(download);
+    next();
+  };
+
+  return {
+    // Content type and metadata are not persisted; express.static infers the type from the extension
+    async upload(container, blobName, buffer) {
+      const filePath = resolvePath(container, blobName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return {
+        url: `${baseUrl}/${container}/${blobName}`,
+        etag: crypto.createHash('md5').update(buffer).digest('hex')
+      };
+    },
+
+    async download(container, blobName) {
+      return fs.readFile(resolvePath(container, blobName));
+    },
+
+    async remove(container, blobName) {
+      await fs.unlink(resolvePath(container, blobName));
+    },
+
+    async getSignedUrl(container, blobName, { expiresOn, downloadName }) {
+      resolvePath(container, blobName);
+      const objectPath = `${container}/${blobName}`;
+      const expires = Math.floor(expiresOn.getTime() / 1000);
+      const params = new URLSearchParams({
+        expires: expires.toString(),
+        signature: sign(objectPath, expires, downloadName || '')
+      });
+      if (downloadName) params.set('download', downloadName);
+      return `${baseUrl}/${objectPath}?${params.toString()}`;
+    },
+
+    blobNameFromUrl(container, fileUrl) {
+      const prefix = `${baseUrl}/${container}/`;
+      if (!fileUrl.startsWith(prefix)) {
+        throw new Error(`File URL does not belong to container "${container}"`);
+      }
+      return decodeURIComponent(fileUrl.split('?')[0].slice(prefix.length));
+    },
+
+    staticRoute: {
+      path: STATIC_PATH,
+      root: rootDir,
+      authorize
+    }
+  };
+};
@@ -0,0 +1,328 @@
+// services/twoFactor.js
+// Two-factor authentication: enrolment, login checks, recovery codes and resets.
+// Policy, secrets and recovery code formats are described in utils/twoFactor.js.
+const QRCode = require('qrcode');
+const { Op } = require('sequelize');
+const db = require('../models');
+const { generateTotpSecret, verifyTotp, otpauthUrl } = require('../utils/totp');
+const {
+  TWO_FACTOR_ISSUER,
+  MAX_FAILED_ATTEMPTS,
+  TWO_FACTOR_LOCK_MINUTES,
+  encryptSecret,
+  decryptSecret,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  signSetupToken
+} = require('../utils/twoFactor');
+
+const findCredential = ({ userType, userId }) =>
+  db.TwoFactorCredential.findOne({ where: { userType, userId } });
+
+const isEnabled = (credential) => Boolean(credential?.enabledAt && credential.secret);
+
+/**
+ * Email and 2FA requirement of an account
+ * @param {{ userType: string, userId: number }} account
+ * @returns {Promise<{ email: string, required: boolean }|null>} null when the account does not exist
+ */
+const loadAccount = async ({ userType, userId }) => {
+  if (userType === 'admin') {
+    const admin = await db.Admin.findByPk(userId, { attributes: ['id', 'email'] });
+    return admin && { email: admin.email, required: isTwoFactorRequired('admin') };
+  }
+  if (userType === 'hospital') {
+    const hospital = await db.Hospital.findByPk(userId, { attributes: ['id', 'email', 'twoFactorRequired'] });
+    return hospital && { email: hospital.email, required: isTwoFactorRequired('hospital', hospital) };
+  }
+  if (userType === 'doctor') {
+    const doctor = await db.Doctor.findByPk(userId, {
+      attributes: ['id', 'email'],
+      include: [{ model: db.Hospital, as: 'hospital', attributes: ['id', 'twoFactorRequired'] }]
+    });
+    return doctor && { email: doctor.email, required: isTwoFactorRequired('doctor', doctor.hospital) };
+  }
+  return null;
+};
+
+/**
+ * Use an authenticator code. The step is stored with a conditional update, so a code (or an earlier one)
+ * can only be used once even by parallel requests.
+ * @returns {Promise<boolean>}
+ */
+const useTotpCode = async (credential, code, now) => {
+  const lastUsedStep = credential.lastUsedStep === null ? -1 : Number(credential.lastUsedStep);
+  const step = verifyTotp(decryptSecret(credential.secret), code, { afterStep: lastUsedStep, now });
+  if (step === null) return false;
+
+  const [updated] = await db.TwoFactorCredential.update({ lastUsedStep: step }, {
+    where: { id: credential.id, [Op.or]: [{ lastUsedStep: null }, { lastUsedStep: { [Op.lt]: step } }] }
+  });
+  return updated > 0;
+};
+
+/**
+ * Use a recovery code. The code is removed by a single UPDATE that only matches while the code is still
+ * stored, so each code works once even for parallel requests.
+ * @returns {Promise<boolean>}
+ */
+const useRecoveryCode = async (credential, code) => {
+  if (!normalizeRecoveryCode(code)) return false;
+  const hash = hashRecoveryCode(code);
+  if (!(credential.recoveryCodes || []).includes(hash)) return false;
+
+  const { fn, col, where } = db.sequelize;
+  const [updated] = await db.TwoFactorCredential.update(
+    { recoveryCodes: fn('JSON_REMOVE', col('recoveryCodes'), fn('JSON_UNQUOTE', fn('JSON_SEARCH', col('recoveryCodes'), 'one', hash))) },
+    { where: { id: credential.id, [Op.and]: [where(fn('JSON_CONTAINS', col('recoveryCodes'), JSON.stringify(hash)), 1)] } }
+  );
+  return updated > 0;
+};
+
+/**
+ * Check a code of an enabled credential: a current authenticator code or an unused recovery code.
+ * Every attempt is counted atomically before the code is checked; after MAX_FAILED_ATTEMPTS wrong codes
+ * in a row 2FA (and so the login) is locked for TWO_FACTOR_LOCK_MINUTES.
+ * @param {Object} credential - Enabled TwoFactorCredential
+ * @param {string} code
+ * @returns {Promise<{ ok?: boolean, recoveryCodeUsed?: boolean, error?: string, lockedUntil?: Date }>}
+ *   error is 'invalid' or 'locked'
+ */
+const verifyCode = async (credential, code) => {
+  const now = new Date();
+  const where = { id: credential.id };
+  if (credential.lockedUntil) {
+    if (new Date(credential.lockedUntil) > now) return { error: 'locked', lockedUntil: credential.lockedUntil };
+    // Lock is over: start counting again
+    await db.TwoFactorCredential.update(
+      { failedAttempts: 0, lockedUntil: null },
+      { where: { ...where, lockedUntil: credential.lockedUntil } }
+    );
+  }
+
+  const lock = async () => {
+    const lockedUntil = new Date(now.getTime() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000);
+    await db.TwoFactorCredential.update({ lockedUntil }, { where: { ...where, lockedUntil: null } });
+    return { error: 'locked', lockedUntil };
+  };
+
+  await db.TwoFactorCredential.increment({ failedAttempts: 1 }, { where });
+  const { failedAttempts } = await db.TwoFactorCredential.findByPk(credential.id, { attributes: ['id', 'failedAttempts'] });
+  // Parallel requests used up the attempts; the code is not checked
+  if (failedAttempts > MAX_FAILED_ATTEMPTS) return lock();
+
+  const totpUsed = await useTotpCode(credential, code, now);
+  const recoveryCodeUsed = !totpUsed && await useRecoveryCode(credential, code);
+  if (totpUsed || recoveryCodeUsed) {
+    await db.TwoFactorCredential.update({ failedAttempts: 0 }, { where });
+    return recoveryCodeUsed ? { ok: true, recoveryCodeUsed } : { ok: true };
+  }
+
+  if (failedAttempts >= MAX_FAILED_ATTEMPTS) return lock();
+  return { error: 'invalid' };
+};
+
+const CODE_ERRORS = {
+  invalid: { status: 401, error: '❌ Invalid two-factor code' },
+  locked: { status: 429, error: `❌ Too many wrong two-factor codes. Try again in ${TWO_FACTOR_LOCK_MINUTES} minutes.` }
+};
+
+/**
+ * Second step of a password login. Call after the password and account checks.
+ * @param {{ userType: string, userId: number }} account
+ * @param {string} [code] - twoFactorCode from the login request
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - From isTwoFactorRequired
+ * @returns {Promise<{ status: number, body: Object }|null>} Response that stops the login, or null to proceed
+ */
+const checkLoginTwoFactor = async (account, code, { required = false } = {}) => {
+  const credential = await findCredential(account);
+
+  if (!isEnabled(credential)) {
+    if (!required) return null;
+    return {
+      status: 403,
+      body: {
+        error: '❌ Two-factor authentication is required for this account. Set it up to continue.',
+        twoFactorSetupRequired: true,
+        setupToken: signSetupToken(account)
+      }
+    };
+  }
+
+  if (!code) {
+    return { status: 401, body: { error: '❌ Two-factor code required', twoFactorRequired: true } };
+  }
+
+  const result = await verifyCode(credential, code);
+  if (result.error) {
+    const { status, error } = CODE_ERRORS[result.error];
+    return { status, body: { error, twoFactorRequired: true } };
+  }
+  return null;
+};
+
+/**
+ * 2FA state of an account
+ * @param {{ userType: string, userId: number }} account
+ * @returns {Promise<Object>} { enabled, required, enabledAt, recoveryCodesRemaining, setupPending }
+ */
+const getTwoFactorStatus = async (account) => {
+  const [credential, details] = await Promise.all([findCredential(account), loadAccount(account)]);
+  return {
+    enabled: isEnabled(credential),
+    required: Boolean(details?.required),
+    enabledAt: isEnabled(credential) ? credential.enabledAt : null,
+    recoveryCodesRemaining: isEnabled(credential) ? credential.recoveryCodes.length : 0,
+    setupPending: Boolean(credential?.pendingSecret)
+  };
+};
+
+/**
+ * Start adding an authenticator app. Accounts with 2FA on confirm with a current code first.
+ * @param {{ userType: string, userId: number }} account
+ * @param {string} [code] - Current code or recovery code, when 2FA is on
+ * @returns {Promise<{ secret?: string, otpauthUrl?: string, qrCode?: string, error?: string }>}
+ *   error is 'not_found', 'code_required', 'invalid' or 'locked'
+ */
+const startTwoFactorSetup = async (account, code) => {
+  const details = await loadAccount(account);
+  if (!details) return { error: 'not_found' };
+
+  const credential = await findCredential(account);
+  if (isEnabled(credential)) {
+    if (!code) return { error: 'code_required' };
+    const result = await verifyCode(credential, code);
+    if (result.error) return { error: result.error };
+  }
+
+  const secret = generateTotpSecret();
+  if (credential) {
+    await credential.update({ pendingSecret: encryptSecret(secret) });
+  } else {
+    await db.TwoFactorCredential.create({ ...account, pendingSecret: encryptSecret(secret) });
+  }
+
+  const url = otpauthUrl(secret, details.email, TWO_FACTOR_ISSUER);
+  return {
+    secret,
+    otpauthUrl: url,
+    qrCode: await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, width: 240 })
+  };
+};
+
+/**
+ * Finish adding an authenticator app with a code from it. Turns 2FA on and replaces the recovery codes.
+ * @param {{ userType: string, userId: number }} account
+ * @param {string} code
+ * @returns {Promise<{ recoveryCodes?: string[], error?: string }>} error is 'no_setup' or 'invalid'
+ */
+const confirmTwoFactorSetup = async (account, code) => {
+  const credential = await findCredential(account);
+  if (!credential?.pendingSecret) return { error: 'no_setup' };
+
+  const secret = decryptSecret(credential.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) return { error: 'invalid' };
+
+  const { codes, hashes } = generateRecoveryCodes();
+  // Only one of two parallel confirmations of the same setup wins
+  const [updated] = await db.TwoFactorCredential.update({
+    secret: credential.pendingSecret,
+    pendingSecret: null,
+    enabledAt: new Date(),
+    lastUsedStep: step,
+    recoveryCodes: hashes,
+    failedAttempts: 0,
+    lockedUntil: null
+  }, { where: { id: credential.id, pendingSecret: credential.pendingSecret } });
+  if (!updated) return { error: 'no_setup' };
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Replace the recovery codes, confirmed with a current code
+ * @param {{ userType: string, userId: number }} account
+ * @param {string} code
+ * @returns {Promise<{ recoveryCodes?: string[], error?: string }>} error is 'not_enabled', 'invalid' or 'locked'
+ */
+const regenerateRecoveryCodes = async (account, code) => {
+  const credential = await findCredential(account);
+  if (!isEnabled(credential)) return { error: 'not_enabled' };
+
+  const result = await verifyCode(credential, code);
+  if (result.error) return { error: result.error };
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await credential.update({ recoveryCodes: hashes });
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Turn 2FA off, confirmed with a current code. Not allowed while 2FA is required for the account.
+ * @param {{ userType: string, userId: number }} account
+ * @param {string} code
+ * @returns {Promise<{ ok?: boolean, error?: string }>} error is 'not_enabled', 'required', 'invalid' or 'locked'
+ */
+const disableTwoFactor = async (account, code) => {
+  const [credential, details] = await Promise.all([findCredential(account), loadAccount(account)]);
+  if (!isEnabled(credential)) return { error: 'not_enabled' };
+  if (details?.required) return { error: 'required' };
+
+  const result = await verifyCode(credential, code);
+  if (result.error) return { error: result.error };
+
+  await credential.destroy();
+  return { ok: true };
+};
+
+/**
+ * Remove an account's 2FA without a code, e.g. after a lost phone. Where 2FA is required the
+ * account sets it up again at its next login.
+ * @param {{ userType: string, userId: number }} account
+ * @returns {Promise<boolean>} Whether the account had 2FA
+ */
+const resetTwoFactor = async (account) => {
+  const deleted = await db.TwoFactorCredential.destroy({ where: { userType: account.userType, userId: account.userId } });
+  return deleted > 0;
+};
+
+/**
+ * How far a hospital has adopted 2FA: its own account and its active doctors
+ * @param {Object} hospital - Hospital instance with id and twoFactorRequired
+ * @returns {Promise<Object>} { required, hospitalEnabled, doctors: { total, enabled } }
+ */
+const getHospitalTwoFactorStatus = async (hospital) => {
+  const doctors = await db.Doctor.findAll({ where: { hospitalId: hospital.id, isActive: true }, attributes: ['id'] });
+  const [hospitalCredential, doctorsEnabled] = await Promise.all([
+    findCredential({ userType: 'hospital', userId: hospital.id }),
+    doctors.length
+      ? db.TwoFactorCredential.count({
+        where: {
+          userType: 'doctor',
+          userId: { [Op.in]: doctors.map((doctor) => doctor.id) },
+          enabledAt: { [Op.ne]: null }
+        }
+      })
+      : 0
+  ]);
+
+  return {
+    required: Boolean(hospital.twoFactorRequired),
+    hospitalEnabled: isEnabled(hospitalCredential),
+    doctors: { total: doctors.length, enabled: doctorsEnabled }
+  };
+};
+
+module.exports = {
+  checkLoginTwoFactor,
+  getHospitalTwoFactorStatus,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor
+};
@@ -0,0 +1,75 @@
+// services/webhookTargets.js
+// Keeps notification webhooks off internal networks. A webhook URL may only point at public internet
+// addresses: its host is resolved when the URL is saved and again when a webhook is sent, and the
+// connection itself only uses addresses that pass the check (so DNS cannot switch to an internal
+// address in between).
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Private, loopback, link-local, shared, documentation, multicast and other reserved ranges. BlockList
+// also applies the IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1).
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is on the public internet
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check that a webhook URL only resolves to public addresses
+ * @param {string} url
+ * @returns {Promise<string|null>} Error message, or null when the URL may be used
+ */
+const checkWebhookUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `webhookUrl host ${hostname} could not be resolved`;
+  }
+  if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+    return 'webhookUrl must point to a public internet address';
+  }
+  return null;
+};
+
+// dns.lookup that refuses internal addresses, used for the webhook connections
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!addresses.length || !addresses.every((entry) => isPublicAddress(entry.address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to an internal address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Agents for axios (httpAgent / httpsAgent)
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+module.exports = {
+  isPublicAddress,
+  checkWebhookUrl,
+  webhookAgents
+};
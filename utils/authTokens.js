@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Login sessions.
+// A login opens an AuthSession and returns a short-lived access token (a JWT carrying the session ID
+// as "sid") and a refresh token "<sessionId>.<secret>". Only a hash of the secret is stored. Every
+// refresh replaces the secret; presenting the replaced secret again means the token was copied, so the
+// whole session is revoked. Other wrong secrets are only rejected. Logging out revokes the session, which also rejects its access tokens.
+
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Accounts that log in, as the "role" of their tokens
+const SESSION_USER_TYPES = ['admin', 'hospital', 'doctor', 'patient'];
+
+// Why a session ended
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  REVOKED: 'revoked', // By an admin, or a hospital for its doctors
+  TOKEN_REUSE: 'token_reuse',
+  PASSWORD_CHANGED: 'password_changed'
+};
+
+/**
+ * @returns {string} URL-safe random secret (43 characters)
+ */
+const generateTokenSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * @param {string} secret
+ * @returns {string} Hex SHA-256, as stored on the session
+ */
+const hashTokenSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+/**
+ * @param {number} sessionId
+ * @param {string} secret
+ * @returns {string} Refresh token handed to the client
+ */
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+/**
+ * @param {string} token - Refresh token from the client
+ * @returns {{ sessionId: number, secret: string }|null} null when it is malformed
+ */
+const parseRefreshToken = (token) => {
+  const match = /^(\d+)\.([A-Za-z0-9_-]{20,})$/.exec(String(token || '').trim());
+  return match ? { sessionId: Number(match[1]), secret: match[2] } : null;
+};
+
+/**
+ * Compare a secret with a stored hash in constant time
+ * @param {string} secret
+ * @param {string} hash
+ * @returns {boolean}
+ */
+const secretMatches = (secret, hash) => {
+  const actual = Buffer.from(hashTokenSecret(secret), 'hex');
+  const expected = Buffer.from(String(hash || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Whether a session can still be used
+ * @param {Object|null} session - AuthSession
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isSessionActive = (session, now = new Date()) =>
+  Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  SESSION_USER_TYPES,
+  REVOKE_REASONS,
+  generateTokenSecret,
+  hashTokenSecret,
+  formatRefreshToken,
+  parseRefreshToken,
+  secretMatches,
+  isSessionActive
+};
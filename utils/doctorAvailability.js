@@ -0,0 +1,270 @@
+// Doctor availability: weekly working hours, leave periods and a maximum review load.
+// Kept free of model imports; services/doctorAvailability.js loads leaves and workloads.
+//
+// Working hours are local to the doctor's time zone, per weekday:
+//   { "mon": [{ "start": "09:00", "end": "17:00" }], "sat": [{ "start": "22:00", "end": "06:00" }] }
+// A shift may run past midnight (it belongs to the day it starts). Days left out are days off.
+// Doctors without working hours count as always working, as before availability existed.
+const { DEFAULT_TIMEZONE } = require('./notificationPreferences');
+const { isPlainObject } = require('./inputValues');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const UNAVAILABILITY_REASONS = {
+  ON_LEAVE: 'on_leave',
+  OUTSIDE_WORKING_HOURS: 'outside_working_hours',
+  AT_CAPACITY: 'at_capacity'
+};
+
+// A doctor in these states cannot take a report without force; outside working hours only warns
+const BLOCKING_REASONS = [UNAVAILABILITY_REASONS.ON_LEAVE, UNAVAILABILITY_REASONS.AT_CAPACITY];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SHIFTS_PER_DAY = 4;
+const MAX_CONCURRENT_REVIEWS = 1000;
+const MAX_LEAVE_DAYS = 366;
+const MAX_LEAVE_REASON_LENGTH = 500;
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// A real calendar day, so 2025-02-30 is rejected
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_ONLY.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+/**
+ * Local calendar date, weekday and minutes since midnight in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ date: string, weekday: string, minutes: number }} date as YYYY-MM-DD
+ */
+const localClock = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parts.find((item) => item.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    weekday: part('weekday').toLowerCase().slice(0, 3),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+};
+
+const validateWorkingHours = (value, errors) => {
+  if (value === null) return null;
+  if (!isPlainObject(value)) {
+    errors.push('workingHours must be an object of weekdays, or null');
+    return undefined;
+  }
+
+  const hours = {};
+  Object.entries(value).forEach(([day, shifts]) => {
+    if (!WEEKDAYS.includes(day)) {
+      errors.push(`Unknown weekday "${day}". Expected one of: ${WEEKDAYS.join(', ')}`);
+      return;
+    }
+    if (!Array.isArray(shifts) || shifts.length > MAX_SHIFTS_PER_DAY) {
+      errors.push(`workingHours.${day} must be a list of at most ${MAX_SHIFTS_PER_DAY} shifts`);
+      return;
+    }
+    const valid = shifts.every((shift) => isPlainObject(shift) &&
+      TIME_OF_DAY.test(shift.start) && TIME_OF_DAY.test(shift.end) && shift.start !== shift.end);
+    if (!valid) {
+      errors.push(`workingHours.${day} shifts need a start and end in HH:mm that differ, e.g. { "start": "09:00", "end": "17:00" }`);
+      return;
+    }
+    if (shifts.length) hours[day] = shifts.map(({ start, end }) => ({ start, end }));
+  });
+  return hours;
+};
+
+/**
+ * Validate an availability update of a doctor
+ * @param {Object} input - Changed keys: workingHours (null removes the schedule), timezone,
+ *   maxConcurrentReviews (null removes the limit)
+ * @returns {{ values: Object, errors: string[] }} values holds Doctor columns
+ */
+const validateAvailability = (input = {}) => {
+  const errors = [];
+  const values = {};
+
+  if ('workingHours' in input) {
+    const workingHours = validateWorkingHours(input.workingHours, errors);
+    if (workingHours !== undefined) values.workingHours = workingHours;
+  }
+
+  if ('timezone' in input) {
+    if (input.timezone === null || input.timezone === '') {
+      values.timezone = null;
+    } else if (!isValidTimezone(input.timezone)) {
+      errors.push('timezone must be an IANA time zone such as Asia/Kolkata');
+    } else {
+      values.timezone = input.timezone;
+    }
+  }
+
+  if ('maxConcurrentReviews' in input) {
+    const limit = input.maxConcurrentReviews;
+    if (limit === null || limit === '') {
+      values.maxConcurrentReviews = null;
+    } else if (!Number.isInteger(Number(limit)) || Number(limit) < 1 || Number(limit) > MAX_CONCURRENT_REVIEWS) {
+      errors.push(`maxConcurrentReviews must be a whole number from 1 to ${MAX_CONCURRENT_REVIEWS}, or null`);
+    } else {
+      values.maxConcurrentReviews = Number(limit);
+    }
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Validate a new leave period
+ * @param {Object} input - startDate, endDate (YYYY-MM-DD, both days included) and an optional reason
+ * @returns {{ values: Object, errors: string[] }}
+ */
+const validateLeave = (input = {}) => {
+  const errors = [];
+  const { startDate, endDate } = input;
+
+  if (!isValidDate(startDate)) errors.push('startDate must be a date in YYYY-MM-DD');
+  if (!isValidDate(endDate)) errors.push('endDate must be a date in YYYY-MM-DD');
+  if (!errors.length) {
+    if (endDate < startDate) {
+      errors.push('endDate must not be before startDate');
+    } else if (addDays(startDate, MAX_LEAVE_DAYS) <= endDate) {
+      errors.push(`A leave period can be at most ${MAX_LEAVE_DAYS} days`);
+    }
+  }
+
+  const reason = input.reason === undefined || input.reason === null ? '' : String(input.reason).trim();
+  if (reason.length > MAX_LEAVE_REASON_LENGTH) {
+    errors.push(`reason must be at most ${MAX_LEAVE_REASON_LENGTH} characters`);
+  }
+
+  return { values: { startDate, endDate, reason: reason || null }, errors };
+};
+
+const withinShift = ({ start, end }, minutes, startedToday) => {
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  if (from < to) return startedToday && minutes >= from && minutes < to;
+  // Overnight shift: the evening of its own day, or the morning after
+  return startedToday ? minutes >= from : minutes < to;
+};
+
+/**
+ * Whether a doctor is working at a moment, by their working hours
+ * @param {Object|null} workingHours - Doctor.workingHours
+ * @param {{ weekday: string, minutes: number }} clock - From localClock
+ * @returns {boolean}
+ */
+const isWithinWorkingHours = (workingHours, clock) => {
+  if (!workingHours) return true;
+  const today = WEEKDAYS.indexOf(clock.weekday);
+  const yesterday = WEEKDAYS[(today + 6) % 7];
+  return (workingHours[clock.weekday] || []).some((shift) => withinShift(shift, clock.minutes, true)) ||
+    (workingHours[yesterday] || []).some((shift) => withinShift(shift, clock.minutes, false));
+};
+
+/**
+ * Availability of a doctor right now
+ * @param {Object} doctor - Needs workingHours, timezone and maxConcurrentReviews
+ * @param {Object} context
+ * @param {Object[]} [context.leaves] - The doctor's leave periods (startDate, endDate); others are ignored
+ * @param {number} [context.pending] - Reports waiting for the doctor's reading
+ * @param {Date} [context.now]
+ * @returns {Object} { available, reasons, onLeave, leave, withinWorkingHours, atCapacity, pending,
+ *   maxConcurrentReviews, timezone, localDate }
+ */
+const evaluateAvailability = (doctor, { leaves = [], pending = 0, now = new Date() } = {}) => {
+  const timezone = doctor.timezone || DEFAULT_TIMEZONE;
+  const clock = localClock(now, timezone);
+
+  const leave = leaves.find((period) => period.startDate <= clock.date && period.endDate >= clock.date) || null;
+  const withinWorkingHours = isWithinWorkingHours(doctor.workingHours, clock);
+  const atCapacity = Boolean(doctor.maxConcurrentReviews) && pending >= doctor.maxConcurrentReviews;
+
+  const reasons = [];
+  if (leave) reasons.push(UNAVAILABILITY_REASONS.ON_LEAVE);
+  if (!withinWorkingHours) reasons.push(UNAVAILABILITY_REASONS.OUTSIDE_WORKING_HOURS);
+  if (atCapacity) reasons.push(UNAVAILABILITY_REASONS.AT_CAPACITY);
+
+  return {
+    available: !reasons.length,
+    reasons,
+    onLeave: Boolean(leave),
+    leave: leave && { id: leave.id, startDate: leave.startDate, endDate: leave.endDate },
+    withinWorkingHours,
+    atCapacity,
+    pending,
+    maxConcurrentReviews: doctor.maxConcurrentReviews || null,
+    timezone,
+    localDate: clock.date
+  };
+};
+
+const REASON_MESSAGES = {
+  [UNAVAILABILITY_REASONS.ON_LEAVE]: (doctor, availability) =>
+    `Dr. ${doctor.name} is on leave until ${availability.leave.endDate}`,
+  [UNAVAILABILITY_REASONS.OUTSIDE_WORKING_HOURS]: (doctor) =>
+    `Dr. ${doctor.name} is outside their working hours`,
+  [UNAVAILABILITY_REASONS.AT_CAPACITY]: (doctor, availability) =>
+    `Dr. ${doctor.name} already has ${availability.pending} reports pending (limit ${availability.maxConcurrentReviews})`
+};
+
+/**
+ * Split why a doctor is unavailable into what blocks an assignment and what only warns about it
+ * @param {Object} doctor - Needs name
+ * @param {Object} availability - From evaluateAvailability
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+const describeAvailability = (doctor, availability) => {
+  const errors = [];
+  const warnings = [];
+  availability.reasons.forEach((reason) => {
+    const message = REASON_MESSAGES[reason](doctor, availability);
+    (BLOCKING_REASONS.includes(reason) ? errors : warnings).push(message);
+  });
+  return { errors, warnings };
+};
+
+module.exports = {
+  WEEKDAYS,
+  UNAVAILABILITY_REASONS,
+  BLOCKING_REASONS,
+  addDays,
+  localClock,
+  validateAvailability,
+  validateLeave,
+  isWithinWorkingHours,
+  evaluateAvailability,
+  describeAvailability
+};
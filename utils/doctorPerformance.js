@@ -0,0 +1,88 @@
+// Per-doctor performance metrics, kept free of model imports.
+// services/doctorPerformance.js collects the counts and durations these summarise.
+const { MS_PER_HOUR, hoursBetween, round, percentile, rate } = require('./metrics');
+
+/**
+ * Zeroed counters of one doctor, for the whole range or one period of it
+ * @returns {Object} assigned, reviewed, reassignedAway, secondReadings, annotations and turnaroundHours
+ */
+const emptyCounts = () => ({
+  assigned: 0, // Primary assignments received
+  reviewed: 0,
+  reassignedAway: 0, // Assignments taken from the doctor (reassigned or unassigned) before review
+  secondReadings: 0, // Second and arbiter readings completed
+  annotations: 0, // Annotation versions saved
+  turnaroundHours: [] // Assignment to review, per reviewed report
+});
+
+/**
+ * Add the counters of a period to a running total
+ * @param {Object} total - From emptyCounts
+ * @param {Object} counts - From emptyCounts
+ * @returns {Object} total
+ */
+const addCounts = (total, counts) => {
+  ['assigned', 'reviewed', 'reassignedAway', 'secondReadings', 'annotations'].forEach((key) => {
+    total[key] += counts[key];
+  });
+  total.turnaroundHours.push(...counts.turnaroundHours);
+  return total;
+};
+
+/**
+ * Whole days from a date until now, at least 1
+ * @param {Date} since
+ * @param {Date} [now]
+ * @returns {number}
+ */
+const daysSince = (since, now = new Date()) => Math.max(1, Math.ceil(hoursBetween(since, now) / 24));
+
+/**
+ * Metrics of a doctor's counters
+ * @param {Object} counts - From emptyCounts
+ * @returns {Object} assigned, reviewed, reviewRate, reassignedAway, reassignmentRate, secondReadings,
+ *   annotations and turnaround ({ measured, averageHours, medianHours, p90Hours })
+ */
+const summarizePerformance = (counts) => {
+  const hours = counts.turnaroundHours;
+  return {
+    assigned: counts.assigned,
+    reviewed: counts.reviewed,
+    reviewRate: rate(counts.reviewed, counts.assigned),
+    reassignedAway: counts.reassignedAway,
+    reassignmentRate: rate(counts.reassignedAway, counts.assigned),
+    secondReadings: counts.secondReadings,
+    annotations: counts.annotations,
+    turnaround: {
+      measured: hours.length,
+      averageHours: round(hours.length ? hours.reduce((sum, value) => sum + value, 0) / hours.length : null),
+      medianHours: round(percentile(hours, 50)),
+      p90Hours: round(percentile(hours, 90))
+    }
+  };
+};
+
+/**
+ * Age of a doctor's open work
+ * @param {Array<Date|string>} assignedDates - When each open report or reading was assigned
+ * @param {Date} [now]
+ * @returns {{ open: number, oldestHours: number|null, medianAgeHours: number|null }}
+ */
+const summarizeBacklog = (assignedDates, now = new Date()) => {
+  const ages = assignedDates
+    .filter(Boolean)
+    .map((assignedAt) => Math.max(0, (now.getTime() - new Date(assignedAt).getTime()) / MS_PER_HOUR));
+  return {
+    open: assignedDates.length,
+    oldestHours: round(ages.length ? Math.max(...ages) : null),
+    medianAgeHours: round(percentile(ages, 50))
+  };
+};
+
+module.exports = {
+  emptyCounts,
+  addCounts,
+  daysSince,
+  summarizePerformance,
+  summarizeBacklog
+};
@@ -0,0 +1,24 @@
+// Helpers for loosely typed request input: JSON bodies, multipart fields and query strings
+// carry the same value in different shapes.
+
+/**
+ * @param {*} value
+ * @returns {boolean|undefined} The boolean sent as true/false, 'true'/'false', 1/0, '1'/'0' or 'yes'/'no';
+ *   undefined for anything else
+ */
+const parseFlag = (value) => {
+  if (value === true || value === 'true' || value === 1 || value === '1' || value === 'yes') return true;
+  if (value === false || value === 'false' || value === 0 || value === '0' || value === 'no') return false;
+  return undefined;
+};
+
+// Missing, null or an empty string (an empty multipart field)
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+module.exports = {
+  parseFlag,
+  isBlank,
+  isPlainObject
+};
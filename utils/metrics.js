@@ -0,0 +1,57 @@
+// Small statistics helpers for analytics responses
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Hours from one moment to another, or null when either is missing
+ * @param {Date|string|null} from
+ * @param {Date|string|null} to
+ * @returns {number|null}
+ */
+const hoursBetween = (from, to) => {
+  if (!from || !to) return null;
+  return (new Date(to).getTime() - new Date(from).getTime()) / MS_PER_HOUR;
+};
+
+/**
+ * Round to a number of decimals, keeping null
+ * @param {number|null} value
+ * @param {number} [decimals]
+ * @returns {number|null}
+ */
+const round = (value, decimals = 1) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Percentile by linear interpolation between closest ranks
+ * @param {number[]} values
+ * @param {number} p - 0 to 100
+ * @returns {number|null} null for an empty list
+ */
+const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Share of a total as a percentage
+ * @param {number} count
+ * @param {number} total
+ * @returns {number|null} null when the total is 0
+ */
+const rate = (count, total) => (total ? round((count / total) * 100) : null);
+
+module.exports = {
+  MS_PER_HOUR,
+  hoursBetween,
+  round,
+  percentile,
+  rate
+};
@@ -0,0 +1,114 @@
+// Query parsing for the notification list and bulk actions.
+// Lists are paged with an opaque cursor (the ID of the last notification returned) instead of
+// page numbers, so new notifications arriving between requests do not shift the pages.
+const { parseFlag } = require('./inputValues');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_IDS = 500;
+const ARCHIVE_FILTERS = ['false', 'true', 'all'];
+
+/**
+ * @param {Object} notification - Last notification of a page
+ * @returns {string}
+ */
+const encodeCursor = (notification) => Buffer.from(JSON.stringify({ id: notification.id })).toString('base64url');
+
+/**
+ * @param {string} cursor - From encodeCursor
+ * @returns {number|null} Notification ID, or null when the cursor is not valid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(id) && id > 0 ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse list / bulk filters
+ * @param {Object} input - Query string or body filter: type (one or comma-separated), isRead,
+ *   relatedId, archived (false (default), true or all), before (ISO date)
+ * @returns {{ filters: Object, errors: string[] }} filters: { types, isRead, relatedId, archived, before }
+ */
+const parseNotificationFilters = (input = {}) => {
+  const errors = [];
+  const filters = { archived: false };
+
+  if (input.type !== undefined && input.type !== '') {
+    const types = (Array.isArray(input.type) ? input.type : String(input.type).split(','))
+      .map((type) => String(type).trim())
+      .filter(Boolean);
+    if (types.length) filters.types = types;
+  }
+
+  if (input.isRead !== undefined && input.isRead !== '') {
+    const isRead = parseFlag(input.isRead);
+    if (isRead === undefined) errors.push('isRead must be true or false');
+    else filters.isRead = isRead;
+  }
+
+  if (input.relatedId !== undefined && input.relatedId !== '') {
+    const relatedId = Number(input.relatedId);
+    if (!Number.isInteger(relatedId)) errors.push('relatedId must be a number');
+    else filters.relatedId = relatedId;
+  }
+
+  if (input.archived !== undefined && input.archived !== '') {
+    const archived = String(input.archived);
+    if (!ARCHIVE_FILTERS.includes(archived)) errors.push(`archived must be one of: ${ARCHIVE_FILTERS.join(', ')}`);
+    else filters.archived = archived === 'all' ? null : archived === 'true';
+  }
+
+  if (input.before !== undefined && input.before !== '') {
+    const before = new Date(input.before);
+    if (Number.isNaN(before.getTime())) errors.push('before must be a date');
+    else filters.before = before;
+  }
+
+  return { filters, errors };
+};
+
+/**
+ * Parse the target of a bulk action: explicit IDs or a filter
+ * @param {Object} body - { ids: number[] } or { filter: Object } (see parseNotificationFilters)
+ * @returns {{ ids?: number[], filters?: Object, errors: string[] }}
+ */
+const parseBulkTarget = (body = {}) => {
+  if (body.ids !== undefined) {
+    const ids = Array.isArray(body.ids) ? body.ids.map(Number) : [];
+    if (!ids.length || ids.some((id) => !Number.isInteger(id))) {
+      return { errors: ['ids must be a non-empty array of notification IDs'] };
+    }
+    if (ids.length > MAX_BULK_IDS) {
+      return { errors: [`At most ${MAX_BULK_IDS} ids can be changed at once`] };
+    }
+    return { ids, errors: [] };
+  }
+
+  if (body.filter && typeof body.filter === 'object' && !Array.isArray(body.filter)) {
+    // A bulk action by filter covers archived notifications too unless the filter says otherwise
+    const { filters, errors } = parseNotificationFilters({ archived: 'all', ...body.filter });
+    return { filters, errors };
+  }
+
+  return { errors: ['Send ids or a filter (an empty filter {} selects every notification)'] };
+};
+
+/**
+ * Page size from the query string
+ * @param {string} limit
+ * @returns {number}
+ */
+const parsePageSize = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parseNotificationFilters,
+  parseBulkTarget,
+  parsePageSize
+};
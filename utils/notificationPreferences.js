@@ -0,0 +1,273 @@
+// Per-user notification settings, stored in NotificationPreference (one row per user, created on first save).
+//
+//   channels     - master switch per channel; a channel that is off is never used
+//   types        - per notification type overrides, e.g. { REPORT_READY: { email: true } }. Without an
+//                  override a type uses the channels its template lists (utils/notificationTemplates)
+//   quietHours   - email and SMS created between start and end (local time) wait until the end
+//   digest       - 'daily' collects emails into one message sent at digest.hour (local time)
+//
+// In-app and webhook deliveries are never held back: they do not wake anybody up.
+const { parseFlag, isPlainObject } = require('./inputValues');
+
+const NOTIFICATION_USER_TYPES = ['doctor', 'hospital', 'admin', 'patient'];
+const CHANNELS = ['inApp', 'email', 'sms', 'webhook'];
+const DEFERRABLE_CHANNELS = ['email', 'sms'];
+const DIGEST_MODES = ['off', 'daily'];
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const DEFAULT_CHANNELS = { inApp: true, email: true, sms: false, webhook: false };
+
+// Patients often only have a phone number, so text messages are on unless they turn them off
+const DEFAULT_CHANNELS_BY_USER_TYPE = {
+  patient: { ...DEFAULT_CHANNELS, sms: true }
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Settings of a user with defaults filled in
+ * @param {Object|null} row - NotificationPreference instance or plain object
+ * @param {string} userType
+ * @returns {Object} { channels, types, webhookUrl, hasWebhookSecret, quietHours, timezone, digest }
+ */
+const resolvePreferences = (row, userType) => ({
+  channels: { ...(DEFAULT_CHANNELS_BY_USER_TYPE[userType] || DEFAULT_CHANNELS), ...(row?.channels || {}) },
+  types: row?.typeChannels || {},
+  webhookUrl: row?.webhookUrl || null,
+  hasWebhookSecret: Boolean(row?.webhookSecret),
+  quietHours: row?.quietHoursStart && row?.quietHoursEnd
+    ? { start: row.quietHoursStart, end: row.quietHoursEnd }
+    : null,
+  timezone: row?.timezone || DEFAULT_TIMEZONE,
+  digest: { mode: row?.digestMode || 'off', hour: row?.digestHour ?? 8 }
+});
+
+/**
+ * Validate a settings update and turn it into NotificationPreference columns
+ * @param {Object} input - Changed settings in the shape returned by resolvePreferences
+ * @param {Object} current - Result of resolvePreferences for the stored row
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Known notification types
+ * @returns {{ values: Object, errors: string[] }}
+ */
+const validatePreferences = (input = {}, current, { types = [] } = {}) => {
+  const errors = [];
+  const values = {};
+
+  if (input.channels !== undefined) {
+    if (!isPlainObject(input.channels)) {
+      errors.push('channels must be an object');
+    } else {
+      const channels = { ...current.channels };
+      Object.entries(input.channels).forEach(([channel, value]) => {
+        const flag = parseFlag(value);
+        if (!CHANNELS.includes(channel)) {
+          errors.push(`Unknown channel "${channel}". Expected one of: ${CHANNELS.join(', ')}`);
+        } else if (flag === undefined) {
+          errors.push(`channels.${channel} must be true or false`);
+        } else {
+          channels[channel] = flag;
+        }
+      });
+      values.channels = channels;
+    }
+  }
+
+  if (input.types !== undefined) {
+    if (!isPlainObject(input.types)) {
+      errors.push('types must be an object');
+    } else {
+      const overrides = { ...current.types };
+      Object.entries(input.types).forEach(([type, channels]) => {
+        if (!types.includes(type)) {
+          errors.push(`Unknown notification type "${type}"`);
+          return;
+        }
+        // null drops the override so the type goes back to its template defaults
+        if (channels === null) {
+          delete overrides[type];
+          return;
+        }
+        if (!isPlainObject(channels)) {
+          errors.push(`types.${type} must be an object`);
+          return;
+        }
+        const override = { ...(overrides[type] || {}) };
+        Object.entries(channels).forEach(([channel, value]) => {
+          const flag = parseFlag(value);
+          if (!CHANNELS.includes(channel)) {
+            errors.push(`Unknown channel "${channel}" in types.${type}`);
+          } else if (value === null) {
+            delete override[channel];
+          } else if (flag === undefined) {
+            errors.push(`types.${type}.${channel} must be true, false or null`);
+          } else {
+            override[channel] = flag;
+          }
+        });
+        if (Object.keys(override).length) overrides[type] = override;
+        else delete overrides[type];
+      });
+      values.typeChannels = overrides;
+    }
+  }
+
+  if (input.webhookUrl !== undefined) {
+    if (!input.webhookUrl) {
+      values.webhookUrl = null;
+    } else {
+      let url = null;
+      try {
+        url = new URL(String(input.webhookUrl));
+      } catch (error) {
+        errors.push('webhookUrl must be a valid URL');
+      }
+      if (url) {
+        const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+        if (!allowedProtocols.includes(url.protocol)) {
+          errors.push(`webhookUrl must use ${allowedProtocols.map((protocol) => protocol.replace(':', '')).join(' or ')}`);
+        } else if (url.href.length > 500) {
+          errors.push('webhookUrl must be at most 500 characters');
+        } else {
+          values.webhookUrl = url.href;
+        }
+      }
+    }
+  }
+
+  if (input.quietHours !== undefined) {
+    if (input.quietHours === null) {
+      values.quietHoursStart = null;
+      values.quietHoursEnd = null;
+    } else if (!isPlainObject(input.quietHours) ||
+      !TIME_OF_DAY.test(input.quietHours.start) || !TIME_OF_DAY.test(input.quietHours.end)) {
+      errors.push('quietHours must be null or { start, end } in HH:MM (24-hour) format');
+    } else if (input.quietHours.start === input.quietHours.end) {
+      errors.push('quietHours start and end must differ');
+    } else {
+      values.quietHoursStart = input.quietHours.start;
+      values.quietHoursEnd = input.quietHours.end;
+    }
+  }
+
+  if (input.timezone !== undefined) {
+    if (!input.timezone || !isValidTimezone(input.timezone)) {
+      errors.push('timezone must be an IANA time zone such as Asia/Kolkata');
+    } else {
+      values.timezone = input.timezone;
+    }
+  }
+
+  if (input.digest !== undefined) {
+    if (!isPlainObject(input.digest)) {
+      errors.push('digest must be an object');
+    } else {
+      if (input.digest.mode !== undefined) {
+        if (!DIGEST_MODES.includes(input.digest.mode)) {
+          errors.push(`digest.mode must be one of: ${DIGEST_MODES.join(', ')}`);
+        } else {
+          values.digestMode = input.digest.mode;
+        }
+      }
+      if (input.digest.hour !== undefined) {
+        const hour = Number(input.digest.hour);
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+          errors.push('digest.hour must be a whole number from 0 to 23');
+        } else {
+          values.digestHour = hour;
+        }
+      }
+    }
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Channels a notification goes out on
+ * @param {Object} preferences - From resolvePreferences
+ * @param {string} type - Notification type
+ * @param {string[]} templateChannels - Channels the type's template uses by default
+ * @returns {string[]}
+ */
+const selectChannels = (preferences, type, templateChannels) => {
+  const override = preferences.types[type] || {};
+  return CHANNELS.filter((channel) => {
+    if (!preferences.channels[channel]) return false;
+    if (channel === 'webhook' && !preferences.webhookUrl) return false;
+    // A webhook receives every type unless it is switched off for that type
+    const byDefault = channel === 'webhook' || templateChannels.includes(channel);
+    return override[channel] ?? byDefault;
+  });
+};
+
+// Minutes since local midnight in a time zone
+const localMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const part = (type) => Number(parts.find((item) => item.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+// Next moment the local clock shows targetMinutes, at least one minute from now
+const nextLocalTime = (date, timeZone, targetMinutes) => {
+  const minutesAhead = (targetMinutes - localMinutes(date, timeZone) + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+  const next = new Date(date.getTime() + minutesAhead * 60 * 1000);
+  next.setSeconds(0, 0);
+  return next;
+};
+
+/**
+ * When a deferrable delivery may go out, or null to send it now
+ * @param {Object} preferences - From resolvePreferences
+ * @param {string} channel
+ * @param {Date} [now]
+ * @returns {{ sendAfter: Date, digest: boolean }|null}
+ */
+const deferDelivery = (preferences, channel, now = new Date()) => {
+  if (!DEFERRABLE_CHANNELS.includes(channel)) return null;
+
+  if (channel === 'email' && preferences.digest.mode === 'daily') {
+    return { sendAfter: nextLocalTime(now, preferences.timezone, preferences.digest.hour * 60), digest: true };
+  }
+
+  if (preferences.quietHours) {
+    const start = toMinutes(preferences.quietHours.start);
+    const end = toMinutes(preferences.quietHours.end);
+    const minutes = localMinutes(now, preferences.timezone);
+    // Quiet hours may run past midnight (22:00-07:00)
+    const quiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (quiet) {
+      return { sendAfter: nextLocalTime(now, preferences.timezone, end), digest: false };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  NOTIFICATION_USER_TYPES,
+  CHANNELS,
+  DIGEST_MODES,
+  DEFAULT_TIMEZONE,
+  resolvePreferences,
+  validatePreferences,
+  selectChannels,
+  deferDelivery
+};
@@ -0,0 +1,196 @@
+// Appointment notifications, sent to the email address and phone number the appointment was booked with
+const { escapeHtml } = require('./layout');
+
+// Service pretty name
+const SERVICE_NAMES = {
+  'breast-scan': 'Breast Scan',
+  'ecg': 'ECG',
+  'comprehensive': 'Comprehensive Checkup'
+};
+const serviceName = (service) => SERVICE_NAMES[service] || service;
+
+// HTML email for an appointment action (booked, updated, status, deleted)
+function generateAppointmentEmail({ name, service, date, time, address, notes, status, action }) {
+  let actionTitle = '';
+  let intro = '';
+  let color = '#4CAF50';
+  let icon = '';
+  let mainMessage = '';
+  let statusBadge = '';
+
+  switch (action) {
+    case 'booked':
+      actionTitle = 'Appointment Booked Successfully!';
+      intro = 'Dear Customer,';
+      color = '#4CAF50';
+      icon = '✅';
+      mainMessage = 'Thank you for booking your health screening with us.<br><br>Your appointment has been successfully booked/confirmed.<br><br>Our executive will contact you soon for further process.';
+      break;
+    case 'updated':
+      actionTitle = 'Appointment Updated';
+      intro = `Dear <b>${escapeHtml(name)}</b>,<br>Your appointment details have been <b>updated</b>.`;
+      color = '#2196F3';
+      icon = '✏️';
+      mainMessage = 'Please review your updated appointment details below. If you have any questions, feel free to contact us.';
+      break;
+    case 'status':
+      actionTitle = 'Appointment Status Changed';
+      intro = `Dear <b>${escapeHtml(name)}</b>,<br>Your appointment status is now:`;
+      color = status === 'cancelled' ? '#F44336' : '#FFC107';
+      icon = status === 'cancelled' ? '❌' : '🔔';
+      mainMessage = status === 'cancelled'
+        ? 'We regret to inform you that your appointment has been <b>cancelled</b>. If this is a mistake or you wish to reschedule, please contact us.'
+        : `Your appointment status is now <b>${status.toUpperCase()}</b>.`;
+      break;
+    case 'deleted':
+      actionTitle = 'Appointment Cancelled';
+      intro = `Dear <b>${escapeHtml(name)}</b>,<br>Your appointment has been <b>cancelled</b>.`;
+      color = '#F44336';
+      icon = '❌';
+      mainMessage = 'We are sorry to see you cancel. If you wish to book again, you are always welcome!';
+      break;
+    default:
+      actionTitle = 'Appointment Notification';
+      intro = '';
+      icon = '📅';
+      mainMessage = '';
+  }
+
+  // Status badge
+  if (status) {
+    let badgeColor = '#4CAF50';
+    switch (status) {
+      case 'pending': badgeColor = '#FFC107'; break;
+      case 'confirmed': badgeColor = '#2196F3'; break;
+      case 'completed': badgeColor = '#4CAF50'; break;
+      case 'cancelled': badgeColor = '#F44336'; break;
+      default: badgeColor = '#888';
+    }
+    statusBadge = `<span style="display:inline-block;padding:4px 12px;border-radius:12px;background:${badgeColor};color:#fff;font-size:13px;font-weight:bold;letter-spacing:1px;">${status.toUpperCase()}</span>`;
+  }
+
+  const prettyService = serviceName(service);
+
+  // Time pretty
+  const timeNames = {
+    'morning': 'Morning (8:00 AM - 12:00 PM)',
+    'afternoon': 'Afternoon (12:00 PM - 4:00 PM)',
+    'evening': 'Evening (4:00 PM - 8:00 PM)'
+  };
+  const prettyTime = timeNames[time] || time;
+
+  // Simple template for booked appointments
+  if (action === 'booked') {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      </head>
+      <body style="margin: 0; padding: 0; background-color: #ffffff;">
+        <div style="font-family: Arial, Helvetica, sans-serif; max-width: 600px; margin: 0 auto; padding: 40px 30px;">
+          <div style="margin-bottom: 32px;">
+            <p style="font-size: 16px; color: #2c3e50; margin: 0 0 16px 0; line-height: 1.6;">Dear Customer,</p>
+            <p style="font-size: 16px; color: #2c3e50; margin: 0 0 16px 0; line-height: 1.6;">Thank you for booking your health screening with us.</p>
+            <p style="font-size: 16px; color: #2c3e50; margin: 0 0 16px 0; line-height: 1.6;">Your appointment has been successfully booked/confirmed.</p>
+            <p style="font-size: 16px; color: #2c3e50; margin: 0; line-height: 1.6;">Our executive will contact you soon for further process.</p>
+          </div>
+          <div style="margin-top: 32px; padding-top: 24px; border-top: 1px solid #e8e8e8;">
+            <p style="font-size: 16px; color: #2c3e50; margin: 0 0 8px 0; font-weight: 500;">Team D3S Healthcare</p>
+            <p style="font-size: 14px; color: #7f8c8d; margin: 0; line-height: 1.6;">For any queries contact us at <a href="tel:+916355462935" style="color: #2c3e50; text-decoration: none;">+91 6355 462 935</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Detailed template for other actions (updated, status, deleted)
+  return `
+    <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 540px; margin: 32px auto; border:1px solid #e0e0e0; border-radius:12px; overflow:hidden; box-shadow:0 2px 12px rgba(0,0,0,0.06); background:#fff;">
+      <div style="background:${color};color:#fff;padding:24px 32px;display:flex;align-items:center;">
+        <span style="font-size:2.2rem; margin-right:16px;">${icon}</span>
+        <div>
+          <h2 style="margin:0 0 4px 0;font-size:1.5rem;letter-spacing:0.5px;">${actionTitle}</h2>
+          ${statusBadge}
+        </div>
+      </div>
+      <div style="padding:32px;">
+        <p style="font-size:17px; margin:0 0 12px 0;">${intro}</p>
+        <p style="font-size:15px; color:#444; margin:0 0 18px 0;">${mainMessage}</p>
+        <div style="margin:24px 0 0 0;">
+          <table style="width:100%;border-collapse:collapse;font-size:15px;">
+            <tr>
+              <td style="font-weight:600;padding:8px 0;width:120px;">Service:</td>
+              <td style="padding:8px 0;">${escapeHtml(prettyService)}</td>
+            </tr>
+            <tr>
+              <td style="font-weight:600;padding:8px 0;">Date:</td>
+              <td style="padding:8px 0;">${escapeHtml(date)}</td>
+            </tr>
+            <tr>
+              <td style="font-weight:600;padding:8px 0;">Time:</td>
+              <td style="padding:8px 0;">${escapeHtml(prettyTime)}</td>
+            </tr>
+            <tr>
+              <td style="font-weight:600;padding:8px 0;">Address:</td>
+              <td style="padding:8px 0;">${escapeHtml(address)}</td>
+            </tr>
+            ${notes ? `<tr><td style="font-weight:600;padding:8px 0;">Notes:</td><td style="padding:8px 0;">${escapeHtml(notes)}</td></tr>` : ''}
+            ${status ? `<tr><td style="font-weight:600;padding:8px 0;">Status:</td><td style="padding:8px 0;">${statusBadge}</td></tr>` : ''}
+          </table>
+        </div>
+        <div style="margin-top:32px; padding:18px 20px; background:#f7f7f7; border-radius:8px;">
+          <p style="margin:0; font-size:14px; color:#666;">
+            <b>Need to make changes?</b> Simply reply to this email or contact our support team.<br>
+            <span style="color:#888;">Thank you for choosing <b>D3S App</b>. We are committed to your health and well-being.</span>
+          </p>
+        </div>
+        <div style="margin-top:24px;text-align:center;">
+          <a href="https://d3sapp.com" style="display:inline-block;padding:10px 28px;background:${color};color:#fff;border-radius:6px;text-decoration:none;font-weight:600;font-size:15px;box-shadow:0 2px 6px rgba(0,0,0,0.07);margin-top:10px;">Visit Our Website</a>
+        </div>
+      </div>
+      <div style="background:#f0f0f0;padding:14px 0;text-align:center;font-size:13px;color:#888;">
+        &copy; ${new Date().getFullYear()} D3S App. All rights reserved.
+      </div>
+    </div>
+  `;
+}
+
+// data: the appointment fields (name, service, date, time, address, notes, status)
+const appointmentEmail = (subject, action) => (data) => ({
+  subject: typeof subject === 'function' ? subject(data) : subject,
+  html: generateAppointmentEmail({ ...data, action })
+});
+
+module.exports = [
+  {
+    type: 'APPOINTMENT_BOOKED',
+    channels: ['inApp', 'email'],
+    title: () => 'Appointment Booked',
+    message: ({ service, date }) => `Your ${serviceName(service)} appointment on ${date} has been booked. Our executive will contact you soon.`,
+    email: appointmentEmail('Your Appointment is Booked - D3S App', 'booked')
+  },
+  {
+    type: 'APPOINTMENT_UPDATED',
+    channels: ['inApp', 'email'],
+    title: () => 'Appointment Updated',
+    message: ({ service, date }) => `Your ${serviceName(service)} appointment on ${date} has been updated.`,
+    email: appointmentEmail('Your Appointment has been Updated - D3S App', 'updated')
+  },
+  {
+    type: 'APPOINTMENT_STATUS_CHANGED',
+    channels: ['inApp', 'email'],
+    title: () => 'Appointment Status Changed',
+    message: ({ service, date, status }) => `Your ${serviceName(service)} appointment on ${date} is now ${status}.`,
+    email: appointmentEmail(({ status }) => `Your Appointment Status is now ${status.toUpperCase()} - D3S App`, 'status')
+  },
+  {
+    type: 'APPOINTMENT_CANCELLED',
+    channels: ['inApp', 'email'],
+    title: () => 'Appointment Cancelled',
+    message: ({ service, date }) => `Your ${serviceName(service)} appointment on ${date} has been cancelled.`,
+    email: appointmentEmail('Your Appointment has been Cancelled - D3S App', 'deleted')
+  }
+];
@@ -0,0 +1,70 @@
+// Notification template registry.
+// Each notification type declares its in-app title and message, the channels it uses by default and,
+// optionally, its own email and SMS text. Types without an email template get the standard layout
+// (./layout.js) around the title and message; types without an SMS template send "title: message".
+//
+// Adding a notification type: add a definition to one of the modules below (or a new module) and
+// send it with services/notifications.js notify().
+const { escapeHtml, emailLayout, digestLayout } = require('./layout');
+
+const TEMPLATES = Object.fromEntries(
+  [
+    ...require('./reports'),
+    ...require('./appointments'),
+    ...require('./orders'),
+    ...require('./subscriptions')
+  ].map((template) => [template.type, template])
+);
+
+const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+
+// Free-form notifications (data: { title, message })
+const GENERAL_TEMPLATE = {
+  type: 'GENERAL',
+  channels: ['inApp'],
+  title: ({ title }) => title || 'Notification',
+  message: ({ message }) => message || ''
+};
+
+const getTemplate = (type) => TEMPLATES[type] || GENERAL_TEMPLATE;
+
+/**
+ * Render a notification for every channel
+ * @param {string} type - Notification type, e.g. 'REPORT_ASSIGNED'
+ * @param {Object} data - Values for the template
+ * @returns {{ type: string, channels: string[], title: string, message: string,
+ *   email: { subject: string, html: string }, sms: string }}
+ */
+const renderNotification = (type, data = {}) => {
+  const template = getTemplate(type);
+  const title = template.title(data);
+  const message = template.message(data);
+  const rendered = { title, message };
+
+  return {
+    type: TEMPLATES[type] ? type : GENERAL_TEMPLATE.type,
+    channels: typeof template.channels === 'function' ? template.channels(data) : template.channels,
+    title,
+    message,
+    email: template.email
+      ? template.email(data, rendered)
+      : { subject: `D3S HealthCare - ${title}`, html: emailLayout({ heading: title, paragraphs: [escapeHtml(message)] }) },
+    sms: template.sms ? template.sms(data, rendered) : `${title}: ${message}`
+  };
+};
+
+/**
+ * Digest email of several notifications
+ * @param {Array<{ title: string, message: string }>} items
+ * @returns {{ subject: string, html: string }}
+ */
+const renderDigest = (items) => ({
+  subject: `D3S HealthCare - ${items.length} new notification${items.length === 1 ? '' : 's'}`,
+  html: digestLayout(items)
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  renderNotification,
+  renderDigest
+};
@@ -0,0 +1,57 @@
+// Shared pieces of notification emails
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+/**
+ * Standard notification email: heading, paragraphs, a detail box and an optional button.
+ * Paragraphs are HTML; detail values are escaped.
+ * @param {Object} options
+ * @param {string} options.heading
+ * @param {string[]} [options.paragraphs]
+ * @param {Array<[string, string]>} [options.details] - [label, value] rows
+ * @param {{ label: string, url: string }} [options.action]
+ * @param {string} [options.color]
+ * @returns {string} HTML
+ */
+const emailLayout = ({ heading, paragraphs = [], details = [], action, color = '#16a34a' }) => `
+  <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+    <h2 style="color: ${color};">${escapeHtml(heading)}</h2>
+    ${paragraphs.map((paragraph) => `<p>${paragraph}</p>`).join('\n    ')}
+    ${details.length ? `<div style="background: #f9fafb; padding: 15px; border-radius: 8px; margin: 20px 0;">
+      ${details.map(([label, value]) => `<p style="margin: 5px 0;"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('\n      ')}
+    </div>` : ''}
+    ${action ? `<a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 12px 24px; background: ${color}; color: white; text-decoration: none; border-radius: 6px; font-weight: bold; margin-top: 10px;">${escapeHtml(action.label)}</a>` : ''}
+    <p style="margin-top: 30px; font-size: 12px; color: #666;">This is an automated notification. Please do not reply to this email.</p>
+  </div>
+`;
+
+/**
+ * Digest email listing several notifications
+ * @param {Array<{ title: string, message: string, createdAt: Date }>} items
+ * @returns {string} HTML
+ */
+const digestLayout = (items) => emailLayout({
+  heading: 'Your Notification Summary',
+  paragraphs: [
+    `Here ${items.length === 1 ? 'is 1 notification' : `are ${items.length} notifications`} since your last summary.`,
+    ...items.map((item) => `<strong>${escapeHtml(item.title)}</strong><br>${escapeHtml(item.message)}`)
+  ]
+});
+
+// Portal links in emails; each portal can live on its own host
+const portalUrl = (userType, path = '') => {
+  const bases = {
+    doctor: process.env.DOCTOR_PORTAL_URL || 'https://doctor.d3shealthcare.com',
+    hospital: process.env.HOSPITAL_PORTAL_URL || 'https://hospital.d3shealthcare.com',
+    admin: process.env.ADMIN_PORTAL_URL || 'https://admin.d3shealthcare.com'
+  };
+  return `${(bases[userType] || 'https://d3sapp.com').replace(/\/$/, '')}${path}`;
+};
+
+module.exports = {
+  escapeHtml,
+  emailLayout,
+  digestLayout,
+  portalUrl
+};
@@ -0,0 +1,48 @@
+// Shop order notifications, sent to the customer's email address and phone number
+const { escapeHtml, emailLayout } = require('./layout');
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+module.exports = [
+  {
+    // data: { orderId, customerName, itemCount, totalAmount, paymentMethod }
+    type: 'ORDER_PLACED',
+    channels: ['inApp', 'email'],
+    title: () => 'Order Placed',
+    message: ({ orderId, totalAmount }) => `Your order ${orderId} (${formatAmount(totalAmount)}) has been placed.`,
+    email: (data) => ({
+      subject: `Order ${data.orderId} Confirmed - D3S App`,
+      html: emailLayout({
+        heading: 'Thank You For Your Order',
+        paragraphs: [
+          `Dear <strong>${escapeHtml(data.customerName)}</strong>,`,
+          'We have received your order and will let you know when it ships.'
+        ],
+        details: [
+          ['Order ID', data.orderId],
+          ['Items', data.itemCount],
+          ['Total', formatAmount(data.totalAmount)],
+          ['Payment Method', data.paymentMethod]
+        ]
+      })
+    })
+  },
+  {
+    // data: { orderId, customerName, status }
+    type: 'ORDER_STATUS_CHANGED',
+    channels: ['inApp', 'email'],
+    title: ({ status }) => `Order ${status}`,
+    message: ({ orderId, status }) => `Your order ${orderId} is now ${status}.`,
+    email: (data) => ({
+      subject: `Order ${data.orderId} is now ${data.status} - D3S App`,
+      html: emailLayout({
+        heading: `Your Order Is ${data.status}`,
+        color: data.status === 'Cancelled' ? '#dc2626' : '#16a34a',
+        paragraphs: [
+          `Dear <strong>${escapeHtml(data.customerName)}</strong>,`,
+          `The status of your order <strong>${escapeHtml(data.orderId)}</strong> has changed to <strong>${escapeHtml(data.status)}</strong>.`
+        ]
+      })
+    })
+  }
+];
@@ -0,0 +1,141 @@
+// Report workflow notifications
+const { escapeHtml, emailLayout, portalUrl } = require('./layout');
+
+// Longer SLA breach lists are cut short in the email; the portal shows all of them
+const MAX_LISTED_BREACHES = 20;
+
+const READER_TITLES = {
+  second: 'Second Opinion Requested',
+  arbiter: 'Arbitration Requested'
+};
+
+module.exports = [
+  {
+    // data: { reportTitle, patientName, hospitalName, doctorName, readerRole }
+    type: 'REPORT_ASSIGNED',
+    channels: ['inApp', 'email'],
+    title: ({ readerRole }) => READER_TITLES[readerRole] || 'New Report Assigned',
+    message: ({ readerRole, reportTitle, patientName }) => {
+      if (readerRole === 'arbiter') return `Readers disagree on report "${reportTitle}". You have been asked to arbitrate.`;
+      if (readerRole === 'second') return `You have been asked to independently read report "${reportTitle}".`;
+      return `A new report "${reportTitle}" for patient ${patientName} has been assigned to you.`;
+    },
+    email: (data, { title }) => ({
+      subject: `D3S HealthCare - ${title}`,
+      html: emailLayout({
+        heading: title,
+        paragraphs: [
+          `Hello <strong>Dr. ${escapeHtml(data.doctorName)}</strong>,`,
+          'A report has been assigned to you for review in the D3S Doctor Portal.'
+        ],
+        details: [
+          ['Report Title', data.reportTitle],
+          ['Patient', data.patientName],
+          ['Hospital', data.hospitalName]
+        ],
+        action: { label: 'View Report', url: portalUrl('doctor', '/assigned-reports') }
+      })
+    })
+  },
+  {
+    // data: { reportTitle, positions }
+    type: 'REPORT_DISCREPANCY',
+    channels: ['inApp', 'email'],
+    title: () => 'Reader Discrepancy',
+    message: ({ reportTitle, positions }) =>
+      `Readers disagree on report "${reportTitle}" (${positions.join(', ')}). Please assign an arbitrating doctor.`
+  },
+  {
+    // data: { reportTitle, patientName, doctorName }
+    type: 'REPORT_REVIEWED',
+    channels: ['inApp'],
+    title: () => 'Report Reviewed',
+    message: ({ reportTitle, patientName, doctorName }) =>
+      `The report "${reportTitle}" for patient ${patientName} has been reviewed${doctorName ? ` by Dr. ${doctorName}` : ''}.`
+  },
+  {
+    // data: { firstName, reportTitle, hospitalName, doctorName, retrievalUrl, pinLength }
+    // Patients get the PIN-protected retrieval link rather than a file link, so a forwarded message
+    // does not expose the report
+    type: 'PATIENT_REPORT_REVIEWED',
+    channels: () => ['inApp', 'email', ...(process.env.REPORT_REVIEW_SMS_ENABLED === 'true' ? ['sms'] : [])],
+    title: () => 'Your Report Is Ready',
+    message: ({ reportTitle, hospitalName, doctorName }) =>
+      `Your report "${reportTitle}" from ${hospitalName} has been reviewed${doctorName ? ` by Dr. ${doctorName}` : ''}.`,
+    email: (data) => ({
+      subject: 'D3S HealthCare - Your Report Is Ready',
+      html: emailLayout({
+        heading: 'Your Report Has Been Reviewed',
+        paragraphs: [
+          `Hello <strong>${escapeHtml(data.firstName)}</strong>,`,
+          `Your report from ${escapeHtml(data.hospitalName)} has been reviewed${data.doctorName ? ` by <strong>Dr. ${escapeHtml(data.doctorName)}</strong>` : ''}.`,
+          `Open the link below and enter the last ${data.pinLength} digits of your registered contact number to download it.`
+        ],
+        details: [
+          ['Report', data.reportTitle],
+          ['Hospital', data.hospitalName]
+        ],
+        action: { label: 'View Report', url: data.retrievalUrl }
+      })
+    }),
+    sms: ({ hospitalName, retrievalUrl, pinLength }) =>
+      `Your report from ${hospitalName} has been reviewed. View it at ${retrievalUrl} (PIN: last ${pinLength} digits of your phone number).`
+  },
+  {
+    // data: { hospitalName, breaches: [{ reportTitle, stage, overdueHours, doctorName, action, newDoctorName }] }
+    // One message per escalation run, listing every report that breached since the last one
+    type: 'REPORT_SLA_BREACHED',
+    channels: ['inApp', 'email'],
+    title: () => 'Report Turnaround Target Missed',
+    message: ({ breaches }) => {
+      const reassigned = breaches.filter((breach) => breach.action !== 'notified').length;
+      const count = breaches.length === 1 ? `Report "${breaches[0].reportTitle}" has` : `${breaches.length} reports have`;
+      return `${count} missed the turnaround target${reassigned ? `; ${reassigned} assigned to another doctor automatically` : ''}.`;
+    },
+    email: (data, { title, message }) => ({
+      subject: `D3S HealthCare - ${title}`,
+      html: emailLayout({
+        heading: title,
+        color: '#dc2626',
+        paragraphs: [
+          `Hello <strong>${escapeHtml(data.hospitalName)}</strong>,`,
+          escapeHtml(message),
+          ...data.breaches.slice(0, MAX_LISTED_BREACHES).map((breach) => [
+            `<strong>${escapeHtml(breach.reportTitle)}</strong>`,
+            breach.stage === 'assignment'
+              ? `Waiting for a doctor, ${escapeHtml(breach.overdueHours)} h overdue`
+              : `Waiting for review by Dr. ${escapeHtml(breach.doctorName)}, ${escapeHtml(breach.overdueHours)} h overdue`,
+            breach.newDoctorName ? `Now assigned to Dr. ${escapeHtml(breach.newDoctorName)}` : null
+          ].filter(Boolean).join('<br>')),
+          ...(data.breaches.length > MAX_LISTED_BREACHES
+            ? [`...and ${data.breaches.length - MAX_LISTED_BREACHES} more.`]
+            : [])
+        ],
+        action: { label: 'View Reports', url: portalUrl('hospital', '/reports') }
+      })
+    })
+  },
+  {
+    // data: { reportTitle, overdueHours, reassigned }
+    type: 'REPORT_REVIEW_OVERDUE',
+    channels: ['inApp', 'email'],
+    title: ({ reassigned }) => (reassigned ? 'Overdue Report Reassigned' : 'Report Review Overdue'),
+    message: ({ reportTitle, overdueHours, reassigned }) => (reassigned
+      ? `Report "${reportTitle}" passed its review deadline and has been assigned to another doctor.`
+      : `Report "${reportTitle}" is ${overdueHours} h past its review deadline. Please review it as soon as possible.`)
+  },
+  {
+    // data: { jobId }
+    type: 'REPORT_READY',
+    channels: ['inApp'],
+    title: () => 'Report Ready',
+    message: ({ jobId }) => `The report for job #${jobId} has been generated and is ready to view.`
+  },
+  {
+    // data: { jobId, error }
+    type: 'REPORT_GENERATION_FAILED',
+    channels: ['inApp'],
+    title: () => 'Report Generation Failed',
+    message: ({ jobId, error }) => `The report for job #${jobId} could not be generated: ${error}. You can retry the job.`
+  }
+];
@@ -0,0 +1,49 @@
+// Hospital subscription (plan) notifications
+const { escapeHtml, emailLayout, portalUrl } = require('./layout');
+
+const formatPlanDate = (date) => (date ? new Date(date).toDateString() : 'not set');
+
+module.exports = [
+  {
+    // data: { hospitalName, planTime }
+    type: 'SUBSCRIPTION_EXPIRED',
+    channels: ['inApp', 'email'],
+    title: () => 'Subscription Expired',
+    message: ({ planTime }) =>
+      `Your subscription expired on ${formatPlanDate(planTime)}. Please renew it to keep uploading reports.`,
+    email: (data) => ({
+      subject: 'D3S HealthCare - Your Subscription Has Expired',
+      html: emailLayout({
+        heading: 'Your Subscription Has Expired',
+        color: '#dc2626',
+        paragraphs: [
+          `Hello <strong>${escapeHtml(data.hospitalName)}</strong>,`,
+          'Your D3S subscription has expired and your account has been paused. Please contact us to renew it.'
+        ],
+        details: [['Expired On', formatPlanDate(data.planTime)]],
+        action: { label: 'Open Dashboard', url: portalUrl('hospital') }
+      })
+    })
+  },
+  {
+    // data: { hospitalName, planTime, reportLimit, isVerified }
+    type: 'SUBSCRIPTION_UPDATED',
+    channels: ['inApp', 'email'],
+    title: () => 'Subscription Updated',
+    message: ({ planTime, reportLimit, isVerified }) =>
+      `Your subscription is ${isVerified ? 'active' : 'paused'}: valid until ${formatPlanDate(planTime)}, report limit ${reportLimit ?? 'unchanged'}.`,
+    email: (data) => ({
+      subject: 'D3S HealthCare - Your Subscription Was Updated',
+      html: emailLayout({
+        heading: 'Your Subscription Was Updated',
+        paragraphs: [`Hello <strong>${escapeHtml(data.hospitalName)}</strong>,`, 'Your D3S subscription has been updated.'],
+        details: [
+          ['Status', data.isVerified ? 'Active' : 'Paused'],
+          ['Valid Until', formatPlanDate(data.planTime)],
+          ['Report Limit', data.reportLimit ?? '-']
+        ],
+        action: { label: 'Open Dashboard', url: portalUrl('hospital') }
+      })
+    })
+  }
+];
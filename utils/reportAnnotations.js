@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { drawFindingsPage } = require('./reportFindings');
+const { drawVectorAnnotations, diffVectorAnnotations } = require('./vectorAnnotations');
+
+/**
+ * Read page overlays from an annotate request.
+ * Accepts `overlays: [{ page_number, overlay }]` or the single `overlay` + `page_number` form.
+ * An overlay of null clears that page.
+ * @param {Object} body - Request body
+ * @returns {{ overlays: Array<{ pageNumber: number, buffer: Buffer|null, sha256: string|null }>, errors: string[] }}
+ */
+const parseOverlayInput = (body) => {
+  const items = Array.isArray(body.overlays)
+    ? body.overlays
+    : body.overlay !== undefined ? [{ page_number: body.page_number || 1, overlay: body.overlay }] : [];
+
+  const errors = [];
+  const seenPages = new Set();
+  const overlays = items.map((item, index) => {
+    const label = Array.isArray(body.overlays) ? `overlays[${index}]` : 'overlay';
+    const pageNumber = parseInt(item?.page_number);
+
+    if (!(pageNumber >= 1)) {
+      errors.push(`${label}.page_number must be a positive integer`);
+    } else if (seenPages.has(pageNumber)) {
+      errors.push(`${label}.page_number ${pageNumber} is listed more than once`);
+    }
+    seenPages.add(pageNumber);
+
+    if (item?.overlay === null) {
+      return { pageNumber, buffer: null, sha256: null };
+    }
+
+    const overlayBase64 = typeof item?.overlay === 'string' ? item.overlay.split(',')[1] : null;
+    if (!overlayBase64) {
+      errors.push(`${label} must be a data:image/png;base64,... string`);
+      return { pageNumber, buffer: null, sha256: null };
+    }
+
+    const buffer = Buffer.from(overlayBase64, 'base64');
+    return { pageNumber, buffer, sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+  });
+
+  if (!overlays.length) {
+    errors.push('overlay or overlays is required');
+  }
+
+  return { overlays, errors };
+};
+
+/**
+ * Stamp page overlays, vector annotations and optionally a findings page onto the original report PDF
+ * @param {Buffer} originalPdfBuffer - Original report PDF
+ * @param {Array<{ pageNumber: number, buffer: Buffer }>} pages - Full-page PNG overlays
+ * @param {Object} [options]
+ * @param {Object[]} [options.vectorAnnotations] - Shapes drawn over the overlays, see utils/vectorAnnotations.js
+ * @param {Object[]} [options.findings] - Structured findings rendered on an extra page
+ * @param {string} [options.remarks] - Remarks printed under the findings
+ * @param {string} [options.doctorName] - Reviewing doctor shown on the findings page
+ * @returns {Promise<Buffer>} Annotated PDF
+ * @throws {RangeError} When an overlay targets a page the PDF does not have
+ */
+const renderAnnotatedPdf = async (originalPdfBuffer, pages, { vectorAnnotations, findings, remarks, doctorName } = {}) => {
+  const pdfDoc = await PDFDocument.load(originalPdfBuffer);
+  const pageCount = pdfDoc.getPageCount();
+
+  for (const { pageNumber, buffer } of pages) {
+    if (pageNumber > pageCount) {
+      throw new RangeError(`Invalid page number. PDF only has ${pageCount} pages.`);
+    }
+    // pdf-lib uses 0-based indexing for pages
+    const page = pdfDoc.getPage(pageNumber - 1);
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    const png = await pdfDoc.embedPng(buffer);
+
+    // We map the image to fill the page, but pdf-lib will preserve the image's internal resolution
+    page.drawImage(png, {
+      x: 0,
+      y: 0,
+      width: pageWidth,
+      height: pageHeight,
+      opacity: 1
+    });
+  }
+
+  await drawVectorAnnotations(pdfDoc, vectorAnnotations);
+
+  if (findings && findings.length) {
+    await drawFindingsPage(pdfDoc, findings, { doctorName, remarks });
+  }
+
+  // Save with high-quality settings
+  const finalPdf = await pdfDoc.save({
+    useObjectStreams: false,
+    addDefaultFont: false,
+    updateMetadata: true
+  });
+  return Buffer.from(finalPdf);
+};
+
+const FINDING_FIELDS = ['lesionPresent', 'category', 'sizeMm', 'recommendation', 'followUpMonths'];
+
+/**
+ * Compare two annotation versions
+ * @param {Object} from - Older AnnotationVersion (plain object)
+ * @param {Object} to - Newer AnnotationVersion (plain object)
+ * @returns {Object} Pages added/removed/changed, vector annotations added/removed/changed,
+ *   remarks change and per-position finding changes
+ */
+const diffAnnotationVersions = (from, to) => {
+  const fromPages = new Map((from.overlays || []).map((overlay) => [overlay.pageNumber, overlay.sha256]));
+  const toPages = new Map((to.overlays || []).map((overlay) => [overlay.pageNumber, overlay.sha256]));
+
+  const pages = {
+    added: [...toPages.keys()].filter((page) => !fromPages.has(page)).sort((a, b) => a - b),
+    removed: [...fromPages.keys()].filter((page) => !toPages.has(page)).sort((a, b) => a - b),
+    changed: [...toPages.keys()].filter((page) => fromPages.has(page) && fromPages.get(page) !== toPages.get(page)).sort((a, b) => a - b),
+    unchanged: [...toPages.keys()].filter((page) => fromPages.get(page) === toPages.get(page)).sort((a, b) => a - b)
+  };
+
+  const fromFindings = new Map((from.findings || []).map((finding) => [finding.position, finding]));
+  const toFindings = new Map((to.findings || []).map((finding) => [finding.position, finding]));
+  const positions = [...new Set([...fromFindings.keys(), ...toFindings.keys()])];
+  const findings = positions
+    .map((position) => {
+      const before = fromFindings.get(position);
+      const after = toFindings.get(position);
+      if (!before) return { position, change: 'added', after };
+      if (!after) return { position, change: 'removed', before };
+      const fields = FINDING_FIELDS.filter((field) => (before[field] ?? null) !== (after[field] ?? null));
+      return fields.length ? { position, change: 'changed', fields, before, after } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    from: from.version,
+    to: to.version,
+    pages,
+    annotations: diffVectorAnnotations(from.vectorAnnotations, to.vectorAnnotations),
+    remarks: (from.remarks || null) === (to.remarks || null)
+      ? null
+      : { before: from.remarks || null, after: to.remarks || null },
+    findings
+  };
+};
+
+module.exports = {
+  parseOverlayInput,
+  renderAnnotatedPdf,
+  diffAnnotationVersions
+};
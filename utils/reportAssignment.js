@@ -0,0 +1,160 @@
+// Per-hospital auto-assignment rules, stored in Hospital.autoAssignment.
+// Kept free of model imports; services/reportAssignment.js loads the candidates and applies these rules.
+//
+// Strategies:
+//   round_robin  - the doctor whose last assignment is the oldest (never assigned first)
+//   least_loaded - the doctor with the fewest reports waiting for their reading
+// Ties fall back to the other strategy, then to the lowest doctor ID, so a choice is repeatable.
+const { parseFlag } = require('./inputValues');
+
+const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: 'round_robin',
+  LEAST_LOADED: 'least_loaded'
+};
+
+const ASSIGNMENT_STRATEGY_VALUES = Object.values(ASSIGNMENT_STRATEGIES);
+
+const DEFAULT_ASSIGNMENT_RULES = {
+  enabled: false, // Assign reports automatically when they are created
+  strategy: ASSIGNMENT_STRATEGIES.LEAST_LOADED,
+  matchSpecialization: false,
+  // Accepted doctor specializations per report template key or report type,
+  // e.g. { "ecg": ["Cardiology"], "Radiology": ["Radiology", "Oncology"] }
+  specializations: {},
+  fallbackToAnySpecialization: true, // No matching doctor: use any doctor instead of leaving the report unassigned
+  onlyOnline: false // Only doctors connected right now
+};
+
+const FLAG_KEYS = ['enabled', 'matchSpecialization', 'fallbackToAnySpecialization', 'onlyOnline'];
+const MAX_SPECIALIZATION_KEYS = 50;
+const MAX_SPECIALIZATIONS_PER_KEY = 20;
+const MAX_SPECIALIZATION_LENGTH = 100;
+
+const normalizeSpecialization = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Validate an auto-assignment update and merge it into the current rules
+ * @param {Object} input - Changed keys; in specializations, null removes a key
+ * @param {Object} [current] - Stored Hospital.autoAssignment
+ * @returns {{ rules: Object, errors: string[] }}
+ */
+const validateAssignmentRules = (input = {}, current = {}) => {
+  const errors = [];
+  const rules = { ...(current || {}), specializations: { ...(current?.specializations || {}) } };
+
+  FLAG_KEYS.forEach((key) => {
+    if (!(key in input)) return;
+    const flag = parseFlag(input[key]);
+    if (flag === undefined) {
+      errors.push(`${key} must be true or false`);
+    } else {
+      rules[key] = flag;
+    }
+  });
+
+  if ('strategy' in input) {
+    if (!ASSIGNMENT_STRATEGY_VALUES.includes(input.strategy)) {
+      errors.push(`strategy must be one of: ${ASSIGNMENT_STRATEGY_VALUES.join(', ')}`);
+    } else {
+      rules.strategy = input.strategy;
+    }
+  }
+
+  if (input.specializations !== undefined) {
+    if (!input.specializations || typeof input.specializations !== 'object' || Array.isArray(input.specializations)) {
+      errors.push('specializations must be an object');
+    } else {
+      Object.entries(input.specializations).forEach(([key, value]) => {
+        if (value === null) {
+          delete rules.specializations[key];
+          return;
+        }
+        const list = Array.isArray(value) ? value : [value];
+        const names = list.map((name) => String(name ?? '').trim()).filter(Boolean);
+        if (!names.length || names.length > MAX_SPECIALIZATIONS_PER_KEY) {
+          errors.push(`specializations.${key} must list 1 to ${MAX_SPECIALIZATIONS_PER_KEY} specializations`);
+        } else if (names.some((name) => name.length > MAX_SPECIALIZATION_LENGTH)) {
+          errors.push(`specializations.${key} entries must be at most ${MAX_SPECIALIZATION_LENGTH} characters`);
+        } else {
+          rules.specializations[key] = [...new Set(names)];
+        }
+      });
+      if (Object.keys(rules.specializations).length > MAX_SPECIALIZATION_KEYS) {
+        errors.push(`specializations can have at most ${MAX_SPECIALIZATION_KEYS} keys`);
+      }
+    }
+  }
+
+  return { rules, errors };
+};
+
+/**
+ * Effective rules of a hospital: its settings over DEFAULT_ASSIGNMENT_RULES
+ * @param {Object} [rules] - Hospital.autoAssignment
+ * @returns {Object}
+ */
+const resolveAssignmentRules = (rules) => ({
+  ...DEFAULT_ASSIGNMENT_RULES,
+  ...(rules || {}),
+  specializations: { ...(rules?.specializations || {}) }
+});
+
+/**
+ * Specializations accepted for a report: those of its template key, else those of its report type
+ * @param {Object} report - Needs templateKey and reportType
+ * @param {Object} rules - From resolveAssignmentRules
+ * @returns {string[]} Empty when any specialization will do
+ */
+const requiredSpecializations = (report, rules) => {
+  if (!rules.matchSpecialization) return [];
+  return rules.specializations[report.templateKey] || rules.specializations[report.reportType] || [];
+};
+
+/**
+ * Whether a doctor's specialization is one of the accepted ones (case-insensitive)
+ * @param {Object} doctor - Needs specialization
+ * @param {string[]} specializations - From requiredSpecializations
+ * @returns {boolean}
+ */
+const matchesSpecialization = (doctor, specializations) =>
+  !specializations.length ||
+  specializations.map(normalizeSpecialization).includes(normalizeSpecialization(doctor.specialization));
+
+const byLastAssigned = (a, b) => {
+  const timeA = a.lastAssignedAt ? new Date(a.lastAssignedAt).getTime() : 0;
+  const timeB = b.lastAssignedAt ? new Date(b.lastAssignedAt).getTime() : 0;
+  return timeA - timeB;
+};
+
+const byPending = (a, b) => a.pending - b.pending;
+
+/**
+ * Order candidate doctors by the hospital's strategy, best first
+ * @param {Object[]} candidates - { doctor, pending, lastAssignedAt }
+ * @param {string} strategy - From ASSIGNMENT_STRATEGIES
+ * @returns {Object[]} A sorted copy
+ */
+const rankCandidates = (candidates, strategy) => {
+  const comparators = strategy === ASSIGNMENT_STRATEGIES.ROUND_ROBIN
+    ? [byLastAssigned, byPending]
+    : [byPending, byLastAssigned];
+
+  return [...candidates].sort((a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result) return result;
+    }
+    return a.doctor.id - b.doctor.id;
+  });
+};
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  ASSIGNMENT_STRATEGY_VALUES,
+  DEFAULT_ASSIGNMENT_RULES,
+  validateAssignmentRules,
+  resolveAssignmentRules,
+  requiredSpecializations,
+  matchesSpecialization,
+  rankCandidates
+};
@@ -0,0 +1,116 @@
+// Per-hospital branding of generated report PDFs, stored in Hospital.reportBranding.
+// Only the keys below are kept; anything a hospital has not set falls back to DEFAULT_BRANDING,
+// and an unset disclaimer falls back to the one of the report template.
+// The signature image lives in the private signatures container; only its blob name is stored.
+const { parseFlag } = require('./inputValues');
+
+const BRANDING_SECTIONS = ['subjectDetails', 'questionnaire', 'remarks', 'signature', 'poweredBy'];
+
+const DEFAULT_BRANDING = {
+  accentColor: '#FFB6C1', // Page border and section outlines
+  secondaryColor: '#FFF0F5', // Detail boxes, table headers and footer background
+  headerColor: '#000000', // Detail box titles
+  headerText: null, // Line under the report heading
+  footerText: null, // Line above the disclaimer
+  disclaimer: null,
+  signatureBlobName: null,
+  signatureLabel: 'Authorised Signatory',
+  sections: {
+    subjectDetails: true,
+    questionnaire: true,
+    remarks: true,
+    signature: false,
+    poweredBy: true
+  }
+};
+
+const COLOR_KEYS = ['accentColor', 'secondaryColor', 'headerColor'];
+const TEXT_LIMITS = { headerText: 200, footerText: 300, disclaimer: 2000, signatureLabel: 100 };
+
+// Colors end up inside a <style> block, so only plain hex values are accepted
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+/**
+ * Validate a branding update and merge it into the current branding
+ * @param {Object} input - Changed keys; null or '' clears a key back to its default
+ * @param {Object} [current] - Stored Hospital.reportBranding
+ * @returns {{ branding: Object, errors: string[] }} branding holds only the keys that differ from unset
+ */
+const validateBranding = (input = {}, current = {}) => {
+  const errors = [];
+  const branding = { ...(current || {}), sections: { ...(current?.sections || {}) } };
+
+  COLOR_KEYS.forEach((key) => {
+    if (!(key in input)) return;
+    if (input[key] === null || input[key] === '') {
+      delete branding[key];
+    } else if (!HEX_COLOR.test(input[key])) {
+      errors.push(`${key} must be a hex color such as #1E40AF`);
+    } else {
+      branding[key] = input[key];
+    }
+  });
+
+  Object.entries(TEXT_LIMITS).forEach(([key, maxLength]) => {
+    if (!(key in input)) return;
+    const text = input[key] === null ? '' : String(input[key]).trim();
+    if (!text) {
+      delete branding[key];
+    } else if (text.length > maxLength) {
+      errors.push(`${key} must be at most ${maxLength} characters`);
+    } else {
+      branding[key] = text;
+    }
+  });
+
+  if ('signatureBlobName' in input) {
+    if (input.signatureBlobName) {
+      branding.signatureBlobName = input.signatureBlobName;
+    } else {
+      delete branding.signatureBlobName;
+    }
+  }
+
+  if (input.sections !== undefined) {
+    if (!input.sections || typeof input.sections !== 'object' || Array.isArray(input.sections)) {
+      errors.push('sections must be an object');
+    } else {
+      Object.entries(input.sections).forEach(([section, value]) => {
+        if (!BRANDING_SECTIONS.includes(section)) {
+          errors.push(`Unknown section "${section}". Expected one of: ${BRANDING_SECTIONS.join(', ')}`);
+          return;
+        }
+        const flag = parseFlag(value);
+        if (flag === undefined) {
+          errors.push(`sections.${section} must be true or false`);
+        } else {
+          branding.sections[section] = flag;
+        }
+      });
+    }
+  }
+
+  return { branding, errors };
+};
+
+/**
+ * Effective branding of a report: the hospital's settings over DEFAULT_BRANDING
+ * @param {Object} [branding] - Hospital.reportBranding
+ * @returns {Object} Every key of DEFAULT_BRANDING, plus customColors when a color was changed
+ */
+const resolveBranding = (branding) => {
+  const resolved = {
+    ...DEFAULT_BRANDING,
+    ...(branding || {}),
+    sections: { ...DEFAULT_BRANDING.sections, ...(branding?.sections || {}) }
+  };
+  resolved.customColors = COLOR_KEYS.some((key) => resolved[key] !== DEFAULT_BRANDING[key]);
+  return resolved;
+};
+
+module.exports = {
+  BRANDING_SECTIONS,
+  DEFAULT_BRANDING,
+  validateBranding,
+  resolveBranding
+};
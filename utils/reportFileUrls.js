@@ -0,0 +1,63 @@
+const storage = require('../services/storage');
+const { CONTAINERS } = storage;
+
+const REPORT_URL_TTL_SECONDS = parseInt(process.env.REPORT_URL_TTL_SECONDS) || 15 * 60;
+
+/**
+ * Mint a short-lived signed URL for a file in the private reports container.
+ * Only call this after the caller's access to the report has been checked.
+ * @param {string} fileUrl - URL stored on the Report record
+ * @param {Object} [options]
+ * @param {string} [options.downloadName] - Serve the file as an attachment with this name
+ * @returns {Promise<string|null>} Signed URL, or null if the file cannot be resolved in storage
+ */
+const signReportFileUrl = async (fileUrl, { downloadName } = {}) => {
+  if (!fileUrl) return null;
+  try {
+    const { url } = await storage.getSignedUrlByUrl(CONTAINERS.REPORTS, fileUrl, {
+      expiresIn: REPORT_URL_TTL_SECONDS,
+      downloadName
+    });
+    return url;
+  } catch (error) {
+    console.error(`Failed to sign report file URL: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Replace the stored file URLs of a report with signed, expiring ones
+ * @param {Object} report - Report instance or plain report object
+ * @returns {Promise<Object>} Plain report object with signed fileUrl/annotatedFileUrl (and
+ *   metadata.images[].fileUrl of generated reports) and fileUrlExpiresAt
+ */
+const signReportFileUrls = async (report) => {
+  const plainReport = typeof report.get === 'function' ? report.get({ plain: true }) : { ...report };
+  const expiresAt = new Date(Date.now() + REPORT_URL_TTL_SECONDS * 1000);
+  const images = Array.isArray(plainReport.metadata?.images) ? plainReport.metadata.images : null;
+
+  const [fileUrl, annotatedFileUrl, imageUrls] = await Promise.all([
+    signReportFileUrl(plainReport.fileUrl),
+    signReportFileUrl(plainReport.annotatedFileUrl),
+    images ? Promise.all(images.map((image) => signReportFileUrl(image?.fileUrl))) : null
+  ]);
+
+  if (plainReport.fileUrl !== undefined) plainReport.fileUrl = fileUrl;
+  if (plainReport.annotatedFileUrl !== undefined) plainReport.annotatedFileUrl = annotatedFileUrl;
+  if (images) {
+    // Source images sit in the same private container as the PDF
+    plainReport.metadata = {
+      ...plainReport.metadata,
+      images: images.map((image, index) => ({ ...image, fileUrl: imageUrls[index] }))
+    };
+  }
+  plainReport.fileUrlExpiresAt = expiresAt;
+
+  return plainReport;
+};
+
+module.exports = {
+  REPORT_URL_TTL_SECONDS,
+  signReportFileUrl,
+  signReportFileUrls
+};
@@ -0,0 +1,178 @@
+const { StandardFonts, rgb } = require('pdf-lib');
+const { isBlank } = require('./inputValues');
+
+// Scan positions, matching the image fields of uploadBreastCancerImagesMiddleware (leftTopImage, ...)
+const BREAST_POSITIONS = ['leftTop', 'leftCenter', 'leftBottom', 'rightTop', 'rightCenter', 'rightBottom'];
+
+const BIRADS_CATEGORIES = ['0', '1', '2', '3', '4', '4A', '4B', '4C', '5', '6'];
+
+const POSITION_LABELS = {
+  leftTop: 'Left - Top',
+  leftCenter: 'Left - Center',
+  leftBottom: 'Left - Bottom',
+  rightTop: 'Right - Top',
+  rightCenter: 'Right - Center',
+  rightBottom: 'Right - Bottom'
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === 1 || value === '1';
+
+/**
+ * Validate and normalise structured findings sent by the client
+ * @param {Array|string} input - Array of findings (or its JSON string)
+ * @returns {{ findings: Object[], errors: string[] }}
+ */
+const parseFindings = (input) => {
+  let items = input;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (error) {
+      return { findings: [], errors: ['findings must be a JSON array'] };
+    }
+  }
+  if (!Array.isArray(items)) {
+    return { findings: [], errors: ['findings must be an array'] };
+  }
+
+  const errors = [];
+  const seenPositions = new Set();
+  const findings = items.map((item, index) => {
+    const label = `findings[${index}]`;
+    const { position, category, sizeMm, recommendation, followUpMonths } = item || {};
+
+    if (!BREAST_POSITIONS.includes(position)) {
+      errors.push(`${label}.position must be one of: ${BREAST_POSITIONS.join(', ')}`);
+    } else if (seenPositions.has(position)) {
+      errors.push(`${label}.position "${position}" is listed more than once`);
+    }
+    seenPositions.add(position);
+
+    if (!isBlank(category) && !BIRADS_CATEGORIES.includes(String(category).toUpperCase())) {
+      errors.push(`${label}.category must be one of: ${BIRADS_CATEGORIES.join(', ')}`);
+    }
+    if (!isBlank(sizeMm) && !(Number(sizeMm) >= 0)) {
+      errors.push(`${label}.sizeMm must be a positive number`);
+    }
+    if (!isBlank(followUpMonths) && !(Number.isInteger(Number(followUpMonths)) && Number(followUpMonths) >= 0)) {
+      errors.push(`${label}.followUpMonths must be a whole number of months`);
+    }
+
+    return {
+      position,
+      lesionPresent: toBoolean(item?.lesionPresent),
+      category: isBlank(category) ? null : String(category).toUpperCase(),
+      sizeMm: isBlank(sizeMm) ? null : Number(sizeMm),
+      recommendation: isBlank(recommendation) ? null : String(recommendation).trim(),
+      followUpMonths: isBlank(followUpMonths) ? null : Number(followUpMonths)
+    };
+  });
+
+  return { findings, errors };
+};
+
+// Standard PDF fonts only cover WinAnsi; drop anything else (emoji, non-latin scripts)
+const toWinAnsi = (text) => String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '');
+
+const wrapText = (text, font, fontSize, maxWidth) => {
+  const lines = [];
+  let line = '';
+  for (const word of toWinAnsi(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, fontSize) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.length ? lines : ['-'];
+};
+
+/**
+ * Append a "Structured Findings" page to a pdf-lib document
+ * @param {PDFDocument} pdfDoc - pdf-lib document to draw into
+ * @param {Object[]} findings - Findings as returned by parseFindings
+ * @param {Object} [options]
+ * @param {string} [options.doctorName] - Reviewing doctor shown in the page header
+ * @param {string} [options.remarks] - Free-text remarks printed under the table
+ */
+const drawFindingsPage = async (pdfDoc, findings, { doctorName, remarks } = {}) => {
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const [pageWidth, pageHeight] = [595.28, 841.89]; // A4
+  const margin = 40;
+  const fontSize = 9;
+  const lineHeight = 12;
+  const columns = [
+    { header: 'Position', width: 85, value: (f) => POSITION_LABELS[f.position] },
+    { header: 'Lesion', width: 45, value: (f) => (f.lesionPresent ? 'Yes' : 'No') },
+    { header: 'BI-RADS', width: 50, value: (f) => f.category || '-' },
+    { header: 'Size (mm)', width: 55, value: (f) => (f.sizeMm === null ? '-' : String(f.sizeMm)) },
+    { header: 'Follow-up', width: 60, value: (f) => (f.followUpMonths === null ? '-' : `${f.followUpMonths} months`) },
+    { header: 'Recommendation', width: pageWidth - margin * 2 - 295, value: (f) => f.recommendation || '-' }
+  ];
+
+  let page = pdfDoc.addPage([pageWidth, pageHeight]);
+  let y = pageHeight - margin;
+
+  const drawRow = (cells, rowFont) => {
+    const wrapped = cells.map((cell, i) => wrapText(cell, rowFont, fontSize, columns[i].width - 6));
+    const rowHeight = Math.max(...wrapped.map((lines) => lines.length)) * lineHeight + 6;
+    if (y - rowHeight < margin) {
+      page = pdfDoc.addPage([pageWidth, pageHeight]);
+      y = pageHeight - margin;
+    }
+    let x = margin;
+    wrapped.forEach((lines, i) => {
+      lines.forEach((line, lineIndex) => {
+        page.drawText(line, { x: x + 3, y: y - lineHeight * (lineIndex + 1), size: fontSize, font: rowFont });
+      });
+      x += columns[i].width;
+    });
+    y -= rowHeight;
+    page.drawLine({
+      start: { x: margin, y },
+      end: { x: pageWidth - margin, y },
+      thickness: 0.5,
+      color: rgb(0.75, 0.75, 0.75)
+    });
+  };
+
+  page.drawText('Structured Findings', { x: margin, y: y - 16, size: 16, font: boldFont });
+  y -= 24;
+  if (doctorName) {
+    page.drawText(toWinAnsi(`Reviewed by: ${doctorName}`), { x: margin, y: y - 12, size: 10, font });
+    y -= 16;
+  }
+  y -= 10;
+
+  drawRow(columns.map((column) => column.header), boldFont);
+  const ordered = [...findings].sort((a, b) => BREAST_POSITIONS.indexOf(a.position) - BREAST_POSITIONS.indexOf(b.position));
+  ordered.forEach((finding) => drawRow(columns.map((column) => column.value(finding)), font));
+
+  if (remarks) {
+    y -= 14;
+    page.drawText('Remarks', { x: margin, y: y - 12, size: 11, font: boldFont });
+    y -= 18;
+    for (const line of wrapText(remarks, font, 10, pageWidth - margin * 2)) {
+      if (y - lineHeight < margin) {
+        page = pdfDoc.addPage([pageWidth, pageHeight]);
+        y = pageHeight - margin;
+      }
+      page.drawText(line, { x: margin, y: y - lineHeight, size: 10, font });
+      y -= lineHeight + 2;
+    }
+  }
+};
+
+module.exports = {
+  BREAST_POSITIONS,
+  BIRADS_CATEGORIES,
+  POSITION_LABELS,
+  toWinAnsi,
+  wrapText,
+  parseFindings,
+  drawFindingsPage
+};
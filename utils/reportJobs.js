@@ -0,0 +1,30 @@
+// Background job types and statuses for report generation (see services/reportJobs.js)
+const JOB_TYPES = {
+  TEMPLATE_REPORT: 'template_report'
+};
+
+const JOB_STATUSES = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const JOB_STATUS_VALUES = Object.values(JOB_STATUSES);
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.REPORT_JOB_MAX_ATTEMPTS) || 3;
+
+/**
+ * Delay before the next attempt of a failed job: 30s, 2min, 8min, ... capped at one hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const retryDelayMs = (attempts) => Math.min(30 * 1000 * 4 ** Math.max(attempts - 1, 0), 60 * 60 * 1000);
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  JOB_STATUS_VALUES,
+  DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs
+};
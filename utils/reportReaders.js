@@ -0,0 +1,43 @@
+// Multi-reader (double reading) helpers shared by the model and the review flow.
+const { BREAST_POSITIONS } = require('./reportFindings');
+
+const READER_ROLES = {
+  PRIMARY: 'primary',
+  SECOND: 'second',
+  ARBITER: 'arbiter'
+};
+
+/**
+ * Compare the structured findings of independent readings.
+ * A position is discordant when readers disagree on lesion presence, or when readers who gave a
+ * BI-RADS category gave different ones. A position a reader did not report counts as "no lesion".
+ * @param {Object[]} readings - Objects with doctorId and findings (array from parseFindings, or null)
+ * @returns {Object[]} One entry per discordant position: { position, readings: [{ doctorId, lesionPresent, category }] }
+ */
+const findDiscrepancies = (readings) => {
+  const positions = new Set();
+  readings.forEach((reading) => (reading.findings || []).forEach((finding) => positions.add(finding.position)));
+
+  return BREAST_POSITIONS
+    .filter((position) => positions.has(position))
+    .map((position) => ({
+      position,
+      readings: readings.map((reading) => {
+        const finding = (reading.findings || []).find((f) => f.position === position);
+        return {
+          doctorId: reading.doctorId,
+          lesionPresent: Boolean(finding?.lesionPresent),
+          category: finding?.category || null
+        };
+      })
+    }))
+    .filter(({ readings: values }) => {
+      const categories = new Set(values.map((value) => value.category).filter(Boolean));
+      return categories.size > 1 || values.some((value) => value.lesionPresent !== values[0].lesionPresent);
+    });
+};
+
+module.exports = {
+  READER_ROLES,
+  findDiscrepancies
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { REPORT_STATUSES } = require('./reportWorkflow');
+
+// Patient self-service retrieval of a report.
+// Generated PDFs carry a QR code with a random per-report token. Opening it and entering the PIN
+// (the last RETRIEVAL_PIN_LENGTH digits of the patient's contact number) shows the report status and,
+// once the report has been reviewed, a short-lived download link to the latest reviewed PDF.
+// After MAX_PIN_ATTEMPTS wrong PINs the token is locked for PIN_LOCK_MINUTES.
+
+const RETRIEVAL_PIN_LENGTH = 4;
+const MAX_PIN_ATTEMPTS = parseInt(process.env.REPORT_RETRIEVAL_MAX_PIN_ATTEMPTS) || 5;
+const PIN_LOCK_MINUTES = parseInt(process.env.REPORT_RETRIEVAL_LOCK_MINUTES) || 15;
+
+// What the patient sees for each workflow status
+const PATIENT_STATUS_LABELS = {
+  [REPORT_STATUSES.UPLOADED]: 'Awaiting doctor review',
+  [REPORT_STATUSES.ASSIGNED]: 'Awaiting doctor review',
+  [REPORT_STATUSES.IN_REVIEW]: 'Under review by the doctor',
+  [REPORT_STATUSES.REVIEWED]: 'Reviewed - ready to download',
+  [REPORT_STATUSES.SIGNED_OFF]: 'Reviewed - ready to download',
+  [REPORT_STATUSES.RETURNED_FOR_RESCAN]: 'A rescan is needed - please contact the hospital'
+};
+
+/**
+ * @returns {string} URL-safe random token (32 characters)
+ */
+const generateRetrievalToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Address encoded in the QR code. REPORT_RETRIEVAL_BASE_URL should be the patient page that asks
+ * for the PIN; by default it is the API route itself.
+ * @param {string} token
+ * @returns {string}
+ */
+const retrievalUrl = (token) => {
+  const baseUrl = process.env.REPORT_RETRIEVAL_BASE_URL || `http://localhost:${process.env.PORT || 3000}/api/reports/retrieve`;
+  return `${baseUrl.replace(/\/$/, '')}/${token}`;
+};
+
+/**
+ * QR code of the retrieval URL
+ * @param {string} token
+ * @returns {Promise<string>} PNG data URL
+ */
+const generateRetrievalQr = (token) =>
+  QRCode.toDataURL(retrievalUrl(token), { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+/**
+ * Compare an entered PIN with the patient's contact number
+ * @param {string} pin
+ * @param {string} contact - Patient contact number
+ * @returns {boolean}
+ */
+const pinMatches = (pin, contact) => {
+  const digits = String(contact || '').replace(/\D/g, '');
+  if (digits.length < RETRIEVAL_PIN_LENGTH) return false;
+  const expected = Buffer.from(digits.slice(-RETRIEVAL_PIN_LENGTH));
+  const actual = Buffer.from(String(pin || '').trim());
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  RETRIEVAL_PIN_LENGTH,
+  MAX_PIN_ATTEMPTS,
+  PIN_LOCK_MINUTES,
+  PATIENT_STATUS_LABELS,
+  generateRetrievalToken,
+  retrievalUrl,
+  generateRetrievalQr,
+  pinMatches
+};
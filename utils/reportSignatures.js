@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { toWinAnsi, wrapText } = require('./reportFindings');
+
+// Tamper evidence for reviewed report PDFs.
+// The published PDF gets a signature page (doctor, registration number, time, verification code and a
+// QR code of the verification URL) and
+// the SHA-256 of the final file is stored in ReportSignature together with an HMAC seal over the
+// signature record, so neither the PDF nor the stored record can be changed without detection.
+// The seal key is REPORT_SIGNING_SECRET (falls back to JWT_SECRET).
+
+const SIGNATURE_ALGORITHM = 'sha256+hmac-sha256';
+
+// Unambiguous characters only (no 0/O, 1/I/L), so the code can be typed from a printout
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+const getSigningSecret = () => {
+  const secret = process.env.REPORT_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('REPORT_SIGNING_SECRET (or JWT_SECRET) must be set to sign reports');
+  }
+  return secret;
+};
+
+/**
+ * Random verification code, e.g. 'K7QM-4XRT-9HPA'
+ * @returns {string}
+ */
+const generateVerificationCode = () => {
+  const chars = Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return chars.join('').match(/.{4}/g).join('-');
+};
+
+/**
+ * Normalize a typed or scanned code: upper case, dashes optional
+ * @param {string} code
+ * @returns {string|null} Code in K7QM-4XRT-9HPA form, or null when it cannot be one
+ */
+const normalizeVerificationCode = (code) => {
+  const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (compact.length !== CODE_LENGTH || [...compact].some((char) => !CODE_ALPHABET.includes(char))) return null;
+  return compact.match(/.{4}/g).join('-');
+};
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} Hex SHA-256
+ */
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Fields covered by the seal, in a fixed order
+const sealPayload = ({ reportId, doctorId, verificationCode, sha256: fileHash, signedAt }) =>
+  [reportId, doctorId, verificationCode, fileHash, new Date(signedAt).toISOString()].join('|');
+
+/**
+ * HMAC seal of a signature record
+ * @param {Object} signature - { reportId, doctorId, verificationCode, sha256, signedAt }
+ * @returns {string} Hex HMAC-SHA256
+ */
+const sealSignature = (signature) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(sealPayload(signature)).digest('hex');
+
+/**
+ * Check that a stored signature record has not been altered
+ * @param {Object} signature - ReportSignature (instance or plain object)
+ * @returns {boolean}
+ */
+const verifySeal = (signature) => {
+  const expected = Buffer.from(sealSignature(signature), 'hex');
+  const actual = Buffer.from(String(signature.seal || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Public URL of the verification endpoint for a code (REPORT_VERIFY_BASE_URL)
+ * @param {string} verificationCode
+ * @returns {string}
+ */
+const verificationUrl = (verificationCode) => {
+  const baseUrl = process.env.REPORT_VERIFY_BASE_URL || `http://localhost:${process.env.PORT || 3000}/api/reports/verify`;
+  return `${baseUrl.replace(/\/$/, '')}/${verificationCode}`;
+};
+
+/**
+ * Append the signature page to a report PDF
+ * @param {Buffer} pdfBuffer - Reviewed report PDF
+ * @param {Object} details
+ * @param {string} details.doctorName
+ * @param {string} [details.registrationNumber]
+ * @param {string} [details.specialization]
+ * @param {string} [details.hospitalName]
+ * @param {number} details.reportId
+ * @param {Date} details.signedAt
+ * @param {string} details.verificationCode
+ * @param {string} [details.signedAtText] - signedAt as shown on the page
+ * @returns {Promise<Buffer>} Signed PDF
+ */
+const stampSignaturePage = async (pdfBuffer, details) => {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const [pageWidth, pageHeight] = [595.28, 841.89]; // A4
+  const margin = 40;
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+  let y = pageHeight - margin;
+
+  page.drawText('Report Authentication', { x: margin, y: y - 16, size: 16, font: boldFont });
+  y -= 40;
+
+  const rows = [
+    ['Reviewed and signed by', `Dr. ${details.doctorName}`],
+    ['Registration number', details.registrationNumber || 'Not provided'],
+    ['Specialization', details.specialization || '-'],
+    ['Hospital', details.hospitalName || '-'],
+    ['Report ID', String(details.reportId)],
+    ['Signed at', details.signedAtText || new Date(details.signedAt).toISOString()],
+    ['Verification code', details.verificationCode]
+  ];
+  rows.forEach(([label, value]) => {
+    page.drawText(toWinAnsi(label), { x: margin, y, size: 10, font: boldFont });
+    page.drawText(toWinAnsi(value), { x: margin + 150, y, size: 10, font });
+    y -= 18;
+  });
+
+  // Signature line
+  y -= 30;
+  page.drawLine({
+    start: { x: margin, y },
+    end: { x: margin + 220, y },
+    thickness: 0.8,
+    color: rgb(0.2, 0.2, 0.2)
+  });
+  page.drawText(toWinAnsi(`Electronically signed by Dr. ${details.doctorName}`), { x: margin, y: y - 14, size: 9, font });
+  y -= 50;
+
+  const notice = 'This report was electronically signed. Its authenticity and integrity can be checked by ' +
+    `scanning the QR code below, at ${verificationUrl(details.verificationCode)} or by entering the ` +
+    'verification code above. Any change to this file after signing will cause the verification to fail.';
+  for (const line of wrapText(notice, font, 9, pageWidth - margin * 2)) {
+    page.drawText(line, { x: margin, y, size: 9, font, color: rgb(0.3, 0.3, 0.3) });
+    y -= 12;
+  }
+
+  const qrSize = 110;
+  const qrImage = await pdfDoc.embedPng(await QRCode.toBuffer(verificationUrl(details.verificationCode), {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 240
+  }));
+  y -= 10 + qrSize;
+  page.drawImage(qrImage, { x: margin, y, width: qrSize, height: qrSize });
+  page.drawText('Scan to verify', { x: margin, y: y - 12, size: 8, font, color: rgb(0.3, 0.3, 0.3) });
+
+  pdfDoc.setKeywords([`verification:${details.verificationCode}`]);
+
+  const signedPdf = await pdfDoc.save({
+    useObjectStreams: false,
+    addDefaultFont: false,
+    updateMetadata: true
+  });
+  return Buffer.from(signedPdf);
+};
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  generateVerificationCode,
+  normalizeVerificationCode,
+  sha256,
+  sealSignature,
+  verifySeal,
+  verificationUrl,
+  stampSignaturePage
+};
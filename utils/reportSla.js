@@ -0,0 +1,235 @@
+// Report turnaround targets (SLA) per hospital, stored in Hospital.slaSettings.
+// Kept free of model imports; services/reportSla.js finds and escalates breaches.
+//
+// Two clocks run on an open report:
+//   assignment - from upload until a doctor is assigned (status "uploaded")
+//   review     - from the latest assignment until the report is reviewed (status "assigned" or "in_review")
+// Reassigning a report restarts its review clock.
+const { REPORT_STATUSES, normalizeStatus } = require('./reportWorkflow');
+const { MS_PER_HOUR, hoursBetween, round, percentile, rate } = require('./metrics');
+const { parseFlag, isPlainObject } = require('./inputValues');
+
+const SLA_STAGES = {
+  ASSIGNMENT: 'assignment',
+  REVIEW: 'review'
+};
+
+const SLA_STAGE_VALUES = Object.values(SLA_STAGES);
+
+// What the escalation job did about a breach
+const SLA_ACTIONS = {
+  NOTIFIED: 'notified',
+  REASSIGNED: 'reassigned',
+  ASSIGNED: 'assigned'
+};
+
+const STAGE_STATUSES = {
+  [SLA_STAGES.ASSIGNMENT]: [REPORT_STATUSES.UPLOADED],
+  [SLA_STAGES.REVIEW]: [REPORT_STATUSES.ASSIGNED, REPORT_STATUSES.IN_REVIEW]
+};
+
+const TARGET_KEYS = { [SLA_STAGES.ASSIGNMENT]: 'assignmentHours', [SLA_STAGES.REVIEW]: 'reviewHours' };
+
+const DEFAULT_SLA_SETTINGS = {
+  enabled: false, // Escalate breaches; metrics are computed either way
+  assignmentHours: 4,
+  reviewHours: 24,
+  // Targets per report template key or report type, e.g. { "ecg": { "reviewHours": 6 } }
+  overrides: {},
+  // Give breaching reports to another doctor by the hospital's auto-assignment rules. Only reports
+  // nobody has started reviewing are reassigned; unassigned reports get their first doctor.
+  reassign: false,
+  remindDoctor: true // Tell the assigned doctor their review is overdue
+};
+
+const FLAG_KEYS = ['enabled', 'reassign', 'remindDoctor'];
+const MAX_TARGET_HOURS = 24 * 30;
+const MAX_OVERRIDES = 50;
+
+// Hours may be fractional (0.5 = 30 minutes)
+const parseHours = (value) => {
+  const hours = Number(value);
+  return value !== '' && value !== null && Number.isFinite(hours) && hours > 0 && hours <= MAX_TARGET_HOURS
+    ? hours
+    : undefined;
+};
+
+/**
+ * Validate an SLA update and merge it into the current settings
+ * @param {Object} input - Changed keys; in overrides, null removes an entry
+ * @param {Object} [current] - Stored Hospital.slaSettings
+ * @returns {{ settings: Object, errors: string[] }}
+ */
+const validateSlaSettings = (input = {}, current = {}) => {
+  const errors = [];
+  const settings = { ...(current || {}), overrides: { ...(current?.overrides || {}) } };
+
+  FLAG_KEYS.forEach((key) => {
+    if (!(key in input)) return;
+    const flag = parseFlag(input[key]);
+    if (flag === undefined) {
+      errors.push(`${key} must be true or false`);
+    } else {
+      settings[key] = flag;
+    }
+  });
+
+  Object.values(TARGET_KEYS).forEach((key) => {
+    if (!(key in input)) return;
+    const hours = parseHours(input[key]);
+    if (hours === undefined) {
+      errors.push(`${key} must be a number of hours above 0 and at most ${MAX_TARGET_HOURS}`);
+    } else {
+      settings[key] = hours;
+    }
+  });
+
+  if (input.overrides !== undefined) {
+    if (!isPlainObject(input.overrides)) {
+      errors.push('overrides must be an object');
+    } else {
+      Object.entries(input.overrides).forEach(([key, value]) => {
+        if (value === null) {
+          delete settings.overrides[key];
+          return;
+        }
+        if (!isPlainObject(value)) {
+          errors.push(`overrides.${key} must be an object with assignmentHours and/or reviewHours`);
+          return;
+        }
+        const errorCount = errors.length;
+        const targets = {};
+        Object.entries(value).forEach(([field, hours]) => {
+          if (!Object.values(TARGET_KEYS).includes(field)) {
+            errors.push(`Unknown target overrides.${key}.${field}. Expected assignmentHours or reviewHours`);
+          } else if (parseHours(hours) === undefined) {
+            errors.push(`overrides.${key}.${field} must be a number of hours above 0 and at most ${MAX_TARGET_HOURS}`);
+          } else {
+            targets[field] = parseHours(hours);
+          }
+        });
+        if (errors.length > errorCount) return;
+        if (!Object.keys(targets).length) {
+          errors.push(`overrides.${key} must set assignmentHours and/or reviewHours`);
+        } else {
+          settings.overrides[key] = targets;
+        }
+      });
+      if (Object.keys(settings.overrides).length > MAX_OVERRIDES) {
+        errors.push(`overrides can have at most ${MAX_OVERRIDES} entries`);
+      }
+    }
+  }
+
+  return { settings, errors };
+};
+
+/**
+ * Effective SLA settings of a hospital: its settings over DEFAULT_SLA_SETTINGS
+ * @param {Object} [settings] - Hospital.slaSettings
+ * @returns {Object}
+ */
+const resolveSlaSettings = (settings) => ({
+  ...DEFAULT_SLA_SETTINGS,
+  ...(settings || {}),
+  overrides: { ...(settings?.overrides || {}) }
+});
+
+/**
+ * Targets of a report: its template key's override, else its report type's, else the hospital's
+ * @param {Object} report - Needs templateKey and reportType
+ * @param {Object} settings - From resolveSlaSettings
+ * @returns {{ assignmentHours: number, reviewHours: number }}
+ */
+const slaTargets = (report, settings) => ({
+  assignmentHours: settings.assignmentHours,
+  reviewHours: settings.reviewHours,
+  ...(settings.overrides[report.reportType] || {}),
+  ...(settings.overrides[report.templateKey] || {})
+});
+
+/**
+ * Shortest target of a stage across the hospital's settings, to narrow queries for breaches
+ * @param {Object} settings - From resolveSlaSettings
+ * @param {string} stage - From SLA_STAGES
+ * @returns {number} Hours
+ */
+const shortestTarget = (settings, stage) => Math.min(
+  settings[TARGET_KEYS[stage]],
+  ...Object.values(settings.overrides).map((targets) => targets[TARGET_KEYS[stage]] || Infinity)
+);
+
+/**
+ * Running SLA clock of an open report
+ * @param {Object} report - Needs status, uploadedAt, assignedAt, templateKey and reportType
+ * @param {Object} settings - From resolveSlaSettings
+ * @param {Date} [now]
+ * @returns {Object|null} { stage, startedAt, dueAt, targetHours, breached, overdueHours }, or null
+ *   when no clock runs (the report is reviewed, signed off or returned)
+ */
+const evaluateSla = (report, settings, now = new Date()) => {
+  const status = normalizeStatus(report.status);
+  const stage = SLA_STAGE_VALUES.find((value) => STAGE_STATUSES[value].includes(status));
+  if (!stage) return null;
+
+  const startedAt = stage === SLA_STAGES.ASSIGNMENT ? report.uploadedAt : report.assignedAt;
+  if (!startedAt) return null;
+
+  const targetHours = slaTargets(report, settings)[TARGET_KEYS[stage]];
+  const dueAt = new Date(new Date(startedAt).getTime() + targetHours * MS_PER_HOUR);
+  const overdueHours = hoursBetween(dueAt, now);
+  return {
+    stage,
+    startedAt: new Date(startedAt),
+    dueAt,
+    targetHours,
+    breached: overdueHours > 0,
+    overdueHours: overdueHours > 0 ? round(overdueHours) : 0
+  };
+};
+
+const summarizeDurations = (durations, targetFor) => {
+  const hours = durations.map(({ hours: value }) => value);
+  const withinTarget = durations.filter(({ report, hours: value }) => value <= targetFor(report)).length;
+  return {
+    measured: durations.length,
+    withinTarget,
+    complianceRate: rate(withinTarget, durations.length),
+    averageHours: round(hours.length ? hours.reduce((sum, value) => sum + value, 0) / hours.length : null),
+    medianHours: round(percentile(hours, 50)),
+    p90Hours: round(percentile(hours, 90))
+  };
+};
+
+/**
+ * SLA compliance of finished stages: assignment for reports that were assigned, review for reports
+ * that were reviewed. Both use the latest assignment, as reports only keep that one.
+ * @param {Object[]} reports - Need uploadedAt, assignedAt, reviewedAt, templateKey and reportType
+ * @param {Object} settings - From resolveSlaSettings
+ * @returns {{ assignment: Object, review: Object }} measured, withinTarget, complianceRate,
+ *   averageHours, medianHours and p90Hours per stage
+ */
+const summarizeCompliance = (reports, settings) => {
+  const durations = (from, to) => reports
+    .map((report) => ({ report, hours: hoursBetween(report[from], report[to]) }))
+    .filter(({ hours }) => hours !== null && hours >= 0);
+
+  return {
+    assignment: summarizeDurations(durations('uploadedAt', 'assignedAt'), (report) => slaTargets(report, settings).assignmentHours),
+    review: summarizeDurations(durations('assignedAt', 'reviewedAt'), (report) => slaTargets(report, settings).reviewHours)
+  };
+};
+
+module.exports = {
+  SLA_STAGES,
+  SLA_STAGE_VALUES,
+  SLA_ACTIONS,
+  STAGE_STATUSES,
+  DEFAULT_SLA_SETTINGS,
+  validateSlaSettings,
+  resolveSlaSettings,
+  slaTargets,
+  shortestTarget,
+  evaluateSla,
+  summarizeCompliance
+};
@@ -0,0 +1,73 @@
+// Breast thermal screening: six thermal images (three per side) and the breast questionnaire,
+// whose answers are stored on the patient record.
+const IMAGES = [
+  { field: 'leftTopImage', label: 'Left breast - top side', section: 'breast', required: true },
+  { field: 'leftCenterImage', label: 'Left breast - left side', section: 'breast', required: true },
+  { field: 'leftBottomImage', label: 'Left breast - right side', section: 'breast', required: true },
+  { field: 'rightTopImage', label: 'Right breast - top side', section: 'breast', required: true },
+  { field: 'rightCenterImage', label: 'Right breast - left side', section: 'breast', required: true },
+  { field: 'rightBottomImage', label: 'Right breast - right side', section: 'breast', required: true }
+];
+
+const QUESTIONNAIRE = [
+  {
+    key: 'familyHistoryOfCancer',
+    title: 'Family History of Cancer',
+    text: 'Has anyone in your family (mother, sister, aunt, or grandmother) had breast or ovarian cancer?'
+  },
+  {
+    key: 'breastLump',
+    title: 'Breast Lump',
+    text: 'Have you noticed any lump or thickening in either breast?'
+  },
+  {
+    key: 'breastPain',
+    title: 'Breast Pain',
+    text: 'Do you currently have breast pain?'
+  },
+  {
+    key: 'changeInBreastAppearance',
+    title: 'Change in Breast Appearance',
+    text: 'Have you noticed any change in breast size or shape?'
+  },
+  {
+    key: 'breastSkinChanges',
+    title: 'Breast Skin Changes',
+    text: 'Have you noticed redness, dimpling, or an orange-peel appearance of the breast skin?'
+  },
+  {
+    key: 'nippleDischarge',
+    title: 'Nipple Discharge',
+    text: 'Have you experienced any nipple discharge?'
+  },
+  {
+    key: 'nippleSymptoms',
+    title: 'Nipple Symptoms',
+    text: 'Do you have pain, cracking, itching, or discomfort around the nipple?'
+  },
+  {
+    key: 'previousBreastScreening',
+    title: 'Previous Breast Screening',
+    text: 'Have you ever undergone mammography, breast ultrasound, or any breast screening test?'
+  },
+  {
+    key: 'previousBreastProceduresOrAbnormalReport',
+    title: 'Previous Breast Procedures or Reports',
+    text: 'Have you ever had breast surgery, biopsy, or an abnormal breast report?'
+  }
+];
+
+module.exports = {
+  key: 'breast-thermal',
+  name: 'Breast Thermal Screening',
+  appointmentService: 'breast-scan',
+  heading: 'Breast Health Screening Report',
+  defaultTitle: 'Breast Cancer Screening Report',
+  defaultDescription: 'Breast cancer screening report with 6 images',
+  disclaimer: 'This breast health screening report is generated using non-invasive BR Scan Device with image-based visual reporting and is intended for breast health screening purposes only. Results may be affected by image quality, positioning, and capture conditions. This report does not constitute a diagnosis and does not replace professional medical advice, clinical evaluation, or treatment. Findings are indicative and may change over time. Users are strongly advised to seek evaluation and confirmatory tests (such as mammography or ultrasound) from a qualified healthcare professional. D3S Healthcare shall not be liable for any decisions made without appropriate medical consultation.',
+  layout: 'breast-thermal',
+  images: IMAGES,
+  dataFields: [],
+  sampleData: {},
+  questionnaire: QUESTIONNAIRE
+};
@@ -0,0 +1,18 @@
+// Comprehensive screening: breast thermal imaging and ECG in one report
+const breastThermal = require('./breastThermal');
+const ecg = require('./ecg');
+
+module.exports = {
+  key: 'comprehensive',
+  name: 'Comprehensive (Breast + ECG)',
+  appointmentService: 'comprehensive',
+  heading: 'Comprehensive Screening Report',
+  defaultTitle: 'Comprehensive Screening Report',
+  defaultDescription: 'Breast thermal screening and resting ECG',
+  disclaimer: 'This screening report combines non-invasive breast thermal imaging (BR Scan Device) with a resting electrocardiogram and is intended for screening purposes only. Results may be affected by image quality, positioning, electrode placement and recording conditions. This report does not constitute a diagnosis and does not replace professional medical advice, clinical evaluation, or treatment. Users are strongly advised to seek confirmatory tests (such as mammography, ultrasound or a cardiology consultation) from a qualified healthcare professional. D3S Healthcare shall not be liable for any decisions made without appropriate medical consultation.',
+  layout: 'comprehensive',
+  images: [...breastThermal.images, ...ecg.images],
+  dataFields: ecg.dataFields,
+  sampleData: ecg.sampleData,
+  questionnaire: [...breastThermal.questionnaire, ...ecg.questionnaire]
+};
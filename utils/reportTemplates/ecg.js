@@ -0,0 +1,101 @@
+// Resting 12-lead ECG: the trace image, measurements entered by the technician and a cardiac
+// questionnaire answered at the screening (sent with the upload, not stored on the patient).
+const IMAGES = [
+  {
+    field: 'ecgTraceImage',
+    label: '12-lead ECG trace',
+    section: 'ecg',
+    required: true,
+    resize: { width: 1600, height: 900, fit: 'inside' }
+  },
+  {
+    field: 'rhythmStripImage',
+    label: 'Rhythm strip',
+    section: 'ecg',
+    required: false,
+    resize: { width: 1600, height: 400, fit: 'inside' }
+  }
+];
+
+const DATA_FIELDS = [
+  { key: 'heartRate', label: 'Heart Rate', type: 'number', integer: true, unit: 'bpm', min: 20, max: 300, required: true, reference: '60 - 100 bpm' },
+  {
+    key: 'rhythm',
+    label: 'Rhythm',
+    type: 'enum',
+    values: ['Sinus rhythm', 'Sinus tachycardia', 'Sinus bradycardia', 'Atrial fibrillation', 'Atrial flutter', 'Other'],
+    required: true,
+    reference: 'Sinus rhythm'
+  },
+  { key: 'prInterval', label: 'PR Interval', type: 'number', integer: true, unit: 'ms', min: 40, max: 400, reference: '120 - 200 ms' },
+  { key: 'qrsDuration', label: 'QRS Duration', type: 'number', integer: true, unit: 'ms', min: 20, max: 300, reference: '80 - 120 ms' },
+  { key: 'qtInterval', label: 'QT Interval', type: 'number', integer: true, unit: 'ms', min: 100, max: 700, reference: '350 - 450 ms' },
+  { key: 'qtcInterval', label: 'QTc Interval', type: 'number', integer: true, unit: 'ms', min: 100, max: 700, reference: '< 450 ms (M), < 460 ms (F)' },
+  { key: 'axis', label: 'QRS Axis', type: 'number', integer: true, unit: 'deg', min: -180, max: 180, reference: '-30 to +90 deg' },
+  { key: 'interpretation', label: 'Interpretation', type: 'text', maxLength: 1000, reference: '-' }
+];
+
+// Measurements shown in preview PDFs
+const SAMPLE_DATA = {
+  heartRate: 72,
+  rhythm: 'Sinus rhythm',
+  prInterval: 160,
+  qrsDuration: 90,
+  qtInterval: 380,
+  qtcInterval: 410,
+  axis: 45,
+  interpretation: 'Normal sinus rhythm. No acute ST-T changes.'
+};
+
+const QUESTIONNAIRE = [
+  {
+    key: 'chestPain',
+    title: 'Chest Pain',
+    text: 'Do you have chest pain or tightness, at rest or on exertion?'
+  },
+  {
+    key: 'palpitations',
+    title: 'Palpitations',
+    text: 'Do you feel your heart racing, pounding or skipping beats?'
+  },
+  {
+    key: 'shortnessOfBreath',
+    title: 'Shortness of Breath',
+    text: 'Do you get breathless with mild activity or when lying flat?'
+  },
+  {
+    key: 'dizzinessOrFainting',
+    title: 'Dizziness or Fainting',
+    text: 'Have you felt dizzy or fainted recently?'
+  },
+  {
+    key: 'knownHeartCondition',
+    title: 'Known Heart Condition',
+    text: 'Have you been diagnosed with a heart condition or had a heart procedure?'
+  },
+  {
+    key: 'highBloodPressure',
+    title: 'High Blood Pressure',
+    text: 'Have you been told you have high blood pressure?'
+  },
+  {
+    key: 'diabetes',
+    title: 'Diabetes',
+    text: 'Have you been diagnosed with diabetes?'
+  }
+];
+
+module.exports = {
+  key: 'ecg',
+  name: 'ECG',
+  appointmentService: 'ecg',
+  heading: 'ECG Screening Report',
+  defaultTitle: 'ECG Screening Report',
+  defaultDescription: 'Resting 12-lead ECG screening report',
+  disclaimer: 'This ECG screening report is based on a resting electrocardiogram recorded outside a hospital setting and is intended for screening purposes only. Results may be affected by electrode placement, patient movement and recording conditions. This report does not constitute a diagnosis and does not replace professional medical advice, clinical evaluation, or treatment. Users with symptoms or abnormal findings are strongly advised to consult a qualified cardiologist. D3S Healthcare shall not be liable for any decisions made without appropriate medical consultation.',
+  layout: 'ecg',
+  images: IMAGES,
+  dataFields: DATA_FIELDS,
+  sampleData: SAMPLE_DATA,
+  questionnaire: QUESTIONNAIRE
+};
@@ -0,0 +1,182 @@
+// Report template registry.
+// Each screening type declares the images it needs, the measurements entered with the upload,
+// its questionnaire and the Handlebars layout in ./layouts. Layouts are built from the shared
+// partials in ./partials (header, subject details, questionnaire, footer, ...).
+//
+// Adding a screening type: add a definition module, a layout, and register it in TEMPLATES.
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { parseFlag, isBlank } = require('../inputValues');
+
+const TEMPLATES = Object.fromEntries(
+  [require('./breastThermal'), require('./ecg'), require('./comprehensive')].map((template) => [template.key, template])
+);
+
+const DEFAULT_TEMPLATE_KEY = 'breast-thermal';
+
+// Templates are read once and compiled lazily
+const handlebars = Handlebars.create();
+handlebars.registerHelper('inc', (value) => Number(value) + 1);
+
+const partialsDir = path.join(__dirname, 'partials');
+fs.readdirSync(partialsDir)
+  .filter((file) => file.endsWith('.hbs'))
+  .forEach((file) => {
+    handlebars.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+  });
+
+const compiledLayouts = {};
+
+/**
+ * Look up a template definition
+ * @param {string} key - Template key, e.g. 'ecg'
+ * @returns {Object|null}
+ */
+const getTemplate = (key) => TEMPLATES[key] || null;
+
+/**
+ * Public description of every template, for clients building the upload form
+ * @returns {Object[]}
+ */
+const listTemplates = () => Object.values(TEMPLATES).map((template) => ({
+  key: template.key,
+  name: template.name,
+  appointmentService: template.appointmentService,
+  images: template.images.map(({ field, label, required }) => ({ field, label, required })),
+  dataFields: template.dataFields,
+  questionnaire: template.questionnaire
+}));
+
+/**
+ * Render the HTML of a report
+ * @param {Object} template - Template definition
+ * @param {Object} templateData - Values for the layout
+ * @returns {string} HTML
+ */
+const renderTemplateHtml = (template, templateData) => {
+  if (!compiledLayouts[template.layout]) {
+    const source = fs.readFileSync(path.join(__dirname, 'layouts', `${template.layout}.hbs`), 'utf8');
+    compiledLayouts[template.layout] = handlebars.compile(source);
+  }
+  return compiledLayouts[template.layout](templateData);
+};
+
+// Multipart bodies send nested objects as JSON strings
+const parseObject = (input, name, errors) => {
+  if (isBlank(input)) return {};
+  if (typeof input === 'object' && !Array.isArray(input)) return input;
+  try {
+    const parsed = JSON.parse(input);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // reported below
+  }
+  errors.push(`${name} must be a JSON object`);
+  return {};
+};
+
+/**
+ * Validate an upload against a template
+ * @param {Object} template - Template definition
+ * @param {Object} input
+ * @param {Object} [input.files] - Multer files keyed by field name
+ * @param {Object} [input.body] - Request body; measurements in `data` (or as top-level fields) and
+ *   questionnaire answers in `questionnaire`
+ * @returns {{ data: Object, answers: Object, missingImages: string[], errors: string[] }}
+ */
+const validateTemplateInput = (template, { files = {}, body = {} } = {}) => {
+  const errors = [];
+
+  const missingImages = template.images
+    .filter((image) => image.required && !files?.[image.field])
+    .map((image) => image.field);
+
+  const rawData = { ...body, ...parseObject(body.data, 'data', errors) };
+  const data = {};
+  template.dataFields.forEach((field) => {
+    const value = rawData[field.key];
+    if (isBlank(value)) {
+      if (field.required) errors.push(`${field.key} is required`);
+      return;
+    }
+
+    if (field.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || (field.integer && !Number.isInteger(number))) {
+        errors.push(`${field.key} must be ${field.integer ? 'a whole number' : 'a number'}`);
+      } else if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+        errors.push(`${field.key} must be between ${field.min} and ${field.max}`);
+      } else {
+        data[field.key] = number;
+      }
+    } else if (field.type === 'enum') {
+      if (!field.values.includes(value)) {
+        errors.push(`${field.key} must be one of: ${field.values.join(', ')}`);
+      } else {
+        data[field.key] = value;
+      }
+    } else {
+      const text = String(value).trim();
+      if (field.maxLength && text.length > field.maxLength) {
+        errors.push(`${field.key} must be at most ${field.maxLength} characters`);
+      } else {
+        data[field.key] = text;
+      }
+    }
+  });
+
+  const rawAnswers = parseObject(body.questionnaire, 'questionnaire', errors);
+  const answers = {};
+  template.questionnaire.forEach((question) => {
+    if (isBlank(rawAnswers[question.key])) return;
+    const answer = parseFlag(rawAnswers[question.key]);
+    if (answer === undefined) {
+      errors.push(`questionnaire.${question.key} must be yes/no`);
+    } else {
+      answers[question.key] = answer;
+    }
+  });
+
+  return { data, answers, missingImages, errors };
+};
+
+/**
+ * Questionnaire rows for the layout. Answers sent with the upload win over those on the patient.
+ * IMPORTANT: false is a valid answer; only null/undefined means "not provided".
+ * @param {Object} template - Template definition
+ * @param {Object} patient - Patient fields
+ * @param {Object} [answers] - Answers from validateTemplateInput
+ * @returns {Array<{ title: string, text: string, yes: boolean, no: boolean }>}
+ */
+const buildQuestionnaireItems = (template, patient = {}, answers = {}) => template.questionnaire
+  .map((question) => ({ question, value: answers[question.key] ?? patient?.[question.key] }))
+  .filter(({ value }) => value !== null && value !== undefined)
+  .map(({ question, value }) => ({
+    title: question.title,
+    text: question.text,
+    yes: Boolean(value),
+    no: !value
+  }));
+
+/**
+ * Measurement rows for the layout
+ * @param {Object} template - Template definition
+ * @param {Object} data - Measurements from validateTemplateInput
+ * @returns {Array<{ label: string, value: string, reference: string }>}
+ */
+const buildMeasurementRows = (template, data = {}) => template.dataFields.map((field) => ({
+  label: field.label,
+  value: isBlank(data[field.key]) ? '-' : `${data[field.key]}${field.unit ? ` ${field.unit}` : ''}`,
+  reference: field.reference || '-'
+}));
+
+module.exports = {
+  DEFAULT_TEMPLATE_KEY,
+  getTemplate,
+  listTemplates,
+  renderTemplateHtml,
+  validateTemplateInput,
+  buildQuestionnaireItems,
+  buildMeasurementRows
+};
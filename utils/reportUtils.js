@@ -1,240 +1,246 @@
 const fs = require('fs');
 const path = require('path');
 const htmlPdf = require('html-pdf-node');
-const Handlebars = require('handlebars');
 const sharp = require('sharp');
 const axios = require('axios');
+const {
+  getTemplate,
+  renderTemplateHtml,
+  buildQuestionnaireItems,
+  buildMeasurementRows
+} = require('./reportTemplates');
+const { resolveBranding } = require('./reportBranding');
+const { RETRIEVAL_PIN_LENGTH, retrievalUrl, generateRetrievalQr } = require('./reportRetrieval');
+
+// Images resized at the same time; sharp already uses several threads per image
+const IMAGE_CONCURRENCY = parseInt(process.env.REPORT_IMAGE_CONCURRENCY) || 2;
 
 /**
- * Generate a PDF breast screening report using HTML template with dynamic data
+ * Generate a screening report PDF from a registered template (see utils/reportTemplates)
+ * @param {string} templateKey - Template key, e.g. 'breast-thermal' or 'ecg'
  * @param {Object} reportData - The report data containing all information
+ * @param {Object} reportData.images - Image source per template image field, see loadImage
+ * @param {Object} [reportData.data] - Measurements validated by validateTemplateInput
+ * @param {Object} [reportData.answers] - Questionnaire answers validated by validateTemplateInput
+ * @param {Object} [reportData.branding] - Branding to apply instead of reportData.hospital.reportBranding
+ * @param {Buffer|Object|Function|string} [reportData.signatureImage] - Image of the signature block, see
+ *   loadImage (the branding only holds the blob name of the stored signature)
+ * @param {string} [reportData.retrievalToken] - Printed as a QR code for patient self-service retrieval
  * @returns {Promise<Buffer>} - The generated PDF as a buffer
  */
-const generateBreastCancerReport = async (reportData) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Extract the data
-      const { patient, doctor, hospital, images, title } = reportData;
-
-      // Load the HTML template
-      const templateHtml = getReportTemplate();
-
-      // Process images
-      const processedImages = await processImages(images);
-      
-      // Load logos
-      const [breastIcon, hospitalLogo, awsLogo] = await Promise.all([
-        getBreastIcon(),
-        getHospitalLogo(hospital?.imageUrl),
-        getAWSLogo()
-      ]);
-
-      // Format date
-      const currentDate = new Date();
-      const formattedDate = formatDate(currentDate);
-      
-      // Prepare data for the template
-      const questionnaireItems = buildBreastQuestionnaireItems(patient);
-      const hasQuestionnaireData = questionnaireItems.length > 0;
+const generateTemplateReport = async (templateKey, reportData) => {
+  const template = getTemplate(templateKey);
+  if (!template) {
+    throw new Error(`Unknown report template "${templateKey}"`);
+  }
 
-      const templateData = {
-        title: title || "BREAST SCREENING REPORT",
-        date: formattedDate,
-        
-        // Patient details with fallbacks
-        patient: {
-          firstName: patient?.firstName || "Unknown",
-          lastName: patient?.lastName || "",
-          address: patient?.address || "Not specified",
-          contact: patient?.contact || "Not provided",
-          gender: patient?.gender || "Not specified",
-          age: patient?.age || "N/A",
-          weight: patient?.weight || "N/A",
-          height: patient?.height || "N/A"
-        },
-        
-        // Doctor details with fallbacks
-        doctor: {
-          name: doctor?.name || (doctor?.firstName && doctor?.lastName ? 
-            `${doctor.firstName} ${doctor.lastName}` : "Unknown Doctor"),
-          specialization: doctor?.specialization || "General Practitioner"
-        },
-        
-        // Hospital details with fallbacks
-        hospital: {
-          name: hospital?.name || "Unknown Hospital",
-          address: hospital?.address || "Address not provided"
-        },
-        
-        // Images converted to data URLs
-        breastIcon: breastIcon,
-        hospitalLogo: hospitalLogo,
-        awsLogo: awsLogo,
-        
-        // Breast images
-        leftTopImage: processedImages.leftTopImage || createPlaceholderImage('Left Top'),
-        leftCenterImage: processedImages.leftCenterImage || createPlaceholderImage('Left Center'),
-        leftBottomImage: processedImages.leftBottomImage || createPlaceholderImage('Left Bottom'),
-        rightTopImage: processedImages.rightTopImage || createPlaceholderImage('Right Top'),
-        rightCenterImage: processedImages.rightCenterImage || createPlaceholderImage('Right Center'),
-        rightBottomImage: processedImages.rightBottomImage || createPlaceholderImage('Right Bottom'),
+  try {
+    // Extract the data
+    const { patient, doctor, hospital, images, title, data, answers } = reportData;
+    const branding = resolveBranding(reportData.branding || hospital?.reportBranding);
 
-        // Questionnaire (optional first page)
-        hasQuestionnaireData,
-        questionnaireItems
-      };
-      
-      // Compile the template with Handlebars
-      // Helper: 0-based index -> 1-based number
-      Handlebars.registerHelper('inc', (value) => Number(value) + 1);
-      const template = Handlebars.compile(templateHtml);
-      const html = template(templateData);
+    // Process images
+    const processedImages = await processImages(images, template.images);
+    
+    // Load logos
+    const [breastIcon, hospitalLogo, awsLogo, signatureImage, retrievalQr] = await Promise.all([
+      getBreastIcon(),
+      getHospitalLogo(hospital?.imageUrl),
+      getAWSLogo(),
+      branding.sections.signature ? getSignatureImage(reportData.signatureImage) : null,
+      reportData.retrievalToken ? generateRetrievalQr(reportData.retrievalToken) : null
+    ]);
+
+    // Format date
+    const currentDate = new Date();
+    const formattedDate = formatDate(currentDate);
+    
+    // Prepare data for the template
+    const questionnaireItems = buildQuestionnaireItems(template, patient, answers);
+    const hasQuestionnaireData = branding.sections.questionnaire && questionnaireItems.length > 0;
+
+    const templateData = {
+      title: title || template.heading.toUpperCase(),
+      heading: template.heading,
+      disclaimer: branding.disclaimer || template.disclaimer,
+      branding,
+      date: formattedDate,
       
-      const options = {
-        format: 'A4',
-        printBackground: true,
-        displayHeaderFooter: true,
-        headerTemplate: '<div></div>',
-        footerTemplate: `
-          <div style="width: 100%; font-size: 9px; padding: 0 10mm; color: #555; text-align: right;">
-            Page <span class="pageNumber"></span> / <span class="totalPages"></span>
-          </div>
-        `,
-        margin: {
-            top: '3mm', /* Reduced from 5mm */
-            right: '3mm', /* Reduced from 5mm */
-            bottom: '10mm', /* Leave room for footer page numbers */
-            left: '3mm' /* Reduced from 5mm */
-        },
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-gpu',
-          '--disable-dev-shm-usage',
-          '--disable-features=VizDisplayCompositor',
-          '--single-process',
-          '--no-zygote'
-        ],
-        width: '210mm',
-        height: '297mm',
-        timeout: 30000,
-        quality: 100
-    };
+      // Patient details with fallbacks
+      patient: {
+        firstName: patient?.firstName || "Unknown",
+        lastName: patient?.lastName || "",
+        address: patient?.address || "Not specified",
+        contact: patient?.contact || "Not provided",
+        gender: patient?.gender || "Not specified",
+        age: patient?.age || "N/A",
+        weight: patient?.weight || "N/A",
+        height: patient?.height || "N/A"
+      },
       
+      // Doctor details with fallbacks
+      doctor: {
+        name: doctor?.name || (doctor?.firstName && doctor?.lastName ? 
+          `${doctor.firstName} ${doctor.lastName}` : "Unknown Doctor"),
+        specialization: doctor?.specialization || "General Practitioner"
+      },
       
+      // Hospital details with fallbacks
+      hospital: {
+        name: hospital?.name || "Unknown Hospital",
+        address: hospital?.address || "Address not provided"
+      },
       
-      // Generate PDF from HTML
-      htmlPdf.generatePdf({ content: html }, options)
-        .then(pdfBuffer => {
-          resolve(pdfBuffer);
-        })
-        .catch(error => {
-          console.error('Error generating PDF:', error);
-          reject(error);
-        });
+      // Images converted to data URLs
+      breastIcon: breastIcon,
+      hospitalLogo: hospitalLogo,
+      awsLogo: awsLogo,
+      signatureImage,
+
+      // QR code for patient self-service retrieval
+      retrieval: retrievalQr && {
+        qr: retrievalQr,
+        url: retrievalUrl(reportData.retrievalToken),
+        pinLength: RETRIEVAL_PIN_LENGTH
+      },
       
-    } catch (error) {
-      console.error('Error preparing PDF data:', error);
-      reject(error);
-    }
-  });
+      // Screening images by field, and the ECG traces in template order
+      images: processedImages,
+      traces: template.images
+        .filter((image) => image.section === 'ecg' && images?.[image.field])
+        .map((image) => ({ label: image.label, src: processedImages[image.field] })),
+
+      // Measurements entered with the upload
+      measurements: buildMeasurementRows(template, data),
+
+      // Questionnaire (optional first page)
+      hasQuestionnaireData,
+      questionnaireItems
+    };
+    
+    const html = renderTemplateHtml(template, templateData);
+    
+    const options = {
+      format: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate: `
+        <div style="width: 100%; font-size: 9px; padding: 0 10mm; color: #555; text-align: right;">
+          Page <span class="pageNumber"></span> / <span class="totalPages"></span>
+        </div>
+      `,
+      margin: {
+          top: '3mm', /* Reduced from 5mm */
+          right: '3mm', /* Reduced from 5mm */
+          bottom: '10mm', /* Leave room for footer page numbers */
+          left: '3mm' /* Reduced from 5mm */
+      },
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-gpu',
+        '--disable-dev-shm-usage',
+        '--disable-features=VizDisplayCompositor',
+        '--single-process',
+        '--no-zygote'
+      ],
+      width: '210mm',
+      height: '297mm',
+      timeout: 30000,
+      quality: 100
+    };
+    
+    // Generate PDF from HTML
+    return await htmlPdf.generatePdf({ content: html }, options);
+  } catch (error) {
+    console.error(`Error generating ${templateKey} report PDF:`, error);
+    throw error;
+  }
+};
+
+// Subject shown in preview PDFs
+const SAMPLE_PATIENT = {
+  firstName: 'Sample',
+  lastName: 'Patient',
+  address: '12 Sample Street',
+  contact: '9999999999',
+  gender: 'Female',
+  age: 45,
+  weight: 62,
+  height: 160
 };
 
 /**
- * Build questionnaire items if the patient has any of the nullable yes/no fields populated.
- * IMPORTANT: false is a valid answer; only null/undefined means "not provided".
- * @param {Object} patient
- * @returns {Array<{question: string, answer: string}>}
+ * Generate a preview PDF of a template with sample data and placeholder images
+ * @param {string} templateKey - Template key
+ * @param {Object} options
+ * @param {Object} options.hospital - Hospital fields (name, address, imageUrl)
+ * @param {Object} options.branding - Branding to preview (stored or not)
+ * @param {Buffer|Object|Function|string} [options.signatureImage] - Signature not yet stored
+ * @returns {Promise<Buffer>} - The generated PDF as a buffer
  */
-function buildBreastQuestionnaireItems(patient) {
-  const p = patient || {};
+const generateReportPreview = (templateKey, { hospital, branding, signatureImage }) => {
+  const template = getTemplate(templateKey);
+  if (!template) {
+    throw new Error(`Unknown report template "${templateKey}"`);
+  }
 
-  const fields = [
-    {
-      key: 'familyHistoryOfCancer',
-      title: 'Family History of Cancer',
-      text: 'Has anyone in your family (mother, sister, aunt, or grandmother) had breast or ovarian cancer?'
-    },
-    {
-      key: 'breastLump',
-      title: 'Breast Lump',
-      text: 'Have you noticed any lump or thickening in either breast?'
-    },
-    {
-      key: 'breastPain',
-      title: 'Breast Pain',
-      text: 'Do you currently have breast pain?'
-    },
-    {
-      key: 'changeInBreastAppearance',
-      title: 'Change in Breast Appearance',
-      text: 'Have you noticed any change in breast size or shape?'
-    },
-    {
-      key: 'breastSkinChanges',
-      title: 'Breast Skin Changes',
-      text: 'Have you noticed redness, dimpling, or an orange-peel appearance of the breast skin?'
-    },
-    {
-      key: 'nippleDischarge',
-      title: 'Nipple Discharge',
-      text: 'Have you experienced any nipple discharge?'
-    },
-    {
-      key: 'nippleSymptoms',
-      title: 'Nipple Symptoms',
-      text: 'Do you have pain, cracking, itching, or discomfort around the nipple?'
-    },
-    {
-      key: 'previousBreastScreening',
-      title: 'Previous Breast Screening',
-      text: 'Have you ever undergone mammography, breast ultrasound, or any breast screening test?'
-    },
-    {
-      key: 'previousBreastProceduresOrAbnormalReport',
-      title: 'Previous Breast Procedures or Reports',
-      text: 'Have you ever had breast surgery, biopsy, or an abnormal breast report?'
-    }
-  ];
+  // Every question answered "no" so the questionnaire page shows up
+  const answers = Object.fromEntries(template.questionnaire.map((question) => [question.key, false]));
+
+  return generateTemplateReport(templateKey, {
+    title: `${template.heading} (Preview)`,
+    patient: SAMPLE_PATIENT,
+    doctor: { name: 'Dr. Sample Doctor', specialization: 'Radiologist' },
+    hospital,
+    branding,
+    signatureImage,
+    retrievalToken: 'preview',
+    images: {},
+    data: template.sampleData,
+    answers
+  });
+};
 
-  const items = [];
-  for (const f of fields) {
-    const v = p[f.key];
-    if (v === null || v === undefined) continue;
-    items.push({
-      title: f.title,
-      text: f.text,
-      yes: Boolean(v),
-      no: !Boolean(v)
-    });
-  }
-  return items;
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
 /**
- * Process all images
- * @param {Object} images - Object containing image URLs
+ * Process all images of a template
+ * @param {Object} images - Image source per field, see loadImage
+ * @param {Object[]} imageFields - Image declarations of the template ({ field, label, resize })
  * @returns {Promise<Object>} - Processed images as data URLs
  */
-async function processImages(images) {
-  if (!images) return {};
-  
-  // Process each image key
-  const imageKeys = [
-    'leftTopImage', 'leftCenterImage', 'leftBottomImage',
-    'rightTopImage', 'rightCenterImage', 'rightBottomImage'
-  ];
-  
+async function processImages(images, imageFields) {
+  images = images || {};
   const processedImages = {};
   
-  // Process all images in parallel
-  await Promise.all(imageKeys.map(async (key) => {
+  // Process the images in parallel, IMAGE_CONCURRENCY at a time
+  await mapWithConcurrency(imageFields, IMAGE_CONCURRENCY, async ({ field: key, label, resize }) => {
     if (images[key]) {
       try {
-        // Add logging to debug image URLs
-        console.log(`Processing image ${key}: ${images[key]}`);
+        // Add logging to debug image sources
+        console.log(`Processing image ${key}: ${typeof images[key] === 'string' ? images[key] : 'in-memory/storage source'}`);
         
-        const dataUrl = await fetchAndProcessImage(images[key]);
+        const dataUrl = await fetchAndProcessImage(images[key], resize);
         processedImages[key] = dataUrl;
         
         // Verify data URL was created successfully
@@ -246,9 +252,9 @@ async function processImages(images) {
       }
     } else {
       console.warn(`Image ${key} not provided`);
-      processedImages[key] = createPlaceholderImage(`${key} Missing`);
+      processedImages[key] = createPlaceholderImage(label || `${key} Missing`);
     }
-  }));
+  });
   
   return processedImages;
 }
@@ -273,60 +279,85 @@ function createPlaceholderImage(text) {
 }
 
 /**
- * Fetch and process an image from URL
- * @param {string} imageUrl - URL of the image
+ * Load the bytes of an image source
+ * @param {Buffer|Object|Function|string} source - Buffer, multer file ({ buffer }), loader returning
+ *   a Promise<Buffer> (e.g. a storage download) or an http(s) URL
+ * @returns {Promise<Buffer>}
+ */
+async function loadImage(source) {
+  if (Buffer.isBuffer(source)) return source;
+  if (source && Buffer.isBuffer(source.buffer)) return source.buffer;
+  if (typeof source === 'function') return source();
+
+  const response = await axios.get(source, {
+    responseType: 'arraybuffer',
+    timeout: 30000, // Increased timeout for high-quality images
+    headers: {
+      'Accept': 'image/*'
+    }
+  });
+  return response.data;
+}
+
+// Screening thumbnails are square crops; templates can ask for other sizes (e.g. ECG traces)
+const DEFAULT_IMAGE_RESIZE = {
+  width: 400,  // Increased from 130 to 400
+  height: 400, // Increased from 130 to 400
+  fit: 'cover',
+  position: 'center'
+};
+
+/**
+ * Load and process an image
+ * @param {Buffer|Object|Function|string} source - Image source, see loadImage
+ * @param {Object} [resize] - sharp resize options
  * @returns {Promise<string>} - Data URL of the processed image
  */
-async function fetchAndProcessImage(imageUrl) {
+async function fetchAndProcessImage(source, resize = DEFAULT_IMAGE_RESIZE) {
   try {
-    // Add timeout and retry logic for better reliability
-    const maxRetries = 3;
+    // In-memory buffers need no retries; URLs and storage downloads get three attempts
+    const maxRetries = Buffer.isBuffer(source) || Buffer.isBuffer(source?.buffer) ? 1 : 3;
     let attempt = 0;
     let error;
+    let data;
     
-    while (attempt < maxRetries) {
+    while (attempt < maxRetries && !data) {
       try {
-        const response = await axios.get(imageUrl, { 
-          responseType: 'arraybuffer',
-          timeout: 30000, // Increased timeout for high-quality images
-          headers: {
-            'Accept': 'image/*'
-          }
-        });
+        data = await loadImage(source);
         
         // Check if we got a valid image
-        if (!response.data || response.data.length === 0) {
-          throw new Error('Empty response received');
+        if (!data || data.length === 0) {
+          data = null;
+          throw new Error('Empty image received');
         }
-        
-        // Process the image with sharp - HIGH QUALITY SETTINGS
-        const buffer = await sharp(response.data)
-          .resize({
-            width: 400,  // Increased from 130 to 400
-            height: 400, // Increased from 130 to 400
-            fit: 'cover',
-            position: 'center'
-          })
-          .jpeg({ 
-            quality: 100,    // Maximum quality (was 90)
-            progressive: true,
-            mozjpeg: true    // Use mozjpeg encoder for better quality
-          })
-          .toBuffer();
-        
-        return `data:image/jpeg;base64,${buffer.toString('base64')}`;
       } catch (err) {
         error = err;
         console.warn(`Attempt ${attempt + 1} failed: ${err.message}`);
         attempt++;
         // Wait 2 seconds before retrying (increased from 1)
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        if (attempt < maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        }
       }
     }
     
-    throw error || new Error('Failed to fetch image after multiple attempts');
+    if (!data) {
+      throw error || new Error('Failed to fetch image after multiple attempts');
+    }
+
+    // Process the image with sharp - HIGH QUALITY SETTINGS
+    const buffer = await sharp(data)
+      .resize(resize)
+      .jpeg({ 
+        quality: 100,    // Maximum quality (was 90)
+        progressive: true,
+        mozjpeg: true    // Use mozjpeg encoder for better quality
+      })
+      .toBuffer();
+    
+    return `data:image/jpeg;base64,${buffer.toString('base64')}`;
   } catch (error) {
-    console.error(`Failed to process image from URL ${imageUrl}: ${error.message}`);
+    console.error(`Failed to process image${typeof source === 'string' ? ` from URL ${source}` : ''}: ${error.message}`);
     throw new Error(`Failed to process image: ${error.message}`);
   }
 }
@@ -387,6 +418,21 @@ async function getHospitalLogo(imageUrl) {
   }
 }
 
+/**
+ * Get the signature image of the signature block
+ * @param {Buffer|Object|Function|string} [source] - Image source, see loadImage
+ * @returns {Promise<string|null>} - Data URL, or null when there is none or it cannot be loaded
+ */
+async function getSignatureImage(source) {
+  if (!source) return null;
+  try {
+    return await fetchAndProcessImage(source, { width: 320, height: 100, fit: 'contain', background: '#ffffff' });
+  } catch (error) {
+    console.error('Error loading signature image:', error.message);
+    return null;
+  }
+}
+
 /**
  * Get AWS logo
  * @returns {Promise<string>} - Data URL of AWS logo
@@ -426,816 +472,9 @@ function formatDate(date) {
   return `${day} ${month} ${year}, ${hours}:${minutes} ${ampm} IST`;
 }
 
-/**
- * Get the HTML template for the report - FIXED VERSION
- * @returns {string} - The HTML template string
- */
-function getReportTemplate() {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Breast Screening Report</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        @page {
-            size: A4;
-            margin: 10mm;
-        }
-
-        body {
-            font-family: 'Roboto', Arial, sans-serif;
-            line-height: 1.3;
-            color: #333;
-            background-color: #fff;
-            font-size: 11px;
-            margin: 0;
-            padding: 0;
-            display: block; /* IMPORTANT: avoid side-by-side flex layout in PDF */
-        }
-
-      .page {
-          width: 100%;
-          display: flex;
-          justify-content: center;
-      }
-
-      /* Force pagination explicitly */
-      .page-break-after {
-          page-break-after: always;
-          break-after: page;
-      }
-
-      .page-break-before {
-          page-break-before: always;
-          break-before: page;
-      }
-
-      .container {
-    width: 190mm; /* Reduced from 210mm */
-    min-height: 260mm; /* Reduced from 280mm */
-    max-width: 190mm; /* Reduced from 210mm */
-    margin: 0 auto;
-    padding: 6mm; /* Reduced from 8mm */
-    border: 2px solid #FFB6C1; /* Reduced from 3px */
-    border-radius: 6px; /* Reduced from 8px */
-    box-sizing: border-box;
-    background-color: #fff;
-    /* Removed box-shadow to prevent extra page */
-    display: flex;
-    flex-direction: column;
-    position: relative;
-}
-
-        /* Header Section */
-        .header {
-            width: 100%;
-            padding: 8px 15px;
-            border-bottom: 1px solid #ddd;
-            margin-bottom: 10px;
-        }
-
-        .header-inner {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-        }
-
-        .logo {
-            width: 20%;
-        }
-
-        .logo h2 {
-            font-size: 20px;
-            font-weight: 700;
-            color: #000;
-            margin: 0;
-        }
-
-        .scan-text {
-            color: #ff4081;
-        }
-
-        .title {
-            text-align: center;
-            flex: 1;
-        }
-
-        .title h1 {
-            font-size: 14px;
-            font-weight: 700;
-            text-transform: uppercase;
-            margin-bottom: 3px;
-            margin-top: 0;
-        }
-
-        .date {
-            font-size: 12px;
-            color: #555;
-            margin: 0;
-        }
-
-        .hospital-logo {
-            text-align: right;
-            width: 20%;
-        }
-
-        .logo-container {
-            width: 60px;
-            height: 60px;
-            display: inline-block;
-        }
-
-        .logo-container img {
-            width: 100%;
-            height: auto;
-            max-height: 60px;
-            object-fit: contain;
-        }
-        
-        .main-logo {
-            width: 20%;
-        }
-
-        .main-logo-container {
-            width: 80px;
-            height: 60px;
-            display: flex;
-            align-items: center;
-        }
-
-        .main-logo-container img {
-            width: 100%;
-            height: auto;
-            max-height: 60px;
-            object-fit: contain;
-        }
-
-        /* Details Section */
-        .details-container {
-            display: flex;
-            justify-content: space-between;
-            width: 100%;
-            margin: 8px 0;
-            padding: 0 15px;
-            gap: 15px;
-        }
-
-        .details-box {
-            width: 48%;
-            background-color: #FFF0F5;
-            border-radius: 5px;
-            overflow: hidden;
-        }
-
-        .details-header {
-            background-color: #000 !important;
-            padding: 6px 10px;
-            -webkit-print-color-adjust: exact !important;
-            print-color-adjust: exact !important;
-        }
-
-        .details-header h3 {
-            color: #fff !important;
-            font-size: 13px;
-            font-weight: 500;
-            margin: 0;
-        }
-
-        .details-content {
-            padding: 8px 10px;
-        }
-
-        .detail-row {
-            margin-bottom: 4px;
-            display: flex;
-            flex-wrap: nowrap;
-            font-size: 10px;
-        }
-
-        .detail-label {
-            min-width: 80px;
-            color: #555;
-            font-weight: 500;
-            display: inline-block;
-        }
-
-        .detail-value {
-            color: #000;
-            font-weight: 400;
-            display: inline-block;
-            flex: 1;
-        }
-
-        /* Screening Section */
-        .screening-section {
-            margin: 12px 0;
-            padding: 0 15px;
-            page-break-inside: avoid;
-        }
-
-        .screening-header {
-            display: flex;
-            align-items: center;
-            background-color: #fff;
-            border: 2px solid #FFB6C1;
-            border-radius: 20px;
-            padding: 4px 10px;
-            margin-bottom: 8px;
-            width: fit-content;
-            margin-left: auto;
-            margin-right: auto;
-        }
-
-        .breast-icon {
-            width: 25px;
-            height: 25px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-        }
-
-        .breast-icon img {
-            width: 100%;
-            height: auto;
-        }
-
-        .screening-header h3 {
-            margin: 0;
-            padding-left: 8px;
-            color: #000;
-            font-size: 13px;
-            font-weight: 500;
-        }
-
-        /* Images Grid */
-        .images-grid {
-            display: flex;
-            justify-content: space-between;
-            width: 100%;
-            gap: 10px;
-        }
-
-        .image-column {
-            width: 32%;
-            text-align: center;
-        }
-
-        .image-column h4 {
-            margin-bottom: 6px;
-            font-size: 11px;
-        }
-
-        .image-container {
-            width: 200px !important;
-            height: 200px !important;
-            display: inline-block;
-            border: 1px solid #ddd;
-            overflow: hidden;
-            margin: 0 auto;
-        }
-
-        .image-container img {
-            width: 100%;
-            height: 100%;
-            object-fit: cover;
-        }
-
-        /* Remarks Section */
-        .remarks-section {
-            padding: 8px 15px;
-            margin: 10px 0;
-            
-        }
-
-        .remarks-section p {
-            font-weight: bold;
-            margin-bottom: 5px;
-            font-size: 11px;
-        }
-
-        .center {
-            display: flex;
-            margin-bottom: 10px;
-            justify-content: center;
-            align-items: center;
-        }
-
-        .remarks-line {
-            height: 1px;
-            background-color: #ddd;
-            margin: 8px 0;
-        }
-
-        /* Questionnaire page */
-        .questionnaire-section {
-            margin: 12px 0;
-            padding: 0 15px;
-        }
-
-        .questionnaire-title {
-            font-size: 13px;
-            font-weight: 700;
-            text-align: center;
-            margin-bottom: 10px;
-            text-transform: uppercase;
-        }
-
-        .qa-table {
-            width: 100%;
-            border-collapse: collapse;
-            font-size: 11px;
-        }
-
-        .qa-table th, .qa-table td {
-            border: 1px solid #e5e7eb;
-            padding: 8px;
-            vertical-align: top;
-        }
-
-        .qa-table th {
-            background: #FFF0F5 !important;
-            -webkit-print-color-adjust: exact !important;
-            print-color-adjust: exact !important;
-            text-align: left;
-            font-weight: 700;
-        }
-
-        .qa-question-title {
-            font-weight: 700;
-            margin-bottom: 4px;
-        }
-
-        .qa-question-text {
-            font-size: 10px;
-            color: #444;
-            line-height: 1.25;
-        }
-
-        .qa-check {
-            text-align: center;
-            white-space: nowrap;
-            font-size: 12px;
-            font-weight: 700;
-        }
-
-        .qa-box {
-            display: inline-flex;
-            align-items: center;
-            justify-content: center;
-            width: 16px;
-            height: 16px;
-            border: 2px solid #f78699; /* light theme pink */
-            border-radius: 4px;
-            vertical-align: middle;
-            position: relative;
-            background: #fff;
-        }
-
-        .qa-tick {
-            width: 5px;
-            height: 9px;
-            border-right: 3px solid #f78699; /* light theme pink */
-            border-bottom: 3px solid #f78699; /* light theme pink */
-            transform: rotate(45deg);
-            display: block;
-            margin-top: -1px; /* optical centering */
-            -webkit-print-color-adjust: exact !important;
-            print-color-adjust: exact !important;
-        }
-
-        .qa-check span {
-            font-weight: 500;
-            font-size: 11px;
-            color: #111;
-            margin-left: 4px;
-        }
-
-        /* Footer Section - FIXED: Positioned at bottom */
-        .footer {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            width: 100%;
-            background-color: #FFF0F5 !important;
-            -webkit-print-color-adjust: exact !important;
-            print-color-adjust: exact !important;
-            padding: 8px 15px;
-           
-            border-top: 1px solid #ddd;
-        }
-
-        .disclaimer {
-            width: 70%;
-            font-size: 9px;
-            line-height: 1.2;
-        }
-
-        .disclaimer-title {
-            font-weight: 700;
-            color: #800020;
-        }
-
-        .powered-by {
-            width: 25%;
-            text-align: right;
-            display: flex;
-            align-items: center;
-            justify-content: flex-end;
-            font-size: 9px;
-        }
-
-        .powered-by span {
-            margin-right: 5px;
-        }
-
-        .powered-logos {
-            display: inline-flex;
-            align-items: center;
-        }
-
-        .powered-logos img {
-            height: 20px;
-            width: auto;
-            margin-left: 5px;
-        }
-
-        /* Force background colors in print */
-        * {
-            -webkit-print-color-adjust: exact !important;
-            print-color-adjust: exact !important;
-            color-adjust: exact !important;
-        }
-
-        /* Additional pink border emphasis for PDF generation */
-       @media print {
-    body {
-        background-color: #fff !important;
-        padding: 0 !important;
-        margin: 0 !important;
-        display: block !important; /* keep stacked pages */
-    }
-
-    .page {
-        display: flex !important;
-        justify-content: center !important;
-    }
-    
-    .container {
-        border: 2px solid #FFB6C1 !important; /* Reduced from 4px */
-        border-radius: 6px !important; /* Reduced from 8px */
-        -webkit-print-color-adjust: exact !important;
-        print-color-adjust: exact !important;
-        box-shadow: none !important;
-        margin: 0 !important;
-        width: 100% !important;
-        max-width: none !important;
-        min-height: auto !important;
-        padding: 4mm !important; /* Reduced from 5mm */
-    }
-    
-    .screening-section {
-        page-break-inside: avoid;
-    }
-}
-
-        /* For PDF generation tools */
-        @media screen and (max-width: 1px) {
-            body {
-                background-color: #fff !important;
-                padding: 0 !important;
-                margin: 0 !important;
-            }
-            
-            .container {
-                width: 100% !important;
-                max-width: none !important;
-                margin: 0 !important;
-                box-shadow: none !important;
-            }
-        }
-    </style>
-</head>
-<body>
-    {{#if hasQuestionnaireData}}
-    <div class="page page-break-after">
-      <div class="container">
-          <header class="header">
-              <div class="header-inner">
-                <div class="main-logo">
-                      <div class="main-logo-container">
-                          <img src="https://brscan.blob.core.windows.net/static-images/logo.png" alt="Main Logo">
-                      </div>
-                  </div>
-                  <div class="title">
-                      <h1>Breast Health Screening Report</h1>
-                      <p class="date">{{date}}</p>
-                  </div>
-                  <div class="hospital-logo">
-                      <div class="logo-container">
-                          <img src="{{hospitalLogo}}" alt="Hospital Logo">
-                      </div>
-                  </div>
-              </div>
-          </header>
-
-          <div class="details-container">
-              <div class="details-box">
-                  <div class="details-header">
-                      <h3>Subject Details</h3>
-                  </div>
-                  <div class="details-content">
-                      <div class="detail-row">
-                          <div class="detail-label">Name:</div>
-                          <div class="detail-value">{{patient.firstName}} {{patient.lastName}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Address:</div>
-                          <div class="detail-value">{{patient.address}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Contact:</div>
-                          <div class="detail-value">{{patient.contact}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Gender:</div>
-                          <div class="detail-value">{{patient.gender}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Age:</div>
-                          <div class="detail-value">{{patient.age}} Years</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Weight:</div>
-                          <div class="detail-value">{{patient.weight}} kg</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Height:</div>
-                          <div class="detail-value">{{patient.height}}</div>
-                      </div>
-                  </div>
-              </div>
-
-              <div class="details-box">
-                  <div class="details-header">
-                      <h3>Examiner Details</h3>
-                  </div>
-                  <div class="details-content">
-                      <div class="detail-row">
-                          <div class="detail-label">Hospital Name:</div>
-                          <div class="detail-value">{{hospital.name}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Hospital Address:</div>
-                          <div class="detail-value">{{hospital.address}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Doctor Name:</div>
-                          <div class="detail-value">{{doctor.name}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Designation:</div>
-                          <div class="detail-value">{{doctor.specialization}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Screening Place:</div>
-                          <div class="detail-value">{{hospital.name}}</div>
-                      </div>
-                  </div>
-              </div>
-          </div>
-
-          <div class="questionnaire-section">
-              <div class="questionnaire-title">Patient Questionnaire (Yes/No)</div>
-              <table class="qa-table">
-                  <thead>
-                      <tr>
-                          <th style="width: 76%;">Question</th>
-                          <th style="width: 12%; text-align: center;">Yes</th>
-                          <th style="width: 12%; text-align: center;">No</th>
-                      </tr>
-                  </thead>
-                  <tbody>
-                      {{#each questionnaireItems}}
-                        <tr>
-                          <td>
-                            <div class="qa-question-title">{{inc @index}}. {{this.title}}</div>
-                            <div class="qa-question-text">{{this.text}}</div>
-                          </td>
-                          <td class="qa-check"><span class="qa-box">{{#if this.yes}}<span class="qa-tick"></span>{{/if}}</span> <span>Yes</span></td>
-                          <td class="qa-check"><span class="qa-box">{{#if this.no}}<span class="qa-tick"></span>{{/if}}</span> <span>No</span></td>
-                        </tr>
-                      {{/each}}
-                  </tbody>
-              </table>
-          </div>
-
-          <div class="remarks-section">
-              <p>Remarks:</p>
-              <div class="remarks-line"></div>
-              <div class="remarks-line"></div>
-          </div>
-
-          <footer class="footer">
-              <div class="disclaimer">
-                  <span class="disclaimer-title">Disclaimer:</span> This breast health screening report is generated using non-invasive BR Scan Device with image-based visual reporting and is intended for breast health screening purposes only. Results may be affected by image quality, positioning, and capture conditions. This report does not constitute a diagnosis and does not replace professional medical advice, clinical evaluation, or treatment. Findings are indicative and may change over time. Users are strongly advised to seek evaluation and confirmatory tests (such as mammography or ultrasound) from a qualified healthcare professional. D3S Healthcare shall not be liable for any decisions made without appropriate medical consultation.
-              </div>
-              <div class="powered-by">
-                  <span>Powered By</span>
-                  <div class="powered-logos">
-                      <img src="https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSLDJHCPEwjND1n8zRkZij43mASb-r5NFAh5A&s" alt="azure">
-                      <img src="https://static.wixstatic.com/media/048d7e_644b43b18e8347d6b2b4c65943725115~mv2.png/v1/fill/w_554,h_166,al_c,q_85,usm_0.66_1.00_0.01,enc_avif,quality_auto/D3S%20Healthcare%20Logo.png" alt="d3s">
-                  </div>
-              </div>
-          </footer>
-      </div>
-    </div>
-    {{/if}}
-
-    <div class="page {{#if hasQuestionnaireData}}page-break-before{{/if}}">
-      <div class="container">
-          <header class="header">
-              <div class="header-inner">
-                <div class="main-logo">
-                      <div class="main-logo-container">
-                          <img src="https://brscan.blob.core.windows.net/static-images/logo.png" alt="Main Logo">
-                      </div>
-                  </div>
-                  <div class="title">
-                      <h1>Breast Health Screening Report</h1>
-                      <p class="date">{{date}}</p>
-                  </div>
-                  <div class="hospital-logo">
-                      <div class="logo-container">
-                          <img src="{{hospitalLogo}}" alt="Hospital Logo">
-                      </div>
-                  </div>
-              </div>
-          </header>
-
-          <div class="details-container">
-              <div class="details-box">
-                  <div class="details-header">
-                      <h3>Subject Details</h3>
-                  </div>
-                  <div class="details-content">
-                      <div class="detail-row">
-                          <div class="detail-label">Name:</div>
-                          <div class="detail-value">{{patient.firstName}} {{patient.lastName}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Address:</div>
-                          <div class="detail-value">{{patient.address}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Contact:</div>
-                          <div class="detail-value">{{patient.contact}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Gender:</div>
-                          <div class="detail-value">{{patient.gender}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Age:</div>
-                          <div class="detail-value">{{patient.age}} Years</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Weight:</div>
-                          <div class="detail-value">{{patient.weight}} kg</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Height:</div>
-                          <div class="detail-value">{{patient.height}}</div>
-                      </div>
-                  </div>
-              </div>
-
-              <div class="details-box">
-                  <div class="details-header">
-                      <h3>Examiner Details</h3>
-                  </div>
-                  <div class="details-content">
-                      <div class="detail-row">
-                          <div class="detail-label">Hospital Name:</div>
-                          <div class="detail-value">{{hospital.name}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Hospital Address:</div>
-                          <div class="detail-value">{{hospital.address}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Doctor Name:</div>
-                          <div class="detail-value">{{doctor.name}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Designation:</div>
-                          <div class="detail-value">{{doctor.specialization}}</div>
-                      </div>
-                      <div class="detail-row">
-                          <div class="detail-label">Screening Place:</div>
-                          <div class="detail-value">{{hospital.name}}</div>
-                      </div>
-                  </div>
-              </div>
-          </div>
-
-          <div class="screening-section">
-            <div class="center">
-              <div class="screening-header">
-                  <div class="breast-icon">
-                      <img src="{{breastIcon}}" alt="Breast Icon">
-                  </div>
-                  <h3>Left Breast Screening Visuals</h3>
-              </div>
-              </div>
-              <div class="images-grid">
-                  <div class="image-column">
-                      <h4>I. Top Side Image</h4>
-                      <div class="image-container">
-                          <img src="{{leftTopImage}}" alt="Left Breast Top Side">
-                      </div>
-                  </div>
-                  <div class="image-column">
-                      <h4>II. Left Side Image</h4>
-                      <div class="image-container">
-                          <img src="{{leftCenterImage}}" alt="Left Breast Left Side">
-                      </div>
-                  </div>
-                  <div class="image-column">
-                      <h4>III. Right Side Image</h4>
-                      <div class="image-container">
-                          <img src="{{leftBottomImage}}" alt="Left Breast Right Side">
-                      </div>
-                  </div>
-              </div>
-          </div>
-
-          <div class="screening-section">
-              <div class="center">
-              <div class="screening-header">
-                  <div class="breast-icon">
-                      <img src="{{breastIcon}}" alt="Breast Icon">
-                  </div>
-                  <h3>Right Breast Screening Visuals</h3>
-              </div>
-              </div>
-              <div class="images-grid">
-                  <div class="image-column">
-                      <h4>I. Top Side Image</h4>
-                      <div class="image-container">
-                          <img src="{{rightTopImage}}" alt="Right Breast Top Side">
-                      </div>
-                  </div>
-                  <div class="image-column">
-                      <h4>II. Left Side Image</h4>
-                      <div class="image-container">
-                          <img src="{{rightCenterImage}}" alt="Right Breast Left Side">
-                      </div>
-                  </div>
-                  <div class="image-column">
-                      <h4>III. Right Side Image</h4>
-                      <div class="image-container">
-                          <img src="{{rightBottomImage}}" alt="Right Breast Right Side">
-                      </div>
-                  </div>
-              </div>
-          </div>
-
-          <div class="remarks-section">
-              <p>Remarks:</p>
-              <div class="remarks-line"></div>
-              <div class="remarks-line"></div>
-          </div>
-
-          <footer class="footer">
-              <div class="disclaimer">
-                  <span class="disclaimer-title">Disclaimer:</span> This breast health screening report is generated using non-invasive BR Scan Device with image-based visual reporting and is intended for breast health screening purposes only. Results may be affected by image quality, positioning, and capture conditions. This report does not constitute a diagnosis and does not replace professional medical advice, clinical evaluation, or treatment. Findings are indicative and may change over time. Users are strongly advised to seek evaluation and confirmatory tests (such as mammography or ultrasound) from a qualified healthcare professional. D3S Healthcare shall not be liable for any decisions made without appropriate medical consultation.
-              </div>
-              <div class="powered-by">
-                  <span>Powered By</span>
-                  <div class="powered-logos">
-                      <img src="https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSLDJHCPEwjND1n8zRkZij43mASb-r5NFAh5A&s" alt="azure">
-                      <img src="https://static.wixstatic.com/media/048d7e_644b43b18e8347d6b2b4c65943725115~mv2.png/v1/fill/w_554,h_166,al_c,q_85,usm_0.66_1.00_0.01,enc_avif,quality_auto/D3S%20Healthcare%20Logo.png" alt="d3s">
-                  </div>
-              </div>
-          </footer>
-      </div>
-    </div>
-</body>
-</html>`;
-}
-
-
-
 // Export functions
 module.exports = { 
-  generateBreastCancerReport,
-  formatDate,
-  getReportTemplate
-};
\ No newline at end of file
+  generateTemplateReport,
+  generateReportPreview,
+  formatDate
+};
@@ -0,0 +1,77 @@
+// Report review workflow: statuses, legal transitions and who may perform them.
+// Kept free of model imports so models can use the status list for their ENUMs.
+
+const REPORT_STATUSES = {
+  UPLOADED: 'uploaded',
+  ASSIGNED: 'assigned',
+  IN_REVIEW: 'in_review',
+  REVIEWED: 'reviewed',
+  SIGNED_OFF: 'signed_off',
+  RETURNED_FOR_RESCAN: 'returned_for_rescan'
+};
+
+const REPORT_STATUS_VALUES = Object.values(REPORT_STATUSES);
+
+// Statuses used before the workflow existed, mapped to their workflow equivalent
+const LEGACY_STATUSES = { pending: REPORT_STATUSES.UPLOADED };
+
+// Allowed next statuses for each status (assigned → assigned is a reassignment)
+const TRANSITIONS = {
+  uploaded: ['assigned', 'returned_for_rescan'],
+  assigned: ['assigned', 'in_review', 'uploaded', 'returned_for_rescan'],
+  in_review: ['reviewed', 'assigned', 'uploaded', 'returned_for_rescan'],
+  reviewed: ['in_review', 'signed_off', 'returned_for_rescan'],
+  returned_for_rescan: ['uploaded'],
+  signed_off: []
+};
+
+// Roles allowed to move a report into each status
+const TRANSITION_ROLES = {
+  uploaded: ['hospital', 'admin'],
+  assigned: ['hospital', 'admin'],
+  in_review: ['doctor'],
+  reviewed: ['doctor'],
+  signed_off: ['hospital', 'admin'],
+  returned_for_rescan: ['doctor', 'hospital', 'admin']
+};
+
+// Moving into these statuses must be explained
+const REASON_REQUIRED = ['returned_for_rescan'];
+
+const normalizeStatus = (status) => LEGACY_STATUSES[status] || status;
+
+/**
+ * Check whether a report may move to the given status
+ * @param {string} fromStatus - Current report status
+ * @param {string} toStatus - Requested status
+ * @param {Object} [options]
+ * @param {string} [options.role] - Role of the caller; skipped when omitted
+ * @param {string} [options.reason] - Reason given for the change
+ * @returns {string|null} Why the transition is not allowed, or null when it is
+ */
+const getTransitionError = (fromStatus, toStatus, { role, reason } = {}) => {
+  const from = normalizeStatus(fromStatus);
+  if (!REPORT_STATUS_VALUES.includes(toStatus)) {
+    return `Unknown status "${toStatus}". Allowed: ${REPORT_STATUS_VALUES.join(', ')}`;
+  }
+  if (!(TRANSITIONS[from] || []).includes(toStatus)) {
+    return `Cannot move report from "${from}" to "${toStatus}"`;
+  }
+  if (role && !TRANSITION_ROLES[toStatus].includes(role)) {
+    return `Role "${role}" cannot move a report to "${toStatus}"`;
+  }
+  if (REASON_REQUIRED.includes(toStatus) && !(reason && String(reason).trim())) {
+    return `A reason is required to move a report to "${toStatus}"`;
+  }
+  return null;
+};
+
+module.exports = {
+  REPORT_STATUSES,
+  REPORT_STATUS_VALUES,
+  LEGACY_STATUSES,
+  TRANSITIONS,
+  TRANSITION_ROLES,
+  normalizeStatus,
+  getTransitionError
+};
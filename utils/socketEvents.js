@@ -0,0 +1,32 @@
+// Socket.IO event names and room names.
+// Every connection joins the room of its own account and the room of its role; rooms are derived
+// from the verified token, never from what the client sends. Hospitals receive the events of their
+// reports and the presence of their doctors; admins receive everything.
+const SOCKET_EVENTS = {
+  NEW_NOTIFICATION: 'new_notification',
+  REPORT_STATUS_CHANGED: 'report_status_changed',
+  REPORT_JOB_FINISHED: 'report_job_finished',
+  ORDER_UPDATED: 'order_updated',
+  PRESENCE: 'presence'
+};
+
+/**
+ * Room of one account, e.g. doctor_12 (same names as before authenticated sockets)
+ * @param {string} userType
+ * @param {number} userId
+ * @returns {string}
+ */
+const userRoom = (userType, userId) => `${userType}_${userId}`;
+
+/**
+ * Room of every connection with a role, e.g. role_admin
+ * @param {string} role
+ * @returns {string}
+ */
+const roleRoom = (role) => `role_${role}`;
+
+module.exports = {
+  SOCKET_EVENTS,
+  userRoom,
+  roleRoom
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps: HMAC-SHA1, 6 digits,
+// 30 second steps, base32 secrets.
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+// Steps either side of now that are still accepted, for clock drift between phone and server
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} Base32 without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+/**
+ * @param {string} text - Base32, case and spaces ignored
+ * @returns {Buffer}
+ */
+const base32Decode = (text) => {
+  const bits = String(text || '')
+    .toUpperCase()
+    .replace(/[\s=-]/g, '')
+    .split('')
+    .map((char) => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+/**
+ * @returns {string} New random base32 secret (32 characters)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * @param {Date} [now]
+ * @returns {number} Current time step
+ */
+const currentStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Code of a time step (RFC 4226 HOTP with the step as counter)
+ * @param {string} secret - Base32
+ * @param {number} step
+ * @returns {string} Zero-padded code
+ */
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(value).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and DRIFT_STEPS either side
+ * @param {string} secret - Base32
+ * @param {string} code - As typed; spaces are ignored
+ * @param {Object} [options]
+ * @param {number} [options.afterStep] - Reject steps up to this one (already used), against replay
+ * @param {Date} [options.now]
+ * @returns {number|null} Matched step, or null
+ */
+const verifyTotp = (secret, code, { afterStep = -1, now = new Date() } = {}) => {
+  const typed = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(typed)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate += 1) {
+    if (candidate <= afterStep) continue;
+    const expected = Buffer.from(totpCode(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(typed))) return candidate;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (usually from a QR code)
+ * @param {string} secret - Base32
+ * @param {string} accountName - E.g. the account's email
+ * @param {string} issuer - Shown as the app's entry name
+ * @returns {string}
+ */
+const otpauthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  currentStep,
+  totpCode,
+  verifyTotp,
+  otpauthUrl
+};
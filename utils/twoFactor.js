@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Two-factor authentication for admin, hospital and doctor logins.
+// Accounts add an authenticator app (utils/totp.js) and get RECOVERY_CODE_COUNT single-use recovery
+// codes. Logins then need twoFactorCode next to the password: a current app code or a recovery code.
+// Admins can require 2FA for a hospital (Hospital.twoFactorRequired, covering the hospital account and
+// its doctors); TWO_FACTOR_REQUIRED_FOR_ADMINS=true requires it for admin accounts. A login that
+// requires 2FA the account has not set up returns a setup token, which only works for enrolment.
+// Secrets are stored encrypted with TWO_FACTOR_ENCRYPTION_KEY (falls back to JWT_SECRET).
+
+const TWO_FACTOR_USER_TYPES = ['admin', 'hospital', 'doctor'];
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'D3S Healthcare';
+
+const RECOVERY_CODE_COUNT = 10;
+// Unambiguous characters only (no 0/O, 1/I/L), so codes can be typed from a printout
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 10;
+
+// Wrong codes in a row before the account's 2FA is locked for TWO_FACTOR_LOCK_MINUTES
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+const TWO_FACTOR_LOCK_MINUTES = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES) || 15;
+const SETUP_TOKEN_TTL_MINUTES = 15;
+const SETUP_TOKEN_PURPOSE = 'two_factor_setup';
+
+const getEncryptionKey = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY (or JWT_SECRET) must be set for two-factor authentication');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret
+ * @returns {string} iv.tag.ciphertext, base64url
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+/**
+ * @param {string} stored - From encryptSecret
+ * @returns {string} The TOTP secret. Throws when the value was altered or the key changed.
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Normalize a typed recovery code: upper case, dashes and spaces optional
+ * @param {string} code
+ * @returns {string|null} Compact code, or null when it cannot be one
+ */
+const normalizeRecoveryCode = (code) => {
+  const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (compact.length !== RECOVERY_CODE_LENGTH || [...compact].some((char) => !RECOVERY_CODE_ALPHABET.includes(char))) {
+    return null;
+  }
+  return compact;
+};
+
+/**
+ * @param {string} code - Recovery code, in any typed form
+ * @returns {string} Hex SHA-256 of the normalized code, as stored
+ */
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code) || '').digest('hex');
+
+/**
+ * New set of recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} codes (shown once, e.g. 'K7QMX-4RT9H') and their hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.randomBytes(RECOVERY_CODE_LENGTH), (byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+    return chars.join('').match(/.{5}/g).join('-');
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Whether an account must use 2FA
+ * @param {string} userType - admin, hospital or doctor
+ * @param {Object} [hospital] - The hospital, or the doctor's hospital (needs twoFactorRequired)
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (userType, hospital) => {
+  if (userType === 'admin') return process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true';
+  return Boolean(hospital?.twoFactorRequired);
+};
+
+/**
+ * Short-lived token that only allows setting up 2FA, for logins that require it
+ * @param {{ userType: string, userId: number }} account
+ * @returns {string}
+ */
+const signSetupToken = ({ userType, userId }) =>
+  jwt.sign({ id: userId, role: userType, purpose: SETUP_TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: SETUP_TOKEN_TTL_MINUTES * 60
+  });
+
+/**
+ * @param {string} token - From signSetupToken
+ * @returns {{ userType: string, userId: number }|null} null when invalid or expired
+ */
+const verifySetupToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    if (decoded.purpose !== SETUP_TOKEN_PURPOSE || !TWO_FACTOR_USER_TYPES.includes(decoded.role)) return null;
+    return { userType: decoded.role, userId: decoded.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_USER_TYPES,
+  TWO_FACTOR_ISSUER,
+  RECOVERY_CODE_COUNT,
+  MAX_FAILED_ATTEMPTS,
+  TWO_FACTOR_LOCK_MINUTES,
+  encryptSecret,
+  decryptSecret,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  signSetupToken,
+  verifySetupToken
+};
@@ -0,0 +1,217 @@
+const { v4: uuidv4 } = require('uuid');
+const { StandardFonts, LineCapStyle, rgb } = require('pdf-lib');
+const { toWinAnsi } = require('./reportFindings');
+
+// Vector annotations drawn on report pages. Coordinates are PDF points in pdf-lib's user space:
+// origin at the bottom-left corner of the page, x to the right, y up.
+const VECTOR_TYPES = ['circle', 'rectangle', 'path', 'arrow', 'text'];
+
+const MAX_ANNOTATIONS = 500;
+const MAX_PATH_POINTS = 5000;
+const DEFAULT_COLOR = '#FF0000';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+
+const toRgb = (hex) => rgb(
+  parseInt(hex.slice(1, 3), 16) / 255,
+  parseInt(hex.slice(3, 5), 16) / 255,
+  parseInt(hex.slice(5, 7), 16) / 255
+);
+
+// Required numeric fields per type
+const GEOMETRY_FIELDS = {
+  circle: ['x', 'y', 'radius'],
+  rectangle: ['x', 'y', 'width', 'height'],
+  arrow: ['x1', 'y1', 'x2', 'y2'],
+  text: ['x', 'y'],
+  path: []
+};
+
+/**
+ * Validate vector annotations sent by the doctor UI
+ * @param {Array} input - Annotations
+ * @returns {{ annotations: Object[], errors: string[] }} Normalised annotations (every one gets an id)
+ */
+const parseVectorAnnotations = (input) => {
+  if (!Array.isArray(input)) {
+    return { annotations: [], errors: ['annotations must be an array'] };
+  }
+  if (input.length > MAX_ANNOTATIONS) {
+    return { annotations: [], errors: [`annotations cannot contain more than ${MAX_ANNOTATIONS} items`] };
+  }
+
+  const errors = [];
+  const annotations = input.map((item, index) => {
+    const label = `annotations[${index}]`;
+    const { type, page } = item || {};
+
+    if (!VECTOR_TYPES.includes(type)) {
+      errors.push(`${label}.type must be one of: ${VECTOR_TYPES.join(', ')}`);
+      return null;
+    }
+    if (!(Number.isInteger(page) && page >= 1)) {
+      errors.push(`${label}.page must be a positive integer`);
+    }
+    GEOMETRY_FIELDS[type]
+      .filter((field) => !isNumber(item[field]))
+      .forEach((field) => errors.push(`${label}.${field} must be a number`));
+
+    if (type === 'path' && !(Array.isArray(item.points) && item.points.length >= 2 && item.points.length <= MAX_PATH_POINTS &&
+      item.points.every((point) => Array.isArray(point) && isNumber(point[0]) && isNumber(point[1])))) {
+      errors.push(`${label}.points must be 2 to ${MAX_PATH_POINTS} [x, y] pairs`);
+    }
+    if (type === 'text' && !(typeof item.text === 'string' && item.text.trim())) {
+      errors.push(`${label}.text is required`);
+    }
+    if (item.color !== undefined && !isColor(item.color)) {
+      errors.push(`${label}.color must be a #RRGGBB hex colour`);
+    }
+    if (item.fill !== undefined && item.fill !== null && !isColor(item.fill)) {
+      errors.push(`${label}.fill must be a #RRGGBB hex colour or null`);
+    }
+    if (item.strokeWidth !== undefined && !(isNumber(item.strokeWidth) && item.strokeWidth > 0)) {
+      errors.push(`${label}.strokeWidth must be a positive number`);
+    }
+    if (item.fontSize !== undefined && !(isNumber(item.fontSize) && item.fontSize > 0)) {
+      errors.push(`${label}.fontSize must be a positive number`);
+    }
+    if (item.opacity !== undefined && !(isNumber(item.opacity) && item.opacity >= 0 && item.opacity <= 1)) {
+      errors.push(`${label}.opacity must be between 0 and 1`);
+    }
+
+    // Keep only known fields so stored annotations stay predictable for the UI
+    const annotation = {
+      id: typeof item.id === 'string' && item.id ? item.id : uuidv4(),
+      type,
+      page,
+      color: item.color || DEFAULT_COLOR,
+      strokeWidth: item.strokeWidth || 2,
+      opacity: item.opacity ?? 1
+    };
+    GEOMETRY_FIELDS[type].forEach((field) => { annotation[field] = item[field]; });
+    if (type === 'circle' || type === 'rectangle') annotation.fill = item.fill || null;
+    if (type === 'path') annotation.points = item.points;
+    if (type === 'text') {
+      annotation.text = item.text;
+      annotation.fontSize = item.fontSize || 12;
+    }
+    return annotation;
+  });
+
+  return { annotations: annotations.filter(Boolean), errors };
+};
+
+/**
+ * Draw vector annotations onto a pdf-lib document
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {Object[]} annotations - Annotations as returned by parseVectorAnnotations
+ * @throws {RangeError} When an annotation targets a page the PDF does not have
+ */
+const drawVectorAnnotations = async (pdfDoc, annotations) => {
+  if (!annotations || !annotations.length) return;
+
+  const pageCount = pdfDoc.getPageCount();
+  const font = annotations.some((annotation) => annotation.type === 'text')
+    ? await pdfDoc.embedFont(StandardFonts.Helvetica)
+    : null;
+
+  for (const annotation of annotations) {
+    if (annotation.page > pageCount) {
+      throw new RangeError(`Invalid page number. PDF only has ${pageCount} pages.`);
+    }
+    const page = pdfDoc.getPage(annotation.page - 1);
+    const color = toRgb(annotation.color);
+    const { strokeWidth: thickness, opacity } = annotation;
+    const line = (start, end) => page.drawLine({
+      start, end, thickness, color, opacity, lineCap: LineCapStyle.Round
+    });
+
+    switch (annotation.type) {
+      case 'circle':
+        page.drawEllipse({
+          x: annotation.x,
+          y: annotation.y,
+          xScale: annotation.radius,
+          yScale: annotation.radius,
+          borderColor: color,
+          borderWidth: thickness,
+          borderOpacity: opacity,
+          ...(annotation.fill && { color: toRgb(annotation.fill), opacity })
+        });
+        break;
+
+      case 'rectangle':
+        page.drawRectangle({
+          x: annotation.x,
+          y: annotation.y,
+          width: annotation.width,
+          height: annotation.height,
+          borderColor: color,
+          borderWidth: thickness,
+          borderOpacity: opacity,
+          ...(annotation.fill && { color: toRgb(annotation.fill), opacity })
+        });
+        break;
+
+      case 'path':
+        for (let i = 1; i < annotation.points.length; i++) {
+          const [x1, y1] = annotation.points[i - 1];
+          const [x2, y2] = annotation.points[i];
+          line({ x: x1, y: y1 }, { x: x2, y: y2 });
+        }
+        break;
+
+      case 'arrow': {
+        const { x1, y1, x2, y2 } = annotation;
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const headLength = Math.max(8, thickness * 4);
+        line({ x: x1, y: y1 }, { x: x2, y: y2 });
+        [angle + Math.PI * 0.85, angle - Math.PI * 0.85].forEach((headAngle) => {
+          line({ x: x2, y: y2 }, { x: x2 + headLength * Math.cos(headAngle), y: y2 + headLength * Math.sin(headAngle) });
+        });
+        break;
+      }
+
+      case 'text':
+        annotation.text.split('\n').forEach((textLine, index) => {
+          page.drawText(toWinAnsi(textLine), {
+            x: annotation.x,
+            y: annotation.y - index * annotation.fontSize * 1.2,
+            size: annotation.fontSize,
+            font,
+            color,
+            opacity
+          });
+        });
+        break;
+
+      default:
+        break;
+    }
+  }
+};
+
+/**
+ * Compare two annotation lists by id
+ * @param {Object[]} before
+ * @param {Object[]} after
+ * @returns {{ added: string[], removed: string[], changed: string[] }} Annotation ids
+ */
+const diffVectorAnnotations = (before = [], after = []) => {
+  const beforeById = new Map((before || []).map((annotation) => [annotation.id, JSON.stringify(annotation)]));
+  const afterById = new Map((after || []).map((annotation) => [annotation.id, JSON.stringify(annotation)]));
+
+  return {
+    added: [...afterById.keys()].filter((id) => !beforeById.has(id)),
+    removed: [...beforeById.keys()].filter((id) => !afterById.has(id)),
+    changed: [...afterById.keys()].filter((id) => beforeById.has(id) && beforeById.get(id) !== afterById.get(id))
+  };
+};
+
+module.exports = {
+  VECTOR_TYPES,
+  parseVectorAnnotations,
+  drawVectorAnnotations,
+  diffVectorAnnotations
+};